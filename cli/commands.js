@@ -0,0 +1,513 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { NonceMode, collectSignatures, withdrawArgs, withdrawTokenArgs } = require("../scripts/authorization");
+const {
+  createAuthorizationFile,
+  readAuthorizationFile,
+  verifyAuthorizationFile,
+} = require("../scripts/authorization-file");
+const { revertReason, toJson } = require("../service/http");
+
+/**
+ * Operator commands for a deployed vault
+ *
+ * Usage: vault-cli <command> [options] [--json]
+ *
+ *   deposit     --amount <amount> [--token <address>]
+ *   authorize   --recipient <address> --amount <amount> [--token <address>] [--nonce <n>]
+ *               [--valid-after <timestamp>] [--valid-for <seconds>] [--out <file>]
+ *   withdraw    --file <file>
+ *   verify      --file <file>
+ *   status      [--token <address>]
+ *   check-auth  <authorizationId>
+ *
+ * Every command takes --vault, the address or deployment-file name of the vault
+ * (defaults to the deployed pair's vault, or for withdraw and verify to the vault
+ * named in the authorization file). Amounts are given in whole units of
+ * the asset (ether, or the token's decimals) and reported in base units.
+ * Authorization files use the format of scripts/authorization-file.js; withdraw
+ * verifies them the same way verify does before sending anything. Without --nonce,
+ * authorize picks a random nonce for vaults with unordered nonces and the next
+ * free one on chain for sequential and bitmap nonces.
+ * With --json each command prints a single JSON document, `{ error, details? }` on failure.
+ */
+
+const USAGE = `Usage: vault-cli <command> [options] [--json]
+
+Commands:
+  deposit     --amount <amount> [--token <address>]        Deposit into the vault
+  authorize   --recipient <address> --amount <amount>      Sign an authorization and write it to a file
+              [--token <address>] [--nonce <n>] [--valid-after <timestamp>]
+              [--valid-for <seconds>] [--out <file>]
+  withdraw    --file <file>                                 Verify and submit an authorization file
+  verify      --file <file>                                 Check an authorization file against the chain
+  status      [--token <address>]                           Balance, owner and nonces of the vault
+  check-auth  <authorizationId>                             Whether an authorization has been used
+
+Options:
+  --vault <address|name>  Vault to operate on (defaults to the authorization file's vault
+                          for withdraw and verify, otherwise to the deployed pair's vault)
+  --json                  Print machine-readable JSON`;
+
+const COMMANDS = ["deposit", "authorize", "withdraw", "verify", "status", "check-auth"];
+
+// Commands that read the vault from an authorization file unless --vault is given
+const FILE_COMMANDS = ["withdraw", "verify"];
+
+const OPTIONS = {
+  vault: { type: "string" },
+  token: { type: "string" },
+  amount: { type: "string" },
+  recipient: { type: "string" },
+  nonce: { type: "string" },
+  "valid-after": { type: "string" },
+  "valid-for": { type: "string" },
+  out: { type: "string" },
+  file: { type: "string" },
+  json: { type: "boolean" },
+  help: { type: "boolean" },
+};
+
+// Subsets of the contract ABIs used by the CLI
+const VAULT_ABI = [
+  "function authorizationManager() view returns (address)",
+  "function isInitialized() view returns (bool)",
+  "function owner() view returns (address)",
+  "function paused() view returns (bool)",
+  "function getBalance() view returns (uint256)",
+  "function getTokenBalance(address token) view returns (uint256)",
+  "function reservedBalances(address token) view returns (uint256)",
+  "function depositToken(address token, uint256 amount)",
+  "function withdraw(address recipient, uint256 amount, bytes32 authorizationId, uint256 nonce, uint256 validAfter, uint256 validUntil, bytes[] signatures)",
+  "function withdrawToken(address token, address recipient, uint256 amount, bytes32 authorizationId, uint256 nonce, uint256 validAfter, uint256 validUntil, bytes[] signatures)",
+  "event WithdrawalQueued(bytes32 indexed authorizationId, address indexed token, address indexed recipient, uint256 amount, uint256 executableAt, uint256 timestamp)",
+  "event WithdrawalCredited(bytes32 indexed authorizationId, address indexed token, address indexed recipient, uint256 amount, uint256 timestamp)",
+];
+const MANAGER_ABI = [
+  "function registeredVaults(address vault) view returns (bool)",
+  "function getAuthorizationStatus(bytes32 authorizationId) view returns (uint8)",
+  "function isAuthorizationUsed(bytes32 authorizationId) view returns (bool)",
+  "function isAuthorizedSigner(address vault, address signer) view returns (bool)",
+  "function getThreshold(address vault) view returns (uint256)",
+  "function nonceConfigs(address vault) view returns (uint8 mode, bool perSigner)",
+  "function getNextNonce(address vault, address nonceOwner) view returns (uint256)",
+];
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+// Names of AuthorizationManager.AuthorizationStatus values
+const STATUS_NAMES = ["unused", "consumed", "revoked"];
+
+/**
+ * Error reported to the operator without a stack trace
+ */
+class CliError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} [details] Individual problems, e.g. every mismatch of an authorization file
+   */
+  constructor(message, details = []) {
+    super(message);
+    this.details = details;
+  }
+}
+
+/**
+ * Parse the command line
+ * @param {string[]} argv Arguments after the program name
+ * @returns {{command: string|undefined, options: object, positionals: string[]}}
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+
+  const [command, ...positionals] = parsed.positionals;
+  if (!parsed.values.help && !COMMANDS.includes(command)) {
+    throw new CliError(command === undefined ? "A command is required" : `Unknown command "${command}"`);
+  }
+  return { command, options: parsed.values, positionals };
+}
+
+/**
+ * Address of the vault to operate on
+ * @param {{contracts: object}} deployment Contents of deployments/deployment-<chainId>.json
+ * @param {string} [vault] Address, or name of a vault listed in the deployment
+ */
+function resolveVault(deployment, vault) {
+  const { contracts = {} } = deployment;
+  if (vault === undefined) {
+    if (!contracts.SecureVault) {
+      throw new CliError("No vault deployed on this network; pass --vault");
+    }
+    return contracts.SecureVault.address;
+  }
+  if (ethers.isAddress(vault)) {
+    return ethers.getAddress(vault);
+  }
+
+  const entry = (contracts.vaults || []).find(({ name }) => name === vault);
+  if (!entry) {
+    throw new CliError(`No vault named "${vault}" in the deployment`);
+  }
+  return entry.address;
+}
+
+function requireOption(options, name) {
+  if (options[name] === undefined) {
+    throw new CliError(`--${name} is required`);
+  }
+  return options[name];
+}
+
+function parseAddressOption(options, name, fallback) {
+  const value = options[name] ?? fallback;
+  if (value === undefined) {
+    throw new CliError(`--${name} is required`);
+  }
+  if (!ethers.isAddress(value)) {
+    throw new CliError(`--${name} must be an address`);
+  }
+  return ethers.getAddress(value);
+}
+
+function parseIntegerOption(options, name) {
+  const value = options[name];
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new CliError(`--${name} must be a non-negative integer`);
+  }
+  return BigInt(value);
+}
+
+/**
+ * Parse a whole-unit amount into base units of the asset
+ */
+async function parseAmount(value, token, provider) {
+  const decimals =
+    token === ethers.ZeroAddress ? 18 : await new ethers.Contract(token, ERC20_ABI, provider).decimals();
+
+  let amount;
+  try {
+    amount = ethers.parseUnits(value, decimals);
+  } catch {
+    throw new CliError(`--amount must be a decimal number with at most ${decimals} decimals`);
+  }
+  if (amount <= 0n) {
+    throw new CliError("--amount must be greater than zero");
+  }
+  return amount;
+}
+
+/**
+ * Accounted balance of an asset in the vault
+ */
+async function vaultBalance(vaultContract, token) {
+  return token === ethers.ZeroAddress ? vaultContract.getBalance() : vaultContract.getTokenBalance(token);
+}
+
+function requireSender({ sender }) {
+  if (!sender) {
+    throw new CliError("No account to send from; set PRIVATE_KEY");
+  }
+  return sender;
+}
+
+/**
+ * Send a transaction, reporting the revert reason of a failed one
+ */
+async function send(transaction) {
+  try {
+    return await (await transaction()).wait();
+  } catch (error) {
+    throw new CliError(revertReason(error));
+  }
+}
+
+async function deposit({ options }, { provider, vault, ...context }) {
+  const sender = requireSender(context);
+  const token = parseAddressOption(options, "token", ethers.ZeroAddress);
+  const amount = await parseAmount(requireOption(options, "amount"), token, provider);
+  const vaultContract = new ethers.Contract(vault, VAULT_ABI, sender);
+
+  let receipt;
+  if (token === ethers.ZeroAddress) {
+    receipt = await send(() => sender.sendTransaction({ to: vault, value: amount }));
+  } else {
+    const erc20 = new ethers.Contract(token, ERC20_ABI, sender);
+    if ((await erc20.allowance(await sender.getAddress(), vault)) < amount) {
+      await send(() => erc20.approve(vault, amount));
+    }
+    receipt = await send(() => vaultContract.depositToken(token, amount));
+  }
+
+  return {
+    vault,
+    token,
+    amount,
+    from: await sender.getAddress(),
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    balance: await vaultBalance(vaultContract, token),
+  };
+}
+
+async function authorize({ options }, { provider, chainId, vault, authorizers }) {
+  if (!authorizers || authorizers.length === 0) {
+    throw new CliError("No authorizer keys; set SIGNER_PRIVATE_KEYS");
+  }
+  const token = parseAddressOption(options, "token", ethers.ZeroAddress);
+  const recipient = parseAddressOption(options, "recipient");
+  const amount = await parseAmount(requireOption(options, "amount"), token, provider);
+
+  let validUntil;
+  const validFor = parseIntegerOption(options, "valid-for");
+  if (validFor !== undefined) {
+    validUntil = BigInt((await provider.getBlock("latest")).timestamp) + validFor;
+  }
+
+  const authorizationManager = await new ethers.Contract(vault, VAULT_ABI, provider).authorizationManager();
+
+  // Unordered nonces are random so independently issued authorizations do not collide;
+  // otherwise collectSignatures fetches the next free nonce
+  let nonce = parseIntegerOption(options, "nonce");
+  if (nonce === undefined) {
+    const [mode] = await new ethers.Contract(authorizationManager, MANAGER_ABI, provider).nonceConfigs(vault);
+    nonce = mode === NonceMode.Unordered ? BigInt(ethers.hexlify(ethers.randomBytes(16))) : undefined;
+  }
+
+  const authorization = await collectSignatures(authorizers, authorizationManager, {
+    vault,
+    token,
+    recipient,
+    amount,
+    nonce,
+    validAfter: parseIntegerOption(options, "valid-after"),
+    validUntil,
+  });
+
+  const file = options.out ?? `authorization-${authorization.authorizationId.slice(2, 10)}.json`;
+  const document = createAuthorizationFile(authorization, { chainId, authorizationManager });
+  fs.writeFileSync(file, JSON.stringify(document, null, 2));
+
+  return { file: path.resolve(file), ...document };
+}
+
+/**
+ * Verify an authorization file against the current chain
+ *
+ * The file must be bound to this chain and to the manager its vault uses; its
+ * signers must be authorized for the vault and reach the vault's threshold, and
+ * it must be valid at the latest block. The vault is the one the file names; an
+ * explicit --vault naming another vault is an error.
+ *
+ * @returns {Promise<{file: string, errors: string[], authorization: object|null, signers: string[]}>}
+ */
+async function checkAuthorizationFile({ options }, { provider, chainId, vault: selectedVault }) {
+  const file = requireOption(options, "file");
+  let document;
+  try {
+    document = readAuthorizationFile(file);
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+
+  // The first pass only parses the file and recovers its signers
+  const parsed = verifyAuthorizationFile(document);
+  if (parsed.authorization === null) {
+    return { file, ...parsed };
+  }
+
+  const vault = parsed.authorization.vault;
+  if (selectedVault !== undefined && selectedVault !== vault) {
+    throw new CliError(`${file} is for vault ${vault}, not --vault ${selectedVault}`);
+  }
+  const authorizationManager = await new ethers.Contract(vault, VAULT_ABI, provider).authorizationManager();
+  const manager = new ethers.Contract(authorizationManager, MANAGER_ABI, provider);
+
+  const signers = [];
+  for (const signer of new Set(parsed.signers)) {
+    if (await manager.isAuthorizedSigner(vault, signer)) {
+      signers.push(signer);
+    }
+  }
+
+  const report = verifyAuthorizationFile(document, {
+    chainId,
+    authorizationManager,
+    vault,
+    signers,
+    threshold: await manager.getThreshold(vault),
+    timestamp: (await provider.getBlock("latest")).timestamp,
+  });
+  return { file, ...report };
+}
+
+async function verify(commandLine, context) {
+  const { file, errors, authorization, signers } = await checkAuthorizationFile(commandLine, context);
+  return {
+    file: path.resolve(file),
+    valid: errors.length === 0,
+    ...(authorization && {
+      authorizationId: authorization.authorizationId,
+      vault: authorization.vault,
+      token: authorization.token,
+      recipient: authorization.recipient,
+      amount: authorization.amount,
+      signers,
+    }),
+    errors,
+  };
+}
+
+async function withdraw(commandLine, context) {
+  const sender = requireSender(context);
+  const { file, errors, authorization } = await checkAuthorizationFile(commandLine, context);
+  if (errors.length > 0) {
+    throw new CliError(`${file} failed verification`, errors);
+  }
+  if (authorization.fee !== undefined) {
+    throw new CliError(`${file} is a relayed authorization; submit it through a relayer`);
+  }
+
+  const vaultContract = new ethers.Contract(authorization.vault, VAULT_ABI, sender);
+  const receipt = await send(() =>
+    authorization.token === ethers.ZeroAddress
+      ? vaultContract.withdraw(...withdrawArgs(authorization))
+      : vaultContract.withdrawToken(...withdrawTokenArgs(authorization))
+  );
+
+  // Large withdrawals wait in the timelock; rejected transfers are credited for a later claim
+  let outcome = "paid";
+  let executableAt;
+  for (const log of receipt.logs) {
+    const parsed =
+      ethers.getAddress(log.address) === authorization.vault ? vaultContract.interface.parseLog(log) : null;
+    if (parsed && parsed.name === "WithdrawalQueued") {
+      outcome = "queued";
+      executableAt = parsed.args.executableAt;
+    } else if (parsed && parsed.name === "WithdrawalCredited") {
+      outcome = "credited";
+    }
+  }
+
+  return {
+    authorizationId: authorization.authorizationId,
+    vault: authorization.vault,
+    token: authorization.token,
+    recipient: authorization.recipient,
+    amount: authorization.amount,
+    outcome,
+    ...(executableAt !== undefined && { executableAt }),
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+  };
+}
+
+async function status({ options }, { provider, chainId, vault }) {
+  const token = parseAddressOption(options, "token", ethers.ZeroAddress);
+  const vaultContract = new ethers.Contract(vault, VAULT_ABI, provider);
+
+  const initialized = await vaultContract.isInitialized();
+  const authorizationManager = await vaultContract.authorizationManager();
+  const manager = new ethers.Contract(authorizationManager, MANAGER_ABI, provider);
+  const registered = initialized && (await manager.registeredVaults(vault));
+
+  // Per-signer nonces have no single next nonce
+  let nonces = {};
+  if (registered) {
+    const [mode, perSigner] = await manager.nonceConfigs(vault);
+    const name = Object.keys(NonceMode).find((key) => NonceMode[key] === mode).toLowerCase();
+    nonces = perSigner
+      ? { nonceMode: `${name} per signer` }
+      : { nonceMode: name, nextNonce: await manager.getNextNonce(vault, vault) };
+  }
+
+  return {
+    chainId,
+    vault,
+    initialized,
+    owner: await vaultContract.owner(),
+    authorizationManager,
+    registered,
+    paused: await vaultContract.paused(),
+    token,
+    balance: await vaultBalance(vaultContract, token),
+    reserved: await vaultContract.reservedBalances(token),
+    ...nonces,
+  };
+}
+
+async function checkAuthorization({ positionals }, { provider, vault }) {
+  const [authorizationId] = positionals;
+  if (!ethers.isHexString(authorizationId, 32)) {
+    throw new CliError("check-auth takes a 32-byte hex authorization ID");
+  }
+
+  const authorizationManager = await new ethers.Contract(vault, VAULT_ABI, provider).authorizationManager();
+  const manager = new ethers.Contract(authorizationManager, MANAGER_ABI, provider);
+  return {
+    authorizationId,
+    authorizationManager,
+    used: await manager.isAuthorizationUsed(authorizationId),
+    status: STATUS_NAMES[Number(await manager.getAuthorizationStatus(authorizationId))],
+  };
+}
+
+const HANDLERS = {
+  deposit,
+  authorize,
+  withdraw,
+  verify,
+  status,
+  "check-auth": checkAuthorization,
+};
+
+/**
+ * Run a parsed command
+ * @param {{command: string, options: object, positionals: string[]}} commandLine Result of parseCommandLine
+ * @param {object} context
+ * @param {import("ethers").Provider} context.provider
+ * @param {bigint} context.chainId Chain of the provider
+ * @param {object} context.deployment Contents of deployments/deployment-<chainId>.json
+ * @param {import("ethers").Signer} [context.sender] Account that sends deposits and withdrawals
+ * @param {import("ethers").Signer[]} [context.authorizers] Keys that sign authorizations
+ * @returns {Promise<object>} Result of the command, with bigints for amounts
+ */
+async function runCommand(commandLine, context) {
+  // Authorization files name their vault, so they need neither a deployment nor --vault
+  const fromFile = FILE_COMMANDS.includes(commandLine.command) && commandLine.options.vault === undefined;
+  const vault = fromFile ? undefined : resolveVault(context.deployment, commandLine.options.vault);
+  return HANDLERS[commandLine.command](commandLine, { ...context, vault });
+}
+
+/**
+ * Render a command result for a terminal, one `key: value` line per field
+ */
+function formatResult(result) {
+  const entries = Object.entries(toJson(result));
+  const width = Math.max(...entries.map(([key]) => key.length));
+  return entries
+    .map(([key, value]) => `${`${key}:`.padEnd(width + 2)}${Array.isArray(value) ? value.join(", ") : value}`)
+    .join("\n");
+}
+
+module.exports = {
+  COMMANDS,
+  USAGE,
+  CliError,
+  formatResult,
+  parseCommandLine,
+  resolveVault,
+  runCommand,
+};
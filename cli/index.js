@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { USAGE, CliError, formatResult, parseCommandLine, runCommand } = require("./commands");
+const { toJson } = require("../service/http");
+
+/**
+ * Entry point of the operator CLI, see commands.js for the commands
+ *
+ * Environment:
+ *   RPC_URL             - JSON-RPC endpoint (defaults to http://localhost:8545)
+ *   PRIVATE_KEY         - account that sends deposits and withdrawals (defaults to the node's first account)
+ *   SIGNER_PRIVATE_KEYS - comma-separated authorizer keys for `authorize` (defaults to the sending account)
+ */
+async function main() {
+  const commandLine = parseCommandLine(process.argv.slice(2));
+  if (commandLine.options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://localhost:8545");
+  const { chainId } = await provider.getNetwork();
+
+  const deploymentFile = path.join(__dirname, "..", "deployments", `deployment-${chainId}.json`);
+  let deployment = { contracts: {} };
+  if (fs.existsSync(deploymentFile)) {
+    deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+  }
+
+  // Remote nodes expose no accounts; read-only commands work without one
+  const sender = process.env.PRIVATE_KEY
+    ? new ethers.Wallet(process.env.PRIVATE_KEY, provider)
+    : await provider.getSigner().catch(() => undefined);
+
+  const keys = (process.env.SIGNER_PRIVATE_KEYS || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  const authorizers = keys.length > 0 ? keys.map((key) => new ethers.Wallet(key, provider)) : [sender].filter(Boolean);
+
+  const result = await runCommand(commandLine, { provider, chainId, deployment, sender, authorizers });
+  console.log(commandLine.options.json ? JSON.stringify(toJson(result), null, 2) : formatResult(result));
+
+  // `verify` reports an invalid file as a result, but scripts still need a failing status
+  if (result.valid === false) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  const message = error instanceof CliError ? error.message : error.shortMessage || error.message;
+  const details = error instanceof CliError ? error.details : [];
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify({ error: message, ...(details.length > 0 && { details }) }));
+  } else if (error instanceof CliError) {
+    console.error([`Error: ${message}`, ...details.map((detail) => `  - ${detail}`)].join("\n"));
+  } else {
+    console.error(error);
+  }
+  process.exit(1);
+});
@@ -1,24 +1,234 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+import "./proxy/UUPSUpgradeable.sol";
+
 /**
  * @title AuthorizationManager
  * @dev Manages withdrawal authorizations and prevents reuse
  * Responsible for validating withdrawal permissions from off-chain signatures
+ * Authorizations are EIP-712 typed-data signatures from at least `threshold`
+ * distinct registered signers (M-of-N)
+ * Relayed authorizations additionally bind a relayer fee, deducted from the amount,
+ * and optionally the relayer allowed to submit them
+ * One manager can serve many vaults: each vault uses the shared signer set, threshold
+ * and policies unless it is given its own, and each nonce can be used once per vault
+ * Nonces are unordered by default; a vault can instead require sequential nonces or
+ * track them in bitmaps, per vault or per signer, and cancel every nonce up to a value
+ * A guardian can pause verification in an emergency; only the owner can unpause
+ * Administration is split into roles granted by the owner: admin, signer manager,
+ * guardian and auditor. The owner passes every role check
+ * Deployable behind an ERC1967Proxy and upgradeable by the owner (UUPS); storage
+ * variables must only ever be appended, never reordered or removed
  */
-contract AuthorizationManager {
+contract AuthorizationManager is UUPSUpgradeable {
+    // Lifecycle state of an authorization ID
+    enum AuthorizationStatus {
+        Unused,
+        Consumed,
+        Revoked
+    }
+
+    // Withdrawal limits for one asset (address(0) for native currency)
+    // A zero value disables the corresponding limit
+    struct Policy {
+        // Maximum amount of a single withdrawal
+        uint256 maxWithdrawalAmount;
+        // Maximum outflow per vault over any rolling OUTFLOW_WINDOW
+        uint256 dailyLimit;
+        // Withdrawals above this amount need `largeWithdrawalThreshold` approvals
+        uint256 largeWithdrawalAmount;
+        // Approvals required for withdrawals above `largeWithdrawalAmount`
+        uint256 largeWithdrawalThreshold;
+    }
+
+    // A single outflow recorded in a rolling window
+    struct Outflow {
+        uint256 timestamp;
+        uint256 amount;
+    }
+
+    // Outflows still (possibly) inside the rolling window, oldest first from `head`
+    struct OutflowWindow {
+        Outflow[] entries;
+        uint256 head;
+        uint256 total;
+    }
+
+    // Own signer set of a vault; vaults without one use the shared signer set and threshold
+    struct VaultSigners {
+        // Set by the first addVaultSigner; a vault never falls back to the shared set afterwards
+        bool enabled;
+        // Number of keys in the vault's signer set
+        uint256 signerCount;
+        // Approvals required per authorization for the vault
+        uint256 threshold;
+    }
+
+    // How the nonces of a vault are tracked
+    enum NonceMode {
+        // Any unused nonce, in any order
+        Unordered,
+        // Exactly the next nonce: 0, 1, 2, ...
+        Sequential,
+        // Any unused nonce, recorded 256 to a storage word
+        Bitmap
+    }
+
+    // Nonce settings of a vault
+    struct NonceConfig {
+        NonceMode mode;
+        // Track nonces per approving signer instead of per vault (Sequential and Bitmap only)
+        bool perSigner;
+    }
+
+    // One withdrawal of a batch; the vault and asset are shared by the whole batch
+    struct WithdrawalRequest {
+        address recipient;
+        uint256 amount;
+        bytes32 authorizationId;
+        uint256 nonce;
+        uint256 validAfter;
+        uint256 validUntil;
+        bytes[] signatures;
+    }
+
+    // One relayed withdrawal: `fee` of `amount` goes to the submitting relayer
+    struct RelayedWithdrawalRequest {
+        address recipient;
+        uint256 amount;
+        uint256 fee;
+        address relayer;
+        bytes32 authorizationId;
+        uint256 nonce;
+        uint256 validAfter;
+        uint256 validUntil;
+        bytes[] signatures;
+    }
+
+    // EIP-712 domain type hash
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    // EIP-712 type hash of the signed withdrawal authorization
+    bytes32 public constant WITHDRAWAL_TYPEHASH = keccak256(
+        "Withdrawal(address vault,address token,address recipient,uint256 amount,uint256 nonce,uint256 validAfter,uint256 validUntil)"
+    );
+
+    // EIP-712 type hash of a withdrawal submitted by a relayer for a fee
+    // `relayer` is the only account allowed to submit it, or address(0) for any
+    bytes32 public constant RELAYED_WITHDRAWAL_TYPEHASH = keccak256(
+        "RelayedWithdrawal(address vault,address token,address recipient,uint256 amount,uint256 fee,address relayer,uint256 nonce,uint256 validAfter,uint256 validUntil)"
+    );
+
+    // EIP-712 domain name and version
+    string public constant NAME = "AuthorizationManager";
+    string public constant VERSION = "1";
+
+    // Length of the rolling outflow window used by daily and recipient limits
+    uint256 public constant OUTFLOW_WINDOW = 1 days;
+
+    // Most nonces a signer may cancel in its own nonce space per invalidateNonces call
+    uint256 public constant MAX_NONCE_INVALIDATION = 1_000_000;
+
+    // Role that manages vault registration and withdrawal policies
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    // Role that manages the signer set and threshold
+    bytes32 public constant SIGNER_MANAGER_ROLE = keccak256("SIGNER_MANAGER_ROLE");
+
+    // Role that can pause in an emergency
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    // Role that can revoke authorizations under review
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+
+    // Upper bound for the s value of a non-malleable ECDSA signature (EIP-2)
+    uint256 private constant SECP256K1_HALF_ORDER =
+        0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
     // Authorization status - tracks which authorizations have been consumed
     mapping(bytes32 => bool) public authorizationUsed;
 
+    // Authorizations cancelled before use
+    mapping(bytes32 => bool) public authorizationRevoked;
+
+    // Registered authorizer keys allowed to sign withdrawals
+    mapping(address => bool) public isSigner;
+
+    // Number of registered signers
+    uint256 public signerCount;
+
+    // Number of distinct signer approvals required per authorization
+    uint256 public threshold;
+
+    // Vaults allowed to consume authorizations
+    mapping(address => bool) public registeredVaults;
+
+    // Withdrawal policy per asset
+    mapping(address => Policy) public policies;
+
+    // Superseded by vaultRecipientLimits and no longer enforced; kept for the storage layout
+    mapping(address => mapping(address => uint256)) private recipientLimits;
+
+    // Rolling outflow windows keyed by (vault, asset) or (vault, asset, recipient)
+    mapping(bytes32 => OutflowWindow) private outflowWindows;
+
+    // Whether authorization verification is halted
+    bool public paused;
+
     // Owner who can manage authorizations
     address public owner;
 
+    // Proposed owner awaiting acceptOwnership
+    address public pendingOwner;
+
+    // Role memberships: role => account => granted
+    mapping(bytes32 => mapping(address => bool)) private roles;
+
     // Whether initialization has been completed
     bool private initialized;
 
+    // Per-vault signer sets and thresholds
+    mapping(address => VaultSigners) public vaultSigners;
+
+    // Keys in a vault's own signer set: vault => signer => registered
+    mapping(address => mapping(address => bool)) public isVaultSigner;
+
+    // Per-vault policies overriding the shared policy of an asset: vault => token => policy
+    mapping(address => mapping(address => Policy)) public vaultPolicies;
+
+    // Whether a vault overrides the shared policy of an asset: vault => token => overridden
+    mapping(address => mapping(address => bool)) public hasVaultPolicy;
+
+    // Nonces consumed per vault: vault => nonce => used
+    mapping(address => mapping(uint256 => bool)) public nonceUsed;
+
+    // Registered vaults, in no particular order
+    address[] private vaultList;
+
+    // Position of a vault in vaultList plus one (0 = not listed)
+    mapping(address => uint256) private vaultListIndex;
+
+    // Nonce settings per vault; the default is unordered nonces per vault
+    mapping(address => NonceConfig) public nonceConfigs;
+
+    // Lowest usable nonce: vault => nonce owner => nonce, where the nonce owner is the
+    // vault itself or, with per-signer nonces, each approving signer
+    // In Sequential mode this is the next nonce
+    mapping(address => mapping(address => uint256)) public nonceFloors;
+
+    // Bitmap nonces: vault => nonce owner => word (nonce >> 8) => used bits (nonce & 0xff)
+    mapping(address => mapping(address => mapping(uint256 => uint256))) public nonceBitmaps;
+
+    // Rolling outflow cap per vault, asset and recipient (0 = no cap)
+    mapping(address => mapping(address => mapping(address => uint256))) public vaultRecipientLimits;
+
     /**
      * @dev Emitted when an authorization is verified and consumed
      * @param vaultAddress Address of the vault being withdrawn from
+     * @param token Asset being withdrawn (address(0) for native currency)
      * @param recipient Address receiving the withdrawal
      * @param amount Amount being withdrawn
      * @param authorizationId Unique identifier for this authorization
@@ -26,6 +236,7 @@ contract AuthorizationManager {
      */
     event AuthorizationConsumed(
         address indexed vaultAddress,
+        address token,
         address indexed recipient,
         uint256 amount,
         bytes32 indexed authorizationId,
@@ -39,71 +250,843 @@ contract AuthorizationManager {
      */
     event Initialized(address indexed owner, uint256 timestamp);
 
+    /**
+     * @dev Emitted when an authorizer key is registered
+     * @param signer Address of the authorizer key
+     * @param timestamp When the signer was added
+     */
+    event SignerAdded(address indexed signer, uint256 timestamp);
+
+    /**
+     * @dev Emitted when an authorizer key is removed
+     * @param signer Address of the authorizer key
+     * @param timestamp When the signer was removed
+     */
+    event SignerRemoved(address indexed signer, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the signature threshold changes
+     * @param previousThreshold Threshold before the change
+     * @param newThreshold Threshold after the change
+     * @param timestamp When the threshold changed
+     */
+    event ThresholdChanged(uint256 previousThreshold, uint256 newThreshold, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the withdrawal policy of an asset changes
+     * @param token Asset the policy applies to (address(0) for native currency)
+     * @param maxWithdrawalAmount Maximum amount of a single withdrawal
+     * @param dailyLimit Maximum rolling 24h outflow per vault
+     * @param largeWithdrawalAmount Amount above which the higher threshold applies
+     * @param largeWithdrawalThreshold Approvals required above `largeWithdrawalAmount`
+     * @param timestamp When the policy changed
+     */
+    event PolicyUpdated(
+        address indexed token,
+        uint256 maxWithdrawalAmount,
+        uint256 dailyLimit,
+        uint256 largeWithdrawalAmount,
+        uint256 largeWithdrawalThreshold,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a per-recipient cap changes
+     * @param vault Vault the cap applies to
+     * @param token Asset the cap applies to (address(0) for native currency)
+     * @param recipient Recipient the cap applies to
+     * @param limit Maximum rolling 24h outflow to the recipient
+     * @param timestamp When the cap changed
+     */
+    event RecipientLimitUpdated(
+        address indexed vault,
+        address indexed token,
+        address indexed recipient,
+        uint256 limit,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a vault is allowed to consume authorizations
+     * @param vault Address of the vault
+     * @param timestamp When the vault was registered
+     */
+    event VaultRegistered(address indexed vault, uint256 timestamp);
+
+    /**
+     * @dev Emitted when a vault is no longer allowed to consume authorizations
+     * @param vault Address of the vault
+     * @param timestamp When the vault was unregistered
+     */
+    event VaultUnregistered(address indexed vault, uint256 timestamp);
+
+    /**
+     * @dev Emitted when a key is added to a vault's own signer set
+     * @param vault Address of the vault
+     * @param signer Address of the authorizer key
+     * @param timestamp When the signer was added
+     */
+    event VaultSignerAdded(address indexed vault, address indexed signer, uint256 timestamp);
+
+    /**
+     * @dev Emitted when a key is removed from a vault's own signer set
+     * @param vault Address of the vault
+     * @param signer Address of the authorizer key
+     * @param timestamp When the signer was removed
+     */
+    event VaultSignerRemoved(address indexed vault, address indexed signer, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the signature threshold of a vault changes
+     * @param vault Address of the vault
+     * @param previousThreshold Threshold before the change
+     * @param newThreshold Threshold after the change
+     * @param timestamp When the threshold changed
+     */
+    event VaultThresholdChanged(
+        address indexed vault,
+        uint256 previousThreshold,
+        uint256 newThreshold,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a vault's policy for an asset is set
+     * @param vault Address of the vault
+     * @param token Asset the policy applies to (address(0) for native currency)
+     * @param maxWithdrawalAmount Maximum amount of a single withdrawal
+     * @param dailyLimit Maximum rolling 24h outflow from the vault
+     * @param largeWithdrawalAmount Amount above which the higher threshold applies
+     * @param largeWithdrawalThreshold Approvals required above `largeWithdrawalAmount`
+     * @param timestamp When the policy changed
+     */
+    event VaultPolicyUpdated(
+        address indexed vault,
+        address indexed token,
+        uint256 maxWithdrawalAmount,
+        uint256 dailyLimit,
+        uint256 largeWithdrawalAmount,
+        uint256 largeWithdrawalThreshold,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a vault goes back to the shared policy of an asset
+     * @param vault Address of the vault
+     * @param token Asset the policy applied to
+     * @param timestamp When the policy was cleared
+     */
+    event VaultPolicyCleared(address indexed vault, address indexed token, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the nonce settings of a vault change
+     * @param vault Address of the vault
+     * @param mode New nonce mode
+     * @param perSigner Whether nonces are tracked per signer
+     * @param timestamp When the settings were changed
+     */
+    event NonceModeUpdated(address indexed vault, NonceMode mode, bool perSigner, uint256 timestamp);
+
+    /**
+     * @dev Emitted when nonces are cancelled in bulk
+     * @param vault Address of the vault
+     * @param nonceOwner The vault, or the signer whose nonces were cancelled
+     * @param nonceFloor Lowest nonce still usable
+     * @param sender Account that cancelled the nonces
+     * @param timestamp When the nonces were cancelled
+     */
+    event NoncesInvalidated(
+        address indexed vault,
+        address indexed nonceOwner,
+        uint256 nonceFloor,
+        address sender,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when an authorization is cancelled before use
+     * @param authorizationId The revoked authorization
+     * @param revokedBy Owner, signer or auditor that revoked it
+     * @param timestamp When the authorization was revoked
+     */
+    event AuthorizationRevoked(
+        bytes32 indexed authorizationId,
+        address indexed revokedBy,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when the owner proposes a new owner
+     * @param previousOwner Current owner
+     * @param newOwner Proposed owner (address(0) if a pending transfer was cancelled)
+     * @param timestamp When the transfer was proposed
+     */
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the proposed owner accepts ownership
+     * @param previousOwner Owner before the transfer
+     * @param newOwner Owner after the transfer
+     * @param timestamp When ownership changed
+     */
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner, uint256 timestamp);
+
+    /**
+     * @dev Emitted when a role is granted
+     * @param role Role identifier
+     * @param account Account receiving the role
+     * @param sender Owner that granted the role
+     * @param timestamp When the role was granted
+     */
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender, uint256 timestamp);
+
+    /**
+     * @dev Emitted when a role is revoked or renounced
+     * @param role Role identifier
+     * @param account Account losing the role
+     * @param sender Owner that revoked the role, or the account itself
+     * @param timestamp When the role was revoked
+     */
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender, uint256 timestamp);
+
+    /**
+     * @dev Emitted when verification is paused
+     * @param account Owner or guardian that paused
+     * @param timestamp When the contract was paused
+     */
+    event Paused(address indexed account, uint256 timestamp);
+
+    /**
+     * @dev Emitted when verification is resumed
+     * @param account Owner that unpaused
+     * @param timestamp When the contract was unpaused
+     */
+    event Unpaused(address indexed account, uint256 timestamp);
+
     // Prevents execution when contract is not initialized
     modifier onlyInitialized() {
         require(initialized, "AuthorizationManager: not initialized");
         _;
     }
 
+    // Restricts administrative functions to the owner
+    modifier onlyOwner() {
+        require(msg.sender == owner, "AuthorizationManager: caller is not the owner");
+        _;
+    }
+
+    // Rejects calls while the contract is paused
+    modifier whenNotPaused() {
+        require(!paused, "AuthorizationManager: paused");
+        _;
+    }
+
+    // Restricts vault registration and policies to the owner or an admin
+    modifier onlyAdmin() {
+        require(_isOwnerOr(ADMIN_ROLE, msg.sender), "AuthorizationManager: caller is not the owner or an admin");
+        _;
+    }
+
+    // Restricts signer set changes to the owner or a signer manager
+    modifier onlySignerManager() {
+        require(
+            _isOwnerOr(SIGNER_MANAGER_ROLE, msg.sender),
+            "AuthorizationManager: caller is not the owner or a signer manager"
+        );
+        _;
+    }
+
+    // Restricts pausing to the owner or a guardian
+    modifier onlyOwnerOrGuardian() {
+        require(
+            _isOwnerOr(GUARDIAN_ROLE, msg.sender),
+            "AuthorizationManager: caller is not the owner or guardian"
+        );
+        _;
+    }
+
+    // Restricts revocation by ID, which names no vault, to the owner or an auditor
+    modifier onlyOwnerOrAuditor() {
+        require(_isOwnerOr(AUDITOR_ROLE, msg.sender), "AuthorizationManager: caller is not the owner or an auditor");
+        _;
+    }
+
     /**
      * @dev Initialize the contract (can only be called once)
-     * Sets the owner to the caller
+     * Sets the owner to the caller and requires a single signature by default
      */
     function initialize() external {
         require(!initialized, "AuthorizationManager: already initialized");
         owner = msg.sender;
+        threshold = 1;
         initialized = true;
         emit Initialized(msg.sender, block.timestamp);
     }
 
+    /**
+     * @dev Register an authorizer key whose signatures are accepted
+     * @param signer Address of the authorizer key
+     */
+    function addSigner(address signer) external onlyInitialized onlySignerManager {
+        require(signer != address(0), "AuthorizationManager: invalid signer");
+        require(!isSigner[signer], "AuthorizationManager: signer already registered");
+
+        isSigner[signer] = true;
+        signerCount += 1;
+        emit SignerAdded(signer, block.timestamp);
+    }
+
+    /**
+     * @dev Remove a previously registered authorizer key
+     * Removal is always allowed so a compromised key can be dropped immediately;
+     * if fewer than `threshold` signers remain, withdrawals fail until more are added
+     * @param signer Address of the authorizer key
+     */
+    function removeSigner(address signer) external onlyInitialized onlySignerManager {
+        require(isSigner[signer], "AuthorizationManager: signer not registered");
+
+        isSigner[signer] = false;
+        signerCount -= 1;
+        emit SignerRemoved(signer, block.timestamp);
+    }
+
+    /**
+     * @dev Set the number of distinct signer approvals required per authorization
+     * @param newThreshold Required approvals, between 1 and the number of signers
+     */
+    function setThreshold(uint256 newThreshold) external onlyInitialized onlySignerManager {
+        require(newThreshold > 0, "AuthorizationManager: threshold must be greater than zero");
+        require(newThreshold <= signerCount, "AuthorizationManager: threshold exceeds signer count");
+
+        emit ThresholdChanged(threshold, newThreshold, block.timestamp);
+        threshold = newThreshold;
+    }
+
+    /**
+     * @dev Set the withdrawal policy of an asset
+     * Pass zero for any limit to disable it. Rolling usage is only tracked while
+     * the corresponding limit is enabled. The large withdrawal threshold must be
+     * reachable by the shared signer set and by every vault that uses this policy
+     * @param token Asset the policy applies to (address(0) for native currency)
+     * @param policy New limits
+     */
+    function setPolicy(address token, Policy calldata policy) external onlyInitialized onlyAdmin {
+        if (policy.largeWithdrawalAmount > 0) {
+            require(
+                policy.largeWithdrawalThreshold > 0 && policy.largeWithdrawalThreshold <= signerCount,
+                "AuthorizationManager: invalid large withdrawal threshold"
+            );
+            for (uint256 i = 0; i < vaultList.length; i++) {
+                address vault = vaultList[i];
+                require(
+                    hasVaultPolicy[vault][token] || policy.largeWithdrawalThreshold <= _signerCountOf(vault),
+                    "AuthorizationManager: invalid large withdrawal threshold"
+                );
+            }
+        }
+
+        policies[token] = policy;
+        emit PolicyUpdated(
+            token,
+            policy.maxWithdrawalAmount,
+            policy.dailyLimit,
+            policy.largeWithdrawalAmount,
+            policy.largeWithdrawalThreshold,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Cap the rolling 24h outflow of an asset from a vault to a single recipient
+     * @param vault Address of a registered vault
+     * @param token Asset the cap applies to (address(0) for native currency)
+     * @param recipient Recipient the cap applies to
+     * @param limit Maximum rolling outflow (0 removes the cap)
+     */
+    function setRecipientLimit(address vault, address token, address recipient, uint256 limit)
+        external
+        onlyInitialized
+        onlyAdmin
+    {
+        require(registeredVaults[vault], "AuthorizationManager: vault not registered");
+        require(recipient != address(0), "AuthorizationManager: invalid recipient");
+
+        vaultRecipientLimits[vault][token][recipient] = limit;
+        emit RecipientLimitUpdated(vault, token, recipient, limit, block.timestamp);
+    }
+
+    /**
+     * @dev Register a vault so it can consume authorizations
+     * @param vault Address of the vault
+     */
+    function registerVault(address vault) external onlyInitialized onlyAdmin {
+        require(vault != address(0), "AuthorizationManager: invalid vault address");
+        require(!registeredVaults[vault], "AuthorizationManager: vault already registered");
+
+        registeredVaults[vault] = true;
+        vaultList.push(vault);
+        vaultListIndex[vault] = vaultList.length;
+        emit VaultRegistered(vault, block.timestamp);
+    }
+
+    /**
+     * @dev Unregister a vault, preventing it from consuming further authorizations
+     * @param vault Address of the vault
+     */
+    function unregisterVault(address vault) external onlyInitialized onlyAdmin {
+        require(registeredVaults[vault], "AuthorizationManager: vault not registered");
+
+        registeredVaults[vault] = false;
+
+        // Swap and pop; vaults registered before the list existed are not in it
+        uint256 index = vaultListIndex[vault];
+        if (index > 0) {
+            address last = vaultList[vaultList.length - 1];
+            vaultList[index - 1] = last;
+            vaultListIndex[last] = index;
+            vaultList.pop();
+            delete vaultListIndex[vault];
+        }
+
+        emit VaultUnregistered(vault, block.timestamp);
+    }
+
+    /**
+     * @dev Add a key to a vault's own signer set
+     * The first key switches the vault from the shared signer set to its own, with a
+     * threshold of 1; removing keys later never switches it back
+     * @param vault Address of a registered vault
+     * @param signer Address of the authorizer key
+     */
+    function addVaultSigner(address vault, address signer) external onlyInitialized onlySignerManager {
+        require(registeredVaults[vault], "AuthorizationManager: vault not registered");
+        require(signer != address(0), "AuthorizationManager: invalid signer");
+        require(!isVaultSigner[vault][signer], "AuthorizationManager: signer already registered");
+
+        VaultSigners storage domain = vaultSigners[vault];
+        if (!domain.enabled) {
+            domain.enabled = true;
+            domain.threshold = 1;
+        }
+
+        isVaultSigner[vault][signer] = true;
+        domain.signerCount += 1;
+        emit VaultSignerAdded(vault, signer, block.timestamp);
+    }
+
+    /**
+     * @dev Remove a key from a vault's own signer set
+     * Like removeSigner, always allowed; the vault's withdrawals fail while fewer than
+     * its threshold of keys remain
+     * @param vault Address of the vault
+     * @param signer Address of the authorizer key
+     */
+    function removeVaultSigner(address vault, address signer) external onlyInitialized onlySignerManager {
+        require(isVaultSigner[vault][signer], "AuthorizationManager: signer not registered");
+
+        isVaultSigner[vault][signer] = false;
+        vaultSigners[vault].signerCount -= 1;
+        emit VaultSignerRemoved(vault, signer, block.timestamp);
+    }
+
+    /**
+     * @dev Set the approvals required per authorization for a vault with its own signer set
+     * @param vault Address of the vault
+     * @param newThreshold Required approvals, between 1 and the vault's number of signers
+     */
+    function setVaultThreshold(address vault, uint256 newThreshold) external onlyInitialized onlySignerManager {
+        VaultSigners storage domain = vaultSigners[vault];
+        require(domain.enabled, "AuthorizationManager: vault uses the shared signer set");
+        require(newThreshold > 0, "AuthorizationManager: threshold must be greater than zero");
+        require(newThreshold <= domain.signerCount, "AuthorizationManager: threshold exceeds signer count");
+
+        emit VaultThresholdChanged(vault, domain.threshold, newThreshold, block.timestamp);
+        domain.threshold = newThreshold;
+    }
+
+    /**
+     * @dev Override the shared policy of an asset for one vault
+     * Rolling usage is tracked per vault in either case, so switching between the shared
+     * and the vault policy keeps the outflow already recorded
+     * @param vault Address of a registered vault
+     * @param token Asset the policy applies to (address(0) for native currency)
+     * @param policy New limits; zero disables a limit for this vault
+     */
+    function setVaultPolicy(address vault, address token, Policy calldata policy)
+        external
+        onlyInitialized
+        onlyAdmin
+    {
+        require(registeredVaults[vault], "AuthorizationManager: vault not registered");
+        if (policy.largeWithdrawalAmount > 0) {
+            require(
+                policy.largeWithdrawalThreshold > 0 && policy.largeWithdrawalThreshold <= _signerCountOf(vault),
+                "AuthorizationManager: invalid large withdrawal threshold"
+            );
+        }
+
+        vaultPolicies[vault][token] = policy;
+        hasVaultPolicy[vault][token] = true;
+        emit VaultPolicyUpdated(
+            vault,
+            token,
+            policy.maxWithdrawalAmount,
+            policy.dailyLimit,
+            policy.largeWithdrawalAmount,
+            policy.largeWithdrawalThreshold,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Make a vault use the shared policy of an asset again
+     * @param vault Address of the vault
+     * @param token Asset (address(0) for native currency)
+     */
+    function clearVaultPolicy(address vault, address token) external onlyInitialized onlyAdmin {
+        require(hasVaultPolicy[vault][token], "AuthorizationManager: no vault policy");
+
+        delete vaultPolicies[vault][token];
+        hasVaultPolicy[vault][token] = false;
+        emit VaultPolicyCleared(vault, token, block.timestamp);
+    }
+
+    /**
+     * @dev Choose how the nonces of a vault are tracked
+     * Authorization IDs stay single-use in every mode, so switching modes cannot replay
+     * an authorization; nonce floors and consumed nonces are kept
+     * @param vault Address of a registered vault
+     * @param mode Unordered, Sequential or Bitmap
+     * @param perSigner Track nonces per approving signer; bitmap nonces only, since different
+     * signer subsets would move sequential per-signer positions apart until no nonce is
+     * next for all of them
+     */
+    function setNonceMode(address vault, NonceMode mode, bool perSigner) external onlyInitialized onlyAdmin {
+        require(registeredVaults[vault], "AuthorizationManager: vault not registered");
+        require(
+            !perSigner || mode != NonceMode.Unordered,
+            "AuthorizationManager: unordered nonces are tracked per vault"
+        );
+        require(
+            !perSigner || mode != NonceMode.Sequential,
+            "AuthorizationManager: sequential nonces are tracked per vault"
+        );
+
+        nonceConfigs[vault] = NonceConfig(mode, perSigner);
+        emit NonceModeUpdated(vault, mode, perSigner, block.timestamp);
+    }
+
+    /**
+     * @dev Cancel every nonce up to and including `upTo`, in any mode
+     * Sequential nonces continue at `upTo + 1`; unordered and bitmap nonces below it are
+     * rejected. Callable by the owner or an auditor, without limit so random unordered
+     * nonces can be cancelled, and by a signer for its own per-signer nonces, at most
+     * MAX_NONCE_INVALIDATION above its current floor per call
+     * @param vault Address of the vault
+     * @param nonceOwner The vault, or a signer for per-signer nonces
+     * @param upTo Highest nonce to cancel
+     */
+    function invalidateNonces(address vault, address nonceOwner, uint256 upTo) external onlyInitialized {
+        bool privileged = _isOwnerOr(AUDITOR_ROLE, msg.sender);
+        require(
+            privileged || msg.sender == nonceOwner,
+            "AuthorizationManager: caller is not the nonce owner, the owner or an auditor"
+        );
+        uint256 floor = nonceFloors[vault][nonceOwner];
+        require(upTo >= floor, "AuthorizationManager: nonces already invalidated");
+        require(
+            privileged || upTo - floor < MAX_NONCE_INVALIDATION,
+            "AuthorizationManager: too many nonces to invalidate"
+        );
+
+        nonceFloors[vault][nonceOwner] = upTo + 1;
+        emit NoncesInvalidated(vault, nonceOwner, upTo + 1, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Halt authorization verification, and with it all withdrawals
+     * Revocation and administration keep working while paused
+     */
+    function pause() external onlyInitialized onlyOwnerOrGuardian {
+        require(!paused, "AuthorizationManager: already paused");
+
+        paused = true;
+        emit Paused(msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Resume authorization verification (owner only, so a guardian cannot undo its own pause)
+     */
+    function unpause() external onlyInitialized onlyOwner {
+        require(paused, "AuthorizationManager: not paused");
+
+        paused = false;
+        emit Unpaused(msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Propose a new owner, who must call acceptOwnership to complete the transfer
+     * @param newOwner Proposed owner (address(0) cancels a pending transfer)
+     */
+    function transferOwnership(address newOwner) external onlyInitialized onlyOwner {
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner, block.timestamp);
+    }
+
+    /**
+     * @dev Accept a pending ownership transfer
+     */
+    function acceptOwnership() external onlyInitialized {
+        require(msg.sender == pendingOwner, "AuthorizationManager: caller is not the pending owner");
+
+        emit OwnershipTransferred(owner, msg.sender, block.timestamp);
+        owner = msg.sender;
+        pendingOwner = address(0);
+    }
+
+    /**
+     * @dev Grant a role to an account
+     * @param role One of ADMIN_ROLE, SIGNER_MANAGER_ROLE, GUARDIAN_ROLE or AUDITOR_ROLE
+     * @param account Account receiving the role
+     */
+    function grantRole(bytes32 role, address account) external onlyInitialized onlyOwner {
+        require(_isRole(role), "AuthorizationManager: unknown role");
+        require(account != address(0), "AuthorizationManager: invalid account");
+        require(!roles[role][account], "AuthorizationManager: role already granted");
+
+        roles[role][account] = true;
+        emit RoleGranted(role, account, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Revoke a role from an account
+     * @param role Role identifier
+     * @param account Account losing the role
+     */
+    function revokeRole(bytes32 role, address account) external onlyInitialized onlyOwner {
+        _revokeRole(role, account);
+    }
+
+    /**
+     * @dev Give up a role held by the caller, e.g. when its key is retired
+     * @param role Role identifier
+     */
+    function renounceRole(bytes32 role) external onlyInitialized {
+        _revokeRole(role, msg.sender);
+    }
+
+    /**
+     * @dev Check whether an account was granted a role
+     * The owner passes every role check without being granted roles explicitly
+     * @param role Role identifier
+     * @param account Account to check
+     * @return bool True if the role was granted to the account
+     */
+    function hasRole(bytes32 role, address account) external view returns (bool) {
+        return roles[role][account];
+    }
+
+    /**
+     * @dev Revoke an authorization before it is used
+     * Callable by the owner or an auditor. The vault cannot be read from an ID, so signers
+     * cancel authorizations they handed out with revokeVaultAuthorization, which binds the
+     * ID to a vault they sign for
+     * @param authorizationId The authorization to revoke
+     */
+    function revokeAuthorization(bytes32 authorizationId) external onlyInitialized onlyOwnerOrAuditor {
+        _revokeAuthorization(authorizationId);
+    }
+
+    /**
+     * @dev Revoke a withdrawal authorization of a vault, given its contents
+     * The ID is recomputed from the contents, so it is bound to the vault. Callable by
+     * the owner, an auditor or a signer of the vault
+     * @param vaultAddress Address of the vault the authorization is for
+     * @param token Asset being withdrawn (address(0) for native currency)
+     * @param recipient Address receiving the withdrawal
+     * @param amount Amount being withdrawn
+     * @param nonce Nonce of the authorization
+     * @param validAfter Earliest timestamp the authorization is valid
+     * @param validUntil Latest timestamp the authorization is valid
+     */
+    function revokeVaultAuthorization(
+        address vaultAddress,
+        address token,
+        address recipient,
+        uint256 amount,
+        uint256 nonce,
+        uint256 validAfter,
+        uint256 validUntil
+    ) external onlyInitialized {
+        _requireVaultRevoker(vaultAddress);
+        _revokeAuthorization(_hashWithdrawal(vaultAddress, token, recipient, amount, nonce, validAfter, validUntil));
+    }
+
+    /**
+     * @dev Revoke a relayed withdrawal authorization of a vault, given its contents
+     * Same as revokeVaultAuthorization; the request's authorizationId and signatures are ignored
+     * @param vaultAddress Address of the vault the authorization is for
+     * @param token Asset being withdrawn (address(0) for native currency)
+     * @param request The relayed withdrawal
+     */
+    function revokeRelayedVaultAuthorization(
+        address vaultAddress,
+        address token,
+        RelayedWithdrawalRequest calldata request
+    ) external onlyInitialized {
+        _requireVaultRevoker(vaultAddress);
+        _revokeAuthorization(_hashRelayedWithdrawal(vaultAddress, token, request));
+    }
+
+    /**
+     * @dev Revoke a batch of authorizations before they are used
+     * Reverts if any of them is already consumed or revoked
+     * @param authorizationIds The authorizations to revoke
+     */
+    function revokeAuthorizations(bytes32[] calldata authorizationIds)
+        external
+        onlyInitialized
+        onlyOwnerOrAuditor
+    {
+        for (uint256 i = 0; i < authorizationIds.length; i++) {
+            _revokeAuthorization(authorizationIds[i]);
+        }
+    }
+
     /**
      * @dev Verify an authorization and mark it as consumed
      * This function validates that:
      * 1. The authorization corresponds to valid parameters
      * 2. The authorization has not been used before
      * 3. The caller is authorized (must be a registered vault)
+     * 4. The authorization carries at least `threshold` signatures from distinct registered signers
+     * 5. The current block timestamp lies within the authorization's validity window
+     * 6. The withdrawal respects the asset's policy limits
+     * 7. The contract is not paused
      *
      * @param vaultAddress Address of the vault requesting verification
+     * @param token Asset being withdrawn (address(0) for native currency)
      * @param recipient Address that will receive the funds
      * @param amount Amount to be withdrawn
      * @param authorizationId Unique authorization identifier
      * @param nonce Off-chain nonce for authorization uniqueness
+     * @param validAfter Timestamp from which the authorization may be used (inclusive)
+     * @param validUntil Timestamp after which the authorization expires (inclusive)
+     * @param signatures EIP-712 signatures over the authorization, ordered by ascending signer address
      * @return bool True if authorization is valid and marked as consumed
      */
     function verifyAuthorization(
         address vaultAddress,
+        address token,
         address recipient,
         uint256 amount,
         bytes32 authorizationId,
-        uint256 nonce
-    ) external onlyInitialized returns (bool) {
-        // Ensure the authorization has not been used
-        require(
-            !authorizationUsed[authorizationId],
-            "AuthorizationManager: authorization already used"
-        );
-
-        // Validate parameters
-        require(vaultAddress != address(0), "AuthorizationManager: invalid vault address");
-        require(recipient != address(0), "AuthorizationManager: invalid recipient");
-        require(amount > 0, "AuthorizationManager: amount must be greater than zero");
+        uint256 nonce,
+        uint256 validAfter,
+        uint256 validUntil,
+        bytes[] calldata signatures
+    ) external onlyInitialized whenNotPaused returns (bool) {
+        // Only a registered vault may consume authorizations, and only its own
+        require(msg.sender == vaultAddress, "AuthorizationManager: caller is not the vault");
+        require(registeredVaults[vaultAddress], "AuthorizationManager: vault not registered");
 
         // Reconstruct the authorization commitment to validate parameters
         // This ensures the authorization was bound to these specific parameters
-        bytes32 reconstructedId = keccak256(
-            abi.encodePacked(vaultAddress, recipient, amount, nonce, block.chainid)
-        );
+        bytes32 digest = _hashWithdrawal(vaultAddress, token, recipient, amount, nonce, validAfter, validUntil);
 
-        require(
-            reconstructedId == authorizationId,
-            "AuthorizationManager: authorization parameter mismatch"
+        _verifyAuthorization(
+            vaultAddress,
+            token,
+            recipient,
+            amount,
+            authorizationId,
+            digest,
+            validAfter,
+            validUntil,
+            signatures
         );
+        _useNonce(vaultAddress, nonce, digest, signatures);
 
-        // Mark authorization as consumed (prevents replay)
-        authorizationUsed[authorizationId] = true;
+        return true;
+    }
 
-        // Emit event for observability
-        emit AuthorizationConsumed(vaultAddress, recipient, amount, authorizationId, block.timestamp);
+    /**
+     * @dev Verify a batch of authorizations for one vault and asset and mark them all as consumed
+     * Applies every check of verifyAuthorization to each request, in order, and reverts
+     * if any of them fails, so either the whole batch is consumed or none of it is
+     * Policy limits accumulate across the batch exactly as for individual withdrawals
+     *
+     * @param vaultAddress Address of the vault requesting verification
+     * @param token Asset being withdrawn (address(0) for native currency)
+     * @param requests Withdrawals to verify
+     * @return bool True if every authorization is valid and marked as consumed
+     */
+    function verifyAuthorizations(
+        address vaultAddress,
+        address token,
+        WithdrawalRequest[] calldata requests
+    ) external onlyInitialized whenNotPaused returns (bool) {
+        require(msg.sender == vaultAddress, "AuthorizationManager: caller is not the vault");
+        require(registeredVaults[vaultAddress], "AuthorizationManager: vault not registered");
+
+        for (uint256 i = 0; i < requests.length; i++) {
+            WithdrawalRequest calldata request = requests[i];
+            _verifyAuthorization(
+                vaultAddress,
+                token,
+                request.recipient,
+                request.amount,
+                request.authorizationId,
+                _hashWithdrawal(
+                    vaultAddress,
+                    token,
+                    request.recipient,
+                    request.amount,
+                    request.nonce,
+                    request.validAfter,
+                    request.validUntil
+                ),
+                request.validAfter,
+                request.validUntil,
+                request.signatures
+            );
+            _useNonce(vaultAddress, request.nonce, request.authorizationId, request.signatures);
+        }
+
+        return true;
+    }
+
+    /**
+     * @dev Verify a relayed withdrawal authorization and mark it as consumed
+     * Same checks as verifyAuthorization, against the RelayedWithdrawal type hash, so the
+     * signers approve the relayer fee and relayer along with the withdrawal; policy limits
+     * apply to the full amount, fee included. Enforcing the fee and relayer is up to the vault
+     *
+     * @param vaultAddress Address of the vault requesting verification
+     * @param token Asset being withdrawn (address(0) for native currency)
+     * @param request Relayed withdrawal to verify
+     * @return bool True if the authorization is valid and marked as consumed
+     */
+    function verifyRelayedAuthorization(
+        address vaultAddress,
+        address token,
+        RelayedWithdrawalRequest calldata request
+    ) external onlyInitialized whenNotPaused returns (bool) {
+        require(msg.sender == vaultAddress, "AuthorizationManager: caller is not the vault");
+        require(registeredVaults[vaultAddress], "AuthorizationManager: vault not registered");
+
+        _verifyAuthorization(
+            vaultAddress,
+            token,
+            request.recipient,
+            request.amount,
+            request.authorizationId,
+            _hashRelayedWithdrawal(vaultAddress, token, request),
+            request.validAfter,
+            request.validUntil,
+            request.signatures
+        );
+        _useNonce(vaultAddress, request.nonce, request.authorizationId, request.signatures);
 
         return true;
     }
@@ -117,23 +1100,529 @@ contract AuthorizationManager {
         return authorizationUsed[authorizationId];
     }
 
+    /**
+     * @dev Get the lifecycle state of an authorization
+     * @param authorizationId The authorization to check
+     * @return AuthorizationStatus Unused, Consumed or Revoked
+     */
+    function getAuthorizationStatus(bytes32 authorizationId) external view returns (AuthorizationStatus) {
+        if (authorizationUsed[authorizationId]) {
+            return AuthorizationStatus.Consumed;
+        }
+        if (authorizationRevoked[authorizationId]) {
+            return AuthorizationStatus.Revoked;
+        }
+        return AuthorizationStatus.Unused;
+    }
+
+    /**
+     * @dev Currently registered vaults
+     * Vaults registered before this list was introduced are only listed once re-registered
+     * @return address[] Registered vault addresses, in no particular order
+     */
+    function getVaults() external view returns (address[] memory) {
+        return vaultList;
+    }
+
+    /**
+     * @dev Whether a key may sign authorizations for a vault
+     * @param vault Address of the vault
+     * @param signer Address of the key
+     * @return bool True if the key is in the vault's own signer set, or in the shared set
+     *         for vaults without one
+     */
+    function isAuthorizedSigner(address vault, address signer) public view returns (bool) {
+        return vaultSigners[vault].enabled ? isVaultSigner[vault][signer] : isSigner[signer];
+    }
+
+    /**
+     * @dev Approvals required per authorization for a vault
+     * @param vault Address of the vault
+     * @return uint256 The vault's own threshold, or the shared one for vaults without own signers
+     */
+    function getThreshold(address vault) public view returns (uint256) {
+        return vaultSigners[vault].enabled ? vaultSigners[vault].threshold : threshold;
+    }
+
+    /**
+     * @dev Policy in force for an asset of a vault
+     * @param vault Address of the vault
+     * @param token Asset (address(0) for native currency)
+     * @return Policy The vault's own policy for the asset, or the shared one
+     */
+    function getPolicy(address vault, address token) external view returns (Policy memory) {
+        return _policyOf(vault, token);
+    }
+
+    /**
+     * @dev Lowest nonce a new authorization for the vault can use
+     * In Sequential mode this is the only usable nonce; otherwise later unused nonces work too
+     * @param vault Address of the vault
+     * @param nonceOwner The vault, or a signer when the vault tracks nonces per signer
+     * @return uint256 Next nonce
+     */
+    function getNextNonce(address vault, address nonceOwner) external view returns (uint256) {
+        NonceMode mode = nonceConfigs[vault].mode;
+        uint256 nonce = nonceFloors[vault][nonceOwner];
+        if (mode == NonceMode.Bitmap) {
+            // Skip full words, then find the first clear bit
+            while (nonceBitmaps[vault][nonceOwner][nonce >> 8] | ((1 << (nonce & 0xff)) - 1) == type(uint256).max) {
+                nonce = ((nonce >> 8) + 1) << 8;
+            }
+        }
+        while (_isNonceUsed(vault, nonceOwner, nonce, mode)) {
+            nonce++;
+        }
+        return nonce;
+    }
+
+    /**
+     * @dev Whether a nonce can no longer be used because it was consumed or invalidated
+     * In Sequential mode, nonces above the next one are not used yet but only usable in order
+     * @param vault Address of the vault
+     * @param nonceOwner The vault, or a signer when the vault tracks nonces per signer
+     * @param nonce Nonce to check
+     * @return bool True if the nonce is used
+     */
+    function isNonceUsed(address vault, address nonceOwner, uint256 nonce) external view returns (bool) {
+        return _isNonceUsed(vault, nonceOwner, nonce, nonceConfigs[vault].mode);
+    }
+
+    /**
+     * @dev Outflow of an asset from a vault over the current rolling window
+     * @param vault Address of the vault
+     * @param token Asset (address(0) for native currency)
+     * @return uint256 Amount withdrawn in the last OUTFLOW_WINDOW seconds
+     */
+    function getVaultOutflow(address vault, address token) external view returns (uint256) {
+        return _windowTotal(keccak256(abi.encode(vault, token)));
+    }
+
+    /**
+     * @dev Outflow of an asset from a vault to one recipient over the current rolling window
+     * @param vault Address of the vault
+     * @param token Asset (address(0) for native currency)
+     * @param recipient Address of the recipient
+     * @return uint256 Amount withdrawn to the recipient in the last OUTFLOW_WINDOW seconds
+     */
+    function getRecipientOutflow(address vault, address token, address recipient)
+        external
+        view
+        returns (uint256)
+    {
+        return _windowTotal(keccak256(abi.encode(vault, token, recipient)));
+    }
+
     /**
      * @dev Utility function to compute an authorization ID (for off-chain use)
      * This matches the computation in verifyAuthorization
+     * The ID is the EIP-712 digest that signers sign
      * @param vaultAddress Address of the vault
+     * @param token Asset being transferred (address(0) for native currency)
      * @param recipient Address receiving funds
      * @param amount Amount being transferred
      * @param nonce Unique nonce for this authorization
+     * @param validAfter Timestamp from which the authorization may be used
+     * @param validUntil Timestamp after which the authorization expires
      * @return bytes32 The computed authorization ID
      */
     function computeAuthorizationId(
         address vaultAddress,
+        address token,
         address recipient,
         uint256 amount,
-        uint256 nonce
+        uint256 nonce,
+        uint256 validAfter,
+        uint256 validUntil
     ) external view returns (bytes32) {
+        return _hashWithdrawal(vaultAddress, token, recipient, amount, nonce, validAfter, validUntil);
+    }
+
+    /**
+     * @dev EIP-712 domain separator, bound to this contract and the current chain
+     * @return bytes32 The domain separator
+     */
+    function domainSeparator() public view returns (bytes32) {
         return keccak256(
-            abi.encodePacked(vaultAddress, recipient, amount, nonce, block.chainid)
+            abi.encode(
+                DOMAIN_TYPEHASH,
+                keccak256(bytes(NAME)),
+                keccak256(bytes(VERSION)),
+                block.chainid,
+                address(this)
+            )
         );
     }
+
+    /**
+     * @dev Verify one authorization for a registered vault and mark it as consumed
+     * Callers must first check that msg.sender is the vault and that it is registered,
+     * and pass the EIP-712 digest recomputed from the parameters the signers approved
+     */
+    function _verifyAuthorization(
+        address vaultAddress,
+        address token,
+        address recipient,
+        uint256 amount,
+        bytes32 authorizationId,
+        bytes32 digest,
+        uint256 validAfter,
+        uint256 validUntil,
+        bytes[] calldata signatures
+    ) internal {
+        // Ensure the authorization has not been used
+        require(
+            !authorizationUsed[authorizationId],
+            "AuthorizationManager: authorization already used"
+        );
+        require(
+            !authorizationRevoked[authorizationId],
+            "AuthorizationManager: authorization revoked"
+        );
+
+        // Validate parameters
+        require(vaultAddress != address(0), "AuthorizationManager: invalid vault address");
+        require(recipient != address(0), "AuthorizationManager: invalid recipient");
+        require(amount > 0, "AuthorizationManager: amount must be greater than zero");
+
+        // Enforce the validity window
+        require(block.timestamp >= validAfter, "AuthorizationManager: authorization not yet valid");
+        require(block.timestamp <= validUntil, "AuthorizationManager: authorization expired");
+
+        // The authorization must commit to exactly these parameters
+        require(
+            digest == authorizationId,
+            "AuthorizationManager: authorization parameter mismatch"
+        );
+
+        // Enforce policy limits; large withdrawals may need more approvals
+        uint256 requiredSignatures = _enforcePolicy(vaultAddress, token, recipient, amount);
+
+        // The commitment must have been approved by enough of the vault's signers
+        _verifySignatures(vaultAddress, authorizationId, signatures, requiredSignatures);
+
+        // Mark authorization as consumed (prevents replay)
+        authorizationUsed[authorizationId] = true;
+
+        // Emit event for observability
+        emit AuthorizationConsumed(vaultAddress, token, recipient, amount, authorizationId, block.timestamp);
+    }
+
+    /**
+     * @dev Consume a nonce of a vault, or of every signer of an already verified
+     * authorization when the vault tracks nonces per signer
+     */
+    function _useNonce(address vaultAddress, uint256 nonce, bytes32 digest, bytes[] calldata signatures) internal {
+        NonceConfig memory config = nonceConfigs[vaultAddress];
+        if (!config.perSigner) {
+            _useNonceOf(vaultAddress, vaultAddress, nonce, config.mode);
+            return;
+        }
+        for (uint256 i = 0; i < signatures.length; i++) {
+            _useNonceOf(vaultAddress, _recoverSigner(digest, signatures[i]), nonce, config.mode);
+        }
+    }
+
+    /**
+     * @dev Consume one nonce of a nonce owner according to the vault's mode
+     */
+    function _useNonceOf(address vaultAddress, address nonceOwner, uint256 nonce, NonceMode mode) internal {
+        uint256 floor = nonceFloors[vaultAddress][nonceOwner];
+        if (mode == NonceMode.Sequential) {
+            require(nonce == floor, "AuthorizationManager: nonce out of sequence");
+            nonceFloors[vaultAddress][nonceOwner] = nonce + 1;
+            return;
+        }
+
+        require(nonce >= floor, "AuthorizationManager: nonce invalidated");
+        if (mode == NonceMode.Bitmap) {
+            uint256 bit = 1 << (nonce & 0xff);
+            uint256 word = nonceBitmaps[vaultAddress][nonceOwner][nonce >> 8];
+            require(word & bit == 0, "AuthorizationManager: nonce already used");
+            nonceBitmaps[vaultAddress][nonceOwner][nonce >> 8] = word | bit;
+        } else {
+            require(!nonceUsed[vaultAddress][nonce], "AuthorizationManager: nonce already used");
+            nonceUsed[vaultAddress][nonce] = true;
+        }
+    }
+
+    /**
+     * @dev Whether a nonce has been consumed or invalidated in the vault's current mode
+     */
+    function _isNonceUsed(address vaultAddress, address nonceOwner, uint256 nonce, NonceMode mode)
+        internal
+        view
+        returns (bool)
+    {
+        if (nonce < nonceFloors[vaultAddress][nonceOwner]) {
+            return true;
+        }
+        if (mode == NonceMode.Sequential) {
+            return false;
+        }
+        if (mode == NonceMode.Bitmap) {
+            return nonceBitmaps[vaultAddress][nonceOwner][nonce >> 8] & (1 << (nonce & 0xff)) != 0;
+        }
+        return nonceUsed[vaultAddress][nonce];
+    }
+
+    /**
+     * @dev Mark an unused authorization as revoked
+     */
+    function _revokeAuthorization(bytes32 authorizationId) internal {
+        require(
+            !authorizationUsed[authorizationId],
+            "AuthorizationManager: authorization already used"
+        );
+        require(
+            !authorizationRevoked[authorizationId],
+            "AuthorizationManager: authorization already revoked"
+        );
+
+        authorizationRevoked[authorizationId] = true;
+        emit AuthorizationRevoked(authorizationId, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Require the caller to be the owner, an auditor or a signer of `vault`
+     */
+    function _requireVaultRevoker(address vault) internal view {
+        require(
+            _isOwnerOr(AUDITOR_ROLE, msg.sender) || isAuthorizedSigner(vault, msg.sender),
+            "AuthorizationManager: caller is not the owner, a signer or an auditor"
+        );
+    }
+
+    /**
+     * @dev Only the owner may upgrade the implementation behind the proxy
+     */
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+
+    /**
+     * @dev Remove a role from an account
+     */
+    function _revokeRole(bytes32 role, address account) internal {
+        require(roles[role][account], "AuthorizationManager: role not granted");
+
+        roles[role][account] = false;
+        emit RoleRevoked(role, account, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Whether `role` is one of the roles defined by this contract
+     */
+    function _isRole(bytes32 role) internal pure returns (bool) {
+        return role == ADMIN_ROLE || role == SIGNER_MANAGER_ROLE || role == GUARDIAN_ROLE || role == AUDITOR_ROLE;
+    }
+
+    /**
+     * @dev Whether an account is the owner or holds `role`
+     */
+    function _isOwnerOr(bytes32 role, address account) internal view returns (bool) {
+        return account == owner || roles[role][account];
+    }
+
+    /**
+     * @dev Number of keys that can sign for a vault
+     */
+    function _signerCountOf(address vault) internal view returns (uint256) {
+        return vaultSigners[vault].enabled ? vaultSigners[vault].signerCount : signerCount;
+    }
+
+    /**
+     * @dev Policy in force for an asset of a vault: its own if set, otherwise the shared one
+     */
+    function _policyOf(address vault, address token) internal view returns (Policy storage) {
+        return hasVaultPolicy[vault][token] ? vaultPolicies[vault][token] : policies[token];
+    }
+
+    /**
+     * @dev Compute the EIP-712 digest of a withdrawal authorization
+     */
+    function _hashWithdrawal(
+        address vaultAddress,
+        address token,
+        address recipient,
+        uint256 amount,
+        uint256 nonce,
+        uint256 validAfter,
+        uint256 validUntil
+    ) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                WITHDRAWAL_TYPEHASH,
+                vaultAddress,
+                token,
+                recipient,
+                amount,
+                nonce,
+                validAfter,
+                validUntil
+            )
+        );
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    /**
+     * @dev EIP-712 digest of a relayed withdrawal
+     */
+    function _hashRelayedWithdrawal(
+        address vaultAddress,
+        address token,
+        RelayedWithdrawalRequest calldata request
+    ) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                RELAYED_WITHDRAWAL_TYPEHASH,
+                vaultAddress,
+                token,
+                request.recipient,
+                request.amount,
+                request.fee,
+                request.relayer,
+                request.nonce,
+                request.validAfter,
+                request.validUntil
+            )
+        );
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    /**
+     * @dev Check the asset's policy limits and record the outflow
+     * @return uint256 Number of signer approvals this withdrawal requires
+     */
+    function _enforcePolicy(
+        address vaultAddress,
+        address token,
+        address recipient,
+        uint256 amount
+    ) internal returns (uint256) {
+        Policy storage policy = _policyOf(vaultAddress, token);
+        uint256 vaultThreshold = getThreshold(vaultAddress);
+
+        if (policy.maxWithdrawalAmount > 0) {
+            require(
+                amount <= policy.maxWithdrawalAmount,
+                "AuthorizationManager: exceeds per-withdrawal limit"
+            );
+        }
+
+        if (policy.dailyLimit > 0) {
+            _recordOutflow(
+                keccak256(abi.encode(vaultAddress, token)),
+                amount,
+                policy.dailyLimit,
+                "AuthorizationManager: exceeds daily limit"
+            );
+        }
+
+        uint256 recipientLimit = vaultRecipientLimits[vaultAddress][token][recipient];
+        if (recipientLimit > 0) {
+            _recordOutflow(
+                keccak256(abi.encode(vaultAddress, token, recipient)),
+                amount,
+                recipientLimit,
+                "AuthorizationManager: exceeds recipient limit"
+            );
+        }
+
+        if (
+            policy.largeWithdrawalAmount > 0 &&
+            amount > policy.largeWithdrawalAmount &&
+            policy.largeWithdrawalThreshold > vaultThreshold
+        ) {
+            return policy.largeWithdrawalThreshold;
+        }
+        return vaultThreshold;
+    }
+
+    /**
+     * @dev Add an outflow to a rolling window, reverting if it would exceed `limit`
+     * Entries that have left the window are dropped first, so the cost is amortized O(1)
+     */
+    function _recordOutflow(
+        bytes32 key,
+        uint256 amount,
+        uint256 limit,
+        string memory limitError
+    ) internal {
+        OutflowWindow storage window = outflowWindows[key];
+        uint256 head = window.head;
+        uint256 total = window.total;
+
+        while (head < window.entries.length && window.entries[head].timestamp + OUTFLOW_WINDOW <= block.timestamp) {
+            total -= window.entries[head].amount;
+            delete window.entries[head];
+            head++;
+        }
+
+        require(total + amount <= limit, limitError);
+
+        window.entries.push(Outflow(block.timestamp, amount));
+        window.head = head;
+        window.total = total + amount;
+    }
+
+    /**
+     * @dev Sum of the outflows in a rolling window as of the current block
+     */
+    function _windowTotal(bytes32 key) internal view returns (uint256) {
+        OutflowWindow storage window = outflowWindows[key];
+        uint256 total = window.total;
+
+        for (uint256 i = window.head; i < window.entries.length; i++) {
+            if (window.entries[i].timestamp + OUTFLOW_WINDOW > block.timestamp) {
+                break;
+            }
+            total -= window.entries[i].amount;
+        }
+        return total;
+    }
+
+    /**
+     * @dev Require at least `required` valid signatures from distinct signers of the vault
+     * Signatures must be ordered by strictly ascending signer address, which rules out
+     * duplicates without extra storage
+     */
+    function _verifySignatures(
+        address vaultAddress,
+        bytes32 digest,
+        bytes[] calldata signatures,
+        uint256 required
+    ) internal view {
+        require(signatures.length >= getThreshold(vaultAddress), "AuthorizationManager: insufficient signatures");
+        require(
+            signatures.length >= required,
+            "AuthorizationManager: insufficient signatures for large withdrawal"
+        );
+
+        address previousSigner = address(0);
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = _recoverSigner(digest, signatures[i]);
+            require(isAuthorizedSigner(vaultAddress, signer), "AuthorizationManager: invalid signer");
+            require(signer > previousSigner, "AuthorizationManager: signers not sorted or duplicated");
+            previousSigner = signer;
+        }
+    }
+
+    /**
+     * @dev Recover the signer of a digest from a 65-byte signature
+     * Rejects malleable signatures and returns address(0) on failure
+     */
+    function _recoverSigner(bytes32 digest, bytes calldata signature) internal pure returns (address) {
+        if (signature.length != 65) {
+            return address(0);
+        }
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+
+        if (uint256(s) > SECP256K1_HALF_ORDER || (v != 27 && v != 28)) {
+            return address(0);
+        }
+
+        return ecrecover(digest, v, r, s);
+    }
 }
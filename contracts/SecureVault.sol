@@ -2,25 +2,138 @@
 pragma solidity ^0.8.0;
 
 import "./AuthorizationManager.sol";
+import "./interfaces/IERC20.sol";
+import "./proxy/UUPSUpgradeable.sol";
 
 /**
  * @title SecureVault
  * @dev Holds and manages fund transfers with authorization validation
  * Delegates all authorization verification to AuthorizationManager
+ * Custodies native currency and ERC-20 tokens with per-asset accounting
+ * Large withdrawals can be timelocked: queued on authorization, executable after a delay
+ * Withdrawals of one asset can be batched, all-or-nothing or best-effort
+ * Relayers can submit withdrawals for recipients without gas, for a fee bound in the authorization
+ * With the pull-payment fallback enabled, failed transfers are credited for the recipient to claim
+ * Outflows and token deposits are guarded against reentrancy
+ * The owner can restrict withdrawals to an allowlist of recipients, each usable only
+ * after a cooldown from when it was added
+ * A guardian can pause outflows in an emergency; only the owner can unpause
+ * Funds received outside the accounting (forced ETH, direct token transfers) are
+ * reported as surplus and can only leave through an authorized owner sweep
+ * Administration is split into roles granted by the owner, which passes every role check
+ * Deployable behind an ERC1967Proxy and upgradeable by the owner (UUPS); storage
+ * variables must only ever be appended, never reordered or removed
  */
-contract SecureVault {
+contract SecureVault is UUPSUpgradeable {
+    // Lifecycle state of a timelocked withdrawal
+    enum QueueStatus {
+        None,
+        Queued,
+        Executed,
+        Cancelled
+    }
+
+    // Timelock applied to withdrawals of one asset (address(0) for native currency)
+    struct TimelockConfig {
+        // Withdrawals strictly above this amount are queued
+        uint256 threshold;
+        // Seconds a queued withdrawal must wait before execution (0 disables the timelock)
+        uint256 delay;
+    }
+
+    // A withdrawal whose authorization was consumed but whose payout is delayed
+    struct QueuedWithdrawal {
+        address token;
+        address recipient;
+        uint256 amount;
+        uint256 executableAt;
+        QueueStatus status;
+    }
+
+    // Role that manages timelocks and deposit settings
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    // Role that can pause in an emergency and cancel queued withdrawals
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    // Role that can cancel queued withdrawals under review
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+
+    // Cooldown of newly allowlisted recipients for vaults initialized with this implementation
+    uint256 public constant DEFAULT_RECIPIENT_COOLDOWN = 1 days;
+
+    // Reentrancy lock states (a zero slot, as in proxies upgraded from an older layout, is unlocked)
+    uint256 private constant NOT_ENTERED = 1;
+    uint256 private constant ENTERED = 2;
+
     // Reference to the AuthorizationManager contract
     AuthorizationManager public authorizationManager;
 
     // Total balance of the vault (accounting)
     uint256 public totalBalance;
 
+    // Per-token balance of the vault (accounting)
+    mapping(address => uint256) public tokenBalances;
+
+    // Funds held back for queued withdrawals, per asset (address(0) for native currency)
+    mapping(address => uint256) public reservedBalances;
+
+    // Timelock configuration per asset
+    mapping(address => TimelockConfig) public timelocks;
+
+    // Timelocked withdrawals keyed by the authorization that created them
+    mapping(bytes32 => QueuedWithdrawal) public queuedWithdrawals;
+
+    // Whether withdrawals are halted
+    bool public paused;
+
+    // Whether deposits are also rejected while paused
+    bool public pauseDeposits;
+
     // Owner of the vault (who deployed it)
     address public owner;
 
+    // Proposed owner awaiting acceptOwnership
+    address public pendingOwner;
+
+    // Role memberships: role => account => granted
+    mapping(bytes32 => mapping(address => bool)) private roles;
+
     // Whether initialization has been completed
     bool private initialized;
 
+    // Whether failed recipient transfers are credited to pendingWithdrawals instead of reverting
+    bool public pullPaymentFallback;
+
+    // Gas forwarded to native-currency recipients while the pull-payment fallback is enabled
+    uint256 public pushGasLimit;
+
+    // Withdrawals that could not be pushed, claimable by their recipient: token => recipient => amount
+    mapping(address => mapping(address => uint256)) public pendingWithdrawals;
+
+    // Reentrancy lock, ENTERED while an outflow or token deposit is in progress
+    uint256 private reentrancyStatus;
+
+    // Recipient allowlist: recipient => time from which it can receive withdrawals (0 = not listed)
+    mapping(address => uint256) public recipientActiveAt;
+
+    // Allowlisted recipients, in no particular order
+    address[] private recipientList;
+
+    // Position of a recipient in recipientList plus one (0 = not listed)
+    mapping(address => uint256) private recipientListIndex;
+
+    // Seconds before a newly allowlisted recipient can receive withdrawals, as stored;
+    // getRecipientCooldown returns the cooldown in force
+    uint256 public recipientCooldown;
+
+    // Whether withdrawals are restricted to allowlisted recipients past their cooldown
+    bool public allowlistEnforced;
+
+    // Whether the owner set recipientCooldown; until then a zero value, as in proxies
+    // upgraded from before the allowlist, means DEFAULT_RECIPIENT_COOLDOWN
+    bool private recipientCooldownSet;
+
     /**
      * @dev Emitted when funds are deposited
      * @param depositor Address that deposited funds
@@ -51,6 +164,287 @@ contract SecureVault {
         uint256 timestamp
     );
 
+    /**
+     * @dev Emitted when ERC-20 tokens are deposited
+     * @param token Address of the token contract
+     * @param depositor Address that deposited tokens
+     * @param amount Amount actually received by the vault
+     * @param newBalance Token balance after deposit
+     * @param timestamp When the deposit occurred
+     */
+    event TokenDeposit(
+        address indexed token,
+        address indexed depositor,
+        uint256 amount,
+        uint256 newBalance,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when ERC-20 tokens are withdrawn
+     * @param token Address of the token contract
+     * @param recipient Address receiving the withdrawal
+     * @param amount Amount withdrawn
+     * @param authorizationId Authorization ID used for withdrawal
+     * @param newBalance Token balance after withdrawal
+     * @param timestamp When the withdrawal occurred
+     */
+    event TokenWithdrawal(
+        address indexed token,
+        address indexed recipient,
+        uint256 amount,
+        bytes32 indexed authorizationId,
+        uint256 newBalance,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted once per batch withdrawal
+     * @param token Asset withdrawn (address(0) for native currency)
+     * @param requested Number of withdrawals in the batch
+     * @param succeeded Number of withdrawals paid out or queued
+     * @param atomic Whether the batch was all-or-nothing
+     * @param timestamp When the batch was processed
+     */
+    event BatchWithdrawal(
+        address indexed token,
+        uint256 requested,
+        uint256 succeeded,
+        bool atomic,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted for each withdrawal that failed in a best-effort batch
+     * @param index Position of the withdrawal in the batch
+     * @param authorizationId Authorization of the failed withdrawal (left unconsumed)
+     * @param recipient Address that would have received the funds
+     * @param reason Revert data of the failure
+     * @param timestamp When the batch was processed
+     */
+    event BatchWithdrawalFailed(
+        uint256 index,
+        bytes32 indexed authorizationId,
+        address indexed recipient,
+        bytes reason,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a relayer is paid for submitting a relayed withdrawal
+     * @param authorizationId Authorization of the relayed withdrawal
+     * @param token Asset of the fee (address(0) for native currency)
+     * @param relayer Account that submitted the withdrawal
+     * @param fee Amount paid to the relayer, deducted from the withdrawal
+     * @param timestamp When the fee was paid
+     */
+    event RelayFeePaid(
+        bytes32 indexed authorizationId,
+        address indexed token,
+        address indexed relayer,
+        uint256 fee,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a withdrawal is queued behind its timelock
+     * @param authorizationId Authorization consumed for the withdrawal
+     * @param token Asset being withdrawn (address(0) for native currency)
+     * @param recipient Address that will receive the withdrawal
+     * @param amount Amount reserved for the withdrawal
+     * @param executableAt Earliest timestamp at which it can be executed
+     * @param timestamp When the withdrawal was queued
+     */
+    event WithdrawalQueued(
+        bytes32 indexed authorizationId,
+        address indexed token,
+        address indexed recipient,
+        uint256 amount,
+        uint256 executableAt,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a queued withdrawal is paid out
+     * @param authorizationId Authorization consumed for the withdrawal
+     * @param token Asset withdrawn (address(0) for native currency)
+     * @param recipient Address receiving the withdrawal
+     * @param amount Amount paid out
+     * @param timestamp When the withdrawal was executed
+     */
+    event WithdrawalExecuted(
+        bytes32 indexed authorizationId,
+        address indexed token,
+        address indexed recipient,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a queued withdrawal is cancelled and its funds released
+     * @param authorizationId Authorization consumed for the withdrawal
+     * @param cancelledBy Owner, guardian or auditor that cancelled it
+     * @param amount Amount released back to the vault balance
+     * @param timestamp When the withdrawal was cancelled
+     */
+    event WithdrawalCancelled(
+        bytes32 indexed authorizationId,
+        address indexed cancelledBy,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when the timelock of an asset changes
+     * @param token Asset the timelock applies to (address(0) for native currency)
+     * @param threshold Amount above which withdrawals are queued
+     * @param delay Seconds a queued withdrawal must wait
+     * @param timestamp When the timelock changed
+     */
+    event TimelockUpdated(address indexed token, uint256 threshold, uint256 delay, uint256 timestamp);
+
+    /**
+     * @dev Emitted when unaccounted funds are swept out of the vault
+     * @param token Asset swept (address(0) for native currency)
+     * @param recipient Address receiving the surplus
+     * @param amount Amount swept
+     * @param authorizationId Authorization consumed for the sweep
+     * @param timestamp When the sweep occurred
+     */
+    event SurplusSwept(
+        address indexed token,
+        address indexed recipient,
+        uint256 amount,
+        bytes32 indexed authorizationId,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a withdrawal could not be pushed and was credited to the recipient instead
+     * @param authorizationId Authorization consumed for the withdrawal
+     * @param token Asset credited (address(0) for native currency)
+     * @param recipient Address that can claim the credit
+     * @param amount Amount credited
+     * @param timestamp When the withdrawal was credited
+     */
+    event WithdrawalCredited(
+        bytes32 indexed authorizationId,
+        address indexed token,
+        address indexed recipient,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a recipient claims its pending withdrawals
+     * @param token Asset claimed (address(0) for native currency)
+     * @param recipient Address the withdrawals were credited to
+     * @param to Address receiving the funds
+     * @param amount Amount claimed
+     * @param timestamp When the claim occurred
+     */
+    event PendingWithdrawalClaimed(
+        address indexed token,
+        address indexed recipient,
+        address to,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when an admin changes the pull-payment fallback
+     * @param enabled Whether failed transfers are credited instead of reverting
+     * @param gasLimit Gas forwarded to native-currency recipients while enabled
+     * @param timestamp When the setting changed
+     */
+    event PullPaymentFallbackUpdated(bool enabled, uint256 gasLimit, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the owner adds a recipient to the allowlist
+     * @param recipient Allowlisted address
+     * @param label Address book name of the recipient
+     * @param activeAt When the recipient can start receiving withdrawals
+     * @param timestamp When the recipient was added
+     */
+    event RecipientAdded(address indexed recipient, string label, uint256 activeAt, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the owner removes a recipient from the allowlist
+     * @param recipient Removed address
+     * @param timestamp When the recipient was removed
+     */
+    event RecipientRemoved(address indexed recipient, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the owner changes the cooldown of new recipients
+     * @param previousCooldown Cooldown before the change, in seconds
+     * @param newCooldown Cooldown after the change, in seconds
+     * @param timestamp When the cooldown changed
+     */
+    event RecipientCooldownUpdated(uint256 previousCooldown, uint256 newCooldown, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the owner turns allowlist enforcement on or off
+     * @param enforced Whether withdrawals are restricted to allowlisted recipients
+     * @param timestamp When the setting changed
+     */
+    event AllowlistEnforcementUpdated(bool enforced, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the owner proposes a new owner
+     * @param previousOwner Current owner
+     * @param newOwner Proposed owner (address(0) if a pending transfer was cancelled)
+     * @param timestamp When the transfer was proposed
+     */
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the proposed owner accepts ownership
+     * @param previousOwner Owner before the transfer
+     * @param newOwner Owner after the transfer
+     * @param timestamp When ownership changed
+     */
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner, uint256 timestamp);
+
+    /**
+     * @dev Emitted when a role is granted
+     * @param role Role identifier
+     * @param account Account receiving the role
+     * @param sender Owner that granted the role
+     * @param timestamp When the role was granted
+     */
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender, uint256 timestamp);
+
+    /**
+     * @dev Emitted when a role is revoked or renounced
+     * @param role Role identifier
+     * @param account Account losing the role
+     * @param sender Owner that revoked the role, or the account itself
+     * @param timestamp When the role was revoked
+     */
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the vault is paused
+     * @param account Owner or guardian that paused
+     * @param timestamp When the vault was paused
+     */
+    event Paused(address indexed account, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the vault is unpaused
+     * @param account Owner that unpaused
+     * @param timestamp When the vault was unpaused
+     */
+    event Unpaused(address indexed account, uint256 timestamp);
+
+    /**
+     * @dev Emitted when the owner changes whether deposits are rejected while paused
+     * @param pauseDeposits True if deposits are rejected while paused
+     * @param timestamp When the setting changed
+     */
+    event PauseDepositsUpdated(bool pauseDeposits, uint256 timestamp);
+
     /**
      * @dev Emitted when initialization occurs
      * @param owner Address of the vault owner
@@ -69,6 +463,52 @@ contract SecureVault {
         _;
     }
 
+    // Restricts administrative functions to the owner
+    modifier onlyOwner() {
+        require(msg.sender == owner, "SecureVault: caller is not the owner");
+        _;
+    }
+
+    // Rejects withdrawals while the vault is paused
+    modifier whenNotPaused() {
+        require(!paused, "SecureVault: paused");
+        _;
+    }
+
+    modifier nonReentrant() {
+        require(reentrancyStatus != ENTERED, "SecureVault: reentrant call");
+        reentrancyStatus = ENTERED;
+        _;
+        reentrancyStatus = NOT_ENTERED;
+    }
+
+    // Rejects deposits while the vault is paused, if so configured
+    modifier whenDepositsOpen() {
+        require(!paused || !pauseDeposits, "SecureVault: deposits paused");
+        _;
+    }
+
+    // Restricts timelock and deposit settings to the owner or an admin
+    modifier onlyAdmin() {
+        require(_isOwnerOr(ADMIN_ROLE, msg.sender), "SecureVault: caller is not the owner or an admin");
+        _;
+    }
+
+    // Restricts pausing to the owner or a guardian
+    modifier onlyOwnerOrGuardian() {
+        require(_isOwnerOr(GUARDIAN_ROLE, msg.sender), "SecureVault: caller is not the owner or guardian");
+        _;
+    }
+
+    // Restricts cancellation of queued withdrawals to the owner, a guardian or an auditor
+    modifier onlyCanceller() {
+        require(
+            _isOwnerOr(GUARDIAN_ROLE, msg.sender) || roles[AUDITOR_ROLE][msg.sender],
+            "SecureVault: caller is not the owner, a guardian or an auditor"
+        );
+        _;
+    }
+
     /**
      * @dev Initialize the vault with an AuthorizationManager
      * Can only be called once
@@ -80,6 +520,7 @@ contract SecureVault {
 
         authorizationManager = AuthorizationManager(_authorizationManager);
         owner = msg.sender;
+        recipientCooldown = DEFAULT_RECIPIENT_COOLDOWN;
         initialized = true;
 
         emit VaultInitialized(msg.sender, _authorizationManager, block.timestamp);
@@ -90,13 +531,35 @@ contract SecureVault {
      * Called when ETH/other native tokens are sent to this contract
      * Updates accounting and emits deposit event
      */
-    receive() external payable onlyInitialized {
+    receive() external payable onlyInitialized whenDepositsOpen {
         uint256 previousBalance = totalBalance;
         totalBalance += msg.value;
 
         emit Deposit(msg.sender, msg.value, totalBalance, block.timestamp);
     }
 
+    /**
+     * @dev Deposit ERC-20 tokens into the vault
+     * Caller must have approved the vault for at least `amount`
+     * Credits the amount actually received, so fee-on-transfer tokens are accounted correctly
+     * @param token Address of the token contract
+     * @param amount Amount to transfer from the caller
+     */
+    function depositToken(address token, uint256 amount) external onlyInitialized whenDepositsOpen nonReentrant {
+        require(token != address(0), "SecureVault: invalid token");
+        require(token.code.length > 0, "SecureVault: token is not a contract");
+        require(amount > 0, "SecureVault: amount must be greater than zero");
+
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        _callToken(token, abi.encodeWithSelector(IERC20.transferFrom.selector, msg.sender, address(this), amount));
+        uint256 received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+
+        require(received > 0, "SecureVault: no tokens received");
+        tokenBalances[token] += received;
+
+        emit TokenDeposit(token, msg.sender, received, tokenBalances[token], block.timestamp);
+    }
+
     /**
      * @dev Withdraw funds from the vault
      * Only succeeds when a valid authorization is presented and verified
@@ -105,15 +568,22 @@ contract SecureVault {
      * @param amount Amount to withdraw
      * @param authorizationId Authorization ID for this withdrawal
      * @param nonce Off-chain nonce used in authorization computation
+     * @param validAfter Timestamp from which the authorization may be used
+     * @param validUntil Timestamp after which the authorization expires
+     * @param signatures EIP-712 signatures from registered signers, ordered by signer address
      */
     function withdraw(
         address recipient,
         uint256 amount,
         bytes32 authorizationId,
-        uint256 nonce
-    ) external onlyInitialized {
+        uint256 nonce,
+        uint256 validAfter,
+        uint256 validUntil,
+        bytes[] calldata signatures
+    ) external onlyInitialized whenNotPaused nonReentrant {
         // Validate parameters
         require(recipient != address(0), "SecureVault: invalid recipient");
+        _requireAllowedRecipient(recipient);
         require(amount > 0, "SecureVault: amount must be greater than zero");
         require(totalBalance >= amount, "SecureVault: insufficient vault balance");
 
@@ -121,29 +591,511 @@ contract SecureVault {
         // This function will revert if:
         // 1. Authorization has already been used
         // 2. Authorization parameters don't match the computed ID
-        // 3. Authorization manager is not initialized
+        // 3. Fewer than `threshold` distinct registered signers approved it
+        // 4. Authorization is outside its validity window
+        // 5. Authorization manager is not initialized
         bool isAuthorized = authorizationManager.verifyAuthorization(
             address(this),
+            address(0),
             recipient,
             amount,
             authorizationId,
-            nonce
+            nonce,
+            validAfter,
+            validUntil,
+            signatures
         );
 
         require(isAuthorized, "SecureVault: authorization verification failed");
 
         // Update internal accounting BEFORE transferring funds
         // This prevents reentrancy issues and ensures state consistency
-        uint256 previousBalance = totalBalance;
         totalBalance -= amount;
 
-        // Emit withdrawal event for observability
-        emit Withdrawal(recipient, amount, authorizationId, totalBalance, block.timestamp);
+        // Large withdrawals wait out the timelock instead of paying out now
+        if (_queueIfTimelocked(address(0), recipient, amount, authorizationId)) {
+            return;
+        }
+
+        _payout(address(0), recipient, amount, authorizationId);
+    }
+
+    /**
+     * @dev Withdraw ERC-20 tokens from the vault
+     * Only succeeds when a valid authorization bound to `token` is presented and verified
+     *
+     * @param token Address of the token contract
+     * @param recipient Address that will receive the withdrawn tokens
+     * @param amount Amount to withdraw
+     * @param authorizationId Authorization ID for this withdrawal
+     * @param nonce Off-chain nonce used in authorization computation
+     * @param validAfter Timestamp from which the authorization may be used
+     * @param validUntil Timestamp after which the authorization expires
+     * @param signatures EIP-712 signatures from registered signers, ordered by signer address
+     */
+    function withdrawToken(
+        address token,
+        address recipient,
+        uint256 amount,
+        bytes32 authorizationId,
+        uint256 nonce,
+        uint256 validAfter,
+        uint256 validUntil,
+        bytes[] calldata signatures
+    ) external onlyInitialized whenNotPaused nonReentrant {
+        // Validate parameters
+        require(token != address(0), "SecureVault: invalid token");
+        require(recipient != address(0), "SecureVault: invalid recipient");
+        _requireAllowedRecipient(recipient);
+        require(amount > 0, "SecureVault: amount must be greater than zero");
+        require(tokenBalances[token] >= amount, "SecureVault: insufficient token balance");
+
+        // Authorization must be bound to this token
+        require(
+            authorizationManager.verifyAuthorization(
+                address(this),
+                token,
+                recipient,
+                amount,
+                authorizationId,
+                nonce,
+                validAfter,
+                validUntil,
+                signatures
+            ),
+            "SecureVault: authorization verification failed"
+        );
+
+        // Update internal accounting BEFORE transferring tokens
+        tokenBalances[token] -= amount;
+
+        if (_queueIfTimelocked(token, recipient, amount, authorizationId)) {
+            return;
+        }
 
-        // Transfer funds to recipient
-        // Using low-level call for flexibility with recipient contracts
-        (bool success, ) = recipient.call{value: amount}("");
-        require(success, "SecureVault: fund transfer failed");
+        _payout(token, recipient, amount, authorizationId);
+    }
+
+    /**
+     * @dev Withdraw one asset to many recipients in a single transaction
+     * Each request carries its own authorization, exactly as for withdraw / withdrawToken;
+     * timelocks and policy limits apply per request
+     *
+     * In atomic mode the whole batch is verified with one AuthorizationManager call and
+     * any failure reverts the transaction. In best-effort mode each request is processed
+     * on its own: a failing request is skipped, its authorization stays unconsumed and
+     * BatchWithdrawalFailed reports why
+     *
+     * @param token Asset to withdraw (address(0) for native currency)
+     * @param requests Withdrawals to perform, in order
+     * @param atomic True for all-or-nothing, false for best-effort
+     * @return succeeded Number of withdrawals paid out or queued
+     */
+    function withdrawBatch(
+        address token,
+        AuthorizationManager.WithdrawalRequest[] calldata requests,
+        bool atomic
+    ) external onlyInitialized whenNotPaused nonReentrant returns (uint256 succeeded) {
+        require(requests.length > 0, "SecureVault: empty batch");
+
+        if (atomic) {
+            uint256 total = 0;
+            for (uint256 i = 0; i < requests.length; i++) {
+                require(requests[i].recipient != address(0), "SecureVault: invalid recipient");
+                _requireAllowedRecipient(requests[i].recipient);
+                require(requests[i].amount > 0, "SecureVault: amount must be greater than zero");
+                total += requests[i].amount;
+            }
+            require(_spendableBalance(token) >= total, "SecureVault: insufficient vault balance");
+
+            require(
+                authorizationManager.verifyAuthorizations(address(this), token, requests),
+                "SecureVault: authorization verification failed"
+            );
+
+            for (uint256 i = 0; i < requests.length; i++) {
+                _settle(token, requests[i].recipient, requests[i].amount, requests[i].authorizationId);
+            }
+            succeeded = requests.length;
+        } else {
+            for (uint256 i = 0; i < requests.length; i++) {
+                // External self-call, so a failing request only rolls back its own effects
+                try this.withdrawBatchItem(token, requests[i]) {
+                    succeeded++;
+                } catch (bytes memory reason) {
+                    emit BatchWithdrawalFailed(
+                        i,
+                        requests[i].authorizationId,
+                        requests[i].recipient,
+                        reason,
+                        block.timestamp
+                    );
+                }
+            }
+        }
+
+        emit BatchWithdrawal(token, requests.length, succeeded, atomic, block.timestamp);
+    }
+
+    /**
+     * @dev Process one request of a best-effort batch
+     * Only callable by the vault itself, from withdrawBatch, whose reentrancy lock it runs under
+     * @param token Asset to withdraw (address(0) for native currency)
+     * @param request Withdrawal to perform
+     */
+    function withdrawBatchItem(address token, AuthorizationManager.WithdrawalRequest calldata request) external {
+        require(msg.sender == address(this), "SecureVault: caller is not the vault");
+        require(request.recipient != address(0), "SecureVault: invalid recipient");
+        _requireAllowedRecipient(request.recipient);
+        require(request.amount > 0, "SecureVault: amount must be greater than zero");
+        require(_spendableBalance(token) >= request.amount, "SecureVault: insufficient vault balance");
+
+        require(
+            authorizationManager.verifyAuthorization(
+                address(this),
+                token,
+                request.recipient,
+                request.amount,
+                request.authorizationId,
+                request.nonce,
+                request.validAfter,
+                request.validUntil,
+                request.signatures
+            ),
+            "SecureVault: authorization verification failed"
+        );
+
+        _settle(token, request.recipient, request.amount, request.authorizationId);
+    }
+
+    /**
+     * @dev Withdraw on behalf of a recipient, paying the caller a relayer fee
+     * The authorization is a RelayedWithdrawal signed over the fee and the relayer, so the
+     * recipient needs no gas: `fee` of `amount` goes to the caller and the rest to the
+     * recipient (queued if it exceeds the asset's timelock threshold)
+     *
+     * @param token Asset to withdraw (address(0) for native currency)
+     * @param request Relayed withdrawal; `relayer` must be the caller unless it is address(0)
+     */
+    function withdrawRelayed(address token, AuthorizationManager.RelayedWithdrawalRequest calldata request)
+        external
+        onlyInitialized
+        whenNotPaused
+        nonReentrant
+    {
+        require(
+            request.relayer == address(0) || request.relayer == msg.sender,
+            "SecureVault: caller is not the authorized relayer"
+        );
+        require(request.recipient != address(0), "SecureVault: invalid recipient");
+        _requireAllowedRecipient(request.recipient);
+        require(request.fee < request.amount, "SecureVault: fee must be less than amount");
+        require(_spendableBalance(token) >= request.amount, "SecureVault: insufficient vault balance");
+
+        require(
+            authorizationManager.verifyRelayedAuthorization(address(this), token, request),
+            "SecureVault: authorization verification failed"
+        );
+
+        if (request.fee > 0) {
+            _debit(token, request.fee);
+            emit RelayFeePaid(request.authorizationId, token, msg.sender, request.fee, block.timestamp);
+            _transferOut(token, msg.sender, request.fee);
+        }
+
+        _settle(token, request.recipient, request.amount - request.fee, request.authorizationId);
+    }
+
+    /**
+     * @dev Pay out a queued withdrawal once its timelock has elapsed
+     * Callable by anyone; funds always go to the authorized recipient
+     * @param authorizationId Authorization that queued the withdrawal
+     */
+    function executeWithdrawal(bytes32 authorizationId) external onlyInitialized whenNotPaused nonReentrant {
+        QueuedWithdrawal storage queued = queuedWithdrawals[authorizationId];
+        require(queued.status == QueueStatus.Queued, "SecureVault: withdrawal not queued");
+        require(block.timestamp >= queued.executableAt, "SecureVault: withdrawal still timelocked");
+
+        queued.status = QueueStatus.Executed;
+        reservedBalances[queued.token] -= queued.amount;
+
+        emit WithdrawalExecuted(
+            authorizationId,
+            queued.token,
+            queued.recipient,
+            queued.amount,
+            block.timestamp
+        );
+
+        _payout(queued.token, queued.recipient, queued.amount, authorizationId);
+    }
+
+    /**
+     * @dev Cancel a queued withdrawal and release its funds back to the vault balance
+     * The consumed authorization stays consumed and cannot be reused
+     * Allowed while paused, so suspicious withdrawals can be cleared before unpausing
+     * @param authorizationId Authorization that queued the withdrawal
+     */
+    function cancelWithdrawal(bytes32 authorizationId) external onlyInitialized onlyCanceller {
+        QueuedWithdrawal storage queued = queuedWithdrawals[authorizationId];
+        require(queued.status == QueueStatus.Queued, "SecureVault: withdrawal not queued");
+
+        queued.status = QueueStatus.Cancelled;
+        reservedBalances[queued.token] -= queued.amount;
+
+        if (queued.token == address(0)) {
+            totalBalance += queued.amount;
+        } else {
+            tokenBalances[queued.token] += queued.amount;
+        }
+
+        emit WithdrawalCancelled(authorizationId, msg.sender, queued.amount, block.timestamp);
+    }
+
+    /**
+     * @dev Sweep funds the vault holds beyond its accounted balance
+     * Requires an authorization for the sweep exactly like a withdrawal of the same asset,
+     * recipient and amount; accounted and reserved balances are never touched
+     *
+     * @param token Asset to sweep (address(0) for native currency)
+     * @param recipient Address that will receive the surplus
+     * @param amount Amount to sweep, at most getSurplus(token)
+     * @param authorizationId Authorization ID for this sweep
+     * @param nonce Off-chain nonce used in authorization computation
+     * @param validAfter Timestamp from which the authorization may be used
+     * @param validUntil Timestamp after which the authorization expires
+     * @param signatures EIP-712 signatures from registered signers, ordered by signer address
+     */
+    function sweepSurplus(
+        address token,
+        address recipient,
+        uint256 amount,
+        bytes32 authorizationId,
+        uint256 nonce,
+        uint256 validAfter,
+        uint256 validUntil,
+        bytes[] calldata signatures
+    ) external onlyInitialized onlyOwner whenNotPaused nonReentrant {
+        require(recipient != address(0), "SecureVault: invalid recipient");
+        _requireAllowedRecipient(recipient);
+        require(amount > 0, "SecureVault: amount must be greater than zero");
+        require(getSurplus(token) >= amount, "SecureVault: insufficient surplus");
+
+        require(
+            authorizationManager.verifyAuthorization(
+                address(this),
+                token,
+                recipient,
+                amount,
+                authorizationId,
+                nonce,
+                validAfter,
+                validUntil,
+                signatures
+            ),
+            "SecureVault: authorization verification failed"
+        );
+
+        emit SurplusSwept(token, recipient, amount, authorizationId, block.timestamp);
+
+        _transferOut(token, recipient, amount);
+    }
+
+    /**
+     * @dev Claim withdrawals credited to the caller after their transfer failed
+     * The whole pending amount of the asset is sent to `to`, which may differ from the
+     * caller so recipients that cannot receive funds themselves can still claim
+     * @param token Asset to claim (address(0) for native currency)
+     * @param to Address that receives the funds
+     */
+    function claimPendingWithdrawal(address token, address to) external onlyInitialized whenNotPaused nonReentrant {
+        require(to != address(0), "SecureVault: invalid recipient");
+
+        uint256 amount = pendingWithdrawals[token][msg.sender];
+        require(amount > 0, "SecureVault: nothing to claim");
+
+        pendingWithdrawals[token][msg.sender] = 0;
+        reservedBalances[token] -= amount;
+
+        emit PendingWithdrawalClaimed(token, msg.sender, to, amount, block.timestamp);
+
+        _transferOut(token, to, amount);
+    }
+
+    /**
+     * @dev Configure the pull-payment fallback
+     * While enabled, a withdrawal whose transfer fails (reverting recipient, token refusing
+     * the transfer, or a native recipient exceeding `gasLimit`) is credited to
+     * pendingWithdrawals instead of reverting and consuming nothing
+     * @param enabled True to credit failed transfers
+     * @param gasLimit Gas forwarded to native-currency recipients while enabled
+     */
+    function setPullPaymentFallback(bool enabled, uint256 gasLimit) external onlyInitialized onlyAdmin {
+        require(!enabled || gasLimit > 0, "SecureVault: gas limit must be greater than zero");
+
+        pullPaymentFallback = enabled;
+        pushGasLimit = gasLimit;
+        emit PullPaymentFallbackUpdated(enabled, gasLimit, block.timestamp);
+    }
+
+    /**
+     * @dev Configure the timelock for an asset
+     * @param token Asset (address(0) for native currency)
+     * @param threshold Withdrawals strictly above this amount are queued
+     * @param delay Seconds queued withdrawals must wait (0 disables the timelock)
+     */
+    function setTimelock(address token, uint256 threshold, uint256 delay) external onlyInitialized onlyAdmin {
+        timelocks[token] = TimelockConfig(threshold, delay);
+        emit TimelockUpdated(token, threshold, delay, block.timestamp);
+    }
+
+    /**
+     * @dev Add a recipient to the allowlist
+     * It can receive withdrawals once the recipient cooldown has passed, so a recipient added
+     * with a compromised owner key can be removed before any funds reach it
+     * @param recipient Address to allow
+     * @param label Address book name, recorded in the RecipientAdded event
+     */
+    function addRecipient(address recipient, string calldata label) external onlyInitialized onlyOwner {
+        require(recipient != address(0), "SecureVault: invalid recipient");
+        require(recipientActiveAt[recipient] == 0, "SecureVault: recipient already listed");
+
+        uint256 activeAt = block.timestamp + getRecipientCooldown();
+        recipientActiveAt[recipient] = activeAt;
+        recipientList.push(recipient);
+        recipientListIndex[recipient] = recipientList.length;
+        emit RecipientAdded(recipient, label, activeAt, block.timestamp);
+    }
+
+    /**
+     * @dev Remove a recipient from the allowlist
+     * Withdrawals already queued for it were checked when they were authorized
+     * @param recipient Address to remove
+     */
+    function removeRecipient(address recipient) external onlyInitialized onlyOwner {
+        require(recipientActiveAt[recipient] != 0, "SecureVault: recipient not listed");
+
+        recipientActiveAt[recipient] = 0;
+
+        // Swap and pop
+        uint256 index = recipientListIndex[recipient];
+        address last = recipientList[recipientList.length - 1];
+        recipientList[index - 1] = last;
+        recipientListIndex[last] = index;
+        recipientList.pop();
+        delete recipientListIndex[recipient];
+
+        emit RecipientRemoved(recipient, block.timestamp);
+    }
+
+    /**
+     * @dev Set the cooldown of recipients added from now on
+     * @param cooldown Seconds before a new recipient can receive withdrawals
+     */
+    function setRecipientCooldown(uint256 cooldown) external onlyInitialized onlyOwner {
+        emit RecipientCooldownUpdated(getRecipientCooldown(), cooldown, block.timestamp);
+        recipientCooldown = cooldown;
+        recipientCooldownSet = true;
+    }
+
+    /**
+     * @dev Restrict withdrawals to allowlisted recipients past their cooldown, or lift the restriction
+     * @param enforced True to enforce the allowlist
+     */
+    function setAllowlistEnforced(bool enforced) external onlyInitialized onlyOwner {
+        allowlistEnforced = enforced;
+        emit AllowlistEnforcementUpdated(enforced, block.timestamp);
+    }
+
+    /**
+     * @dev Halt withdrawals and execution of queued withdrawals
+     */
+    function pause() external onlyInitialized onlyOwnerOrGuardian {
+        require(!paused, "SecureVault: already paused");
+
+        paused = true;
+        emit Paused(msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Resume withdrawals (owner only, so a guardian cannot undo its own pause)
+     */
+    function unpause() external onlyInitialized onlyOwner {
+        require(paused, "SecureVault: not paused");
+
+        paused = false;
+        emit Unpaused(msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Choose whether deposits are rejected while the vault is paused
+     * @param newPauseDeposits True to reject deposits while paused
+     */
+    function setPauseDeposits(bool newPauseDeposits) external onlyInitialized onlyAdmin {
+        pauseDeposits = newPauseDeposits;
+        emit PauseDepositsUpdated(newPauseDeposits, block.timestamp);
+    }
+
+    /**
+     * @dev Propose a new owner, who must call acceptOwnership to complete the transfer
+     * @param newOwner Proposed owner (address(0) cancels a pending transfer)
+     */
+    function transferOwnership(address newOwner) external onlyInitialized onlyOwner {
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner, block.timestamp);
+    }
+
+    /**
+     * @dev Accept a pending ownership transfer
+     */
+    function acceptOwnership() external onlyInitialized {
+        require(msg.sender == pendingOwner, "SecureVault: caller is not the pending owner");
+
+        emit OwnershipTransferred(owner, msg.sender, block.timestamp);
+        owner = msg.sender;
+        pendingOwner = address(0);
+    }
+
+    /**
+     * @dev Grant a role to an account
+     * @param role One of ADMIN_ROLE, GUARDIAN_ROLE or AUDITOR_ROLE
+     * @param account Account receiving the role
+     */
+    function grantRole(bytes32 role, address account) external onlyInitialized onlyOwner {
+        require(_isRole(role), "SecureVault: unknown role");
+        require(account != address(0), "SecureVault: invalid account");
+        require(!roles[role][account], "SecureVault: role already granted");
+
+        roles[role][account] = true;
+        emit RoleGranted(role, account, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Revoke a role from an account
+     * @param role Role identifier
+     * @param account Account losing the role
+     */
+    function revokeRole(bytes32 role, address account) external onlyInitialized onlyOwner {
+        _revokeRole(role, account);
+    }
+
+    /**
+     * @dev Give up a role held by the caller, e.g. when its key is retired
+     * @param role Role identifier
+     */
+    function renounceRole(bytes32 role) external onlyInitialized {
+        _revokeRole(role, msg.sender);
+    }
+
+    /**
+     * @dev Check whether an account was granted a role
+     * The owner passes every role check without being granted roles explicitly
+     * @param role Role identifier
+     * @param account Account to check
+     * @return bool True if the role was granted to the account
+     */
+    function hasRole(bytes32 role, address account) external view returns (bool) {
+        return roles[role][account];
     }
 
     /**
@@ -154,6 +1106,63 @@ contract SecureVault {
         return totalBalance;
     }
 
+    /**
+     * @dev Get the vault balance of an ERC-20 token
+     * @param token Address of the token contract
+     * @return uint256 Token balance of the vault
+     */
+    function getTokenBalance(address token) external view returns (uint256) {
+        return tokenBalances[token];
+    }
+
+    /**
+     * @dev Get the amount held beyond the accounted balance of an asset
+     * Accounted funds are the spendable balance plus funds reserved for queued withdrawals;
+     * anything above that arrived without a deposit (e.g. selfdestruct, coinbase rewards
+     * or direct token transfers). Returns 0 if the vault holds less than it accounts for.
+     * @param token Asset to check (address(0) for native currency)
+     * @return uint256 Unaccounted amount
+     */
+    function getSurplus(address token) public view returns (uint256) {
+        uint256 actual;
+        uint256 accounted = reservedBalances[token];
+        if (token == address(0)) {
+            actual = address(this).balance;
+            accounted += totalBalance;
+        } else {
+            actual = IERC20(token).balanceOf(address(this));
+            accounted += tokenBalances[token];
+        }
+
+        return actual > accounted ? actual - accounted : 0;
+    }
+
+    /**
+     * @dev Allowlisted recipients, pending or active
+     * @return address[] Recipient addresses, in no particular order
+     */
+    function getRecipients() external view returns (address[] memory) {
+        return recipientList;
+    }
+
+    /**
+     * @dev Cooldown applied to recipients added now
+     * @return uint256 Seconds before a new recipient can receive withdrawals
+     */
+    function getRecipientCooldown() public view returns (uint256) {
+        return recipientCooldown == 0 && !recipientCooldownSet ? DEFAULT_RECIPIENT_COOLDOWN : recipientCooldown;
+    }
+
+    /**
+     * @dev Whether withdrawals to a recipient are currently allowed
+     * @param recipient Address to check
+     * @return bool True if the allowlist is not enforced or the recipient is past its cooldown
+     */
+    function isRecipientAllowed(address recipient) external view returns (bool) {
+        uint256 activeAt = recipientActiveAt[recipient];
+        return !allowlistEnforced || (activeAt != 0 && block.timestamp >= activeAt);
+    }
+
     /**
      * @dev Check if contract is initialized
      * @return bool True if initialized
@@ -161,4 +1170,196 @@ contract SecureVault {
     function isInitialized() external view returns (bool) {
         return initialized;
     }
+
+    /**
+     * @dev Only the owner may upgrade the implementation behind the proxy
+     */
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+
+    /**
+     * @dev Remove a role from an account
+     */
+    function _revokeRole(bytes32 role, address account) internal {
+        require(roles[role][account], "SecureVault: role not granted");
+
+        roles[role][account] = false;
+        emit RoleRevoked(role, account, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Whether `role` is one of the roles defined by this contract
+     */
+    function _isRole(bytes32 role) internal pure returns (bool) {
+        return role == ADMIN_ROLE || role == GUARDIAN_ROLE || role == AUDITOR_ROLE;
+    }
+
+    /**
+     * @dev Whether an account is the owner or holds `role`
+     */
+    function _isOwnerOr(bytes32 role, address account) internal view returns (bool) {
+        return account == owner || roles[role][account];
+    }
+
+    /**
+     * @dev Reject recipients outside the allowlist while it is enforced
+     */
+    function _requireAllowedRecipient(address recipient) internal view {
+        if (!allowlistEnforced) {
+            return;
+        }
+        uint256 activeAt = recipientActiveAt[recipient];
+        require(activeAt != 0, "SecureVault: recipient not allowlisted");
+        require(block.timestamp >= activeAt, "SecureVault: recipient in cooldown");
+    }
+
+    /**
+     * @dev Accounted balance of an asset available for withdrawals
+     */
+    function _spendableBalance(address token) internal view returns (uint256) {
+        return token == address(0) ? totalBalance : tokenBalances[token];
+    }
+
+    /**
+     * @dev Deduct an amount from the accounted balance of an asset
+     */
+    function _debit(address token, uint256 amount) internal {
+        if (token == address(0)) {
+            totalBalance -= amount;
+        } else {
+            tokenBalances[token] -= amount;
+        }
+    }
+
+    /**
+     * @dev Deduct an authorized withdrawal from the accounting, then queue or pay it out
+     */
+    function _settle(
+        address token,
+        address recipient,
+        uint256 amount,
+        bytes32 authorizationId
+    ) internal {
+        // Update internal accounting BEFORE transferring funds
+        _debit(token, amount);
+
+        if (_queueIfTimelocked(token, recipient, amount, authorizationId)) {
+            return;
+        }
+
+        _payout(token, recipient, amount, authorizationId);
+    }
+
+    /**
+     * @dev Queue a withdrawal if it falls under the asset's timelock
+     * The amount must already be deducted from the spendable balance
+     * @return bool True if the withdrawal was queued instead of paid out
+     */
+    function _queueIfTimelocked(
+        address token,
+        address recipient,
+        uint256 amount,
+        bytes32 authorizationId
+    ) internal returns (bool) {
+        TimelockConfig storage timelock = timelocks[token];
+        if (timelock.delay == 0 || amount <= timelock.threshold) {
+            return false;
+        }
+
+        uint256 executableAt = block.timestamp + timelock.delay;
+        queuedWithdrawals[authorizationId] = QueuedWithdrawal(
+            token,
+            recipient,
+            amount,
+            executableAt,
+            QueueStatus.Queued
+        );
+        reservedBalances[token] += amount;
+
+        emit WithdrawalQueued(authorizationId, token, recipient, amount, executableAt, block.timestamp);
+        return true;
+    }
+
+    /**
+     * @dev Emit the withdrawal event and transfer funds to the recipient
+     * With the pull-payment fallback enabled, a failed transfer credits the recipient instead
+     * Accounting must already be updated
+     */
+    function _payout(
+        address token,
+        address recipient,
+        uint256 amount,
+        bytes32 authorizationId
+    ) internal {
+        bool pushed = pullPaymentFallback && _tryTransferOut(token, recipient, amount);
+        if (pullPaymentFallback && !pushed) {
+            // Credited funds stay reserved until claimed
+            pendingWithdrawals[token][recipient] += amount;
+            reservedBalances[token] += amount;
+            emit WithdrawalCredited(authorizationId, token, recipient, amount, block.timestamp);
+            return;
+        }
+
+        if (token == address(0)) {
+            // Emit withdrawal event for observability
+            emit Withdrawal(recipient, amount, authorizationId, totalBalance, block.timestamp);
+        } else {
+            emit TokenWithdrawal(token, recipient, amount, authorizationId, tokenBalances[token], block.timestamp);
+        }
+
+        if (!pushed) {
+            _transferOut(token, recipient, amount);
+        }
+    }
+
+    /**
+     * @dev Transfer native currency or tokens out of the vault
+     * Accounting must already be updated
+     */
+    function _transferOut(address token, address recipient, uint256 amount) internal {
+        if (token == address(0)) {
+            // Using low-level call for flexibility with recipient contracts
+            (bool success, ) = recipient.call{value: amount}("");
+            require(success, "SecureVault: fund transfer failed");
+        } else {
+            _callToken(token, abi.encodeWithSelector(IERC20.transfer.selector, recipient, amount));
+        }
+    }
+
+    /**
+     * @dev Attempt a transfer out of the vault without reverting
+     * Native transfers forward at most pushGasLimit gas and ignore return data, so a
+     * recipient can neither consume the caller's gas nor force a large memory copy
+     * @return success True if the recipient received the funds
+     */
+    function _tryTransferOut(address token, address recipient, uint256 amount) internal returns (bool success) {
+        if (token == address(0)) {
+            uint256 gasLimit = pushGasLimit;
+            assembly {
+                success := call(gasLimit, recipient, amount, 0, 0, 0, 0)
+            }
+            return success;
+        }
+
+        if (token.code.length == 0) {
+            return false;
+        }
+
+        bytes memory returndata;
+        (success, returndata) = token.call(abi.encodeWithSelector(IERC20.transfer.selector, recipient, amount));
+        return success && (returndata.length == 0 || (returndata.length == 32 && abi.decode(returndata, (bool))));
+    }
+
+    /**
+     * @dev Call a token transfer function with safe-transfer semantics
+     * Accepts tokens that return nothing, rejects calls that revert or return false
+     */
+    function _callToken(address token, bytes memory data) internal {
+        require(token.code.length > 0, "SecureVault: token is not a contract");
+
+        (bool success, bytes memory returndata) = token.call(data);
+        require(
+            success && (returndata.length == 0 || abi.decode(returndata, (bool))),
+            "SecureVault: token transfer failed"
+        );
+    }
 }
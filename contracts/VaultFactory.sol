@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./AuthorizationManager.sol";
+import "./SecureVault.sol";
+import "./proxy/ERC1967Proxy.sol";
+
+/**
+ * @title VaultFactory
+ * @dev Deploys and initializes an AuthorizationManager / SecureVault pair in one transaction
+ * Each contract is an ERC1967Proxy over a shared implementation, initialized in the
+ * proxy's constructor, so nobody can front-run initialize() to take ownership or
+ * point the vault at a malicious manager.
+ * The factory is the interim owner of both contracts and hands ownership to the
+ * caller through the two-step transfer; the caller must call acceptOwnership on each
+ * Further vaults sharing a deployed manager can be created with deployVault
+ */
+contract VaultFactory {
+    // A manager/vault pair deployed by this factory
+    struct Pair {
+        address authorizationManager;
+        address vault;
+        address owner;
+    }
+
+    // AuthorizationManager implementation behind every new manager proxy
+    address public immutable managerImplementation;
+
+    // SecureVault implementation behind every new vault proxy
+    address public immutable vaultImplementation;
+
+    // Every pair deployed, in deployment order
+    Pair[] private pairs;
+
+    /**
+     * @dev Emitted when a pair is deployed and initialized
+     * @param pairIndex Position of the pair in the factory's registry
+     * @param authorizationManager Address of the new AuthorizationManager proxy
+     * @param vault Address of the new SecureVault proxy
+     * @param owner Account the pair's ownership is being transferred to
+     * @param timestamp When the pair was deployed
+     */
+    event PairDeployed(
+        uint256 indexed pairIndex,
+        address indexed authorizationManager,
+        address indexed vault,
+        address owner,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a vault is deployed for an existing AuthorizationManager
+     * @param authorizationManager Manager the vault verifies authorizations with
+     * @param vault Address of the new SecureVault proxy
+     * @param owner Account the vault's ownership is being transferred to
+     * @param timestamp When the vault was deployed
+     */
+    event VaultDeployed(
+        address indexed authorizationManager,
+        address indexed vault,
+        address owner,
+        uint256 timestamp
+    );
+
+    /**
+     * @param _managerImplementation Deployed AuthorizationManager implementation
+     * @param _vaultImplementation Deployed SecureVault implementation
+     */
+    constructor(address _managerImplementation, address _vaultImplementation) {
+        require(_managerImplementation.code.length > 0, "VaultFactory: invalid manager implementation");
+        require(_vaultImplementation.code.length > 0, "VaultFactory: invalid vault implementation");
+
+        managerImplementation = _managerImplementation;
+        vaultImplementation = _vaultImplementation;
+    }
+
+    /**
+     * @dev Deploy, initialize and wire up a new manager/vault pair
+     * Registers the signers and threshold and the vault, then starts transferring
+     * ownership of both contracts to the caller
+     * @param signers Authorizer keys to register
+     * @param signerThreshold Approvals required per withdrawal
+     * @return manager The new AuthorizationManager
+     * @return vault The new SecureVault
+     */
+    function deployPair(address[] calldata signers, uint256 signerThreshold)
+        external
+        returns (AuthorizationManager manager, SecureVault vault)
+    {
+        manager = AuthorizationManager(
+            address(
+                new ERC1967Proxy(
+                    managerImplementation,
+                    abi.encodeWithSelector(AuthorizationManager.initialize.selector)
+                )
+            )
+        );
+
+        vault = _deployVault(address(manager));
+
+        for (uint256 i = 0; i < signers.length; i++) {
+            manager.addSigner(signers[i]);
+        }
+        if (signerThreshold != 1) {
+            manager.setThreshold(signerThreshold);
+        }
+        manager.registerVault(address(vault));
+
+        manager.transferOwnership(msg.sender);
+        vault.transferOwnership(msg.sender);
+
+        pairs.push(Pair(address(manager), address(vault), msg.sender));
+        emit PairDeployed(pairs.length - 1, address(manager), address(vault), msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Deploy and initialize a vault that shares an existing AuthorizationManager
+     * The factory cannot register the vault: the manager's owner or an admin must call
+     * registerVault. Ownership of the vault is being transferred to the caller, who must
+     * call acceptOwnership
+     * @param manager AuthorizationManager the vault verifies authorizations with
+     * @return vault The new SecureVault
+     */
+    function deployVault(address manager) external returns (SecureVault vault) {
+        require(manager.code.length > 0, "VaultFactory: invalid manager");
+
+        vault = _deployVault(manager);
+        vault.transferOwnership(msg.sender);
+
+        emit VaultDeployed(manager, address(vault), msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Number of pairs deployed by this factory
+     * @return uint256 Pair count
+     */
+    function pairCount() external view returns (uint256) {
+        return pairs.length;
+    }
+
+    /**
+     * @dev Get a deployed pair by index
+     * @param index Position in deployment order
+     * @return Pair The manager, vault and owner of the pair
+     */
+    function getPair(uint256 index) external view returns (Pair memory) {
+        return pairs[index];
+    }
+
+    /**
+     * @dev Deploy a vault proxy initialized with `manager` in its constructor
+     */
+    function _deployVault(address manager) internal returns (SecureVault) {
+        return SecureVault(
+            payable(
+                address(
+                    new ERC1967Proxy(
+                        vaultImplementation,
+                        abi.encodeWithSelector(SecureVault.initialize.selector, manager)
+                    )
+                )
+            )
+        );
+    }
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../AuthorizationManager.sol";
+
+/**
+ * @title AuthorizationManagerV2
+ * @dev Upgrade target used in tests; adds behaviour without changing the storage layout
+ */
+contract AuthorizationManagerV2 is AuthorizationManager {
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
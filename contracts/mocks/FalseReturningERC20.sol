@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./MockERC20.sol";
+
+/**
+ * @title FalseReturningERC20
+ * @dev ERC-20 whose transfers can be switched to return false without moving funds
+ */
+contract FalseReturningERC20 is MockERC20 {
+    bool public failTransfers;
+
+    constructor() MockERC20("False Token", "FALSE") {}
+
+    function setFailTransfers(bool _failTransfers) external {
+        failTransfers = _failTransfers;
+    }
+
+    function transfer(address to, uint256 amount) external override returns (bool) {
+        if (failTransfers) {
+            return false;
+        }
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external override returns (bool) {
+        if (failTransfers) {
+            return false;
+        }
+        require(allowance[from][msg.sender] >= amount, "MockERC20: insufficient allowance");
+        allowance[from][msg.sender] -= amount;
+        _transfer(from, to, amount);
+        return true;
+    }
+}
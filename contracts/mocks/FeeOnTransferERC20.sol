@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./MockERC20.sol";
+
+/**
+ * @title FeeOnTransferERC20
+ * @dev ERC-20 that burns a fee (in basis points) on every transfer
+ */
+contract FeeOnTransferERC20 is MockERC20 {
+    uint256 public immutable feeBasisPoints;
+
+    constructor(uint256 _feeBasisPoints) MockERC20("Fee Token", "FEE") {
+        feeBasisPoints = _feeBasisPoints;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 fee = (amount * feeBasisPoints) / 10_000;
+        super._transfer(from, to, amount);
+
+        // Burn the fee from the receiver
+        balanceOf[to] -= fee;
+        totalSupply -= fee;
+        emit Transfer(to, address(0), fee);
+    }
+}
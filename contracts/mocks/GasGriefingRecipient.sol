@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title GasGriefingRecipient
+ * @dev Withdrawal recipient that burns all gas it is given when receiving native currency
+ */
+contract GasGriefingRecipient {
+    uint256 public counter;
+
+    receive() external payable {
+        while (true) {
+            counter++;
+        }
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./MockERC20.sol";
+import "./ReentrantRecipient.sol";
+
+/**
+ * @title ReentrantERC20
+ * @dev ERC-20 with ERC-777-style transfer hooks: transfers from or to the registered hook
+ * account call it back before balances move
+ */
+contract ReentrantERC20 is MockERC20 {
+    address public hook;
+
+    constructor() MockERC20("Hook Token", "HOOK") {}
+
+    function setHook(address _hook) external {
+        hook = _hook;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal override {
+        if (hook != address(0) && (from == hook || to == hook)) {
+            ReentrantRecipient(payable(hook)).onTokenTransfer();
+        }
+        super._transfer(from, to, amount);
+    }
+}
@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title ReentrantRecipient
+ * @dev Malicious withdrawal recipient that calls back into a target (normally the vault) when it
+ * receives native currency or a ReentrantERC20 hook fires, and records how the call ended
+ */
+contract ReentrantRecipient {
+    // Call to make on the next callback; cleared once made
+    address public target;
+    bytes public data;
+    uint256 public value;
+
+    // Outcome of the last reentrant call
+    bool public attempted;
+    bool public succeeded;
+    bytes public returndata;
+
+    function arm(address _target, bytes calldata _data, uint256 _value) external {
+        target = _target;
+        data = _data;
+        value = _value;
+        attempted = false;
+        succeeded = false;
+        delete returndata;
+    }
+
+    // Let the test act as this contract (approve tokens, deposit, claim)
+    function execute(address _target, bytes calldata _data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = _target.call{value: msg.value}(_data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    // Called by ReentrantERC20 on transfers from or to this contract
+    function onTokenTransfer() external {
+        _reenter();
+    }
+
+    receive() external payable {
+        _reenter();
+    }
+
+    function _reenter() internal {
+        address callTarget = target;
+        if (callTarget == address(0)) {
+            return;
+        }
+        target = address(0);
+
+        attempted = true;
+        (succeeded, returndata) = callTarget.call{value: value}(data);
+    }
+}
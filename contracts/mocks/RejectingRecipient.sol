@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../SecureVault.sol";
+
+/**
+ * @title RejectingRecipient
+ * @dev Withdrawal recipient that rejects native currency and claims its credits elsewhere
+ */
+contract RejectingRecipient {
+    receive() external payable {
+        revert("RejectingRecipient: rejected");
+    }
+
+    function claim(SecureVault vault, address token, address to) external {
+        vault.claimPendingWithdrawal(token, to);
+    }
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../SecureVault.sol";
+
+/**
+ * @title SecureVaultV2
+ * @dev Upgrade target used in tests; adds behaviour without changing the storage layout
+ */
+contract SecureVaultV2 is SecureVault {
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title ERC1967Proxy
+ * @dev Minimal proxy that delegates every call to an implementation stored in the
+ * EIP-1967 implementation slot. Upgrades are performed by the implementation
+ * itself (UUPS), so the proxy has no admin functions of its own
+ */
+contract ERC1967Proxy {
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT =
+        0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    /**
+     * @dev Emitted when the implementation is set
+     * @param implementation Address of the implementation
+     * @param timestamp When the implementation was set
+     */
+    event Upgraded(address indexed implementation, uint256 timestamp);
+
+    /**
+     * @dev Set the implementation and run its initializer in the deploying transaction,
+     * so initialization cannot be front-run
+     * @param implementation Address of the initial implementation
+     * @param data Initializer call (empty to skip)
+     */
+    constructor(address implementation, bytes memory data) payable {
+        require(implementation.code.length > 0, "ERC1967Proxy: implementation is not a contract");
+
+        assembly {
+            sstore(IMPLEMENTATION_SLOT, implementation)
+        }
+        emit Upgraded(implementation, block.timestamp);
+
+        if (data.length > 0) {
+            (bool success, bytes memory returndata) = implementation.delegatecall(data);
+            if (!success) {
+                assembly {
+                    revert(add(returndata, 32), mload(returndata))
+                }
+            }
+        }
+    }
+
+    fallback() external payable {
+        _delegate();
+    }
+
+    receive() external payable {
+        _delegate();
+    }
+
+    /**
+     * @dev Forward the current call to the implementation and bubble up its result
+     */
+    function _delegate() private {
+        assembly {
+            let implementation := sload(IMPLEMENTATION_SLOT)
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), implementation, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
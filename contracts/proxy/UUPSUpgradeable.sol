@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title UUPSUpgradeable
+ * @dev Upgrade logic for implementations deployed behind an ERC1967Proxy
+ * Declares no storage variables, so inheriting it does not shift the storage layout.
+ * Inheriting contracts gate upgrades by implementing _authorizeUpgrade
+ */
+abstract contract UUPSUpgradeable {
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT =
+        0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    // Address of this implementation, used to tell proxied calls from direct ones
+    address private immutable self = address(this);
+
+    /**
+     * @dev Emitted when the proxy is pointed at a new implementation
+     * @param implementation Address of the new implementation
+     * @param timestamp When the upgrade happened
+     */
+    event Upgraded(address indexed implementation, uint256 timestamp);
+
+    // Only allows calls made through a proxy that currently points at this implementation
+    modifier onlyProxy() {
+        require(
+            address(this) != self && _getImplementation() == self,
+            "UUPSUpgradeable: must be called through a proxy"
+        );
+        _;
+    }
+
+    /**
+     * @dev Point the proxy at a new implementation
+     * @param newImplementation Address of the new implementation
+     */
+    function upgradeTo(address newImplementation) external onlyProxy {
+        _authorizeUpgrade(newImplementation);
+        _upgradeTo(newImplementation);
+    }
+
+    /**
+     * @dev Point the proxy at a new implementation and call it, e.g. to run a migration
+     * @param newImplementation Address of the new implementation
+     * @param data Call to make on the new implementation
+     */
+    function upgradeToAndCall(address newImplementation, bytes calldata data) external onlyProxy {
+        _authorizeUpgrade(newImplementation);
+        _upgradeTo(newImplementation);
+
+        (bool success, bytes memory returndata) = address(this).delegatecall(data);
+        if (!success) {
+            assembly {
+                revert(add(returndata, 32), mload(returndata))
+            }
+        }
+    }
+
+    /**
+     * @dev Identifies this contract as a UUPS implementation (EIP-1822)
+     * Reverts through a proxy so a proxy can never be used as an implementation
+     * @return bytes32 The storage slot holding the implementation address
+     */
+    function proxiableUUID() external view returns (bytes32) {
+        require(address(this) == self, "UUPSUpgradeable: must not be called through a proxy");
+        return IMPLEMENTATION_SLOT;
+    }
+
+    /**
+     * @dev Current implementation of the proxy (address(0) when not called through a proxy)
+     * @return address The implementation address
+     */
+    function implementation() external view returns (address) {
+        return _getImplementation();
+    }
+
+    /**
+     * @dev Revert unless the caller may upgrade to `newImplementation`
+     */
+    function _authorizeUpgrade(address newImplementation) internal virtual;
+
+    /**
+     * @dev Read the implementation slot
+     */
+    function _getImplementation() internal view returns (address impl) {
+        assembly {
+            impl := sload(IMPLEMENTATION_SLOT)
+        }
+    }
+
+    /**
+     * @dev Store a new implementation after checking it is itself upgradeable,
+     * so an upgrade can never leave the proxy without a way to upgrade again
+     */
+    function _upgradeTo(address newImplementation) private {
+        require(newImplementation.code.length > 0, "UUPSUpgradeable: implementation is not a contract");
+
+        try UUPSUpgradeable(newImplementation).proxiableUUID() returns (bytes32 slot) {
+            require(slot == IMPLEMENTATION_SLOT, "UUPSUpgradeable: unsupported proxiable UUID");
+        } catch {
+            revert("UUPSUpgradeable: implementation is not UUPS");
+        }
+
+        assembly {
+            sstore(IMPLEMENTATION_SLOT, newImplementation)
+        }
+        emit Upgraded(newImplementation, block.timestamp);
+    }
+}
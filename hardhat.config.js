@@ -1,5 +1,4 @@
 require("@nomicfoundation/hardhat-toolbox");
-require("@nomiclabs/hardhat-ethers");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 const config = {
@@ -10,6 +9,12 @@ const config = {
         enabled: true,
         runs: 200,
       },
+      // Storage layouts are recorded on deployment and checked by scripts/upgrade.js
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
     },
   },
   networks: {
@@ -20,6 +25,13 @@ const config = {
       url: "http://localhost:8545",
       chainId: 31337,
     },
+    // Any other chain: DEPLOY_RPC_URL=... DEPLOYER_PRIVATE_KEY=... npx hardhat run scripts/deploy.js --network remote
+    ...(process.env.DEPLOY_RPC_URL && {
+      remote: {
+        url: process.env.DEPLOY_RPC_URL,
+        ...(process.env.DEPLOYER_PRIVATE_KEY && { accounts: [process.env.DEPLOYER_PRIVATE_KEY] }),
+      },
+    }),
   },
   paths: {
     sources: "./contracts",
@@ -30,6 +42,10 @@ const config = {
   mocha: {
     timeout: 40000,
   },
+  // Per-function gas usage table: REPORT_GAS=true npm test
+  gasReporter: {
+    enabled: process.env.REPORT_GAS !== undefined,
+  },
 };
 
 module.exports = config;
@@ -0,0 +1,68 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { DEFAULT_CONFIRMATIONS, VaultIndexer } = require("./indexer");
+const { EventStore } = require("./store");
+
+/**
+ * Build the indexer for the deployed pair from the environment
+ *
+ * Environment:
+ *   RPC_URL               - JSON-RPC endpoint (defaults to http://localhost:8545)
+ *   AUTHORIZATION_MANAGER - AuthorizationManager address (defaults to the deployment file)
+ *   VAULT                 - SecureVault address (defaults to the deployment file)
+ *   FROM_BLOCK            - first block to index (defaults to the deployment block)
+ *   CONFIRMATIONS         - confirmation depth (defaults to 12; use 0 on a local node)
+ *   INDEX_PATH            - JSON index (defaults to deployments/index-<chainId>.json)
+ *
+ * @returns {Promise<{provider: import("ethers").Provider, indexer: VaultIndexer, store: EventStore,
+ *          indexPath: string, authorizationManager: string, vault: string}>}
+ */
+async function loadIndexer() {
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://localhost:8545");
+  const { chainId } = await provider.getNetwork();
+
+  const deploymentsDir = path.join(__dirname, "..", "deployments");
+  const deploymentFile = path.join(deploymentsDir, `deployment-${chainId}.json`);
+  let deployment = { contracts: {} };
+  if (fs.existsSync(deploymentFile)) {
+    deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+  }
+  const { contracts } = deployment;
+
+  const authorizationManager =
+    process.env.AUTHORIZATION_MANAGER || (contracts.AuthorizationManager || {}).address;
+  const vault = process.env.VAULT || (contracts.SecureVault || {}).address;
+  if (!authorizationManager || !vault) {
+    throw new Error(`Set AUTHORIZATION_MANAGER and VAULT, or deploy first (${deploymentFile})`);
+  }
+
+  const indexPath = process.env.INDEX_PATH || path.join(deploymentsDir, `index-${chainId}.json`);
+  const store = new EventStore(indexPath);
+  const indexer = new VaultIndexer({
+    provider,
+    authorizationManager,
+    vault,
+    store,
+    fromBlock: Number(process.env.FROM_BLOCK || deployment.blockNumber || 0),
+    confirmations: Number(process.env.CONFIRMATIONS ?? DEFAULT_CONFIRMATIONS),
+  });
+
+  return { provider, indexer, store, indexPath, authorizationManager, vault };
+}
+
+/**
+ * Sync the index and log the range covered
+ * @param {VaultIndexer} indexer
+ * @param {string} indexPath Index file, for the log line
+ */
+async function syncIndex(indexer, indexPath) {
+  const { fromBlock, toBlock, events } = await indexer.sync();
+  if (fromBlock > toBlock) {
+    console.log(`No new confirmed blocks (${indexPath})`);
+  } else {
+    console.log(`Indexed blocks ${fromBlock}-${toBlock}: ${events} events (${indexPath})`);
+  }
+}
+
+module.exports = { loadIndexer, syncIndex };
@@ -0,0 +1,39 @@
+const { ethers } = require("ethers");
+const { loadIndexer, syncIndex } = require("./config");
+
+/**
+ * Entry point of the event indexer
+ *
+ * Syncs the index up to the confirmed chain head, then prints per-recipient
+ * withdrawal totals and any withdrawal whose authorization consumption is
+ * missing. Exits with status 1 if such a withdrawal is found. Rerunning
+ * resumes from the checkpoint stored in the index.
+ *
+ * Configured through the environment, see config.js.
+ */
+async function main() {
+  const { indexer, store, indexPath } = await loadIndexer();
+  await syncIndex(indexer, indexPath);
+
+  console.log("\nWithdrawals per recipient:");
+  for (const { recipient, token, count, total } of store.recipientTotals()) {
+    const asset = token === ethers.ZeroAddress ? "native" : token;
+    console.log(`  ${recipient}  ${asset}  ${count} withdrawal(s), total ${total}`);
+  }
+
+  const missing = store.missingConsumptions();
+  if (missing.length > 0) {
+    console.error(`\n✗ ${missing.length} withdrawal(s) without a matching authorization consumption:`);
+    for (const { args, blockNumber, transactionHash } of missing) {
+      console.error(`  ${args.authorizationId} (block ${blockNumber}, tx ${transactionHash})`);
+    }
+    process.exitCode = 1;
+  } else {
+    console.log("\n✓ Every withdrawal has a matching authorization consumption");
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
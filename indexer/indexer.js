@@ -0,0 +1,144 @@
+const { ethers } = require("ethers");
+
+/**
+ * Event indexer for one AuthorizationManager / SecureVault pair
+ *
+ * Walks blocks from the deployment block (or the last checkpoint) up to the
+ * chain head minus the confirmation depth, decodes the events below and hands
+ * them to an EventStore in chain order. Blocks within the confirmation depth
+ * are never indexed, so reorganizations shallower than the depth cannot leave
+ * orphaned events in the store; a deeper reorganization is detected from the
+ * checkpoint's block hash and aborts the sync.
+ */
+
+// Events indexed, by emitting contract
+const INDEXED_ABI = [
+  // SecureVault
+  "event VaultInitialized(address indexed owner, address indexed authorizationManagerAddress, uint256 timestamp)",
+  "event Deposit(address indexed depositor, uint256 amount, uint256 newBalance, uint256 timestamp)",
+  "event Withdrawal(address indexed recipient, uint256 amount, bytes32 indexed authorizationId, uint256 newBalance, uint256 timestamp)",
+  "event TokenDeposit(address indexed token, address indexed depositor, uint256 amount, uint256 newBalance, uint256 timestamp)",
+  "event TokenWithdrawal(address indexed token, address indexed recipient, uint256 amount, bytes32 indexed authorizationId, uint256 newBalance, uint256 timestamp)",
+  "event SurplusSwept(address indexed token, address indexed recipient, uint256 amount, bytes32 indexed authorizationId, uint256 timestamp)",
+  "event RelayFeePaid(bytes32 indexed authorizationId, address indexed token, address indexed relayer, uint256 fee, uint256 timestamp)",
+  "event WithdrawalCredited(bytes32 indexed authorizationId, address indexed token, address indexed recipient, uint256 amount, uint256 timestamp)",
+  "event PendingWithdrawalClaimed(address indexed token, address indexed recipient, address to, uint256 amount, uint256 timestamp)",
+  // AuthorizationManager
+  "event Initialized(address indexed owner, uint256 timestamp)",
+  "event AuthorizationConsumed(address indexed vaultAddress, address token, address indexed recipient, uint256 amount, bytes32 indexed authorizationId, uint256 timestamp)",
+];
+
+// Default number of blocks a log must be buried under before it is indexed
+const DEFAULT_CONFIRMATIONS = 12;
+
+// Default number of blocks requested per eth_getLogs call
+const DEFAULT_BATCH_SIZE = 2000;
+
+class VaultIndexer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Provider} options.provider
+   * @param {string} options.authorizationManager AuthorizationManager address
+   * @param {string} options.vault SecureVault address
+   * @param {import("./store").EventStore} options.store Store to index into
+   * @param {number} [options.fromBlock] Block to start from when the store is empty (the deployment block)
+   * @param {number} [options.confirmations] Confirmation depth
+   * @param {number} [options.batchSize] Blocks per eth_getLogs call
+   */
+  constructor({
+    provider,
+    authorizationManager,
+    vault,
+    store,
+    fromBlock = 0,
+    confirmations = DEFAULT_CONFIRMATIONS,
+    batchSize = DEFAULT_BATCH_SIZE,
+  }) {
+    this.provider = provider;
+    this.addresses = [authorizationManager, vault];
+    this.store = store;
+    this.fromBlock = fromBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.iface = new ethers.Interface(INDEXED_ABI);
+  }
+
+  /**
+   * Index every confirmed block after the checkpoint
+   *
+   * Each batch is persisted with its checkpoint, so an interrupted sync
+   * resumes from the last completed batch.
+   *
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number}>}
+   *          Range indexed (empty when fromBlock > toBlock) and number of events stored
+   */
+  async sync() {
+    const start = await this.resumeBlock();
+    const head = await this.provider.getBlockNumber();
+    const end = head - this.confirmations;
+
+    let events = 0;
+    for (let from = start; from <= end; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, end);
+      const logs = await this.provider.getLogs({
+        address: this.addresses,
+        topics: [this.iface.fragments.map((fragment) => fragment.topicHash)],
+        fromBlock: from,
+        toBlock: to,
+      });
+
+      const records = logs.map((log) => this.decode(log));
+      const block = await this.provider.getBlock(to);
+      this.store.append(records, { blockNumber: to, blockHash: block.hash });
+      events += records.length;
+    }
+
+    return { fromBlock: start, toBlock: end, events };
+  }
+
+  /**
+   * First block to index, after checking the checkpoint is still canonical
+   * @returns {Promise<number>}
+   */
+  async resumeBlock() {
+    const { checkpoint } = this.store;
+    if (!checkpoint) {
+      return this.fromBlock;
+    }
+
+    const block = await this.provider.getBlock(checkpoint.blockNumber);
+    if (!block || block.hash !== checkpoint.blockHash) {
+      throw new Error(
+        `Block ${checkpoint.blockNumber} was reorganized out after being indexed ` +
+          `(deeper than ${this.confirmations} confirmations); rebuild the index`
+      );
+    }
+    return checkpoint.blockNumber + 1;
+  }
+
+  /**
+   * Decode a log into an event record
+   * @param {import("ethers").Log} log
+   */
+  decode(log) {
+    const parsed = this.iface.parseLog(log);
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      const value = parsed.args[i];
+      args[input.name] = typeof value === "bigint" ? value.toString() : value;
+    });
+
+    return {
+      event: parsed.name,
+      address: log.address,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      args,
+    };
+  }
+}
+
+module.exports = { VaultIndexer, INDEXED_ABI, DEFAULT_CONFIRMATIONS };
@@ -0,0 +1,108 @@
+const { ethers } = require("ethers");
+
+/**
+ * Balance reconciliation between indexed events and on-chain vault state
+ *
+ * For each asset the vault has seen (native currency plus every token with a
+ * TokenDeposit), three balances are compared at the index checkpoint block:
+ *
+ *   expected  - deposits minus withdrawals, claims and relayer fees, from the indexed events
+ *   accounted - the vault's spendable balance plus funds reserved for queued or credited withdrawals
+ *   actual    - what the vault really holds (address balance or token balanceOf)
+ *
+ * `drift` (accounted - expected) must be zero: any other value means the
+ * vault's accounting moved without a matching event. `surplus`
+ * (actual - accounted) is positive for forced ETH or direct token transfers,
+ * which SecureVault.sweepSurplus can recover, and negative if the vault holds
+ * less than it accounts for.
+ */
+
+// Subset of the SecureVault ABI read during reconciliation
+const VAULT_ABI = [
+  "function totalBalance() view returns (uint256)",
+  "function tokenBalances(address token) view returns (uint256)",
+  "function reservedBalances(address token) view returns (uint256)",
+];
+
+const ERC20_ABI = ["function balanceOf(address account) view returns (uint256)"];
+
+/**
+ * Sum the `amount` argument of indexed events
+ */
+function sumAmounts(records) {
+  return records.reduce((total, { args }) => total + BigInt(args.amount), 0n);
+}
+
+/**
+ * Reconcile the indexed history of a vault with its on-chain balances
+ *
+ * @param {object} options
+ * @param {import("ethers").Provider} options.provider
+ * @param {string} options.vault SecureVault address
+ * @param {import("./store").EventStore} options.store Synced event store of the vault
+ * @returns {Promise<{blockNumber: number, ok: boolean, assets: object[]}>} One entry per asset with
+ *          token, deposited, withdrawn, swept, expected, accounted, actual, surplus, drift (decimal
+ *          strings) and ok (no drift and no shortfall)
+ */
+async function reconcile({ provider, vault, store }) {
+  const { checkpoint } = store;
+  if (!checkpoint) {
+    throw new Error("The index is empty; sync it before reconciling");
+  }
+
+  const blockTag = checkpoint.blockNumber;
+  const vaultContract = new ethers.Contract(vault, VAULT_ABI, provider);
+  const events = (event, token) =>
+    store
+      .query({ event, address: vault })
+      .filter(({ args }) => token === undefined || args.token.toLowerCase() === token.toLowerCase());
+
+  const tokens = [];
+  for (const { args } of events("TokenDeposit")) {
+    if (!tokens.some((token) => token.toLowerCase() === args.token.toLowerCase())) {
+      tokens.push(args.token);
+    }
+  }
+
+  const assets = [];
+  for (const token of [ethers.ZeroAddress, ...tokens]) {
+    const native = token === ethers.ZeroAddress;
+
+    const deposited = sumAmounts(native ? events("Deposit") : events("TokenDeposit", token));
+    // Credited withdrawals stay in the vault, reserved, until they are claimed
+    const withdrawn =
+      sumAmounts(native ? events("Withdrawal") : events("TokenWithdrawal", token)) +
+      sumAmounts(events("PendingWithdrawalClaimed", token)) +
+      events("RelayFeePaid", token).reduce((total, { args }) => total + BigInt(args.fee), 0n);
+    const swept = sumAmounts(events("SurplusSwept", token));
+    const expected = deposited - withdrawn;
+
+    const spendable = native
+      ? await vaultContract.totalBalance({ blockTag })
+      : await vaultContract.tokenBalances(token, { blockTag });
+    const accounted = spendable + (await vaultContract.reservedBalances(token, { blockTag }));
+    const actual = native
+      ? await provider.getBalance(vault, blockTag)
+      : await new ethers.Contract(token, ERC20_ABI, provider).balanceOf(vault, { blockTag });
+
+    const surplus = actual - accounted;
+    const drift = accounted - expected;
+
+    assets.push({
+      token,
+      deposited: deposited.toString(),
+      withdrawn: withdrawn.toString(),
+      swept: swept.toString(),
+      expected: expected.toString(),
+      accounted: accounted.toString(),
+      actual: actual.toString(),
+      surplus: surplus.toString(),
+      drift: drift.toString(),
+      ok: drift === 0n && surplus >= 0n,
+    });
+  }
+
+  return { blockNumber: blockTag, ok: assets.every((asset) => asset.ok), assets };
+}
+
+module.exports = { reconcile };
@@ -0,0 +1,44 @@
+const { ethers } = require("ethers");
+const { loadIndexer, syncIndex } = require("./config");
+const { reconcile } = require("./reconcile");
+
+/**
+ * Balance reconciliation report
+ *
+ * Syncs the index, then compares the balances implied by the indexed events
+ * with the vault's accounting and its actual holdings at the checkpoint
+ * block. Exits with status 1 on accounting drift or a shortfall; a surplus
+ * (forced ETH, direct token transfers) is reported but is not an error.
+ *
+ * Configured through the environment, see config.js.
+ */
+async function main() {
+  const { provider, indexer, store, indexPath, vault } = await loadIndexer();
+  await syncIndex(indexer, indexPath);
+
+  const report = await reconcile({ provider, vault, store });
+
+  console.log(`\nReconciliation of ${vault} at block ${report.blockNumber}:`);
+  for (const asset of report.assets) {
+    const name = asset.token === ethers.ZeroAddress ? "native" : asset.token;
+    console.log(`\n${asset.ok ? "✓" : "✗"} ${name}`);
+    console.log(`  Deposited:  ${asset.deposited}`);
+    console.log(`  Withdrawn:  ${asset.withdrawn}`);
+    console.log(`  Swept:      ${asset.swept}`);
+    console.log(`  Expected:   ${asset.expected} (from events)`);
+    console.log(`  Accounted:  ${asset.accounted} (vault accounting)`);
+    console.log(`  Actual:     ${asset.actual} (held by the vault)`);
+    console.log(`  Surplus:    ${asset.surplus}`);
+    console.log(`  Drift:      ${asset.drift}`);
+  }
+
+  if (!report.ok) {
+    console.error("\n✗ Vault accounting does not reconcile");
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
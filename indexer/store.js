@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+
+// Token address of native-currency withdrawals
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * File-backed store of indexed vault events
+ *
+ * The store is a single JSON document holding the decoded events in chain
+ * order and the checkpoint (last indexed block number and hash). Events and
+ * checkpoint are written together, atomically (temporary file, then rename),
+ * so an interrupted run resumes exactly where the last persisted batch ended.
+ *
+ * Event records have the shape
+ *   { event, address, blockNumber, blockHash, transactionHash, logIndex, args }
+ * where `args` holds the named event arguments, with integers as decimal strings.
+ */
+class EventStore {
+  /**
+   * @param {string} filePath JSON file to persist to (created on first write)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = { checkpoint: null, events: [] };
+
+    if (fs.existsSync(filePath)) {
+      this.data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    }
+  }
+
+  /**
+   * Last indexed block, or null if nothing has been indexed yet
+   * @returns {{blockNumber: number, blockHash: string}|null}
+   */
+  get checkpoint() {
+    return this.data.checkpoint;
+  }
+
+  /**
+   * Append the events of a block range and advance the checkpoint
+   * @param {object[]} events Event records, in chain order
+   * @param {{blockNumber: number, blockHash: string}} checkpoint Last block of the range
+   */
+  append(events, checkpoint) {
+    this.data.events.push(...events);
+    this.data.checkpoint = checkpoint;
+    this.persist();
+  }
+
+  /**
+   * Indexed events, optionally filtered
+   * @param {{event?: string, address?: string, fromBlock?: number, toBlock?: number}} filter
+   * @returns {object[]}
+   */
+  query({ event, address, fromBlock = 0, toBlock = Infinity } = {}) {
+    return this.data.events.filter(
+      (record) =>
+        (event === undefined || record.event === event) &&
+        (address === undefined || record.address.toLowerCase() === address.toLowerCase()) &&
+        record.blockNumber >= fromBlock &&
+        record.blockNumber <= toBlock
+    );
+  }
+
+  /**
+   * Native and token withdrawals as { address, token, recipient, amount, authorizationId, record }
+   */
+  withdrawals() {
+    return this.data.events
+      .filter((record) => record.event === "Withdrawal" || record.event === "TokenWithdrawal")
+      .map((record) => ({
+        address: record.address,
+        token: record.args.token ?? ZERO_ADDRESS,
+        recipient: record.args.recipient,
+        amount: record.args.amount,
+        authorizationId: record.args.authorizationId,
+        record,
+      }));
+  }
+
+  /**
+   * Total withdrawn per recipient and asset, in order of first withdrawal
+   * @returns {{recipient: string, token: string, count: number, total: string}[]}
+   */
+  recipientTotals() {
+    const totals = new Map();
+    for (const { token, recipient, amount } of this.withdrawals()) {
+      const key = `${recipient.toLowerCase()}:${token.toLowerCase()}`;
+      const entry = totals.get(key) || { recipient, token, count: 0, total: 0n };
+      entry.count += 1;
+      entry.total += BigInt(amount);
+      totals.set(key, entry);
+    }
+
+    return [...totals.values()].map((entry) => ({ ...entry, total: entry.total.toString() }));
+  }
+
+  /**
+   * Withdrawals with no AuthorizationConsumed event for the same authorization ID,
+   * vault, asset, recipient and amount
+   *
+   * Every legitimate withdrawal consumes its authorization on the manager first
+   * (in the same transaction, or when it was queued behind the timelock), so any
+   * withdrawal returned here was paid out without the indexed manager approving it.
+   * Relayed withdrawals pay out the amount net of the relayer fee, so the fee paid
+   * under the same authorization is added back before matching.
+   *
+   * @returns {object[]} Withdrawal event records
+   */
+  missingConsumptions() {
+    const consumed = new Set(
+      this.query({ event: "AuthorizationConsumed" }).map(({ args }) =>
+        consumptionKey(args.authorizationId, args.vaultAddress, args.token, args.recipient, args.amount)
+      )
+    );
+
+    const fees = new Map(
+      this.query({ event: "RelayFeePaid" }).map(({ address, args }) => [
+        `${address}:${args.authorizationId}`.toLowerCase(),
+        BigInt(args.fee),
+      ])
+    );
+
+    return this.withdrawals()
+      .filter(({ authorizationId, address, token, recipient, amount }) => {
+        const fee = fees.get(`${address}:${authorizationId}`.toLowerCase()) || 0n;
+        const authorized = (BigInt(amount) + fee).toString();
+        return !consumed.has(consumptionKey(authorizationId, address, token, recipient, authorized));
+      })
+      .map(({ record }) => record);
+  }
+
+  /**
+   * Write the store to disk atomically
+   */
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpFile = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpFile, this.filePath);
+  }
+}
+
+/**
+ * Key identifying one consumption, for matching withdrawals to AuthorizationConsumed events
+ */
+function consumptionKey(authorizationId, vault, token, recipient, amount) {
+  return [authorizationId, vault, token, recipient, amount].join(":").toLowerCase();
+}
+
+module.exports = { EventStore };
@@ -0,0 +1,74 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createRelayer } = require("./server");
+
+/**
+ * Entry point of the withdrawal relayer
+ *
+ * Environment:
+ *   RPC_URL             - JSON-RPC endpoint (defaults to http://localhost:8545)
+ *   RELAYER_PRIVATE_KEY - key that submits withdrawals, pays gas and receives fees
+ *   VAULT               - SecureVault address (defaults to the deployment file)
+ *   RELAYER_MIN_FEE     - smallest ETH fee accepted, in wei (defaults to 0)
+ *   RELAYER_MIN_FEES    - comma-separated token:fee pairs, the smallest fee accepted per ERC-20 token
+ *                         in its base unit; other tokens are refused unless RELAYER_MIN_FEE is 0
+ *   HOST                - interface to listen on (defaults to 127.0.0.1)
+ *   PORT                - port to listen on (defaults to 3001)
+ */
+
+/**
+ * Parse comma-separated token:fee pairs into a map of token address to fee
+ */
+function parseMinFees(value) {
+  const minFees = {};
+  for (const entry of (value || "").split(",").map((pair) => pair.trim()).filter(Boolean)) {
+    const [token, fee] = entry.split(":");
+    if (!ethers.isAddress(token) || !/^\d+$/.test(fee || "")) {
+      throw new Error(`RELAYER_MIN_FEES entry "${entry}" must be <token address>:<fee>`);
+    }
+    minFees[ethers.getAddress(token)] = BigInt(fee);
+  }
+  return minFees;
+}
+async function main() {
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://localhost:8545");
+  const { chainId } = await provider.getNetwork();
+
+  if (!process.env.RELAYER_PRIVATE_KEY) {
+    throw new Error("RELAYER_PRIVATE_KEY is required");
+  }
+  const signer = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+
+  const deploymentFile = path.join(__dirname, "..", "deployments", `deployment-${chainId}.json`);
+  let contracts = {};
+  if (fs.existsSync(deploymentFile)) {
+    ({ contracts } = JSON.parse(fs.readFileSync(deploymentFile, "utf8")));
+  }
+
+  const vault = process.env.VAULT || (contracts.SecureVault || {}).address;
+  if (!vault) {
+    throw new Error(`Set VAULT, or deploy first (${deploymentFile})`);
+  }
+
+  const minFee = BigInt(process.env.RELAYER_MIN_FEE || 0);
+  const minFees = parseMinFees(process.env.RELAYER_MIN_FEES);
+  const server = createRelayer({ signer, vault, minFee, minFees });
+
+  const port = Number(process.env.PORT || 3001);
+  const host = process.env.HOST || "127.0.0.1";
+  server.listen(port, host, () => {
+    console.log(`Relayer listening on ${host}:${port}`);
+    console.log(`SecureVault: ${vault}`);
+    console.log(`Relayer: ${signer.address}`);
+    console.log(`Minimum ETH fee: ${minFee} wei`);
+    for (const [token, fee] of Object.entries(minFees)) {
+      console.log(`Minimum fee in ${token}: ${fee}`);
+    }
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
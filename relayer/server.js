@@ -0,0 +1,170 @@
+const { ethers } = require("ethers");
+const {
+  HttpError,
+  createJsonServer,
+  parseAddress,
+  parseUint,
+  readJson,
+  revertReason,
+  toJson,
+} = require("../service/http");
+
+/**
+ * HTTP relayer for gasless withdrawals
+ *
+ * Recipients without gas hand a relayed authorization (as issued by the
+ * authorization service, or built with collectRelayedSignatures) to the
+ * relayer, which submits SecureVault.withdrawRelayed from its own key and
+ * collects the fee bound in the authorization.
+ *
+ * Endpoints:
+ *   POST /relay   - submit { token?, recipient, amount, fee, relayer?, authorizationId, nonce,
+ *                   validAfter, validUntil, signatures }
+ *   GET  /health  - relayer configuration
+ *
+ * Authorizations whose fee is below the relayer's minimum, that are bound to
+ * another relayer, or whose submission would revert are refused with 422
+ * before any gas is spent.
+ *
+ * Fees are paid in the withdrawn asset, so minimums are set per asset in its
+ * own base unit: `minFee` for ETH and `minFees` for each ERC-20 token. A token
+ * without a minimum is relayed only when `minFee` is 0 (the relayer is free);
+ * otherwise it is refused rather than relayed for a fee worth nothing.
+ */
+
+// Subset of the SecureVault ABI used by the relayer
+const VAULT_ABI = [
+  "function withdrawRelayed(address token, (address recipient, uint256 amount, uint256 fee, address relayer, bytes32 authorizationId, uint256 nonce, uint256 validAfter, uint256 validUntil, bytes[] signatures) request)",
+];
+
+/**
+ * Parse the hex signatures of an authorization
+ */
+function parseSignatures(value) {
+  if (!Array.isArray(value) || value.length === 0 || !value.every((signature) => ethers.isHexString(signature))) {
+    throw new HttpError(400, "signatures must be a non-empty array of hex strings");
+  }
+  return value;
+}
+
+/**
+ * Create the relayer
+ *
+ * The returned server is not listening yet; call `server.listen(port, host)`.
+ *
+ * @param {object} options
+ * @param {import("ethers").Signer} options.signer Relayer key that pays gas and receives fees
+ * @param {string} options.vault SecureVault address to relay to
+ * @param {bigint} [options.minFee] Smallest ETH fee accepted, in wei (defaults to 0)
+ * @param {Object<string, bigint>} [options.minFees] Smallest fee accepted per ERC-20 token address,
+ *   in the token's base unit
+ * @returns {import("http").Server}
+ */
+function createRelayer({ signer, vault, minFee = 0n, minFees = {} }) {
+  const vaultContract = new ethers.Contract(vault, VAULT_ABI, signer);
+  const tokenMinFees = new Map(
+    Object.entries(minFees).map(([token, fee]) => [ethers.getAddress(token), BigInt(fee)])
+  );
+
+  // Smallest fee accepted in an asset, or undefined if the relayer does not take it
+  function minFeeFor(token) {
+    if (token === ethers.ZeroAddress) {
+      return minFee;
+    }
+    if (tokenMinFees.has(token)) {
+      return tokenMinFees.get(token);
+    }
+    return minFee === 0n ? 0n : undefined;
+  }
+
+  // Submissions are sent one at a time so the relayer key's nonces never collide
+  let queue = Promise.resolve();
+  function serialized(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  async function relay(request) {
+    const body = await readJson(request);
+    const relayerAddress = await signer.getAddress();
+
+    if (body.vault !== undefined && parseAddress(body.vault, "vault") !== ethers.getAddress(vault)) {
+      throw new HttpError(422, "Authorization is for another vault");
+    }
+
+    const token = body.token === undefined ? ethers.ZeroAddress : parseAddress(body.token, "token");
+    const withdrawal = {
+      recipient: parseAddress(body.recipient, "recipient"),
+      amount: parseUint(body.amount, "amount"),
+      fee: parseUint(body.fee, "fee"),
+      relayer: body.relayer === undefined ? ethers.ZeroAddress : parseAddress(body.relayer, "relayer"),
+      authorizationId: body.authorizationId,
+      nonce: parseUint(body.nonce, "nonce"),
+      validAfter: parseUint(body.validAfter, "validAfter"),
+      validUntil: parseUint(body.validUntil, "validUntil"),
+      signatures: parseSignatures(body.signatures),
+    };
+    if (!ethers.isHexString(withdrawal.authorizationId, 32)) {
+      throw new HttpError(400, "authorizationId must be a 32-byte hex string");
+    }
+
+    const required = minFeeFor(token);
+    if (required === undefined) {
+      throw new HttpError(422, `Relayer does not accept fees in token ${token}`);
+    }
+    if (withdrawal.fee < required) {
+      throw new HttpError(422, `Fee is below the relayer minimum of ${required}`);
+    }
+    if (withdrawal.relayer !== ethers.ZeroAddress && withdrawal.relayer !== relayerAddress) {
+      throw new HttpError(422, "Authorization is bound to another relayer");
+    }
+
+    return serialized(async () => {
+      // Refuse anything that would revert instead of paying for a failed transaction
+      try {
+        await vaultContract.withdrawRelayed.staticCall(token, withdrawal);
+      } catch (error) {
+        throw new HttpError(422, revertReason(error));
+      }
+
+      const tx = await vaultContract.withdrawRelayed(token, withdrawal);
+      const receipt = await tx.wait();
+
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        authorizationId: withdrawal.authorizationId,
+        relayer: relayerAddress,
+        fee: toJson(withdrawal.fee),
+      };
+    });
+  }
+
+  async function route(request) {
+    const url = new URL(request.url, "http://localhost");
+
+    if (request.method === "GET" && url.pathname === "/health") {
+      return {
+        status: 200,
+        body: {
+          status: "ok",
+          vault,
+          relayer: await signer.getAddress(),
+          minFee: toJson(minFee),
+          minFees: toJson(Object.fromEntries(tokenMinFees)),
+        },
+      };
+    }
+
+    if (request.method === "POST" && url.pathname === "/relay") {
+      return { status: 200, body: await relay(request) };
+    }
+
+    throw new HttpError(404, `No route for ${request.method} ${url.pathname}`);
+  }
+
+  return createJsonServer(route);
+}
+
+module.exports = { createRelayer };
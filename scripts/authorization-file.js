@@ -0,0 +1,350 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  RELAYED_WITHDRAWAL_TYPES,
+  WITHDRAWAL_TYPES,
+} = require("./authorization");
+
+/**
+ * Portable signed-authorization files
+ *
+ * An authorization file carries everything the executor of a withdrawal needs,
+ * from the approvers who signed it to whoever submits it on-chain:
+ *
+ *   {
+ *     "type": "secure-vault-authorization",
+ *     "version": 1,
+ *     "chainId": "31337",
+ *     "authorizationManager": "0x...",
+ *     "vault": "0x...",
+ *     "token": "0x0000000000000000000000000000000000000000",
+ *     "recipient": "0x...",
+ *     "amount": "1500000000000000000",
+ *     "nonce": "7",
+ *     "validAfter": "0",
+ *     "validUntil": "1767225600",
+ *     "authorizationId": "0x...",
+ *     "signatures": ["0x..."],
+ *     "issuedAt": "2026-01-01T00:00:00.000Z"
+ *   }
+ *
+ * Integers are decimal strings. A relayed authorization also has `fee` and
+ * `relayer`, and is signed as a RelayedWithdrawal. `issuedAt` is optional.
+ *
+ * verifyAuthorizationFile checks a file offline, before anything is sent:
+ * its schema, the authorization ID (recomputed exactly as
+ * AuthorizationManager.computeAuthorizationId does) and the signatures, and
+ * reports every mismatch it finds.
+ */
+
+// Value of the `type` field
+const AUTHORIZATION_FILE_TYPE = "secure-vault-authorization";
+
+// Version written by createAuthorizationFile; files of other versions are rejected
+const AUTHORIZATION_FILE_VERSION = 1;
+
+// Largest `s` the AuthorizationManager accepts; higher values are the malleable twin of a signature
+const SECP256K1_HALF_ORDER = BigInt("0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0");
+
+const ADDRESS_FIELDS = ["authorizationManager", "vault", "token", "recipient"];
+const UINT_FIELDS = ["chainId", "amount", "nonce", "validAfter", "validUntil"];
+const RELAYED_FIELDS = ["fee", "relayer"];
+const KNOWN_FIELDS = new Set([
+  "type",
+  "version",
+  ...ADDRESS_FIELDS,
+  ...UINT_FIELDS,
+  ...RELAYED_FIELDS,
+  "authorizationId",
+  "signatures",
+  "issuedAt",
+]);
+
+/**
+ * Build an authorization file from a signed authorization
+ * @param {object} authorization Result of collectSignatures or collectRelayedSignatures
+ * @param {object} context
+ * @param {bigint|number} context.chainId Chain the authorization was signed for
+ * @param {string} context.authorizationManager AuthorizationManager the signatures are bound to
+ * @returns {object} JSON-ready file contents
+ */
+function createAuthorizationFile(authorization, { chainId, authorizationManager }) {
+  const relayed = authorization.fee !== undefined;
+  return {
+    type: AUTHORIZATION_FILE_TYPE,
+    version: AUTHORIZATION_FILE_VERSION,
+    chainId: chainId.toString(),
+    authorizationManager: ethers.getAddress(authorizationManager),
+    vault: authorization.vault,
+    token: authorization.token,
+    recipient: authorization.recipient,
+    amount: authorization.amount.toString(),
+    ...(relayed && { fee: authorization.fee.toString(), relayer: authorization.relayer }),
+    nonce: authorization.nonce.toString(),
+    validAfter: authorization.validAfter.toString(),
+    validUntil: authorization.validUntil.toString(),
+    authorizationId: authorization.authorizationId,
+    signatures: authorization.signatures ?? [authorization.signature],
+    issuedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Read an authorization file from disk
+ *
+ * Only the JSON is parsed; use verifyAuthorizationFile to check the contents.
+ *
+ * @param {string} filePath
+ * @returns {object}
+ */
+function readAuthorizationFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read ${filePath}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${filePath} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Check the structure of an authorization file
+ * @param {object} file Parsed file contents
+ * @returns {string[]} Human-readable schema violations (empty if well-formed)
+ */
+function validateAuthorizationFile(file) {
+  if (file === null || typeof file !== "object" || Array.isArray(file)) {
+    return ["file must be a JSON object"];
+  }
+
+  const errors = [];
+  if (file.type !== AUTHORIZATION_FILE_TYPE) {
+    errors.push(`type must be "${AUTHORIZATION_FILE_TYPE}"`);
+  }
+  if (file.version !== AUTHORIZATION_FILE_VERSION) {
+    errors.push(`version ${JSON.stringify(file.version)} is not supported (expected ${AUTHORIZATION_FILE_VERSION})`);
+  }
+
+  for (const field of Object.keys(file)) {
+    if (!KNOWN_FIELDS.has(field)) {
+      errors.push(`${field} is not a known field`);
+    }
+  }
+
+  const relayed = RELAYED_FIELDS.some((field) => file[field] !== undefined);
+  const addressFields = relayed ? [...ADDRESS_FIELDS, "relayer"] : ADDRESS_FIELDS;
+  const uintFields = relayed ? [...UINT_FIELDS, "fee"] : UINT_FIELDS;
+
+  for (const field of addressFields) {
+    if (file[field] === undefined) {
+      errors.push(`${field} is missing`);
+    } else if (typeof file[field] !== "string" || !ethers.isAddress(file[field])) {
+      errors.push(`${field} must be an address`);
+    }
+  }
+  for (const field of uintFields) {
+    if (file[field] === undefined) {
+      errors.push(`${field} is missing`);
+    } else if (typeof file[field] !== "string" || !/^\d+$/.test(file[field])) {
+      errors.push(`${field} must be a decimal string`);
+    } else if (BigInt(file[field]) > ethers.MaxUint256) {
+      errors.push(`${field} does not fit in a uint256`);
+    }
+  }
+
+  if (file.authorizationId === undefined) {
+    errors.push("authorizationId is missing");
+  } else if (!ethers.isHexString(file.authorizationId, 32)) {
+    errors.push("authorizationId must be a 32-byte hex string");
+  }
+
+  if (!Array.isArray(file.signatures) || file.signatures.length === 0) {
+    errors.push("signatures must be a non-empty array");
+  } else {
+    file.signatures.forEach((signature, i) => {
+      if (!ethers.isHexString(signature, 65)) {
+        errors.push(`signatures[${i}] must be a 65-byte hex string`);
+      }
+    });
+  }
+
+  if (file.issuedAt !== undefined && (typeof file.issuedAt !== "string" || Number.isNaN(Date.parse(file.issuedAt)))) {
+    errors.push("issuedAt must be an ISO 8601 date");
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a well-formed authorization file into a signed authorization
+ *
+ * The result has the shape of collectSignatures (or collectRelayedSignatures)
+ * output, so withdrawArgs and friends accept it.
+ *
+ * @param {object} file Parsed file contents
+ * @returns {object}
+ */
+function parseAuthorizationFile(file) {
+  const errors = validateAuthorizationFile(file);
+  if (errors.length > 0) {
+    throw new Error(`Invalid authorization file:\n  ${errors.join("\n  ")}`);
+  }
+
+  const authorization = {
+    chainId: BigInt(file.chainId),
+    authorizationManager: ethers.getAddress(file.authorizationManager),
+    vault: ethers.getAddress(file.vault),
+    token: ethers.getAddress(file.token),
+    recipient: ethers.getAddress(file.recipient),
+    amount: BigInt(file.amount),
+    nonce: BigInt(file.nonce),
+    validAfter: BigInt(file.validAfter),
+    validUntil: BigInt(file.validUntil),
+    authorizationId: file.authorizationId,
+    signatures: file.signatures,
+  };
+  if (file.fee !== undefined) {
+    authorization.fee = BigInt(file.fee);
+    authorization.relayer = ethers.getAddress(file.relayer);
+  }
+  return authorization;
+}
+
+/**
+ * Recompute the authorization ID of a parsed file, as computeAuthorizationId does on-chain
+ */
+function recomputeAuthorizationId(authorization) {
+  const domain = {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: authorization.chainId,
+    verifyingContract: authorization.authorizationManager,
+  };
+  const { chainId, authorizationManager, authorizationId, signatures, ...message } = authorization;
+  const types = authorization.fee !== undefined ? RELAYED_WITHDRAWAL_TYPES : WITHDRAWAL_TYPES;
+  return ethers.TypedDataEncoder.hash(domain, types, message);
+}
+
+/**
+ * Verify an authorization file offline
+ *
+ * Checks the schema, the binding to the expected chain, manager and vault, the
+ * authorization ID and the signatures: each must recover with the low `s` and
+ * `v` of 27 or 28 the contract requires, signers must be in
+ * ascending address order without repeats (as verifyAuthorization requires),
+ * belong to `expected.signers` and reach `expected.threshold`. Expectations
+ * that are not given are not checked.
+ *
+ * @param {object} file Parsed file contents
+ * @param {object} [expected]
+ * @param {bigint|number} [expected.chainId] Chain the withdrawal will be submitted on
+ * @param {string} [expected.authorizationManager] Manager of the vault
+ * @param {string} [expected.vault] Vault the withdrawal will be submitted to
+ * @param {string[]} [expected.signers] Keys allowed to sign for the vault
+ * @param {bigint|number} [expected.threshold] Approvals required
+ * @param {bigint|number} [expected.timestamp] Time of submission, for the validity window
+ * @returns {{errors: string[], authorization: object|null, signers: string[]}} Every mismatch
+ *          found (empty if the file is valid), the parsed authorization and the recovered signers
+ */
+function verifyAuthorizationFile(file, expected = {}) {
+  const schemaErrors = validateAuthorizationFile(file);
+  if (schemaErrors.length > 0) {
+    return { errors: schemaErrors, authorization: null, signers: [] };
+  }
+
+  const authorization = parseAuthorizationFile(file);
+  const errors = [];
+
+  if (expected.chainId !== undefined && authorization.chainId !== BigInt(expected.chainId)) {
+    errors.push(`chainId is ${authorization.chainId}, expected ${expected.chainId}`);
+  }
+  for (const field of ["authorizationManager", "vault"]) {
+    if (expected[field] !== undefined && authorization[field] !== ethers.getAddress(expected[field])) {
+      errors.push(`${field} is ${authorization[field]}, expected ${ethers.getAddress(expected[field])}`);
+    }
+  }
+
+  if (authorization.validUntil < authorization.validAfter) {
+    errors.push(`validUntil ${authorization.validUntil} is before validAfter ${authorization.validAfter}`);
+  }
+  if (expected.timestamp !== undefined) {
+    const timestamp = BigInt(expected.timestamp);
+    if (timestamp < authorization.validAfter) {
+      errors.push(`not valid until ${authorization.validAfter} (now ${timestamp})`);
+    }
+    if (timestamp > authorization.validUntil) {
+      errors.push(`expired at ${authorization.validUntil} (now ${timestamp})`);
+    }
+  }
+  if (authorization.fee !== undefined && authorization.fee >= authorization.amount) {
+    errors.push(`fee ${authorization.fee} must be less than amount ${authorization.amount}`);
+  }
+
+  // A changed field changes the ID; the signatures would then recover to unrelated keys, so they are not checked
+  const authorizationId = recomputeAuthorizationId(authorization);
+  if (authorizationId !== authorization.authorizationId.toLowerCase()) {
+    errors.push(
+      `authorizationId ${authorization.authorizationId} does not match the signed fields (computed ${authorizationId})`
+    );
+    return { errors, authorization, signers: [] };
+  }
+
+  const allowed = expected.signers && new Set(expected.signers.map((signer) => ethers.getAddress(signer)));
+  const signers = [];
+  authorization.signatures.forEach((signature, i) => {
+    // The contract's _recoverSigner rejects these, even though they may recover off-chain
+    const bytes = ethers.getBytes(signature);
+    if (BigInt(ethers.hexlify(bytes.slice(32, 64))) > SECP256K1_HALF_ORDER) {
+      errors.push(`signatures[${i}] has a high s value, which the contract rejects`);
+      return;
+    }
+    if (bytes[64] !== 27 && bytes[64] !== 28) {
+      errors.push(`signatures[${i}] has v ${bytes[64]}, the contract requires 27 or 28`);
+      return;
+    }
+
+    let signer;
+    try {
+      signer = ethers.recoverAddress(authorizationId, signature);
+    } catch {
+      errors.push(`signatures[${i}] is not a valid signature`);
+      return;
+    }
+
+    const previous = signers[signers.length - 1];
+    if (previous !== undefined && BigInt(signer) === BigInt(previous)) {
+      errors.push(`signatures[${i}] repeats signer ${signer}`);
+    } else if (previous !== undefined && BigInt(signer) < BigInt(previous)) {
+      errors.push(`signatures[${i}] from ${signer} is not ordered after ${previous}`);
+    }
+    if (allowed && !allowed.has(signer)) {
+      errors.push(`signatures[${i}] is from ${signer}, which is not an authorized signer`);
+    }
+    signers.push(signer);
+  });
+
+  if (expected.threshold !== undefined) {
+    const approvals = new Set(signers.filter((signer) => !allowed || allowed.has(signer))).size;
+    if (BigInt(approvals) < BigInt(expected.threshold)) {
+      errors.push(`${approvals} valid approval(s), ${expected.threshold} required`);
+    }
+  }
+
+  return { errors, authorization, signers };
+}
+
+module.exports = {
+  AUTHORIZATION_FILE_TYPE,
+  AUTHORIZATION_FILE_VERSION,
+  createAuthorizationFile,
+  parseAuthorizationFile,
+  readAuthorizationFile,
+  validateAuthorizationFile,
+  verifyAuthorizationFile,
+};
@@ -0,0 +1,447 @@
+const { ethers } = require("ethers");
+
+/**
+ * Authorization helpers for the Secure Vault Authorization System
+ *
+ * Withdrawals are authorized off-chain by EIP-712 typed-data signatures
+ * from signers registered on the AuthorizationManager; at least `threshold`
+ * distinct signers must approve each withdrawal. The authorization ID
+ * is the EIP-712 digest of the withdrawal, exactly as computed on-chain by
+ * AuthorizationManager.computeAuthorizationId.
+ *
+ * Relayed withdrawals are signed as a separate RelayedWithdrawal type that
+ * also binds the relayer fee and, optionally, the relayer allowed to submit them.
+ *
+ * Withdrawals signed without a nonce get the next free one from the chain,
+ * following the vault's nonce mode (see fetchNextNonce).
+ */
+
+// EIP-712 domain name and version (must match AuthorizationManager.NAME / VERSION)
+const DOMAIN_NAME = "AuthorizationManager";
+const DOMAIN_VERSION = "1";
+
+// EIP-712 types of a withdrawal authorization (must match WITHDRAWAL_TYPEHASH)
+const WITHDRAWAL_TYPES = {
+  Withdrawal: [
+    { name: "vault", type: "address" },
+    { name: "token", type: "address" },
+    { name: "recipient", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "validAfter", type: "uint256" },
+    { name: "validUntil", type: "uint256" },
+  ],
+};
+
+// EIP-712 types of a relayed withdrawal (must match RELAYED_WITHDRAWAL_TYPEHASH)
+const RELAYED_WITHDRAWAL_TYPES = {
+  RelayedWithdrawal: [
+    { name: "vault", type: "address" },
+    { name: "token", type: "address" },
+    { name: "recipient", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "fee", type: "uint256" },
+    { name: "relayer", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "validAfter", type: "uint256" },
+    { name: "validUntil", type: "uint256" },
+  ],
+};
+
+// Values of AuthorizationManager.AuthorizationStatus
+const AuthorizationStatus = {
+  Unused: 0n,
+  Consumed: 1n,
+  Revoked: 2n,
+};
+
+// Values of AuthorizationManager.NonceMode
+const NonceMode = {
+  Unordered: 0n,
+  Sequential: 1n,
+  Bitmap: 2n,
+};
+
+// Subset of the AuthorizationManager ABI used to look up nonces
+const NONCE_ABI = [
+  "function nonceConfigs(address vault) view returns (uint8 mode, bool perSigner)",
+  "function getNextNonce(address vault, address nonceOwner) view returns (uint256)",
+  "function isNonceUsed(address vault, address nonceOwner, uint256 nonce) view returns (bool)",
+];
+
+// Default lifetime of an authorization when validUntil is not given
+const DEFAULT_VALIDITY_SECONDS = 60 * 60;
+
+/**
+ * Build the EIP-712 domain for an AuthorizationManager deployment
+ * @param {import("ethers").BaseContract|string} authorizationManager Contract or its address
+ * @param {bigint|number} chainId Chain the manager is deployed on
+ */
+async function buildDomain(authorizationManager, chainId) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId,
+    verifyingContract: await ethers.resolveAddress(authorizationManager),
+  };
+}
+
+/**
+ * Compute the authorization ID (EIP-712 digest) of a withdrawal
+ * @param {object} domain Domain returned by buildDomain
+ * @param {{vault: string, token: string, recipient: string, amount: bigint, nonce: bigint,
+ *          validAfter: bigint, validUntil: bigint}} withdrawal
+ */
+function computeAuthorizationId(domain, withdrawal) {
+  return ethers.TypedDataEncoder.hash(domain, WITHDRAWAL_TYPES, withdrawal);
+}
+
+/**
+ * Normalize a withdrawal into the exact EIP-712 message that gets signed
+ *
+ * The token defaults to address(0) (native currency) and the validity
+ * window to [0, latest block timestamp + 1 hour].
+ *
+ * @param {import("ethers").Provider} provider Provider used for the default expiry
+ * @param {{vault: string, token?: string, recipient: string, amount: bigint, nonce: bigint,
+ *          validAfter?: bigint, validUntil?: bigint}} withdrawal
+ */
+async function buildWithdrawal(provider, withdrawal) {
+  let { validUntil } = withdrawal;
+  if (validUntil === undefined) {
+    const block = await provider.getBlock("latest");
+    validUntil = BigInt(block.timestamp + DEFAULT_VALIDITY_SECONDS);
+  }
+
+  return {
+    vault: await ethers.resolveAddress(withdrawal.vault),
+    token: await ethers.resolveAddress(withdrawal.token ?? ethers.ZeroAddress),
+    recipient: await ethers.resolveAddress(withdrawal.recipient),
+    amount: withdrawal.amount,
+    nonce: withdrawal.nonce,
+    validAfter: withdrawal.validAfter ?? 0n,
+    validUntil,
+  };
+}
+
+/**
+ * Normalize a relayed withdrawal into the exact EIP-712 message that gets signed
+ *
+ * Defaults as in buildWithdrawal; the fee defaults to 0 and the relayer to
+ * address(0) (any relayer may submit it).
+ *
+ * @param {import("ethers").Provider} provider Provider used for the default expiry
+ * @param {object} withdrawal Withdrawal fields, see buildWithdrawal, plus `fee` and `relayer`
+ */
+async function buildRelayedWithdrawal(provider, withdrawal) {
+  return {
+    ...(await buildWithdrawal(provider, withdrawal)),
+    fee: withdrawal.fee ?? 0n,
+    relayer: await ethers.resolveAddress(withdrawal.relayer ?? ethers.ZeroAddress),
+  };
+}
+
+/**
+ * Sign an already normalized message of the given EIP-712 types
+ */
+async function signTyped(signer, authorizationManager, types, value) {
+  const { chainId } = await signer.provider.getNetwork();
+  const domain = await buildDomain(authorizationManager, chainId);
+
+  const signature = await signer.signTypedData(domain, types, value);
+
+  return {
+    ...value,
+    authorizationId: ethers.TypedDataEncoder.hash(domain, types, value),
+    signature,
+  };
+}
+
+/**
+ * Find the lowest nonce a new authorization for a vault can use
+ *
+ * With per-signer nonces the nonce must be free for every signer: bitmap nonces
+ * start at the highest next nonce and skip any taken by one of the signers.
+ * Sequential per-signer nonces, which setNonceMode no longer accepts but older
+ * deployments may still use, require all signers to be at the same position.
+ *
+ * @param {import("ethers").ContractRunner} runner Provider (or signer) to read the chain with
+ * @param {import("ethers").BaseContract|string} authorizationManager Contract or its address
+ * @param {string} vault Vault address
+ * @param {Array<import("ethers").Signer|string>} signers Signers that will approve the authorization
+ * @returns {Promise<bigint>}
+ */
+async function fetchNextNonce(runner, authorizationManager, vault, signers) {
+  const manager = new ethers.Contract(await ethers.resolveAddress(authorizationManager), NONCE_ABI, runner);
+  const vaultAddress = await ethers.resolveAddress(vault);
+
+  const [mode, perSigner] = await manager.nonceConfigs(vaultAddress);
+  if (!perSigner) {
+    return manager.getNextNonce(vaultAddress, vaultAddress);
+  }
+
+  const owners = await Promise.all(signers.map((signer) => ethers.resolveAddress(signer)));
+  const next = await Promise.all(owners.map((owner) => manager.getNextNonce(vaultAddress, owner)));
+  let nonce = next.reduce((max, value) => (value > max ? value : max));
+
+  if (mode === NonceMode.Sequential) {
+    const behind = owners.filter((owner, i) => next[i] !== nonce);
+    if (behind.length > 0) {
+      throw new Error(
+        `Signers ${behind.join(", ")} are behind nonce ${nonce}; invalidate their nonces up to ${nonce - 1n}`
+      );
+    }
+    return nonce;
+  }
+
+  while ((await Promise.all(owners.map((owner) => manager.isNonceUsed(vaultAddress, owner, nonce)))).some(Boolean)) {
+    nonce += 1n;
+  }
+  return nonce;
+}
+
+/**
+ * Fill in the next nonce of a withdrawal that has none
+ */
+async function withNonce(signers, authorizationManager, withdrawal) {
+  if (withdrawal.nonce !== undefined) {
+    return withdrawal;
+  }
+  const nonce = await fetchNextNonce(signers[0].provider, authorizationManager, withdrawal.vault, signers);
+  return { ...withdrawal, nonce };
+}
+
+/**
+ * Sign one normalized message with several signers and order the signatures
+ */
+async function signTypedByAll(signers, authorizationManager, types, value) {
+  const signed = [];
+  for (const signer of signers) {
+    signed.push(await signTyped(signer, authorizationManager, types, value));
+  }
+  return combineSignatures(signed);
+}
+
+/**
+ * Combine single signatures over one authorization into an M-of-N authorization
+ *
+ * Each part is the result of signing the same message separately, e.g. by
+ * signer services that each hold one key (see signWithdrawal and
+ * signRelayedWithdrawal). Throws if the parts are for different authorizations.
+ *
+ * @param {object[]} parts Signed authorizations, each with `authorizationId` and `signature`
+ * @returns {object} The authorization fields with the signatures ordered by signer address
+ */
+function combineSignatures(parts) {
+  if (parts.length === 0) {
+    throw new Error("At least one signature is required");
+  }
+
+  const { authorizationId } = parts[0];
+  if (parts.some((part) => part.authorizationId !== authorizationId)) {
+    throw new Error("Signatures are for different authorizations");
+  }
+
+  const fields = { ...parts[0] };
+  delete fields.signature;
+  return {
+    ...fields,
+    signatures: orderSignatures(
+      authorizationId,
+      parts.map((part) => part.signature)
+    ),
+  };
+}
+
+/**
+ * Sign a withdrawal authorization with a Hardhat (or any ethers v6) signer
+ *
+ * Returns the withdrawal fields together with the authorization ID and
+ * signature, i.e. everything needed to call SecureVault.withdraw when the
+ * manager's threshold is 1.
+ *
+ * @param {import("ethers").Signer} signer Registered authorizer key
+ * @param {import("ethers").BaseContract|string} authorizationManager Contract or its address
+ * @param {object} withdrawal Withdrawal fields, see buildWithdrawal; the nonce is fetched when omitted
+ */
+async function signWithdrawal(signer, authorizationManager, withdrawal) {
+  const value = await buildWithdrawal(signer.provider, await withNonce([signer], authorizationManager, withdrawal));
+  return signTyped(signer, authorizationManager, WITHDRAWAL_TYPES, value);
+}
+
+/**
+ * Sign a relayed withdrawal authorization with a single signer
+ *
+ * Combine the results of several signers with combineSignatures.
+ *
+ * @param {import("ethers").Signer} signer Registered authorizer key
+ * @param {import("ethers").BaseContract|string} authorizationManager Contract or its address
+ * @param {object} withdrawal Relayed withdrawal fields, see buildRelayedWithdrawal; the nonce is fetched when omitted
+ */
+async function signRelayedWithdrawal(signer, authorizationManager, withdrawal) {
+  const value = await buildRelayedWithdrawal(
+    signer.provider,
+    await withNonce([signer], authorizationManager, withdrawal)
+  );
+  return signTyped(signer, authorizationManager, RELAYED_WITHDRAWAL_TYPES, value);
+}
+
+/**
+ * Order signatures by ascending signer address, as verifyAuthorization requires
+ *
+ * Throws if a signature does not recover or two signatures come from the same signer.
+ *
+ * @param {string} authorizationId Digest the signatures were produced over
+ * @param {string[]} signatures 65-byte signatures in any order
+ */
+function orderSignatures(authorizationId, signatures) {
+  const recovered = signatures.map((signature) => ({
+    signer: BigInt(ethers.recoverAddress(authorizationId, signature)),
+    signature,
+  }));
+
+  recovered.sort((a, b) => (a.signer < b.signer ? -1 : a.signer > b.signer ? 1 : 0));
+
+  for (let i = 1; i < recovered.length; i++) {
+    if (recovered[i].signer === recovered[i - 1].signer) {
+      throw new Error(`Duplicate signature from ${ethers.toBeHex(recovered[i].signer, 20)}`);
+    }
+  }
+
+  return recovered.map(({ signature }) => signature);
+}
+
+/**
+ * Collect signatures over one withdrawal from several signers (M-of-N)
+ *
+ * Returns the withdrawal fields, the authorization ID and the signatures
+ * ordered by signer address, ready for SecureVault.withdraw.
+ *
+ * @param {import("ethers").Signer[]} signers Registered authorizer keys
+ * @param {import("ethers").BaseContract|string} authorizationManager Contract or its address
+ * @param {object} withdrawal Withdrawal fields, see buildWithdrawal; the nonce is fetched when omitted
+ */
+async function collectSignatures(signers, authorizationManager, withdrawal) {
+  if (signers.length === 0) {
+    throw new Error("At least one signer is required");
+  }
+
+  // Fix the message once so every signer signs the same nonce and validity window
+  const value = await buildWithdrawal(signers[0].provider, await withNonce(signers, authorizationManager, withdrawal));
+  return signTypedByAll(signers, authorizationManager, WITHDRAWAL_TYPES, value);
+}
+
+/**
+ * Collect signatures over one relayed withdrawal from several signers (M-of-N)
+ *
+ * Returns the relayed withdrawal fields, the authorization ID and the ordered
+ * signatures, ready for SecureVault.withdrawRelayed (see withdrawRelayedArgs).
+ *
+ * @param {import("ethers").Signer[]} signers Registered authorizer keys
+ * @param {import("ethers").BaseContract|string} authorizationManager Contract or its address
+ * @param {object} withdrawal Relayed withdrawal fields, see buildRelayedWithdrawal; the nonce is fetched when omitted
+ */
+async function collectRelayedSignatures(signers, authorizationManager, withdrawal) {
+  if (signers.length === 0) {
+    throw new Error("At least one signer is required");
+  }
+
+  const value = await buildRelayedWithdrawal(
+    signers[0].provider,
+    await withNonce(signers, authorizationManager, withdrawal)
+  );
+  return signTypedByAll(signers, authorizationManager, RELAYED_WITHDRAWAL_TYPES, value);
+}
+
+/**
+ * Arguments for SecureVault.withdraw, in call order, from a signed authorization
+ * @param {object} authorization Result of signWithdrawal or collectSignatures for the native currency
+ */
+function withdrawArgs(authorization) {
+  return [
+    authorization.recipient,
+    authorization.amount,
+    authorization.authorizationId,
+    authorization.nonce,
+    authorization.validAfter,
+    authorization.validUntil,
+    authorization.signatures ?? [authorization.signature],
+  ];
+}
+
+/**
+ * Arguments for SecureVault.withdrawToken, in call order, from a signed authorization
+ * @param {object} authorization Result of signWithdrawal or collectSignatures for an ERC-20 token
+ */
+function withdrawTokenArgs(authorization) {
+  return [authorization.token, ...withdrawArgs(authorization)];
+}
+
+/**
+ * Arguments for SecureVault.withdrawBatch, in call order, from signed authorizations
+ *
+ * All authorizations must be for the same asset.
+ *
+ * @param {object[]} authorizations Results of signWithdrawal or collectSignatures
+ * @param {boolean} atomic True for all-or-nothing, false for best-effort
+ */
+function withdrawBatchArgs(authorizations, atomic) {
+  const token = authorizations.length > 0 ? authorizations[0].token : ethers.ZeroAddress;
+  if (authorizations.some((authorization) => authorization.token !== token)) {
+    throw new Error("All authorizations of a batch must be for the same asset");
+  }
+
+  const requests = authorizations.map((authorization) => {
+    const [recipient, amount, authorizationId, nonce, validAfter, validUntil, signatures] =
+      withdrawArgs(authorization);
+    return { recipient, amount, authorizationId, nonce, validAfter, validUntil, signatures };
+  });
+
+  return [token, requests, atomic];
+}
+
+/**
+ * Arguments for SecureVault.withdrawRelayed, in call order, from a signed relayed authorization
+ * @param {object} authorization Result of collectRelayedSignatures
+ */
+function withdrawRelayedArgs(authorization) {
+  return [
+    authorization.token,
+    {
+      recipient: authorization.recipient,
+      amount: authorization.amount,
+      fee: authorization.fee,
+      relayer: authorization.relayer,
+      authorizationId: authorization.authorizationId,
+      nonce: authorization.nonce,
+      validAfter: authorization.validAfter,
+      validUntil: authorization.validUntil,
+      signatures: authorization.signatures,
+    },
+  ];
+}
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  WITHDRAWAL_TYPES,
+  RELAYED_WITHDRAWAL_TYPES,
+  DEFAULT_VALIDITY_SECONDS,
+  AuthorizationStatus,
+  NonceMode,
+  buildDomain,
+  buildWithdrawal,
+  buildRelayedWithdrawal,
+  computeAuthorizationId,
+  fetchNextNonce,
+  signWithdrawal,
+  signRelayedWithdrawal,
+  orderSignatures,
+  combineSignatures,
+  collectSignatures,
+  collectRelayedSignatures,
+  withdrawArgs,
+  withdrawTokenArgs,
+  withdrawBatchArgs,
+  withdrawRelayedArgs,
+};
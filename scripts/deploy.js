@@ -1,17 +1,83 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { ROLES, deploySystem } = require("./deployment");
+const { loadVaultConfigs } = require("./vaults");
 
 /**
  * Deployment Script for Secure Vault Authorization System
- * 
+ *
  * This script:
- * 1. Deploys the AuthorizationManager contract
- * 2. Initializes the AuthorizationManager
- * 3. Deploys the SecureVault contract
- * 4. Initializes the SecureVault with the AuthorizationManager address
- * 5. Outputs deployment information for reference
+ * 1. Deploys the AuthorizationManager and SecureVault implementations and the VaultFactory
+ * 2. Deploys an AuthorizationManager / SecureVault pair of UUPS proxies through the
+ *    factory, which initializes both, registers the authorizer keys, threshold and
+ *    vault in the same transaction (so initialization cannot be front-run)
+ * 3. Accepts ownership of both contracts from the factory
+ * 4. Grants the admin, signer-manager, guardian and auditor roles on both contracts
+ * 5. Deploys the vaults listed in DEPLOY_CONFIG on the same AuthorizationManager
+ *    and registers each one with its own signer set, threshold and policies
+ * 6. Outputs deployment information, including the implementation history and
+ *    storage layouts used by scripts/upgrade.js
+ *
+ * Running it again on the same network is safe: contracts recorded in
+ * deployments/deployment-<chainId>.json are reused while their bytecode is
+ * unchanged and their code is still on chain, only what changed is deployed,
+ * and each run is appended to the file's `history` (see scripts/deployment.js).
+ * Check the result with scripts/verify-deployment.js.
+ *
+ * Environment:
+ *   AUTHORIZER_ADDRESSES     - comma-separated authorizer keys (defaults to the deployer)
+ *   SIGNER_THRESHOLD         - approvals required per withdrawal (defaults to 1)
+ *   ADMIN_ADDRESSES          - comma-separated admin role holders
+ *   SIGNER_MANAGER_ADDRESSES - comma-separated signer-manager role holders
+ *   GUARDIAN_ADDRESSES       - comma-separated guardian role holders
+ *   AUDITOR_ADDRESSES        - comma-separated auditor role holders
+ *   DEPLOY_CONFIG            - optional JSON file with role holders, e.g.
+ *                              { "roles": { "admin": ["0x..."], "guardian": ["0x..."] } }
+ *                              Environment variables take precedence over the file.
+ *                              A "vaults" list (see scripts/vaults.js) configures the
+ *                              pair's vault with its first entry and deploys one more
+ *                              vault per remaining entry
+ *   DEPLOY_FRESH             - "true" to deploy a new AuthorizationManager / SecureVault
+ *                              pair even if the recorded one is still on chain
  */
+
+// Role name in DEPLOY_CONFIG -> environment variable
+const ROLE_VARIABLES = {
+  admin: "ADMIN_ADDRESSES",
+  signerManager: "SIGNER_MANAGER_ADDRESSES",
+  guardian: "GUARDIAN_ADDRESSES",
+  auditor: "AUDITOR_ADDRESSES",
+};
+
+/**
+ * Split a comma-separated list of addresses
+ */
+function parseAddresses(value) {
+  return (value || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve the role holders to assign, from the environment or DEPLOY_CONFIG
+ * @returns {Object<string, string[]>} Role name -> addresses
+ */
+function loadRoleAssignments() {
+  let config = {};
+  if (process.env.DEPLOY_CONFIG) {
+    config = JSON.parse(fs.readFileSync(process.env.DEPLOY_CONFIG, "utf8")).roles || {};
+  }
+
+  const assignments = {};
+  for (const name of Object.keys(ROLES)) {
+    const envVar = ROLE_VARIABLES[name];
+    assignments[name] = process.env[envVar] ? parseAddresses(process.env[envVar]) : config[name] || [];
+  }
+  return assignments;
+}
+
 async function main() {
   console.log("=".repeat(60));
   console.log("Secure Vault Authorization System - Deployment");
@@ -25,83 +91,74 @@ async function main() {
   const network = await hre.ethers.provider.getNetwork();
   console.log(`Network: ${network.name} (Chain ID: ${network.chainId})`);
 
-  // Step 1: Deploy AuthorizationManager
-  console.log("\n--- Step 1: Deploying AuthorizationManager ---");
-  const AuthorizationManager = await hre.ethers.getContractFactory("AuthorizationManager");
-  const authorizationManager = await AuthorizationManager.deploy();
-  await authorizationManager.deployed();
-  console.log(`✓ AuthorizationManager deployed to: ${authorizationManager.address}`);
-
-  // Step 2: Initialize AuthorizationManager
-  console.log("\n--- Step 2: Initializing AuthorizationManager ---");
-  let tx = await authorizationManager.initialize();
-  await tx.wait();
-  console.log(`✓ AuthorizationManager initialized`);
-
-  // Step 3: Deploy SecureVault
-  console.log("\n--- Step 3: Deploying SecureVault ---");
-  const SecureVault = await hre.ethers.getContractFactory("SecureVault");
-  const vault = await SecureVault.deploy();
-  await vault.deployed();
-  console.log(`✓ SecureVault deployed to: ${vault.address}`);
-
-  // Step 4: Initialize SecureVault with AuthorizationManager
-  console.log("\n--- Step 4: Initializing SecureVault ---");
-  tx = await vault.initialize(authorizationManager.address);
-  await tx.wait();
-  console.log(`✓ SecureVault initialized with AuthorizationManager`);
+  // Load the previous deployment on this chain, if any
+  const deploymentDir = path.join(__dirname, "..", "deployments");
+  const deploymentFile = path.join(deploymentDir, `deployment-${network.chainId}.json`);
+  const previous = fs.existsSync(deploymentFile) ? JSON.parse(fs.readFileSync(deploymentFile, "utf8")) : undefined;
+  if (previous) {
+    console.log(`Previous deployment: ${previous.timestamp} (reusing unchanged contracts)`);
+  }
+
+  const authorizers = parseAddresses(process.env.AUTHORIZER_ADDRESSES || deployer.address);
+  const threshold = Number(process.env.SIGNER_THRESHOLD || 1);
+  const deployConfig = process.env.DEPLOY_CONFIG ? JSON.parse(fs.readFileSync(process.env.DEPLOY_CONFIG, "utf8")) : {};
+
+  console.log("\n--- Deploying ---");
+  const { manifest, deployed, warnings } = await deploySystem(hre, {
+    signer: deployer,
+    manifest: previous,
+    authorizers,
+    threshold,
+    roles: loadRoleAssignments(),
+    vaults: deployConfig.vaults ? loadVaultConfigs(process.env.DEPLOY_CONFIG) : [],
+    fresh: process.env.DEPLOY_FRESH === "true",
+    log: (line) => console.log(line),
+  });
+  warnings.forEach((warning) => console.warn(`! ${warning}`));
+  if (Object.keys(deployed).length === 0) {
+    console.log("✓ Nothing to deploy, every contract is up to date");
+  }
 
   // Verify initialization
+  const { contracts } = manifest;
   console.log("\n--- Verification ---");
-  const vaultAuthManager = await vault.authorizationManager();
-  console.log(`Vault's AuthorizationManager: ${vaultAuthManager}`);
-  const vaultOwner = await vault.owner();
-  console.log(`Vault Owner: ${vaultOwner}`);
-  const authManagerOwner = await authorizationManager.owner();
-  console.log(`AuthorizationManager Owner: ${authManagerOwner}`);
-
-  // Output deployment info
-  const deploymentInfo = {
-    network: network.name,
-    chainId: network.chainId,
-    deployer: deployer.address,
-    timestamp: new Date().toISOString(),
-    contracts: {
-      AuthorizationManager: {
-        address: authorizationManager.address,
-        owner: authManagerOwner,
-      },
-      SecureVault: {
-        address: vault.address,
-        owner: vaultOwner,
-        authorizationManager: vaultAuthManager,
-      },
-    },
-  };
+  console.log(`Vault's AuthorizationManager: ${contracts.SecureVault.authorizationManager}`);
+  console.log(`Vault Owner: ${contracts.SecureVault.owner}`);
+  console.log(`AuthorizationManager Owner: ${contracts.AuthorizationManager.owner}`);
+  console.log(`Vault Registered: ${contracts.SecureVault.registered}`);
+  console.log(`Signature threshold: ${threshold} of ${authorizers.length}`);
+  for (const entry of contracts.vaults) {
+    const signers =
+      entry.signers.length > 0 ? `${entry.threshold} of ${entry.signers.length} own signers` : "shared signers";
+    console.log(`Vault "${entry.name}" at ${entry.address} (${signers})`);
+  }
 
   // Save deployment info to file
-  const deploymentDir = path.join(__dirname, "..", "deployments");
   if (!fs.existsSync(deploymentDir)) {
     fs.mkdirSync(deploymentDir);
   }
-
-  const deploymentFile = path.join(deploymentDir, `deployment-${network.chainId}.json`);
-  fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
+  fs.writeFileSync(deploymentFile, JSON.stringify(manifest, null, 2));
   console.log(`\n✓ Deployment information saved to: ${deploymentFile}`);
 
   // Output summary
   console.log("\n" + "=".repeat(60));
   console.log("Deployment Summary");
   console.log("=".repeat(60));
-  console.log(`Network: ${deploymentInfo.network} (Chain ID: ${deploymentInfo.chainId})`);
-  console.log(`Deployer: ${deploymentInfo.deployer}`);
-  console.log(`\nAuthorizationManager: ${deploymentInfo.contracts.AuthorizationManager.address}`);
-  console.log(`SecureVault: ${deploymentInfo.contracts.SecureVault.address}`);
+  console.log(`Network: ${manifest.network} (Chain ID: ${manifest.chainId})`);
+  console.log(`Deployer: ${manifest.deployer}`);
+  console.log(`\nVaultFactory: ${contracts.VaultFactory.address}`);
+  console.log(`AuthorizationManager: ${contracts.AuthorizationManager.address}`);
+  console.log(`SecureVault: ${contracts.SecureVault.address}`);
+  for (const entry of contracts.vaults.slice(1)) {
+    console.log(`SecureVault (${entry.name}): ${entry.address}`);
+  }
+  console.log(`\nDeployed this run: ${Object.keys(deployed).join(", ") || "none"}`);
   console.log("=".repeat(60));
 
   return {
-    authorizationManager: authorizationManager.address,
-    vault: vault.address,
+    factory: contracts.VaultFactory.address,
+    authorizationManager: contracts.AuthorizationManager.address,
+    vault: contracts.SecureVault.address,
     deployer: deployer.address,
   };
 }
@@ -0,0 +1,638 @@
+const { ethers } = require("ethers");
+const { compareStorageLayouts, getStorageLayout } = require("./storage-layout");
+const { POLICY_FIELDS, deployVaults } = require("./vaults");
+
+/**
+ * Idempotent deployment and drift detection
+ *
+ * The deployment manifest (deployments/deployment-<chainId>.json) records, for
+ * every contract, its address, the keccak256 hash of the artifact bytecode it
+ * was deployed from (`bytecodeHash`) and of the runtime code found on chain
+ * (`codeHash`). A later deployment on the same chain reuses each contract whose
+ * artifact, constructor arguments and on-chain code still match, and deploys
+ * only the rest:
+ *
+ * - a changed implementation is deployed again, and so is the VaultFactory that
+ *   clones it; existing proxies keep their implementation until upgraded with
+ *   scripts/upgrade.js
+ * - the AuthorizationManager / SecureVault proxies are reused while their code is
+ *   on chain (a new pair is deployed when it is gone, or when `fresh` is set)
+ * - signers, thresholds, roles and vault settings are applied only where they
+ *   differ from the chain
+ *
+ * Every run is appended to the manifest's `history`. upgradeProxies moves a
+ * recorded proxy, and for SecureVault every vault of the deployment, to a new
+ * implementation.
+ */
+
+// Role name in the deployment config -> contract role constant
+const ROLES = {
+  admin: "ADMIN_ROLE",
+  signerManager: "SIGNER_MANAGER_ROLE",
+  guardian: "GUARDIAN_ROLE",
+  auditor: "AUDITOR_ROLE",
+};
+
+// Role names each contract defines; signers are only managed on the AuthorizationManager
+const CONTRACT_ROLES = {
+  AuthorizationManager: ["admin", "signerManager", "guardian", "auditor"],
+  SecureVault: ["admin", "guardian", "auditor"],
+};
+
+/**
+ * The holders of the roles a contract defines
+ * @param {Object<string, string[]>} roles Role name -> holders
+ * @param {string} contractName AuthorizationManager or SecureVault
+ */
+function rolesOf(roles, contractName) {
+  return Object.fromEntries(
+    CONTRACT_ROLES[contractName].filter((name) => name in roles).map((name) => [name, roles[name]])
+  );
+}
+
+// Implementations cloned by the VaultFactory, in constructor order
+const IMPLEMENTATIONS = ["AuthorizationManager", "SecureVault"];
+
+/**
+ * Hash of the creation bytecode of a compiled contract
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} contractName Artifact name
+ * @returns {Promise<string>}
+ */
+async function bytecodeHash(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  return ethers.keccak256(artifact.bytecode);
+}
+
+/**
+ * Hash of the runtime code at an address
+ * @param {import("ethers").Provider} provider
+ * @param {string} address
+ * @returns {Promise<string|null>} null when the address has no code
+ */
+async function codeHashAt(provider, address) {
+  const code = await provider.getCode(address);
+  return code === "0x" ? null : ethers.keccak256(code);
+}
+
+// ERC1967 slot holding a proxy's implementation: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * Implementation a proxy delegates to, read from its ERC1967 slot
+ * @param {import("ethers").Provider} provider
+ * @param {string} address
+ * @returns {Promise<string>}
+ */
+async function implementationAt(provider, address) {
+  const slot = await provider.getStorage(address, IMPLEMENTATION_SLOT);
+  return ethers.getAddress(ethers.dataSlice(slot, 12));
+}
+
+/**
+ * Whether a manifest record still describes the code at its address
+ */
+async function isLive(provider, record) {
+  if (!record || !record.address) {
+    return false;
+  }
+  const codeHash = await codeHashAt(provider, record.address);
+  return codeHash !== null && (record.codeHash === undefined || codeHash === record.codeHash);
+}
+
+/**
+ * Reuse the contract of a manifest record, or deploy it when anything changed
+ * @returns {Promise<{record: object, reused: boolean}>}
+ */
+async function deployOrReuse(hre, signer, contractName, args, previous) {
+  const hash = await bytecodeHash(hre, contractName);
+  if (
+    previous &&
+    previous.bytecodeHash === hash &&
+    JSON.stringify(previous.constructorArgs || []) === JSON.stringify(args) &&
+    (await isLive(hre.ethers.provider, previous))
+  ) {
+    return { record: previous, reused: true };
+  }
+
+  const Contract = await hre.ethers.getContractFactory(contractName, signer);
+  const contract = await Contract.deploy(...args);
+  await contract.waitForDeployment();
+  const address = await contract.getAddress();
+  return {
+    record: {
+      address,
+      bytecodeHash: hash,
+      codeHash: await codeHashAt(hre.ethers.provider, address),
+      ...(args.length > 0 && { constructorArgs: args }),
+      transactionHash: contract.deploymentTransaction().hash,
+    },
+    reused: false,
+  };
+}
+
+/**
+ * Stringify the amounts of normalized vault policies for the manifest
+ */
+function serializePolicies(policies) {
+  return Object.fromEntries(
+    Object.entries(policies).map(([token, policy]) => [
+      token,
+      Object.fromEntries(Object.entries(policy).map(([field, value]) => [field, value.toString()])),
+    ])
+  );
+}
+
+/**
+ * Deploy the system, reusing what an earlier deployment left on chain
+ *
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} options
+ * @param {import("ethers").Signer} options.signer Deployer, owner of every deployed contract
+ * @param {object} [options.manifest] Manifest of the previous deployment on this chain
+ * @param {string[]} options.authorizers Shared signers of the AuthorizationManager
+ * @param {number} options.threshold Shared signature threshold
+ * @param {Object<string, string[]>} [options.roles] Role name -> holders, on every contract defining the role
+ * @param {object[]} [options.vaults] Normalized vault entries, see scripts/vaults.js
+ * @param {boolean} [options.fresh] Deploy a new pair even when the previous one is still on chain
+ * @param {function(string): void} [options.log] Progress output
+ * @returns {Promise<{manifest: object, deployed: Object<string, string>, reused: string[], warnings: string[]}>}
+ */
+async function deploySystem(hre, options) {
+  const { signer, manifest, authorizers, threshold, roles = {}, vaults = [], fresh = false } = options;
+  const log = options.log || (() => {});
+  const { provider } = hre.ethers;
+  const network = await provider.getNetwork();
+  const deployer = await signer.getAddress();
+  const previous = (manifest && manifest.contracts) || {};
+  const send = async (tx) => (await tx).wait();
+
+  const deployed = {};
+  const reused = [];
+  const warnings = [];
+  const track = (name, address, wasReused) => {
+    if (wasReused) {
+      reused.push(name);
+      log(`= ${name} unchanged at: ${address}`);
+    } else {
+      deployed[name] = address;
+      log(`✓ ${name} deployed to: ${address}`);
+    }
+  };
+
+  // Implementations and the factory that clones them
+  const implementations = {};
+  for (const name of IMPLEMENTATIONS) {
+    const result = await deployOrReuse(hre, signer, name, [], (previous.implementations || {})[name]);
+    implementations[name] = result.record;
+    track(`${name} implementation`, result.record.address, result.reused);
+  }
+
+  const factoryResult = await deployOrReuse(
+    hre,
+    signer,
+    "VaultFactory",
+    IMPLEMENTATIONS.map((name) => implementations[name].address),
+    previous.VaultFactory
+  );
+  track("VaultFactory", factoryResult.record.address, factoryResult.reused);
+  const factory = await hre.ethers.getContractAt("VaultFactory", factoryResult.record.address, signer);
+
+  // The AuthorizationManager / SecureVault pair
+  const pairReused =
+    !fresh && (await isLive(provider, previous.AuthorizationManager)) && (await isLive(provider, previous.SecureVault));
+  let managerAddress, vaultAddress, blockNumber, pairIndex;
+  if (pairReused) {
+    managerAddress = previous.AuthorizationManager.address;
+    vaultAddress = previous.SecureVault.address;
+    blockNumber = manifest.blockNumber;
+    // The index only identifies the pair within the factory that deployed it
+    pairIndex = factoryResult.reused ? previous.VaultFactory.pairIndex : undefined;
+  } else {
+    const receipt = await send(factory.deployPair(authorizers, threshold));
+    const event = receipt.logs
+      .map((entry) => factory.interface.parseLog(entry))
+      .find((parsed) => parsed && parsed.name === "PairDeployed");
+    managerAddress = event.args.authorizationManager;
+    vaultAddress = event.args.vault;
+    blockNumber = receipt.blockNumber;
+    pairIndex = Number(event.args.pairIndex);
+  }
+  track("AuthorizationManager", managerAddress, pairReused);
+  track("SecureVault", vaultAddress, pairReused);
+
+  const authorizationManager = await hre.ethers.getContractAt("AuthorizationManager", managerAddress, signer);
+  const vault = await hre.ethers.getContractAt("SecureVault", vaultAddress, signer);
+
+  // Ownership is offered by the factory (or by an interrupted earlier run)
+  for (const contract of [authorizationManager, vault]) {
+    if ((await contract.pendingOwner()) === deployer) {
+      await send(contract.acceptOwnership());
+    }
+  }
+
+  // A new pair is initialized with the shared signers; a reused one is brought up to date
+  if (pairReused) {
+    for (const authorizer of authorizers) {
+      if (!(await authorizationManager.isSigner(authorizer))) {
+        await send(authorizationManager.addSigner(authorizer));
+      }
+    }
+    if ((await authorizationManager.threshold()) !== BigInt(threshold)) {
+      await send(authorizationManager.setThreshold(threshold));
+    }
+  }
+
+  // Further vaults on the same manager; those of a replaced pair belong to the old manager
+  const vaultEntries = await deployVaults({
+    signer,
+    factory: factoryResult.record.address,
+    manager: managerAddress,
+    vaults,
+    primaryVault: vaultAddress,
+    existing: pairReused ? Object.fromEntries((previous.vaults || []).map(({ name, address }) => [name, address])) : {},
+  });
+  for (const entry of vaultEntries.slice(1)) {
+    track(`Vault "${entry.name}"`, entry.address, !entry.deployed);
+  }
+
+  // Roles on every contract that defines them
+  const roleTargets = [
+    ["AuthorizationManager", authorizationManager],
+    ["SecureVault", vault],
+    ...(await Promise.all(
+      vaultEntries
+        .slice(1)
+        .map(async ({ address }) => ["SecureVault", await hre.ethers.getContractAt("SecureVault", address, signer)])
+    )),
+  ];
+  for (const [contractName, contract] of roleTargets) {
+    for (const name of CONTRACT_ROLES[contractName]) {
+      const role = await contract[ROLES[name]]();
+      for (const account of roles[name] || []) {
+        if (!(await contract.hasRole(role, account))) {
+          await send(contract.grantRole(role, account));
+        }
+      }
+    }
+  }
+
+  // Proxies keep their implementation across deployments; only upgrade.js changes it
+  const proxyRecords = {};
+  for (const [name, contract] of [
+    ["AuthorizationManager", authorizationManager],
+    ["SecureVault", vault],
+  ]) {
+    const implementation = await contract.implementation();
+    let implementationHistory = pairReused ? previous[name].implementationHistory : undefined;
+    if (!implementationHistory) {
+      const { address, bytecodeHash: hash, codeHash, transactionHash } = implementations[name];
+      implementationHistory = [
+        {
+          contractName: name,
+          address,
+          bytecodeHash: hash,
+          codeHash,
+          transactionHash,
+          timestamp: new Date().toISOString(),
+          storageLayout: await getStorageLayout(hre, name),
+        },
+      ];
+    }
+    if (implementation !== implementations[name].address) {
+      warnings.push(
+        `${name} proxy ${await contract.getAddress()} still uses ${implementation}; ` +
+          `run scripts/upgrade.js to move it to ${implementations[name].address}`
+      );
+    }
+    proxyRecords[name] = {
+      address: await contract.getAddress(),
+      codeHash: await codeHashAt(provider, await contract.getAddress()),
+      owner: await contract.owner(),
+      roles: rolesOf(roles, name),
+      implementation,
+      implementationHistory,
+    };
+  }
+
+  const vaultRecords = [];
+  for (const entry of vaultEntries) {
+    const vaultContract = await hre.ethers.getContractAt("SecureVault", entry.address);
+    vaultRecords.push({
+      name: entry.name,
+      address: entry.address,
+      codeHash: await codeHashAt(provider, entry.address),
+      owner: await vaultContract.owner(),
+      signers: entry.signers,
+      threshold: entry.threshold,
+      policies: serializePolicies(entry.policies),
+    });
+  }
+
+  const timestamp = new Date().toISOString();
+  const result = {
+    network: network.name,
+    chainId: Number(network.chainId),
+    deployer,
+    timestamp,
+    // Block of the pair deployment, where indexing starts
+    blockNumber,
+    contracts: {
+      implementations,
+      VaultFactory: { ...factoryResult.record, ...(pairIndex !== undefined && { pairIndex }) },
+      AuthorizationManager: {
+        ...proxyRecords.AuthorizationManager,
+        signers: authorizers,
+        threshold,
+      },
+      SecureVault: {
+        ...proxyRecords.SecureVault,
+        authorizationManager: await vault.authorizationManager(),
+        registered: await authorizationManager.registeredVaults(vaultAddress),
+      },
+      // Every configured vault on the shared AuthorizationManager, the pair's vault first
+      vaults: vaultRecords,
+    },
+    history: [
+      ...((manifest && manifest.history) || []),
+      { timestamp, deployer, blockNumber: await provider.getBlockNumber(), deployed, reused },
+    ],
+  };
+
+  return { manifest: result, deployed, reused, warnings };
+}
+
+/**
+ * Upgrade a recorded proxy to a new implementation
+ *
+ * Upgrading SecureVault upgrades the pair's vault and every vault in
+ * `contracts.vaults`. All of them must be on the recorded current
+ * implementation, since that is the layout the new one is checked against;
+ * nothing is deployed otherwise. The new implementation is appended to the
+ * record's `implementationHistory` with the upgraded `proxies`, updating
+ * `manifest` in place.
+ *
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} options
+ * @param {import("ethers").Signer} options.signer Owner of the proxies
+ * @param {object} options.manifest Contents of deployments/deployment-<chainId>.json
+ * @param {string} options.contractName AuthorizationManager or SecureVault
+ * @param {string} [options.implementationName] Artifact of the new implementation (defaults to contractName)
+ * @param {function(string): void} [options.log] Progress output
+ * @returns {Promise<{manifest: object, implementation: string, proxies: string[]}>}
+ */
+async function upgradeProxies(hre, options) {
+  const { signer, manifest, contractName, implementationName = contractName, log = () => {} } = options;
+  if (!IMPLEMENTATIONS.includes(contractName)) {
+    throw new Error(`Cannot upgrade ${contractName}; expected one of ${IMPLEMENTATIONS.join(", ")}`);
+  }
+  const record = manifest.contracts[contractName];
+  const history = record.implementationHistory || [];
+  const current = history[history.length - 1];
+  if (!current || !current.storageLayout) {
+    throw new Error(`No recorded storage layout for the current ${contractName} implementation`);
+  }
+
+  // The pair's proxy first, then the deployment's further vaults
+  const proxies = [{ name: contractName, address: record.address }];
+  if (contractName === "SecureVault") {
+    for (const { name, address } of manifest.contracts.vaults || []) {
+      if (address !== record.address) {
+        proxies.push({ name: `Vault "${name}"`, address });
+      }
+    }
+  }
+  for (const { name, address } of proxies) {
+    const implementation = await implementationAt(hre.ethers.provider, address);
+    if (implementation !== record.implementation) {
+      throw new Error(
+        `${name} proxy ${address} uses ${implementation}, not the recorded ${record.implementation}; ` +
+          "its storage layout cannot be checked"
+      );
+    }
+  }
+
+  const storageLayout = await getStorageLayout(hre, implementationName);
+  const layoutErrors = compareStorageLayouts(current.storageLayout, storageLayout);
+  if (layoutErrors.length > 0) {
+    layoutErrors.forEach((error) => log(`✗ ${error}`));
+    throw new Error(
+      `${implementationName} is not storage-compatible with ${current.contractName} at ${current.address}`
+    );
+  }
+  log(`✓ ${implementationName} is storage-compatible with ${current.contractName}`);
+
+  const Implementation = await hre.ethers.getContractFactory(implementationName, signer);
+  const deployedImplementation = await Implementation.deploy();
+  await deployedImplementation.waitForDeployment();
+  const implementationAddress = await deployedImplementation.getAddress();
+  log(`✓ ${implementationName} deployed to: ${implementationAddress}`);
+
+  const upgrades = [];
+  for (const { name, address } of proxies) {
+    const proxy = await hre.ethers.getContractAt(contractName, address, signer);
+    const tx = await proxy.upgradeTo(implementationAddress);
+    await tx.wait();
+
+    const activeImplementation = await implementationAt(hre.ethers.provider, address);
+    if (activeImplementation !== implementationAddress) {
+      throw new Error(`${name} proxy points at ${activeImplementation}, expected ${implementationAddress}`);
+    }
+    log(`✓ ${name} proxy ${address} now uses ${implementationAddress}`);
+    upgrades.push({ address, transactionHash: tx.hash });
+  }
+
+  record.implementation = implementationAddress;
+  record.implementationHistory = [
+    ...history,
+    {
+      contractName: implementationName,
+      address: implementationAddress,
+      bytecodeHash: await bytecodeHash(hre, implementationName),
+      codeHash: await codeHashAt(hre.ethers.provider, implementationAddress),
+      transactionHash: upgrades[0].transactionHash,
+      // Every proxy moved to this implementation, the pair's first
+      proxies: upgrades,
+      timestamp: new Date().toISOString(),
+      storageLayout,
+    },
+  ];
+
+  return {
+    manifest,
+    implementation: implementationAddress,
+    proxies: upgrades.map(({ address }) => address),
+  };
+}
+
+/**
+ * Compare a deployment manifest with the chain
+ *
+ * Checks the code of every recorded contract, the factory's implementations,
+ * each proxy's ERC1967 implementation (every vault's against the pair's) and
+ * owner, the vault -> manager linkage and
+ * registration, the signer sets, thresholds, vault policies and role holders.
+ *
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} manifest Contents of deployments/deployment-<chainId>.json
+ * @returns {Promise<string[]>} Every difference found; empty when the chain matches
+ */
+async function verifyDeployment(hre, manifest) {
+  const { provider } = hre.ethers;
+  const errors = [];
+
+  const { chainId } = await provider.getNetwork();
+  if (BigInt(manifest.chainId) !== chainId) {
+    return [`Manifest is for chain ${manifest.chainId}, connected to chain ${chainId}`];
+  }
+
+  const expectEqual = (label, actual, expected) => {
+    if (String(actual) !== String(expected)) {
+      errors.push(`${label} is ${actual}, manifest has ${expected}`);
+    }
+  };
+  const checkCode = async (label, record) => {
+    const codeHash = await codeHashAt(provider, record.address);
+    if (codeHash === null) {
+      errors.push(`${label} at ${record.address} has no code`);
+      return false;
+    }
+    if (record.codeHash !== undefined && codeHash !== record.codeHash) {
+      errors.push(`${label} at ${record.address} has different code than recorded`);
+      return false;
+    }
+    return true;
+  };
+  // A contract that cannot answer is reported instead of aborting the whole check
+  const check = async (label, fn) => {
+    try {
+      await fn();
+    } catch (error) {
+      errors.push(`${label} could not be read: ${error.shortMessage || error.message}`);
+    }
+  };
+
+  const { contracts } = manifest;
+  const implementations = contracts.implementations || {};
+  for (const name of IMPLEMENTATIONS) {
+    if (implementations[name]) {
+      await checkCode(`${name} implementation`, implementations[name]);
+    }
+  }
+
+  if (contracts.VaultFactory && (await checkCode("VaultFactory", contracts.VaultFactory))) {
+    await check("VaultFactory", async () => {
+      const factory = await hre.ethers.getContractAt("VaultFactory", contracts.VaultFactory.address);
+      for (const [name, getter] of [
+        ["AuthorizationManager", "managerImplementation"],
+        ["SecureVault", "vaultImplementation"],
+      ]) {
+        if (implementations[name]) {
+          expectEqual(`VaultFactory ${getter}`, await factory[getter](), implementations[name].address);
+        }
+      }
+    });
+  }
+
+  const manager = await hre.ethers.getContractAt("AuthorizationManager", contracts.AuthorizationManager.address);
+  const live = {};
+  for (const name of IMPLEMENTATIONS) {
+    const record = contracts[name];
+    live[name] = await checkCode(name, record);
+    if (!live[name]) {
+      continue;
+    }
+    await check(name, async () => {
+      const contract = await hre.ethers.getContractAt(name, record.address);
+      expectEqual(`${name} implementation`, await implementationAt(provider, record.address), record.implementation);
+      const active = (record.implementationHistory || []).find(({ address }) => address === record.implementation);
+      await checkCode(`${name} active implementation`, {
+        address: record.implementation,
+        codeHash: active && active.codeHash,
+      });
+      expectEqual(`${name} owner`, await contract.owner(), record.owner);
+
+      for (const roleName of CONTRACT_ROLES[name]) {
+        const role = await contract[ROLES[roleName]]();
+        for (const account of (record.roles || {})[roleName] || []) {
+          if (!(await contract.hasRole(role, account))) {
+            errors.push(`${name} ${roleName} role is missing for ${account}`);
+          }
+        }
+      }
+    });
+  }
+
+  if (!live.AuthorizationManager) {
+    return errors;
+  }
+
+  await check("AuthorizationManager", async () => {
+    const record = contracts.AuthorizationManager;
+    for (const signer of record.signers || []) {
+      if (!(await manager.isSigner(signer))) {
+        errors.push(`AuthorizationManager signer ${signer} is not registered`);
+      }
+    }
+    expectEqual("AuthorizationManager threshold", await manager.threshold(), record.threshold);
+  });
+
+  // Manifests without configured vaults still link the pair's vault
+  const vaultRecords = contracts.vaults && contracts.vaults.length > 0 ? contracts.vaults : [];
+  if (vaultRecords.length === 0) {
+    const { address, owner } = contracts.SecureVault;
+    vaultRecords.push({ name: "SecureVault", address, owner });
+  }
+  for (const entry of vaultRecords) {
+    const label = `Vault "${entry.name}"`;
+    if (!(await checkCode(label, entry))) {
+      continue;
+    }
+    await check(label, async () => {
+      const vault = await hre.ethers.getContractAt("SecureVault", entry.address);
+      const linked = await vault.authorizationManager();
+      expectEqual(`${label} authorizationManager`, linked, contracts.AuthorizationManager.address);
+      if (!(await manager.registeredVaults(entry.address))) {
+        errors.push(`${label} is not registered with the AuthorizationManager`);
+      }
+      if (entry.owner !== undefined) {
+        expectEqual(`${label} owner`, await vault.owner(), entry.owner);
+      }
+      // Every vault is upgraded with the pair's, so all run its recorded implementation
+      if (entry.address !== contracts.SecureVault.address && contracts.SecureVault.implementation) {
+        const implementation = await implementationAt(provider, entry.address);
+        expectEqual(`${label} implementation`, implementation, contracts.SecureVault.implementation);
+      }
+      for (const signer of entry.signers || []) {
+        if (!(await manager.isVaultSigner(entry.address, signer))) {
+          errors.push(`${label} signer ${signer} is not registered`);
+        }
+      }
+      if ((entry.signers || []).length > 0) {
+        expectEqual(`${label} threshold`, await manager.getThreshold(entry.address), entry.threshold);
+      }
+      for (const [token, policy] of Object.entries(entry.policies || {})) {
+        if (!(await manager.hasVaultPolicy(entry.address, token))) {
+          errors.push(`${label} has no policy for ${token}`);
+          continue;
+        }
+        const current = await manager.getPolicy(entry.address, token);
+        POLICY_FIELDS.forEach((field, i) => {
+          expectEqual(`${label} ${field} for ${token}`, current[i], policy[field]);
+        });
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ROLES,
+  bytecodeHash,
+  codeHashAt,
+  deploySystem,
+  implementationAt,
+  upgradeProxies,
+  verifyDeployment,
+};
@@ -0,0 +1,122 @@
+/**
+ * Storage layout helpers for upgradeable deployments
+ *
+ * Implementations sit behind ERC1967 proxies, so a new implementation must keep
+ * every existing storage variable at the same slot, offset and type; new
+ * variables may only be appended. Layouts come from the compiler's
+ * `storageLayout` output (enabled in hardhat.config.js) and are recorded in the
+ * deployment manifest so later upgrades can be checked against them.
+ */
+
+/**
+ * Describe a type without compiler AST ids, which change between compilations
+ * @param {object} types `types` section of a solc storage layout
+ * @param {string} typeId Type identifier, e.g. "t_mapping(t_address,t_uint256)"
+ */
+function describeType(types, typeId) {
+  const type = types[typeId];
+  const description = {
+    label: type.label,
+    encoding: type.encoding,
+    numberOfBytes: type.numberOfBytes,
+  };
+
+  if (type.members) {
+    description.members = type.members.map((member) => ({
+      label: member.label,
+      slot: member.slot,
+      offset: member.offset,
+      type: describeType(types, member.type),
+    }));
+  }
+  if (type.key) {
+    description.key = describeType(types, type.key);
+  }
+  if (type.value) {
+    description.value = describeType(types, type.value);
+  }
+  if (type.base) {
+    description.base = describeType(types, type.base);
+  }
+
+  return description;
+}
+
+/**
+ * Normalize a solc storage layout into a list of variables that can be stored and compared
+ * @param {{storage: object[], types: object}} layout Raw compiler output
+ * @returns {{label: string, slot: string, offset: number, type: object}[]}
+ */
+function normalizeLayout(layout) {
+  return layout.storage.map((variable) => ({
+    label: variable.label,
+    slot: variable.slot,
+    offset: variable.offset,
+    type: describeType(layout.types || {}, variable.type),
+  }));
+}
+
+/**
+ * Read the normalized storage layout of a compiled contract
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} contractName Artifact name, e.g. "SecureVault"
+ */
+async function getStorageLayout(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`
+  );
+  const layout =
+    buildInfo && buildInfo.output.contracts[artifact.sourceName][artifact.contractName].storageLayout;
+
+  if (!layout) {
+    throw new Error(
+      `No storage layout for ${contractName}; add "storageLayout" to the compiler outputSelection`
+    );
+  }
+
+  return normalizeLayout(layout);
+}
+
+/**
+ * Check that `next` can safely replace `previous` behind a proxy
+ * @param {object[]} previous Normalized layout of the current implementation
+ * @param {object[]} next Normalized layout of the new implementation
+ * @returns {string[]} Human-readable incompatibilities (empty if compatible)
+ */
+function compareStorageLayouts(previous, next) {
+  const errors = [];
+
+  previous.forEach((variable, index) => {
+    const candidate = next[index];
+    const where = `slot ${variable.slot}, offset ${variable.offset}`;
+
+    if (!candidate) {
+      errors.push(`\`${variable.label}\` (${where}) was removed`);
+      return;
+    }
+    if (candidate.label !== variable.label) {
+      errors.push(`\`${variable.label}\` (${where}) was replaced by \`${candidate.label}\``);
+      return;
+    }
+    if (candidate.slot !== variable.slot || candidate.offset !== variable.offset) {
+      errors.push(
+        `\`${variable.label}\` moved from ${where} to slot ${candidate.slot}, offset ${candidate.offset}`
+      );
+      return;
+    }
+    if (JSON.stringify(candidate.type) !== JSON.stringify(variable.type)) {
+      errors.push(
+        `\`${variable.label}\` (${where}) changed type from ${variable.type.label} to ${candidate.type.label}`
+      );
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  normalizeLayout,
+  getStorageLayout,
+  compareStorageLayouts,
+};
@@ -0,0 +1,70 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { upgradeProxies } = require("./deployment");
+
+/**
+ * Upgrade Script for Secure Vault Authorization System
+ *
+ * This script:
+ * 1. Loads the proxy and its implementation history from deployments/deployment-<chainId>.json
+ * 2. Checks the new implementation's storage layout against the recorded layout
+ *    of the current implementation, and aborts if it is incompatible
+ * 3. Deploys the new implementation and points the proxy at it (owner only)
+ * 4. Appends the new implementation to the history in the deployment file
+ *
+ * Upgrading SecureVault upgrades every vault of the deployment (`contracts.vaults`)
+ * to the same implementation. All of them must be on the recorded current
+ * implementation, since that is the layout the new one is checked against.
+ *
+ * Environment:
+ *   UPGRADE_CONTRACT       - proxy to upgrade: AuthorizationManager or SecureVault
+ *   UPGRADE_IMPLEMENTATION - artifact name of the new implementation (defaults to UPGRADE_CONTRACT)
+ */
+async function main() {
+  const contractName = process.env.UPGRADE_CONTRACT;
+  if (!["AuthorizationManager", "SecureVault"].includes(contractName)) {
+    throw new Error("UPGRADE_CONTRACT must be AuthorizationManager or SecureVault");
+  }
+  const implementationName = process.env.UPGRADE_IMPLEMENTATION || contractName;
+
+  console.log("=".repeat(60));
+  console.log(`Secure Vault Authorization System - Upgrade ${contractName}`);
+  console.log("=".repeat(60));
+
+  const [deployer] = await hre.ethers.getSigners();
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`\nUpgrading with account: ${deployer.address}`);
+  console.log(`Network: ${network.name} (Chain ID: ${network.chainId})`);
+
+  // Step 1: Load the deployment record
+  const deploymentFile = path.join(__dirname, "..", "deployments", `deployment-${network.chainId}.json`);
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`No deployment found at ${deploymentFile}; run scripts/deploy.js first`);
+  }
+  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+
+  // Steps 2 and 3: Check storage layout compatibility, deploy and upgrade (see scripts/deployment.js)
+  console.log("\n--- Upgrading ---");
+  const { implementation, proxies } = await upgradeProxies(hre, {
+    signer: deployer,
+    manifest: deploymentInfo,
+    contractName,
+    implementationName,
+    log: (line) => console.log(line),
+  });
+
+  // Step 4: Record the upgrade
+  fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
+  console.log(`\n✓ Implementation history saved to: ${deploymentFile}`);
+
+  return { proxies, implementation };
+}
+
+// Execute upgrade
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,203 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * Multi-vault deployment helpers
+ *
+ * Any number of SecureVault proxies can share one AuthorizationManager. Each
+ * entry of a vault config file describes one of them:
+ *
+ *   {
+ *     "vaults": [
+ *       {
+ *         "name": "treasury",
+ *         "signers": ["0x...", "0x..."],
+ *         "threshold": 2,
+ *         "policies": {
+ *           "0x0000000000000000000000000000000000000000": { "maxWithdrawalAmount": "1000", "dailyLimit": "5000" }
+ *         }
+ *       },
+ *       { "name": "payroll" }
+ *     ]
+ *   }
+ *
+ * `signers` and `threshold` give the vault its own signer set; without them the
+ * vault uses the manager's shared signers. `policies` override the manager's
+ * shared policy of each listed asset (omitted limits are disabled).
+ */
+
+// Fields of an AuthorizationManager policy, in struct order
+const POLICY_FIELDS = ["maxWithdrawalAmount", "dailyLimit", "largeWithdrawalAmount", "largeWithdrawalThreshold"];
+
+// Subsets of the contract ABIs used during deployment
+const FACTORY_ABI = [
+  "function deployVault(address manager) returns (address)",
+  "event VaultDeployed(address indexed authorizationManager, address indexed vault, address owner, uint256 timestamp)",
+];
+const MANAGER_ABI = [
+  "function registeredVaults(address vault) view returns (bool)",
+  "function isVaultSigner(address vault, address signer) view returns (bool)",
+  "function getThreshold(address vault) view returns (uint256)",
+  "function hasVaultPolicy(address vault, address token) view returns (bool)",
+  "function getPolicy(address vault, address token) view returns ((uint256 maxWithdrawalAmount, uint256 dailyLimit, uint256 largeWithdrawalAmount, uint256 largeWithdrawalThreshold))",
+  "function registerVault(address vault)",
+  "function addVaultSigner(address vault, address signer)",
+  "function setVaultThreshold(address vault, uint256 newThreshold)",
+  "function setVaultPolicy(address vault, address token, (uint256 maxWithdrawalAmount, uint256 dailyLimit, uint256 largeWithdrawalAmount, uint256 largeWithdrawalThreshold) policy)",
+];
+const VAULT_ABI = ["function acceptOwnership()"];
+
+/**
+ * Validate one vault entry and normalize addresses and amounts
+ * @param {object} config Entry of the `vaults` array
+ * @param {number} index Position of the entry, for error messages
+ * @returns {{name: string, signers: string[], threshold: number, policies: Object<string, object>}}
+ */
+function normalizeVaultConfig(config, index) {
+  const where = `vaults[${index}]`;
+  if (typeof config.name !== "string" || config.name === "") {
+    throw new Error(`${where}.name must be a non-empty string`);
+  }
+
+  const signers = (config.signers || []).map((signer, i) => {
+    if (!ethers.isAddress(signer)) {
+      throw new Error(`${where}.signers[${i}] is not an address`);
+    }
+    return ethers.getAddress(signer);
+  });
+  if (new Set(signers).size !== signers.length) {
+    throw new Error(`${where}.signers contains a duplicate`);
+  }
+
+  const threshold = config.threshold ?? (signers.length > 0 ? 1 : 0);
+  if (signers.length === 0 && threshold !== 0) {
+    throw new Error(`${where}.threshold requires signers`);
+  }
+  if (signers.length > 0 && (!Number.isInteger(threshold) || threshold < 1 || threshold > signers.length)) {
+    throw new Error(`${where}.threshold must be between 1 and the number of signers`);
+  }
+
+  const policies = {};
+  for (const [token, policy] of Object.entries(config.policies || {})) {
+    if (!ethers.isAddress(token)) {
+      throw new Error(`${where}.policies key ${token} is not an address`);
+    }
+    const normalized = {};
+    for (const field of POLICY_FIELDS) {
+      normalized[field] = BigInt(policy[field] ?? 0);
+    }
+    policies[ethers.getAddress(token)] = normalized;
+  }
+
+  return { name: config.name, signers, threshold, policies };
+}
+
+/**
+ * Read and validate a vault config file
+ * @param {string} filePath JSON file with a `vaults` array
+ * @returns {object[]} Normalized vault entries, see normalizeVaultConfig
+ */
+function loadVaultConfigs(filePath) {
+  const { vaults } = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(vaults) || vaults.length === 0) {
+    throw new Error(`${filePath} must contain a non-empty "vaults" array`);
+  }
+
+  const configs = vaults.map(normalizeVaultConfig);
+  const names = configs.map(({ name }) => name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate !== undefined) {
+    throw new Error(`Vault name "${duplicate}" is used twice`);
+  }
+  return configs;
+}
+
+/**
+ * Register a vault with the manager (if needed) and apply its signer set and policies
+ *
+ * Only settings that differ from the chain are sent, so configuring a vault
+ * again is a no-op. Signers missing from the config are not removed.
+ *
+ * @param {import("ethers").Contract} manager AuthorizationManager connected to its owner or admin
+ * @param {string} vault SecureVault address
+ * @param {object} config Normalized vault entry
+ */
+async function configureVault(manager, vault, config) {
+  const send = async (tx) => (await tx).wait();
+
+  if (!(await manager.registeredVaults(vault))) {
+    await send(manager.registerVault(vault));
+  }
+  for (const signer of config.signers) {
+    if (!(await manager.isVaultSigner(vault, signer))) {
+      await send(manager.addVaultSigner(vault, signer));
+    }
+  }
+  if (config.signers.length > 0 && (await manager.getThreshold(vault)) !== BigInt(config.threshold)) {
+    await send(manager.setVaultThreshold(vault, config.threshold));
+  }
+  for (const [token, policy] of Object.entries(config.policies)) {
+    const current = await manager.getPolicy(vault, token);
+    const unchanged =
+      (await manager.hasVaultPolicy(vault, token)) &&
+      POLICY_FIELDS.every((field, i) => current[i] === policy[field]);
+    if (!unchanged) {
+      await send(manager.setVaultPolicy(vault, token, policy));
+    }
+  }
+}
+
+/**
+ * Deploy and configure the vaults of a config file on one shared manager
+ *
+ * The first entry configures `primaryVault` when given (the vault of the
+ * factory-deployed pair); every other entry gets a new vault proxy from the
+ * factory, whose ownership the signer accepts before it is registered. Entries
+ * whose name is in `existing` and whose vault still has code are configured in
+ * place instead of deployed again.
+ *
+ * @param {object} options
+ * @param {import("ethers").Signer} options.signer Owner (or admin and signer manager) of the manager
+ * @param {string} options.factory VaultFactory address
+ * @param {string} options.manager AuthorizationManager address
+ * @param {object[]} options.vaults Normalized vault entries, see loadVaultConfigs
+ * @param {string} [options.primaryVault] Already deployed and registered vault for the first entry
+ * @param {Object<string, string>} [options.existing] Name -> address of vaults deployed by an earlier run
+ * @returns {Promise<object[]>} The entries with the `address` of each vault and whether it was `deployed` now
+ */
+async function deployVaults({ signer, factory, manager, vaults, primaryVault, existing = {} }) {
+  const factoryContract = new ethers.Contract(factory, FACTORY_ABI, signer);
+  const managerContract = new ethers.Contract(manager, MANAGER_ABI, signer);
+
+  const deployed = [];
+  for (const [index, config] of vaults.entries()) {
+    let address = index === 0 ? primaryVault : undefined;
+    if (address === undefined && existing[config.name] !== undefined) {
+      const code = await signer.provider.getCode(existing[config.name]);
+      address = code === "0x" ? undefined : existing[config.name];
+    }
+
+    const deploy = address === undefined;
+    if (deploy) {
+      const receipt = await (await factoryContract.deployVault(manager)).wait();
+      const event = receipt.logs
+        .map((log) => factoryContract.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "VaultDeployed");
+      address = event.args.vault;
+
+      await (await new ethers.Contract(address, VAULT_ABI, signer).acceptOwnership()).wait();
+    }
+
+    await configureVault(managerContract, address, config);
+    deployed.push({ ...config, address, deployed: deploy });
+  }
+  return deployed;
+}
+
+module.exports = {
+  POLICY_FIELDS,
+  configureVault,
+  deployVaults,
+  loadVaultConfigs,
+  normalizeVaultConfig,
+};
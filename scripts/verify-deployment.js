@@ -0,0 +1,46 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { verifyDeployment } = require("./deployment");
+
+/**
+ * Deployment Verification Script for Secure Vault Authorization System
+ *
+ * Compares deployments/deployment-<chainId>.json with the chain: the code of
+ * every recorded contract, the VaultFactory's implementations, each proxy's
+ * implementation and owner, vault -> AuthorizationManager linkage and
+ * registration, signer sets, thresholds, vault policies and role holders.
+ * Exits with status 1 when anything drifted.
+ *
+ * Environment:
+ *   DEPLOYMENT_FILE - manifest to check (defaults to the one of the connected chain)
+ */
+async function main() {
+  const network = await hre.ethers.provider.getNetwork();
+  const deploymentFile =
+    process.env.DEPLOYMENT_FILE ||
+    path.join(__dirname, "..", "deployments", `deployment-${network.chainId}.json`);
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`No deployment found at ${deploymentFile}; run scripts/deploy.js first`);
+  }
+  const manifest = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+
+  console.log(`Verifying ${deploymentFile}`);
+  console.log(`Network: ${network.name} (Chain ID: ${network.chainId})`);
+
+  const errors = await verifyDeployment(hre, manifest);
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error(`  ✗ ${error}`));
+    console.error(`\nDeployment drifted from the manifest (${errors.length} difference(s))`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log("✓ On-chain code, owners and linkage match the manifest");
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
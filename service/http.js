@@ -0,0 +1,158 @@
+const crypto = require("crypto");
+const http = require("http");
+const { ethers } = require("ethers");
+
+/**
+ * JSON-over-HTTP helpers shared by the local services
+ *
+ * Handlers throw HttpError to respond with a specific status; any other error
+ * becomes a 500. Every response is a JSON document, `{ error }` on failure.
+ */
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Selector of the Error(string) revert data emitted by require
+const ERROR_STRING_SELECTOR = ethers.id("Error(string)").slice(0, 10);
+
+/**
+ * Error carrying the HTTP status to respond with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} request
+ */
+async function readJson(request) {
+  let body = "";
+  for await (const chunk of request) {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      throw new HttpError(413, "Request body too large");
+    }
+  }
+  if (body === "") {
+    return {};
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw new HttpError(400, "Request body must be valid JSON");
+  }
+}
+
+/**
+ * Reject a request that does not carry the API token as `Authorization: Bearer <token>`
+ *
+ * Both sides are hashed before the constant-time comparison, so neither the
+ * token nor its length leaks through timing.
+ *
+ * @param {http.IncomingMessage} request
+ * @param {string} apiToken Token the caller must present
+ */
+function requireApiToken(request, apiToken) {
+  const header = request.headers.authorization || "";
+  const presented = header.startsWith("Bearer ") ? header.slice("Bearer ".length) : "";
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  if (presented === "" || !crypto.timingSafeEqual(digest(presented), digest(apiToken))) {
+    throw new HttpError(401, "Missing or invalid API token");
+  }
+}
+
+/**
+ * Parse an unsigned integer given as a decimal string or safe integer
+ */
+function parseUint(value, field) {
+  if (typeof value === "number" && Number.isSafeInteger(value) && value >= 0) {
+    return BigInt(value);
+  }
+  if (typeof value === "string" && /^\d+$/.test(value)) {
+    return BigInt(value);
+  }
+  throw new HttpError(400, `${field} must be a non-negative integer`);
+}
+
+/**
+ * Parse a checksummed or lowercase address
+ */
+function parseAddress(value, field) {
+  if (typeof value !== "string" || !ethers.isAddress(value)) {
+    throw new HttpError(400, `${field} must be an address`);
+  }
+  return ethers.getAddress(value);
+}
+
+/**
+ * Convert bigints (including inside arrays and objects) to decimal strings for JSON
+ */
+function toJson(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJson);
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toJson(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Revert string of a failed call
+ *
+ * ethers decodes it as `reason` over JSON-RPC; in-process providers only
+ * report the raw Error(string) revert data.
+ */
+function revertReason(error) {
+  if (error.reason) {
+    return error.reason;
+  }
+  if (typeof error.data === "string" && error.data.startsWith(ERROR_STRING_SELECTOR)) {
+    return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(error.data, 4))[0];
+  }
+  return error.shortMessage || error.message;
+}
+
+/**
+ * Create an HTTP server that answers every request with the result of `route`
+ *
+ * The returned server is not listening yet; call `server.listen(port)`.
+ *
+ * @param {(request: http.IncomingMessage) => Promise<{status: number, body: any}>} route
+ * @returns {http.Server}
+ */
+function createJsonServer(route) {
+  return http.createServer(async (request, response) => {
+    let result;
+    try {
+      result = await route(request);
+    } catch (error) {
+      result = {
+        status: error instanceof HttpError ? error.status : 500,
+        body: { error: error.shortMessage || error.message },
+      };
+    }
+
+    response.writeHead(result.status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(result.body));
+  });
+}
+
+module.exports = {
+  HttpError,
+  createJsonServer,
+  parseAddress,
+  parseUint,
+  readJson,
+  requireApiToken,
+  revertReason,
+  toJson,
+};
@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createAuthorizationService } = require("./server");
+
+/**
+ * Entry point of the authorization issuing service
+ *
+ * Environment:
+ *   RPC_URL               - JSON-RPC endpoint (defaults to http://localhost:8545)
+ *   SIGNER_PRIVATE_KEY    - this service's authorizer key
+ *   COSIGNER_URLS         - comma-separated signer service URLs of the other keys the threshold needs
+ *   COSIGNER_API_TOKENS   - comma-separated API tokens of those signer services, in the same order
+ *   SERVICE_API_TOKEN     - token clients must present
+ *   AUTHORIZATION_MANAGER - AuthorizationManager address (defaults to the deployment file)
+ *   VAULT                 - SecureVault address (defaults to the deployment file)
+ *   STORE_PATH            - JSON store (defaults to deployments/authorizations-<chainId>.json)
+ *   HOST                  - interface to listen on (defaults to 127.0.0.1)
+ *   PORT                  - port to listen on (defaults to 3000)
+ */
+
+/**
+ * Split a comma-separated list
+ */
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://localhost:8545");
+  const { chainId } = await provider.getNetwork();
+
+  if (process.env.SIGNER_PRIVATE_KEYS) {
+    throw new Error("SIGNER_PRIVATE_KEYS is not supported; set SIGNER_PRIVATE_KEY and run a signer service per other key");
+  }
+  if (!process.env.SIGNER_PRIVATE_KEY) {
+    throw new Error("SIGNER_PRIVATE_KEY is required");
+  }
+  if (!process.env.SERVICE_API_TOKEN) {
+    throw new Error("SERVICE_API_TOKEN is required");
+  }
+  const signer = new ethers.Wallet(process.env.SIGNER_PRIVATE_KEY, provider);
+
+  const urls = parseList(process.env.COSIGNER_URLS);
+  const tokens = parseList(process.env.COSIGNER_API_TOKENS);
+  if (tokens.length !== urls.length) {
+    throw new Error("COSIGNER_API_TOKENS must have one token per COSIGNER_URLS entry");
+  }
+  const cosigners = urls.map((url, i) => ({ url, apiToken: tokens[i] }));
+
+  const deploymentsDir = path.join(__dirname, "..", "deployments");
+  const deploymentFile = path.join(deploymentsDir, `deployment-${chainId}.json`);
+  let contracts = {};
+  if (fs.existsSync(deploymentFile)) {
+    ({ contracts } = JSON.parse(fs.readFileSync(deploymentFile, "utf8")));
+  }
+
+  const authorizationManager =
+    process.env.AUTHORIZATION_MANAGER || (contracts.AuthorizationManager || {}).address;
+  const vault = process.env.VAULT || (contracts.SecureVault || {}).address;
+  if (!authorizationManager || !vault) {
+    throw new Error(`Set AUTHORIZATION_MANAGER and VAULT, or deploy first (${deploymentFile})`);
+  }
+
+  const server = createAuthorizationService({
+    signer,
+    cosigners,
+    authorizationManager,
+    vault,
+    storePath: process.env.STORE_PATH || path.join(deploymentsDir, `authorizations-${chainId}.json`),
+    apiToken: process.env.SERVICE_API_TOKEN,
+  });
+
+  const host = process.env.HOST || "127.0.0.1";
+  const port = Number(process.env.PORT || 3000);
+  server.listen(port, host, () => {
+    console.log(`Authorization service listening on ${host}:${port}`);
+    console.log(`AuthorizationManager: ${authorizationManager}`);
+    console.log(`SecureVault: ${vault}`);
+    console.log(`Signer: ${signer.address}`);
+    console.log(`Signer services: ${urls.join(", ") || "none"}`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,324 @@
+const { ethers } = require("ethers");
+const {
+  AuthorizationStatus,
+  NonceMode,
+  buildRelayedWithdrawal,
+  buildWithdrawal,
+  combineSignatures,
+  fetchNextNonce,
+  signRelayedWithdrawal,
+  signWithdrawal,
+  withdrawArgs,
+  withdrawRelayedArgs,
+  withdrawTokenArgs,
+} = require("../scripts/authorization");
+const { parseWithdrawalRequest } = require("../signer/server");
+const { HttpError, createJsonServer, readJson, requireApiToken, toJson } = require("./http");
+const { AuthorizationStore } = require("./store");
+
+/**
+ * HTTP API for issuing withdrawal authorizations
+ *
+ * Endpoints:
+ *   POST /authorizations             - issue an authorization for
+ *                                      { recipient, amount, token?, validAfter?, validUntil?, fee?, relayer? }
+ *   GET  /authorizations[?status=]   - list issued authorizations (pending, consumed, revoked or expired)
+ *   GET  /authorizations/:id         - fetch one authorization
+ *   POST /authorizations/:id/revoke  - revoke an unused authorization on-chain
+ *   GET  /health                     - service configuration (contacts no signer service)
+ *
+ * Amounts, nonces and timestamps are decimal strings. Every authorization is
+ * returned with the `method` to call on SecureVault and its `args` in call order.
+ * Giving a `fee` (or a `relayer`) issues a relayed authorization for
+ * SecureVault.withdrawRelayed, which a relayer submits on the recipient's behalf.
+ * Requests under /authorizations must carry `Authorization: Bearer <apiToken>`.
+ *
+ * The service holds a single authorizer key. The other signatures a vault's
+ * threshold requires come from signer services (signer/), each holding one key,
+ * and are combined here.
+ *
+ * Nonces are allocated locally, so authorizations issued before earlier ones are
+ * used still get distinct nonces. Unordered nonces start from a random value, so a
+ * lost store does not reissue nonces already used on chain. For vaults with
+ * sequential or bitmap nonces the allocation follows the chain, skipping nonces
+ * that were used or invalidated.
+ */
+
+// Subset of the AuthorizationManager ABI used by the service
+const MANAGER_ABI = [
+  "function getAuthorizationStatus(bytes32 authorizationId) view returns (uint8)",
+  "function revokeVaultAuthorization(address vaultAddress, address token, address recipient, uint256 amount, uint256 nonce, uint256 validAfter, uint256 validUntil)",
+  "function revokeRelayedVaultAuthorization(address vaultAddress, address token, (address recipient, uint256 amount, uint256 fee, address relayer, bytes32 authorizationId, uint256 nonce, uint256 validAfter, uint256 validUntil, bytes[] signatures) request)",
+  "function nonceConfigs(address vault) view returns (uint8 mode, bool perSigner)",
+  "function isNonceUsed(address vault, address nonceOwner, uint256 nonce) view returns (bool)",
+];
+
+const STATUSES = ["pending", "consumed", "revoked", "expired"];
+
+// How long to wait for a signer service, in milliseconds
+const COSIGNER_TIMEOUT_MS = 10000;
+
+/**
+ * Random 128-bit nonce, as the CLI uses for unordered nonces
+ */
+function randomNonce() {
+  return BigInt(ethers.hexlify(ethers.randomBytes(16)));
+}
+
+/**
+ * Create the authorization service
+ *
+ * The returned server is not listening yet; call `server.listen(port, host)`.
+ *
+ * @param {object} options
+ * @param {import("ethers").Signer} options.signer Registered authorizer key of this service; also sends revocations
+ * @param {{url: string, apiToken: string}[]} [options.cosigners] Signer services of the other keys needed to
+ *        meet the threshold, with the token each one requires
+ * @param {string} options.authorizationManager AuthorizationManager address
+ * @param {string} options.vault SecureVault address authorizations are issued for
+ * @param {string} options.storePath JSON file holding nonces and issued authorizations
+ * @param {string} options.apiToken Token clients must present to issue, list and revoke authorizations
+ * @returns {import("http").Server}
+ */
+function createAuthorizationService({ signer, cosigners = [], authorizationManager, vault, storePath, apiToken }) {
+  if (!signer) {
+    throw new Error("A signer is required");
+  }
+  if (!apiToken) {
+    throw new Error("An API token is required");
+  }
+
+  const store = new AuthorizationStore(storePath);
+  const manager = new ethers.Contract(authorizationManager, MANAGER_ABI, signer);
+  const provider = signer.provider;
+
+  // Call a signer service and return its response body
+  async function callCosigner(cosigner, method, route, body) {
+    let response;
+    try {
+      response = await fetch(new URL(route, cosigner.url), {
+        method,
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${cosigner.apiToken}` },
+        body: body && JSON.stringify(toJson(body)),
+        signal: AbortSignal.timeout(COSIGNER_TIMEOUT_MS),
+      });
+    } catch (error) {
+      throw new HttpError(502, `Signer service ${cosigner.url} is unreachable: ${error.message}`);
+    }
+
+    let result;
+    try {
+      result = await response.json();
+    } catch (error) {
+      throw new HttpError(502, `Signer service ${cosigner.url} sent an invalid response (HTTP ${response.status})`);
+    }
+    if (!response.ok) {
+      throw new HttpError(502, `Signer service ${cosigner.url} refused: ${result.error}`);
+    }
+    return result;
+  }
+
+  // Addresses of this service's key and of every cosigner's key
+  async function signerAddresses() {
+    const remote = await Promise.all(
+      cosigners.map(async (cosigner) => (await callCosigner(cosigner, "GET", "/health")).signer)
+    );
+    return [await signer.getAddress(), ...remote];
+  }
+
+  // Reserve a nonce no other authorization of the vault has used (call inside store.exclusive())
+  async function reserveNonce() {
+    const [mode] = await manager.nonceConfigs(vault);
+    if (mode !== NonceMode.Unordered) {
+      const next = await fetchNextNonce(provider, authorizationManager, vault, await signerAddresses());
+      return store.allocateNonce(vault, next);
+    }
+
+    // Unordered nonces only need to be distinct: skip any already used on chain
+    let nonce = store.allocateNonce(vault, undefined, randomNonce());
+    while (await manager.isNonceUsed(vault, vault, nonce)) {
+      nonce = store.allocateNonce(vault);
+    }
+    return nonce;
+  }
+
+  // Sign the message locally and with every cosigner, then combine the signatures
+  async function collect(value, relayed) {
+    const local = relayed
+      ? signRelayedWithdrawal(signer, authorizationManager, value)
+      : signWithdrawal(signer, authorizationManager, value);
+    const remote = cosigners.map(async (cosigner) => {
+      const { authorizationId, signature } = await callCosigner(cosigner, "POST", "/signatures", value);
+      return { ...value, authorizationId, signature };
+    });
+
+    try {
+      return combineSignatures(await Promise.all([local, ...remote]));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        throw error;
+      }
+      throw new HttpError(502, `Could not combine signatures: ${error.message}`);
+    }
+  }
+
+  // Derive the current status from the chain and the local record
+  async function withStatus(record) {
+    const onChain = await manager.getAuthorizationStatus(record.authorizationId);
+    const { timestamp } = await provider.getBlock("latest");
+
+    let status = "pending";
+    if (onChain === AuthorizationStatus.Consumed) {
+      status = "consumed";
+    } else if (onChain === AuthorizationStatus.Revoked || record.revokedAt) {
+      status = "revoked";
+    } else if (BigInt(record.validUntil) < BigInt(timestamp)) {
+      status = "expired";
+    }
+    return { ...record, status };
+  }
+
+  function findRecord(authorizationId) {
+    const record = store.get(authorizationId);
+    if (!record) {
+      throw new HttpError(404, `Unknown authorization ${authorizationId}`);
+    }
+    return record;
+  }
+
+  async function issue(request) {
+    const { withdrawal, relayed } = parseWithdrawalRequest(await readJson(request), false);
+
+    return store.exclusive(async () => {
+      const nonce = await reserveNonce();
+
+      // Fix the message once so every signer signs the same validity window
+      let authorization;
+      try {
+        const build = relayed ? buildRelayedWithdrawal : buildWithdrawal;
+        authorization = await collect(await build(provider, { ...withdrawal, vault, nonce }), relayed);
+      } catch (error) {
+        // Give the nonce back so a failed request leaves no gap in sequential nonces
+        store.releaseNonce(vault, nonce);
+        throw error;
+      }
+
+      const isToken = withdrawal.token !== ethers.ZeroAddress;
+      let method = isToken ? "withdrawToken" : "withdraw";
+      let args = isToken ? withdrawTokenArgs(authorization) : withdrawArgs(authorization);
+      if (relayed) {
+        method = "withdrawRelayed";
+        args = withdrawRelayedArgs(authorization);
+      }
+
+      const record = {
+        authorizationId: authorization.authorizationId,
+        vault: authorization.vault,
+        token: authorization.token,
+        recipient: authorization.recipient,
+        amount: toJson(authorization.amount),
+        nonce: toJson(authorization.nonce),
+        validAfter: toJson(authorization.validAfter),
+        validUntil: toJson(authorization.validUntil),
+        ...(relayed && { fee: toJson(authorization.fee), relayer: authorization.relayer }),
+        signatures: authorization.signatures,
+        method,
+        args: toJson(args),
+        issuedAt: new Date().toISOString(),
+      };
+      store.put(record);
+      return record;
+    });
+  }
+
+  async function list(url) {
+    const status = url.searchParams.get("status");
+    if (status !== null && !STATUSES.includes(status)) {
+      throw new HttpError(400, `status must be one of ${STATUSES.join(", ")}`);
+    }
+
+    const records = await Promise.all(store.list().map(withStatus));
+    return status === null ? records : records.filter((record) => record.status === status);
+  }
+
+  async function revoke(authorizationId) {
+    const record = await withStatus(findRecord(authorizationId));
+    if (record.status === "consumed" || record.status === "revoked") {
+      throw new HttpError(409, `Authorization is already ${record.status}`);
+    }
+
+    // Revoke by contents so signers of a vault's own signer set can revoke as well
+    const tx =
+      record.fee === undefined
+        ? await manager.revokeVaultAuthorization(
+            record.vault,
+            record.token,
+            record.recipient,
+            record.amount,
+            record.nonce,
+            record.validAfter,
+            record.validUntil
+          )
+        : await manager.revokeRelayedVaultAuthorization(record.vault, record.token, {
+            recipient: record.recipient,
+            amount: record.amount,
+            fee: record.fee,
+            relayer: record.relayer,
+            authorizationId,
+            nonce: record.nonce,
+            validAfter: record.validAfter,
+            validUntil: record.validUntil,
+            signatures: [],
+          });
+    await tx.wait();
+
+    await store.exclusive(() => {
+      store.put({ ...findRecord(authorizationId), revokedAt: new Date().toISOString(), revokeTransaction: tx.hash });
+    });
+    return withStatus(findRecord(authorizationId));
+  }
+
+  async function route(request) {
+    const url = new URL(request.url, "http://localhost");
+    const segments = url.pathname.split("/").filter(Boolean);
+
+    if (request.method === "GET" && url.pathname === "/health") {
+      return {
+        status: 200,
+        body: {
+          status: "ok",
+          authorizationManager,
+          vault,
+          // Reported without calling the signer services, as the endpoint needs no token
+          signer: await signer.getAddress(),
+          cosigners: cosigners.length,
+        },
+      };
+    }
+
+    if (segments[0] === "authorizations") {
+      requireApiToken(request, apiToken);
+      if (segments.length === 1 && request.method === "POST") {
+        return { status: 201, body: await issue(request) };
+      }
+      if (segments.length === 1 && request.method === "GET") {
+        return { status: 200, body: await list(url) };
+      }
+      if (segments.length === 2 && request.method === "GET") {
+        return { status: 200, body: await withStatus(findRecord(segments[1])) };
+      }
+      if (segments.length === 3 && segments[2] === "revoke" && request.method === "POST") {
+        return { status: 200, body: await revoke(segments[1]) };
+      }
+    }
+
+    throw new HttpError(404, `No route for ${request.method} ${url.pathname}`);
+  }
+
+  return createJsonServer(route);
+}
+
+module.exports = {
+  createAuthorizationService,
+  HttpError,
+};
@@ -0,0 +1,114 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * File-backed store for issued authorizations and nonce allocation
+ *
+ * The whole store is a single JSON document, rewritten atomically (write to a
+ * temporary file, then rename) after every change. Mutations are serialized
+ * through an in-process queue, so concurrent requests never receive the same
+ * nonce and a crash never leaves a half-written file.
+ */
+class AuthorizationStore {
+  /**
+   * @param {string} filePath JSON file to persist to (created on first write)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.queue = Promise.resolve();
+    this.data = { nonces: {}, authorizations: {} };
+
+    if (fs.existsSync(filePath)) {
+      this.data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    }
+  }
+
+  /**
+   * Run a mutation after all previously queued ones and persist the result
+   * @param {() => Promise<T>|T} mutation
+   * @returns {Promise<T>}
+   * @template T
+   */
+  exclusive(mutation) {
+    const result = this.queue.then(async () => {
+      const value = await mutation();
+      this.persist();
+      return value;
+    });
+    // Keep the queue alive if a mutation fails
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Reserve the next nonce for a vault
+   *
+   * Must be called inside exclusive() so the reservation is persisted together
+   * with the authorization that uses it.
+   *
+   * @param {string} vault Vault address
+   * @param {bigint} [next] Next free nonce on chain; allocation starts there and never falls below it
+   * @param {bigint} [first] Nonce to start from when the store has allocated none for the vault yet
+   * @returns {bigint}
+   */
+  allocateNonce(vault, next, first = 1n) {
+    const key = vault.toLowerCase();
+    const last = this.data.nonces[key];
+    let nonce = last === undefined ? first : BigInt(last) + 1n;
+    if (next !== undefined && (last === undefined || next > nonce)) {
+      nonce = next;
+    }
+    this.data.nonces[key] = nonce.toString();
+    return nonce;
+  }
+
+  /**
+   * Give back the nonce allocated last for a vault, when its authorization was not issued
+   * (call inside exclusive())
+   * @param {string} vault Vault address
+   * @param {bigint} nonce Nonce returned by allocateNonce
+   */
+  releaseNonce(vault, nonce) {
+    const key = vault.toLowerCase();
+    if (this.data.nonces[key] === nonce.toString()) {
+      this.data.nonces[key] = (nonce - 1n).toString();
+    }
+  }
+
+  /**
+   * Record an issued authorization (call inside exclusive())
+   * @param {object} record JSON-serializable authorization record keyed by authorizationId
+   */
+  put(record) {
+    this.data.authorizations[record.authorizationId] = record;
+  }
+
+  /**
+   * @param {string} authorizationId
+   * @returns {object|undefined}
+   */
+  get(authorizationId) {
+    return this.data.authorizations[authorizationId];
+  }
+
+  /**
+   * All issued authorizations, oldest first
+   * @returns {object[]}
+   */
+  list() {
+    // Keys are hex strings, so insertion order is preserved
+    return Object.values(this.data.authorizations);
+  }
+
+  /**
+   * Write the store to disk atomically
+   */
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpFile = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpFile, this.filePath);
+  }
+}
+
+module.exports = { AuthorizationStore };
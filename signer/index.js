@@ -0,0 +1,65 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createSignerService } = require("./server");
+
+/**
+ * Entry point of a signer service
+ *
+ * Run one per authorizer key, ideally on a separate host operated by the key's holder.
+ *
+ * Environment:
+ *   RPC_URL               - JSON-RPC endpoint (defaults to http://localhost:8545)
+ *   SIGNER_PRIVATE_KEY    - the authorizer key this service signs with
+ *   SIGNER_API_TOKEN      - token the authorization service must present
+ *   AUTHORIZATION_MANAGER - AuthorizationManager address (defaults to the deployment file)
+ *   VAULT                 - SecureVault address (defaults to the deployment file)
+ *   HOST                  - interface to listen on (defaults to 127.0.0.1)
+ *   PORT                  - port to listen on (defaults to 3002)
+ */
+async function main() {
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || "http://localhost:8545");
+  const { chainId } = await provider.getNetwork();
+
+  if (!process.env.SIGNER_PRIVATE_KEY) {
+    throw new Error("SIGNER_PRIVATE_KEY is required");
+  }
+  if (!process.env.SIGNER_API_TOKEN) {
+    throw new Error("SIGNER_API_TOKEN is required");
+  }
+  const signer = new ethers.Wallet(process.env.SIGNER_PRIVATE_KEY, provider);
+
+  const deploymentFile = path.join(__dirname, "..", "deployments", `deployment-${chainId}.json`);
+  let contracts = {};
+  if (fs.existsSync(deploymentFile)) {
+    ({ contracts } = JSON.parse(fs.readFileSync(deploymentFile, "utf8")));
+  }
+
+  const authorizationManager =
+    process.env.AUTHORIZATION_MANAGER || (contracts.AuthorizationManager || {}).address;
+  const vault = process.env.VAULT || (contracts.SecureVault || {}).address;
+  if (!authorizationManager || !vault) {
+    throw new Error(`Set AUTHORIZATION_MANAGER and VAULT, or deploy first (${deploymentFile})`);
+  }
+
+  const server = createSignerService({
+    signer,
+    authorizationManager,
+    vault,
+    apiToken: process.env.SIGNER_API_TOKEN,
+  });
+
+  const host = process.env.HOST || "127.0.0.1";
+  const port = Number(process.env.PORT || 3002);
+  server.listen(port, host, () => {
+    console.log(`Signer service listening on ${host}:${port}`);
+    console.log(`AuthorizationManager: ${authorizationManager}`);
+    console.log(`SecureVault: ${vault}`);
+    console.log(`Signer: ${signer.address}`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,120 @@
+const { ethers } = require("ethers");
+const { signRelayedWithdrawal, signWithdrawal } = require("../scripts/authorization");
+const {
+  HttpError,
+  createJsonServer,
+  parseAddress,
+  parseUint,
+  readJson,
+  requireApiToken,
+} = require("../service/http");
+
+/**
+ * HTTP signer service holding a single authorizer key
+ *
+ * Every signer of a vault runs its own signer service, so no process holds
+ * more than one key. The authorization service sends each of them the same
+ * withdrawal and combines the returned signatures (see combineSignatures in
+ * scripts/authorization.js).
+ *
+ * Endpoints:
+ *   POST /signatures - sign { recipient, amount, nonce, validAfter, validUntil, token?, fee?, relayer? }
+ *   GET  /health     - signer configuration
+ *
+ * The nonce and validity window are required so every signer signs the same
+ * message. Giving a `fee` (or a `relayer`) signs a relayed withdrawal.
+ * POST requests must carry `Authorization: Bearer <apiToken>`.
+ */
+
+/**
+ * Parse the withdrawal fields of a request body
+ *
+ * @param {object} body Request body
+ * @param {boolean} complete Whether the nonce and validity window are required
+ * @returns {{withdrawal: object, relayed: boolean}} Parsed fields (the vault is not included) and
+ *          whether they describe a relayed withdrawal
+ */
+function parseWithdrawalRequest(body, complete) {
+  const optional = (field) => (body[field] === undefined && !complete ? undefined : parseUint(body[field], field));
+
+  const withdrawal = {
+    token: body.token === undefined ? ethers.ZeroAddress : parseAddress(body.token, "token"),
+    recipient: parseAddress(body.recipient, "recipient"),
+    amount: parseUint(body.amount, "amount"),
+    nonce: optional("nonce"),
+    validAfter: optional("validAfter"),
+    validUntil: optional("validUntil"),
+  };
+  if (withdrawal.amount === 0n) {
+    throw new HttpError(400, "amount must be greater than zero");
+  }
+
+  const relayed = body.fee !== undefined || body.relayer !== undefined;
+  if (relayed) {
+    withdrawal.fee = body.fee === undefined ? 0n : parseUint(body.fee, "fee");
+    withdrawal.relayer = body.relayer === undefined ? ethers.ZeroAddress : parseAddress(body.relayer, "relayer");
+    if (withdrawal.fee >= withdrawal.amount) {
+      throw new HttpError(400, "fee must be less than amount");
+    }
+  }
+  return { withdrawal, relayed };
+}
+
+/**
+ * Create the signer service
+ *
+ * The returned server is not listening yet; call `server.listen(port, host)`.
+ *
+ * @param {object} options
+ * @param {import("ethers").Signer} options.signer The one authorizer key this service signs with
+ * @param {string} options.authorizationManager AuthorizationManager address
+ * @param {string} options.vault SecureVault address signatures are given for
+ * @param {string} options.apiToken Token callers must present to obtain signatures
+ * @returns {import("http").Server}
+ */
+function createSignerService({ signer, authorizationManager, vault, apiToken }) {
+  if (!signer) {
+    throw new Error("A signer is required");
+  }
+  if (!apiToken) {
+    throw new Error("An API token is required");
+  }
+
+  async function sign(request) {
+    const { withdrawal, relayed } = parseWithdrawalRequest(await readJson(request), true);
+    const signed = relayed
+      ? await signRelayedWithdrawal(signer, authorizationManager, { ...withdrawal, vault })
+      : await signWithdrawal(signer, authorizationManager, { ...withdrawal, vault });
+
+    return {
+      signer: await signer.getAddress(),
+      authorizationId: signed.authorizationId,
+      signature: signed.signature,
+    };
+  }
+
+  async function route(request) {
+    const url = new URL(request.url, "http://localhost");
+
+    if (request.method === "GET" && url.pathname === "/health") {
+      return {
+        status: 200,
+        body: { status: "ok", authorizationManager, vault, signer: await signer.getAddress() },
+      };
+    }
+
+    if (request.method === "POST" && url.pathname === "/signatures") {
+      requireApiToken(request, apiToken);
+      return { status: 200, body: await sign(request) };
+    }
+
+    throw new HttpError(404, `No route for ${request.method} ${url.pathname}`);
+  }
+
+  return createJsonServer(route);
+}
+
+module.exports = {
+  createSignerService,
+  parseWithdrawalRequest,
+};
@@ -1,5 +1,56 @@
 const { expect } = require("chai");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  mine,
+  setBalance,
+  setStorageAt,
+  takeSnapshot,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
 const hre = require("hardhat");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const {
+  AuthorizationStatus,
+  NonceMode,
+  collectRelayedSignatures,
+  collectSignatures,
+  fetchNextNonce,
+  orderSignatures,
+  signWithdrawal,
+  withdrawArgs,
+  withdrawBatchArgs,
+  withdrawRelayedArgs,
+  withdrawTokenArgs,
+} = require("../scripts/authorization");
+const {
+  AUTHORIZATION_FILE_TYPE,
+  AUTHORIZATION_FILE_VERSION,
+  createAuthorizationFile,
+  parseAuthorizationFile,
+  validateAuthorizationFile,
+  verifyAuthorizationFile,
+} = require("../scripts/authorization-file");
+const { compareStorageLayouts, getStorageLayout } = require("../scripts/storage-layout");
+const {
+  bytecodeHash,
+  codeHashAt,
+  deploySystem,
+  implementationAt,
+  upgradeProxies,
+  verifyDeployment,
+} = require("../scripts/deployment");
+const { createAuthorizationService } = require("../service/server");
+const { createSignerService } = require("../signer/server");
+const { toJson } = require("../service/http");
+const { VaultIndexer } = require("../indexer/indexer");
+const { EventStore } = require("../indexer/store");
+const { reconcile } = require("../indexer/reconcile");
+const { createRelayer } = require("../relayer/server");
+const { deployVaults, loadVaultConfigs, normalizeVaultConfig } = require("../scripts/vaults");
+const { CliError, formatResult, parseCommandLine, resolveVault, runCommand } = require("../cli/commands");
 
 /**
  * Comprehensive test suite for Secure Vault Authorization System
@@ -11,33 +62,95 @@ const hre = require("hardhat");
  * - Authorization reuse prevention
  * - Proper initialization enforcement
  * - Correct event emissions
+ * - EIP-712 signature enforcement
+ * - Vault registry enforcement
+ * - Authorization validity windows
+ * - Authorization revocation
+ * - ERC-20 token custody
+ * - M-of-N threshold approvals
+ * - Amount-tiered withdrawal policies
+ * - Timelocked large withdrawals
+ * - Emergency pause and guardian role separation
+ * - Two-step ownership transfer and role-based access control
+ * - Atomic deployment through VaultFactory
+ * - UUPS proxy upgrades and storage-layout compatibility
+ * - Off-chain authorization issuing service (HTTP API)
+ * - Event indexer: checkpoints, confirmation depth and audit queries
+ * - Surplus reporting, authorized sweeps and balance reconciliation
+ * - Batch withdrawals (all-or-nothing and best-effort) and their gas cost
+ * - Relayed (gasless) withdrawals with signed relayer fees, and the relayer service
+ * - Pull-payment fallback for recipients that reject or grief transfers
+ * - Reentrancy guard against malicious recipients and token hooks, with balance invariants
+ * - Many vaults on one AuthorizationManager: per-vault signers, thresholds, policies and nonces
+ * - Operator CLI: deposits, authorization files, withdrawals, status and authorization checks
+ * - Portable authorization files: schema validation, ID recomputation and offline signature checks
+ * - Idempotent deployments: bytecode-hash reuse, deployment history and drift detection
+ * - Nonce modes: unordered, sequential and bitmap nonces per vault or per signer, bulk invalidation
+ * - Recipient allowlist: address book entries, cooldown on new recipients and enforcement toggle
  */
 describe("Secure Vault Authorization System", function () {
   let vault, authorizationManager;
-  let deployer, user1, user2;
+  let deployer, user1, user2, authorizer, attacker;
   let vaultAddress, authManagerAddress;
 
+  // Sign a withdrawal authorization for the vault under test
+  async function authorize(recipient, amount, nonce, signer = authorizer, overrides = {}) {
+    return signWithdrawal(signer, authorizationManager, {
+      vault: vaultAddress,
+      recipient,
+      amount,
+      nonce,
+      ...overrides,
+    });
+  }
+
+  // Impersonate the vault so AuthorizationManager can be exercised directly
+  async function impersonateVault() {
+    await setBalance(vaultAddress, ethers.parseEther("1.0"));
+    return ethers.getImpersonatedSigner(vaultAddress);
+  }
+
+  // Deploy both implementations and a VaultFactory that creates proxies of them
+  async function deployFactory() {
+    const implementations = [];
+    for (const name of ["AuthorizationManager", "SecureVault"]) {
+      const Implementation = await ethers.getContractFactory(name);
+      const implementation = await Implementation.deploy();
+      await implementation.waitForDeployment();
+      implementations.push(await implementation.getAddress());
+    }
+
+    const VaultFactory = await ethers.getContractFactory("VaultFactory");
+    const factory = await VaultFactory.deploy(...implementations);
+    await factory.waitForDeployment();
+    return factory;
+  }
+
   beforeEach(async function () {
     // Get signers
-    [deployer, user1, user2] = await ethers.getSigners();
+    [deployer, user1, user2, authorizer, attacker] = await ethers.getSigners();
 
     // Deploy AuthorizationManager
     const AuthorizationManager = await ethers.getContractFactory("AuthorizationManager");
     authorizationManager = await AuthorizationManager.deploy();
-    await authorizationManager.deployed();
-    authManagerAddress = authorizationManager.address;
+    await authorizationManager.waitForDeployment();
+    authManagerAddress = await authorizationManager.getAddress();
 
-    // Initialize AuthorizationManager
+    // Initialize AuthorizationManager and register the authorizer key
     await authorizationManager.initialize();
+    await authorizationManager.addSigner(authorizer.address);
 
     // Deploy SecureVault
     const SecureVault = await ethers.getContractFactory("SecureVault");
     vault = await SecureVault.deploy();
-    await vault.deployed();
-    vaultAddress = vault.address;
+    await vault.waitForDeployment();
+    vaultAddress = await vault.getAddress();
 
     // Initialize SecureVault with AuthorizationManager
     await vault.initialize(authManagerAddress);
+
+    // Register SecureVault so it can consume authorizations
+    await authorizationManager.registerVault(vaultAddress);
   });
 
   // ============================================================================
@@ -84,7 +197,7 @@ describe("Secure Vault Authorization System", function () {
 
   describe("Deposits", function () {
     it("should accept deposits and update balance", async function () {
-      const depositAmount = ethers.utils.parseEther("1.0");
+      const depositAmount = ethers.parseEther("1.0");
 
       // Check initial balance
       let balance = await vault.getBalance();
@@ -102,7 +215,7 @@ describe("Secure Vault Authorization System", function () {
     });
 
     it("should emit Deposit event with correct parameters", async function () {
-      const depositAmount = ethers.utils.parseEther("2.5");
+      const depositAmount = ethers.parseEther("2.5");
 
       await expect(
         user1.sendTransaction({
@@ -115,13 +228,13 @@ describe("Secure Vault Authorization System", function () {
           user1.address,
           depositAmount,
           depositAmount,
-          expect.any(Object) // timestamp
+          anyValue // timestamp
         );
     });
 
     it("should accept multiple deposits and accumulate balance", async function () {
-      const deposit1 = ethers.utils.parseEther("1.0");
-      const deposit2 = ethers.utils.parseEther("2.0");
+      const deposit1 = ethers.parseEther("1.0");
+      const deposit2 = ethers.parseEther("2.0");
 
       await user1.sendTransaction({ to: vaultAddress, value: deposit1 });
       let balance = await vault.getBalance();
@@ -129,21 +242,21 @@ describe("Secure Vault Authorization System", function () {
 
       await user2.sendTransaction({ to: vaultAddress, value: deposit2 });
       balance = await vault.getBalance();
-      expect(balance).to.equal(deposit1.add(deposit2));
+      expect(balance).to.equal(deposit1 + deposit2);
     });
 
     it("should reject deposit when vault not initialized", async function () {
       // Create new uninitialized vault
       const SecureVault = await ethers.getContractFactory("SecureVault");
       const uninitializedVault = await SecureVault.deploy();
-      await uninitializedVault.deployed();
+      await uninitializedVault.waitForDeployment();
 
-      const depositAmount = ethers.utils.parseEther("1.0");
+      const depositAmount = ethers.parseEther("1.0");
 
       // Attempt to deposit should fail
       await expect(
         user1.sendTransaction({
-          to: uninitializedVault.address,
+          to: await uninitializedVault.getAddress(),
           value: depositAmount,
         })
       ).to.be.reverted;
@@ -155,36 +268,45 @@ describe("Secure Vault Authorization System", function () {
   // ============================================================================
 
   describe("Authorization", function () {
+    let vaultSigner;
+
+    beforeEach(async function () {
+      vaultSigner = await impersonateVault();
+    });
+
     it("should compute authorization ID correctly", async function () {
       const nonce = 1;
-      const amount = ethers.utils.parseEther("1.0");
+      const amount = ethers.parseEther("1.0");
       const recipient = user1.address;
 
+      const auth = await authorize(recipient, amount, nonce);
+
       const computedId = await authorizationManager.computeAuthorizationId(
         vaultAddress,
+        ethers.ZeroAddress,
         recipient,
         amount,
-        nonce
+        nonce,
+        auth.validAfter,
+        auth.validUntil
       );
 
       // Verify it's a bytes32
       expect(computedId).to.match(/^0x[a-fA-F0-9]{64}$/);
+
+      // Off-chain helper must produce the same EIP-712 digest
+      expect(auth.authorizationId).to.equal(computedId);
     });
 
     it("should mark authorization as used after verification", async function () {
       const nonce = 1;
-      const amount = ethers.utils.parseEther("1.0");
+      const amount = ethers.parseEther("1.0");
       const recipient = user1.address;
 
-      const authId = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        recipient,
-        amount,
-        nonce
-      );
+      const auth = await authorize(recipient, amount, nonce);
 
       // Initially not used
-      let isUsed = await authorizationManager.isAuthorizationUsed(authId);
+      let isUsed = await authorizationManager.isAuthorizationUsed(auth.authorizationId);
       expect(isUsed).to.be.false;
 
       // Deposit funds first
@@ -194,522 +316,5816 @@ describe("Secure Vault Authorization System", function () {
       });
 
       // Call verifyAuthorization directly
-      await authorizationManager.verifyAuthorization(
+      await authorizationManager.connect(vaultSigner).verifyAuthorization(
         vaultAddress,
+        ethers.ZeroAddress,
         recipient,
         amount,
-        authId,
-        nonce
+        auth.authorizationId,
+        nonce,
+        auth.validAfter,
+        auth.validUntil,
+        [auth.signature]
       );
 
       // Now should be marked as used
-      isUsed = await authorizationManager.isAuthorizationUsed(authId);
+      isUsed = await authorizationManager.isAuthorizationUsed(auth.authorizationId);
       expect(isUsed).to.be.true;
     });
 
     it("should prevent reuse of same authorization", async function () {
       const nonce = 1;
-      const amount = ethers.utils.parseEther("1.0");
+      const amount = ethers.parseEther("1.0");
       const recipient = user1.address;
 
-      const authId = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        recipient,
-        amount,
-        nonce
-      );
+      const auth = await authorize(recipient, amount, nonce);
 
       // First verification should succeed
-      await authorizationManager.verifyAuthorization(
+      await authorizationManager.connect(vaultSigner).verifyAuthorization(
         vaultAddress,
+        ethers.ZeroAddress,
         recipient,
         amount,
-        authId,
-        nonce
+        auth.authorizationId,
+        nonce,
+        auth.validAfter,
+        auth.validUntil,
+        [auth.signature]
       );
 
       // Second attempt with same authorization should fail
       await expect(
-        authorizationManager.verifyAuthorization(
+        authorizationManager.connect(vaultSigner).verifyAuthorization(
           vaultAddress,
+          ethers.ZeroAddress,
           recipient,
           amount,
-          authId,
-          nonce
+          auth.authorizationId,
+          nonce,
+          auth.validAfter,
+          auth.validUntil,
+          [auth.signature]
         )
       ).to.be.revertedWith("AuthorizationManager: authorization already used");
     });
 
     it("should reject authorization with mismatched parameters", async function () {
       const nonce = 1;
-      const amount = ethers.utils.parseEther("1.0");
+      const amount = ethers.parseEther("1.0");
       const recipient = user1.address;
 
-      // Compute ID with correct parameters
-      const authId = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        recipient,
-        amount,
-        nonce
-      );
+      // Sign authorization with correct parameters
+      const auth = await authorize(recipient, amount, nonce);
 
       // Try to use with different amount
-      const differentAmount = ethers.utils.parseEther("2.0");
+      const differentAmount = ethers.parseEther("2.0");
 
       await expect(
-        authorizationManager.verifyAuthorization(
+        authorizationManager.connect(vaultSigner).verifyAuthorization(
           vaultAddress,
+          ethers.ZeroAddress,
           recipient,
           differentAmount,
-          authId,
-          nonce
+          auth.authorizationId,
+          nonce,
+          auth.validAfter,
+          auth.validUntil,
+          [auth.signature]
         )
       ).to.be.revertedWith("AuthorizationManager: authorization parameter mismatch");
     });
 
     it("should emit AuthorizationConsumed event", async function () {
       const nonce = 1;
-      const amount = ethers.utils.parseEther("1.0");
+      const amount = ethers.parseEther("1.0");
       const recipient = user1.address;
 
-      const authId = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        recipient,
-        amount,
-        nonce
-      );
+      const auth = await authorize(recipient, amount, nonce);
 
       await expect(
-        authorizationManager.verifyAuthorization(
+        authorizationManager.connect(vaultSigner).verifyAuthorization(
           vaultAddress,
+          ethers.ZeroAddress,
           recipient,
           amount,
-          authId,
-          nonce
+          auth.authorizationId,
+          nonce,
+          auth.validAfter,
+          auth.validUntil,
+          [auth.signature]
         )
       )
         .to.emit(authorizationManager, "AuthorizationConsumed")
-        .withArgs(vaultAddress, recipient, amount, authId, expect.any(Object));
+        .withArgs(vaultAddress, ethers.ZeroAddress, recipient, amount, auth.authorizationId, anyValue);
     });
 
     it("should validate authorization with correct chain ID", async function () {
       const nonce = 1;
-      const amount = ethers.utils.parseEther("1.0");
+      const amount = ethers.parseEther("1.0");
       const recipient = user1.address;
 
       // Get current chain ID
       const network = await ethers.provider.getNetwork();
       const chainId = network.chainId;
 
-      // Compute ID (includes chainId)
-      const authId = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        recipient,
-        amount,
-        nonce
-      );
+      // Domain separator binds the authorization to this chain and manager
+      const domain = ethers.TypedDataEncoder.hashDomain({
+        name: "AuthorizationManager",
+        version: "1",
+        chainId,
+        verifyingContract: authManagerAddress,
+      });
+      expect(await authorizationManager.domainSeparator()).to.equal(domain);
+
+      const auth = await authorize(recipient, amount, nonce);
 
       // Should verify successfully with matching chain ID
-      await authorizationManager.verifyAuthorization(
+      await authorizationManager.connect(vaultSigner).verifyAuthorization(
         vaultAddress,
+        ethers.ZeroAddress,
         recipient,
         amount,
-        authId,
-        nonce
+        auth.authorizationId,
+        nonce,
+        auth.validAfter,
+        auth.validUntil,
+        [auth.signature]
       );
     });
   });
 
   // ============================================================================
-  // WITHDRAWAL TESTS
+  // SIGNATURE TESTS
   // ============================================================================
 
-  describe("Withdrawals", function () {
+  describe("Signatures", function () {
     beforeEach(async function () {
-      // Deposit funds before each test
-      const depositAmount = ethers.utils.parseEther("10.0");
       await deployer.sendTransaction({
         to: vaultAddress,
-        value: depositAmount,
+        value: ethers.parseEther("10.0"),
       });
     });
 
-    it("should successfully withdraw with valid authorization", async function () {
-      const withdrawAmount = ethers.utils.parseEther("1.0");
-      const nonce = 1;
-      const recipient = user1.address;
+    it("should reject an authorization ID computed without a signature", async function () {
+      const amount = ethers.parseEther("1.0");
 
-      // Compute authorization
+      // Anyone can compute the ID, but that alone must not be enough
+      const validUntil = ethers.MaxUint256;
       const authId = await authorizationManager.computeAuthorizationId(
         vaultAddress,
-        recipient,
-        withdrawAmount,
-        nonce
+        ethers.ZeroAddress,
+        attacker.address,
+        amount,
+        1,
+        0,
+        validUntil
       );
 
-      // Get initial recipient balance
-      const initialBalance = await ethers.provider.getBalance(recipient);
-
-      // Perform withdrawal
-      const tx = await vault.withdraw(recipient, withdrawAmount, authId, nonce);
-      await tx.wait();
+      await expect(
+        vault.connect(attacker).withdraw(attacker.address, amount, authId, 1, 0, validUntil, ["0x"])
+      ).to.be.revertedWith("AuthorizationManager: invalid signer");
+    });
 
-      // Verify balance updated
-      const finalBalance = await ethers.provider.getBalance(recipient);
-      expect(finalBalance).to.equal(initialBalance.add(withdrawAmount));
+    it("should reject an authorization signed by an unregistered key", async function () {
+      const amount = ethers.parseEther("1.0");
+      const auth = await authorize(attacker.address, amount, 1, attacker);
 
-      // Verify vault balance decreased
-      const vaultBalance = await vault.getBalance();
-      expect(vaultBalance).to.equal(
-        ethers.utils.parseEther("10.0").sub(withdrawAmount)
-      );
+      await expect(
+        vault
+          .connect(attacker)
+          .withdraw(...withdrawArgs(auth))
+      ).to.be.revertedWith("AuthorizationManager: invalid signer");
     });
 
-    it("should emit Withdrawal event with correct parameters", async function () {
-      const withdrawAmount = ethers.utils.parseEther("1.0");
-      const nonce = 1;
-      const recipient = user1.address;
-
-      const authId = await authorizationManager.computeAuthorizationId(
+    it("should reject a signature over a different authorization", async function () {
+      const amount = ethers.parseEther("1.0");
+      const legit = await authorize(user1.address, amount, 1);
+      const forged = await authorizationManager.computeAuthorizationId(
         vaultAddress,
-        recipient,
-        withdrawAmount,
-        nonce
+        ethers.ZeroAddress,
+        attacker.address,
+        amount,
+        1,
+        legit.validAfter,
+        legit.validUntil
       );
 
-      await expect(vault.withdraw(recipient, withdrawAmount, authId, nonce))
-        .to.emit(vault, "Withdrawal")
-        .withArgs(
-          recipient,
-          withdrawAmount,
-          authId,
-          ethers.utils.parseEther("9.0"), // remaining balance
-          expect.any(Object) // timestamp
-        );
+      // Reuse a genuine signature for an authorization it does not cover
+      await expect(
+        vault
+          .connect(attacker)
+          .withdraw(...withdrawArgs({ ...legit, recipient: attacker.address, authorizationId: forged }))
+      ).to.be.revertedWith("AuthorizationManager: invalid signer");
     });
 
-    it("should prevent reuse of authorization for second withdrawal", async function () {
-      const withdrawAmount = ethers.utils.parseEther("1.0");
-      const nonce = 1;
-      const recipient = user1.address;
-
-      const authId = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        recipient,
-        withdrawAmount,
-        nonce
-      );
+    it("should reject a tampered signature", async function () {
+      const amount = ethers.parseEther("1.0");
+      const auth = await authorize(user1.address, amount, 1);
 
-      // First withdrawal should succeed
-      await vault.withdraw(recipient, withdrawAmount, authId, nonce);
+      // Flip a byte in r
+      const bytes = ethers.getBytes(auth.signature);
+      bytes[5] ^= 0xff;
 
-      // Second withdrawal with same authorization should fail
       await expect(
-        vault.withdraw(recipient, withdrawAmount, authId, nonce)
-      ).to.be.reverted;
+        vault.withdraw(...withdrawArgs({ ...auth, signature: ethers.hexlify(bytes) }))
+      ).to.be.revertedWith("AuthorizationManager: invalid signer");
     });
 
-    it("should reject withdrawal without valid authorization", async function () {
-      const withdrawAmount = ethers.utils.parseEther("1.0");
-      const nonce = 1;
-      const recipient = user1.address;
-
-      // Use wrong nonce - authorization will not match
-      const authId = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        recipient,
-        withdrawAmount,
-        nonce
-      );
+    it("should reject a malleable (high-s) signature", async function () {
+      const amount = ethers.parseEther("1.0");
+      const auth = await authorize(user1.address, amount, 1);
 
-      // Try to withdraw with different nonce
-      const wrongNonce = 999;
+      // Build the equivalent high-s signature for the same digest
+      const sig = ethers.Signature.from(auth.signature);
+      const n = BigInt("0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141");
+      const highS = ethers.toBeHex(n - BigInt(sig.s), 32);
+      const malleable = ethers.concat([sig.r, highS, sig.v === 27 ? "0x1c" : "0x1b"]);
 
       await expect(
-        vault.withdraw(recipient, withdrawAmount, authId, wrongNonce)
-      ).to.be.reverted;
+        vault.withdraw(...withdrawArgs({ ...auth, signature: malleable }))
+      ).to.be.revertedWith("AuthorizationManager: invalid signer");
     });
 
-    it("should reject withdrawal if insufficient balance", async function () {
-      const withdrawAmount = ethers.utils.parseEther("100.0"); // More than available
-      const nonce = 1;
-      const recipient = user1.address;
+    it("should reject signatures from a removed signer", async function () {
+      const amount = ethers.parseEther("1.0");
+      const auth = await authorize(user1.address, amount, 1);
 
-      const authId = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        recipient,
-        withdrawAmount,
-        nonce
-      );
+      await expect(authorizationManager.removeSigner(authorizer.address))
+        .to.emit(authorizationManager, "SignerRemoved")
+        .withArgs(authorizer.address, anyValue);
 
       await expect(
-        vault.withdraw(recipient, withdrawAmount, authId, nonce)
-      ).to.be.revertedWith("SecureVault: insufficient vault balance");
+        vault.withdraw(...withdrawArgs(auth))
+      ).to.be.revertedWith("AuthorizationManager: invalid signer");
     });
 
-    it("should reject withdrawal to zero address", async function () {
-      const withdrawAmount = ethers.utils.parseEther("1.0");
-      const nonce = 1;
-      const zeroAddress = ethers.constants.AddressZero;
+    it("should reject authorizations signed for another AuthorizationManager", async function () {
+      const AuthorizationManager = await ethers.getContractFactory("AuthorizationManager");
+      const otherManager = await AuthorizationManager.deploy();
+      await otherManager.waitForDeployment();
 
-      const authId = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        zeroAddress,
-        withdrawAmount,
-        nonce
-      );
+      const amount = ethers.parseEther("1.0");
+      const auth = await signWithdrawal(authorizer, otherManager, {
+        vault: vaultAddress,
+        recipient: user1.address,
+        amount,
+        nonce: 1,
+      });
 
       await expect(
-        vault.withdraw(zeroAddress, withdrawAmount, authId, nonce)
-      ).to.be.reverted;
+        vault.withdraw(...withdrawArgs(auth))
+      ).to.be.revertedWith("AuthorizationManager: authorization parameter mismatch");
     });
 
-    it("should handle multiple sequential withdrawals with different authorizations", async function () {
-      const amount1 = ethers.utils.parseEther("1.0");
-      const amount2 = ethers.utils.parseEther("2.0");
-      const amount3 = ethers.utils.parseEther("1.5");
-
-      // Compute authorizations with different nonces
-      const authId1 = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        user1.address,
-        amount1,
-        1
-      );
+    it("should only allow the owner or a signer manager to manage signers", async function () {
+      await expect(
+        authorizationManager.connect(attacker).addSigner(attacker.address)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner or a signer manager");
 
-      const authId2 = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        user2.address,
-        amount2,
-        2
-      );
+      await expect(
+        authorizationManager.connect(attacker).removeSigner(authorizer.address)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner or a signer manager");
 
-      const authId3 = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        user1.address,
-        amount3,
-        3
-      );
+      await expect(authorizationManager.addSigner(user2.address))
+        .to.emit(authorizationManager, "SignerAdded")
+        .withArgs(user2.address, anyValue);
+      expect(await authorizationManager.isSigner(user2.address)).to.be.true;
+    });
 
-      // Perform withdrawals
-      await vault.withdraw(user1.address, amount1, authId1, 1);
-      await vault.withdraw(user2.address, amount2, authId2, 2);
-      await vault.withdraw(user1.address, amount3, authId3, 3);
+    it("should reject registering the zero address or a duplicate signer", async function () {
+      await expect(
+        authorizationManager.addSigner(ethers.ZeroAddress)
+      ).to.be.revertedWith("AuthorizationManager: invalid signer");
 
-      // Verify final balance
-      const finalBalance = await vault.getBalance();
-      const expectedBalance = ethers.utils
-        .parseEther("10.0")
-        .sub(amount1)
-        .sub(amount2)
-        .sub(amount3);
-      expect(finalBalance).to.equal(expectedBalance);
+      await expect(
+        authorizationManager.addSigner(authorizer.address)
+      ).to.be.revertedWith("AuthorizationManager: signer already registered");
     });
+  });
 
-    it("should maintain correct balance after deposits and withdrawals", async function () {
-      // Initial state: 10.0 ETH in vault
+  // ============================================================================
+  // THRESHOLD APPROVAL TESTS
+  // ============================================================================
 
-      // Withdrawal 1
-      const authId1 = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        user1.address,
-        ethers.utils.parseEther("2.0"),
-        1
-      );
-      await vault.withdraw(user1.address, ethers.utils.parseEther("2.0"), authId1, 1);
+  describe("Threshold Approvals", function () {
+    const amount = ethers.parseEther("1.0");
+    let signerA, signerB, signerC;
 
-      let balance = await vault.getBalance();
-      expect(balance).to.equal(ethers.utils.parseEther("8.0"));
+    // Withdrawal message shared by every approver
+    function withdrawal(nonce = 1) {
+      return { vault: vaultAddress, recipient: user1.address, amount, nonce };
+    }
 
-      // Deposit more
-      await user2.sendTransaction({
+    beforeEach(async function () {
+      [signerA, signerB, signerC] = (await ethers.getSigners()).slice(5, 8);
+
+      // Replace the single authorizer with a 2-of-3 signer set
+      await authorizationManager.removeSigner(authorizer.address);
+      for (const signer of [signerA, signerB, signerC]) {
+        await authorizationManager.addSigner(signer.address);
+      }
+      await authorizationManager.setThreshold(2);
+
+      await deployer.sendTransaction({
         to: vaultAddress,
-        value: ethers.utils.parseEther("5.0"),
+        value: ethers.parseEther("10.0"),
       });
+    });
 
-      balance = await vault.getBalance();
-      expect(balance).to.equal(ethers.utils.parseEther("13.0"));
+    it("should track the signer count and emit ThresholdChanged", async function () {
+      expect(await authorizationManager.signerCount()).to.equal(3);
+      expect(await authorizationManager.threshold()).to.equal(2);
 
-      // Withdrawal 2
-      const authId2 = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        user2.address,
-        ethers.utils.parseEther("3.0"),
-        2
+      await expect(authorizationManager.setThreshold(3))
+        .to.emit(authorizationManager, "ThresholdChanged")
+        .withArgs(2, 3, anyValue);
+    });
+
+    it("should bound the threshold by the signer set", async function () {
+      await expect(authorizationManager.setThreshold(0)).to.be.revertedWith(
+        "AuthorizationManager: threshold must be greater than zero"
       );
-      await vault.withdraw(user2.address, ethers.utils.parseEther("3.0"), authId2, 2);
+      await expect(authorizationManager.setThreshold(4)).to.be.revertedWith(
+        "AuthorizationManager: threshold exceeds signer count"
+      );
+      await expect(
+        authorizationManager.connect(attacker).setThreshold(1)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner or a signer manager");
+    });
 
-      balance = await vault.getBalance();
-      expect(balance).to.equal(ethers.utils.parseEther("10.0"));
+    it("should accept a withdrawal approved by M distinct signers", async function () {
+      const auth = await collectSignatures([signerC, signerA], authorizationManager, withdrawal());
+
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.emit(vault, "Withdrawal");
+      expect(await authorizationManager.isAuthorizationUsed(auth.authorizationId)).to.be.true;
     });
-  });
 
-  // ============================================================================
-  // STATE CONSISTENCY TESTS
-  // ============================================================================
+    it("should accept more than M signatures", async function () {
+      const auth = await collectSignatures(
+        [signerA, signerB, signerC],
+        authorizationManager,
+        withdrawal()
+      );
 
-  describe("State Consistency", function () {
-    it("should update balance before transferring funds", async function () {
-      const depositAmount = ethers.utils.parseEther("1.0");
-      const withdrawAmount = ethers.utils.parseEther("1.0");
-      const nonce = 1;
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.emit(vault, "Withdrawal");
+    });
 
-      // Deposit
-      await deployer.sendTransaction({
-        to: vaultAddress,
-        value: depositAmount,
-      });
+    it("should reject a withdrawal with fewer than M signatures", async function () {
+      const auth = await collectSignatures([signerA], authorizationManager, withdrawal());
 
-      // Create authorization
-      const authId = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        user1.address,
-        withdrawAmount,
-        nonce
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+        "AuthorizationManager: insufficient signatures"
       );
+    });
 
-      // Withdraw
-      const tx = await vault.withdraw(user1.address, withdrawAmount, authId, nonce);
+    it("should reject the same signer counted twice", async function () {
+      const auth = await signWithdrawal(signerA, authorizationManager, withdrawal());
 
-      // Verify that balance is correct after withdrawal
-      const finalBalance = await vault.getBalance();
-      expect(finalBalance).to.equal(0);
+      await expect(
+        vault.withdraw(...withdrawArgs({ ...auth, signatures: [auth.signature, auth.signature] }))
+      ).to.be.revertedWith("AuthorizationManager: signers not sorted or duplicated");
     });
 
-    it("should not allow vault balance to go negative", async function () {
-      const depositAmount = ethers.utils.parseEther("1.0");
-      const withdrawAmount = ethers.utils.parseEther("2.0"); // More than deposit
+    it("should reject signatures that are not ordered by signer address", async function () {
+      const auth = await collectSignatures([signerA, signerB], authorizationManager, withdrawal());
 
-      // Deposit only 1.0 ETH
-      await deployer.sendTransaction({
-        to: vaultAddress,
-        value: depositAmount,
-      });
+      await expect(
+        vault.withdraw(...withdrawArgs({ ...auth, signatures: [...auth.signatures].reverse() }))
+      ).to.be.revertedWith("AuthorizationManager: signers not sorted or duplicated");
+    });
 
-      // Try to withdraw 2.0 ETH
-      const authId = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        user1.address,
-        withdrawAmount,
-        1
+    it("should reject an approval from an unregistered key within the set", async function () {
+      const auth = await collectSignatures([signerA, attacker], authorizationManager, withdrawal());
+
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+        "AuthorizationManager: invalid signer"
       );
+    });
 
-      await expect(
-        vault.withdraw(user1.address, withdrawAmount, authId, 1)
-      ).to.be.revertedWith("SecureVault: insufficient vault balance");
+    it("should block withdrawals when removals leave fewer signers than the threshold", async function () {
+      await authorizationManager.removeSigner(signerB.address);
+      await authorizationManager.removeSigner(signerC.address);
 
-      // Verify balance unchanged
-      const balance = await vault.getBalance();
-      expect(balance).to.equal(depositAmount);
+      const auth = await collectSignatures([signerA, signerB], authorizationManager, withdrawal());
+
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+        "AuthorizationManager: invalid signer"
+      );
     });
-  });
 
-  // ============================================================================
-  // EDGE CASE TESTS
-  // ============================================================================
+    it("should order and de-duplicate signatures off-chain", async function () {
+      const first = await signWithdrawal(signerA, authorizationManager, {
+        ...withdrawal(),
+        validUntil: ethers.MaxUint256,
+      });
+      const second = await signWithdrawal(signerB, authorizationManager, {
+        ...withdrawal(),
+        validUntil: ethers.MaxUint256,
+      });
 
-  describe("Edge Cases", function () {
-    it("should handle zero amount rejection", async function () {
-      const authId = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        user1.address,
-        0,
-        1
+      const ordered = orderSignatures(first.authorizationId, [second.signature, first.signature]);
+      const addresses = ordered.map((signature) =>
+        ethers.recoverAddress(first.authorizationId, signature)
       );
+      expect(BigInt(addresses[0]) < BigInt(addresses[1])).to.be.true;
 
-      await expect(
-        authorizationManager.verifyAuthorization(
-          vaultAddress,
-          user1.address,
-          0,
-          authId,
-          1
-        )
-      ).to.be.revertedWith("AuthorizationManager: amount must be greater than zero");
+      expect(() =>
+        orderSignatures(first.authorizationId, [first.signature, first.signature])
+      ).to.throw("Duplicate signature");
     });
+  });
 
-    it("should reject authorization with zero vault address", async function () {
-      const amount = ethers.utils.parseEther("1.0");
+  // ============================================================================
+  // POLICY TESTS
+  // ============================================================================
 
-      await expect(
-        authorizationManager.verifyAuthorization(
-          ethers.constants.AddressZero,
-          user1.address,
-          amount,
-          ethers.constants.HashZero,
-          1
-        )
-      ).to.be.reverted;
-    });
+  describe("Policies", function () {
+    const DAY = 24 * 60 * 60;
+    const noPolicy = {
+      maxWithdrawalAmount: 0,
+      dailyLimit: 0,
+      largeWithdrawalAmount: 0,
+      largeWithdrawalThreshold: 0,
+    };
 
-    it("should handle very large withdrawal amounts", async function () {
-      const largeAmount = ethers.utils.parseEther("1000.0");
+    // Sign and submit a native-currency withdrawal
+    async function withdrawEth(recipient, amount, nonce) {
+      const auth = await authorize(recipient, amount, nonce, authorizer, {
+        validUntil: ethers.MaxUint256,
+      });
+      return vault.withdraw(...withdrawArgs(auth));
+    }
 
-      // Deposit large amount
+    beforeEach(async function () {
       await deployer.sendTransaction({
         to: vaultAddress,
-        value: largeAmount,
+        value: ethers.parseEther("100.0"),
       });
+    });
 
-      const authId = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        user1.address,
-        largeAmount,
-        1
-      );
+    it("should emit PolicyUpdated and RecipientLimitUpdated", async function () {
+      const policy = { ...noPolicy, maxWithdrawalAmount: ethers.parseEther("5.0") };
 
-      // Should withdraw successfully
-      await vault.withdraw(user1.address, largeAmount, authId, 1);
+      await expect(authorizationManager.setPolicy(ethers.ZeroAddress, policy))
+        .to.emit(authorizationManager, "PolicyUpdated")
+        .withArgs(ethers.ZeroAddress, ethers.parseEther("5.0"), 0, 0, 0, anyValue);
 
-      const balance = await vault.getBalance();
-      expect(balance).to.equal(0);
+      await expect(
+        authorizationManager.setRecipientLimit(vaultAddress, ethers.ZeroAddress, user1.address, ethers.parseEther("3.0"))
+      )
+        .to.emit(authorizationManager, "RecipientLimitUpdated")
+        .withArgs(vaultAddress, ethers.ZeroAddress, user1.address, ethers.parseEther("3.0"), anyValue);
     });
 
-    it("should track authorization usage per unique ID", async function () {
-      // Create two different authorizations for different nonces
-      const amount = ethers.utils.parseEther("1.0");
+    it("should only allow the owner or an admin to change policies", async function () {
+      await expect(
+        authorizationManager.connect(attacker).setPolicy(ethers.ZeroAddress, noPolicy)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner or an admin");
 
-      const authId1 = await authorizationManager.computeAuthorizationId(
-        vaultAddress,
-        user1.address,
-        amount,
-        1
+      await expect(
+        authorizationManager.connect(attacker).setRecipientLimit(vaultAddress, ethers.ZeroAddress, user1.address, 1)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner or an admin");
+    });
+
+    it("should enforce the per-withdrawal cap", async function () {
+      await authorizationManager.setPolicy(ethers.ZeroAddress, {
+        ...noPolicy,
+        maxWithdrawalAmount: ethers.parseEther("5.0"),
+      });
+
+      await expect(withdrawEth(user1.address, ethers.parseEther("5.1"), 1)).to.be.revertedWith(
+        "AuthorizationManager: exceeds per-withdrawal limit"
+      );
+      await expect(withdrawEth(user1.address, ethers.parseEther("5.0"), 2)).to.emit(vault, "Withdrawal");
+    });
+
+    it("should enforce a rolling 24h outflow cap per vault", async function () {
+      await authorizationManager.setPolicy(ethers.ZeroAddress, {
+        ...noPolicy,
+        dailyLimit: ethers.parseEther("10.0"),
+      });
+
+      const start = await time.latest();
+      await withdrawEth(user1.address, ethers.parseEther("6.0"), 1);
+
+      await time.setNextBlockTimestamp(start + DAY / 2);
+      await withdrawEth(user2.address, ethers.parseEther("4.0"), 2);
+      expect(await authorizationManager.getVaultOutflow(vaultAddress, ethers.ZeroAddress)).to.equal(
+        ethers.parseEther("10.0")
+      );
+
+      await expect(withdrawEth(user1.address, 1n, 3)).to.be.revertedWith(
+        "AuthorizationManager: exceeds daily limit"
+      );
+
+      // Once the first outflow leaves the window only its 6.0 is released
+      await time.setNextBlockTimestamp(start + DAY + 1);
+      await expect(withdrawEth(user1.address, ethers.parseEther("6.1"), 4)).to.be.revertedWith(
+        "AuthorizationManager: exceeds daily limit"
       );
+      await time.setNextBlockTimestamp(start + DAY + 2);
+      await expect(withdrawEth(user1.address, ethers.parseEther("6.0"), 5)).to.emit(vault, "Withdrawal");
+    });
 
-      const authId2 = await authorizationManager.computeAuthorizationId(
+    it("should enforce per-recipient caps", async function () {
+      await authorizationManager.setRecipientLimit(
         vaultAddress,
+        ethers.ZeroAddress,
         user1.address,
+        ethers.parseEther("3.0")
+      );
+      expect(
+        await authorizationManager.vaultRecipientLimits(vaultAddress, ethers.ZeroAddress, user1.address)
+      ).to.equal(ethers.parseEther("3.0"));
+      await expect(
+        authorizationManager.setRecipientLimit(user2.address, ethers.ZeroAddress, user1.address, 1)
+      ).to.be.revertedWith("AuthorizationManager: vault not registered");
+
+      await withdrawEth(user1.address, ethers.parseEther("2.0"), 1);
+      await expect(withdrawEth(user1.address, ethers.parseEther("1.5"), 2)).to.be.revertedWith(
+        "AuthorizationManager: exceeds recipient limit"
+      );
+
+      // Other recipients are unaffected
+      await expect(withdrawEth(user2.address, ethers.parseEther("5.0"), 3)).to.emit(vault, "Withdrawal");
+      expect(
+        await authorizationManager.getRecipientOutflow(vaultAddress, ethers.ZeroAddress, user1.address)
+      ).to.equal(ethers.parseEther("2.0"));
+
+      await time.increase(DAY);
+      expect(
+        await authorizationManager.getRecipientOutflow(vaultAddress, ethers.ZeroAddress, user1.address)
+      ).to.equal(0);
+      await expect(withdrawEth(user1.address, ethers.parseEther("3.0"), 4)).to.emit(vault, "Withdrawal");
+    });
+
+    it("should not consume the authorization when a limit is hit", async function () {
+      await authorizationManager.setPolicy(ethers.ZeroAddress, {
+        ...noPolicy,
+        maxWithdrawalAmount: ethers.parseEther("1.0"),
+      });
+
+      const auth = await authorize(user1.address, ethers.parseEther("2.0"), 1);
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.reverted;
+      expect(await authorizationManager.isAuthorizationUsed(auth.authorizationId)).to.be.false;
+    });
+
+    it("should apply policies per asset", async function () {
+      await authorizationManager.setPolicy(ethers.ZeroAddress, {
+        ...noPolicy,
+        maxWithdrawalAmount: ethers.parseEther("1.0"),
+      });
+
+      const Token = await ethers.getContractFactory("MockERC20");
+      const token = await Token.deploy("Mock USD", "mUSD");
+      await token.waitForDeployment();
+      await token.mint(deployer.address, ethers.parseEther("50"));
+      await token.approve(vaultAddress, ethers.parseEther("50"));
+      await vault.depositToken(await token.getAddress(), ethers.parseEther("50"));
+
+      const auth = await authorize(user1.address, ethers.parseEther("50"), 1, authorizer, {
+        token: await token.getAddress(),
+      });
+      await expect(vault.withdrawToken(...withdrawTokenArgs(auth))).to.emit(vault, "TokenWithdrawal");
+    });
+
+    it("should require the higher threshold above the large-withdrawal amount", async function () {
+      const [signerA, signerB] = (await ethers.getSigners()).slice(5, 7);
+      await authorizationManager.addSigner(signerA.address);
+      await authorizationManager.addSigner(signerB.address);
+
+      await authorizationManager.setPolicy(ethers.ZeroAddress, {
+        ...noPolicy,
+        largeWithdrawalAmount: ethers.parseEther("10.0"),
+        largeWithdrawalThreshold: 2,
+      });
+
+      // At the boundary a single approval is still enough
+      await expect(withdrawEth(user1.address, ethers.parseEther("10.0"), 1)).to.emit(vault, "Withdrawal");
+
+      const large = {
+        vault: vaultAddress,
+        recipient: user1.address,
+        amount: ethers.parseEther("10.1"),
+        nonce: 2,
+      };
+      const single = await collectSignatures([signerA], authorizationManager, large);
+      await expect(vault.withdraw(...withdrawArgs(single))).to.be.revertedWith(
+        "AuthorizationManager: insufficient signatures for large withdrawal"
+      );
+
+      const double = await collectSignatures([signerA, signerB], authorizationManager, large);
+      await expect(vault.withdraw(...withdrawArgs(double))).to.emit(vault, "Withdrawal");
+    });
+
+    it("should reject a large-withdrawal threshold the signer set cannot meet", async function () {
+      await expect(
+        authorizationManager.setPolicy(ethers.ZeroAddress, {
+          ...noPolicy,
+          largeWithdrawalAmount: ethers.parseEther("10.0"),
+          largeWithdrawalThreshold: 2,
+        })
+      ).to.be.revertedWith("AuthorizationManager: invalid large withdrawal threshold");
+    });
+  });
+
+  // ============================================================================
+  // VAULT REGISTRY TESTS
+  // ============================================================================
+
+  describe("Vault Registry", function () {
+    it("should register the vault and emit VaultRegistered", async function () {
+      expect(await authorizationManager.registeredVaults(vaultAddress)).to.be.true;
+
+      await expect(authorizationManager.registerVault(user2.address))
+        .to.emit(authorizationManager, "VaultRegistered")
+        .withArgs(user2.address, anyValue);
+    });
+
+    it("should reject registering the zero address or a duplicate vault", async function () {
+      await expect(
+        authorizationManager.registerVault(ethers.ZeroAddress)
+      ).to.be.revertedWith("AuthorizationManager: invalid vault address");
+
+      await expect(
+        authorizationManager.registerVault(vaultAddress)
+      ).to.be.revertedWith("AuthorizationManager: vault already registered");
+    });
+
+    it("should only allow the owner or an admin to manage the registry", async function () {
+      await expect(
+        authorizationManager.connect(attacker).registerVault(attacker.address)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner or an admin");
+
+      await expect(
+        authorizationManager.connect(attacker).unregisterVault(vaultAddress)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner or an admin");
+    });
+
+    it("should prevent an EOA from consuming a vault's authorization", async function () {
+      const amount = ethers.parseEther("1.0");
+      const auth = await authorize(user1.address, amount, 1);
+
+      // Front-running attempt: burn the authorization before the vault uses it
+      await expect(
+        authorizationManager
+          .connect(attacker)
+          .verifyAuthorization(
+            vaultAddress,
+            ethers.ZeroAddress,
+            user1.address,
+            amount,
+            auth.authorizationId,
+            1,
+            auth.validAfter,
+            auth.validUntil,
+            [auth.signature]
+          )
+      ).to.be.revertedWith("AuthorizationManager: caller is not the vault");
+
+      expect(await authorizationManager.isAuthorizationUsed(auth.authorizationId)).to.be.false;
+    });
+
+    it("should reject withdrawals from an unregistered vault", async function () {
+      const SecureVault = await ethers.getContractFactory("SecureVault");
+      const rogueVault = await SecureVault.deploy();
+      await rogueVault.waitForDeployment();
+      await rogueVault.initialize(authManagerAddress);
+
+      const amount = ethers.parseEther("1.0");
+      await deployer.sendTransaction({ to: await rogueVault.getAddress(), value: amount });
+
+      const auth = await signWithdrawal(authorizer, authorizationManager, {
+        vault: await rogueVault.getAddress(),
+        recipient: user1.address,
         amount,
-        2
+        nonce: 1,
+      });
+
+      await expect(
+        rogueVault.withdraw(...withdrawArgs(auth))
+      ).to.be.revertedWith("AuthorizationManager: vault not registered");
+    });
+
+    it("should reject withdrawals after the vault is unregistered", async function () {
+      const amount = ethers.parseEther("1.0");
+      await deployer.sendTransaction({ to: vaultAddress, value: amount });
+      const auth = await authorize(user1.address, amount, 1);
+
+      await expect(authorizationManager.unregisterVault(vaultAddress))
+        .to.emit(authorizationManager, "VaultUnregistered")
+        .withArgs(vaultAddress, anyValue);
+
+      await expect(
+        vault.withdraw(...withdrawArgs(auth))
+      ).to.be.revertedWith("AuthorizationManager: vault not registered");
+    });
+  });
+
+  // ============================================================================
+  // VALIDITY WINDOW TESTS
+  // ============================================================================
+
+  describe("Validity Window", function () {
+    const amount = ethers.parseEther("1.0");
+
+    beforeEach(async function () {
+      await deployer.sendTransaction({
+        to: vaultAddress,
+        value: ethers.parseEther("10.0"),
+      });
+    });
+
+    it("should reject an authorization used before validAfter", async function () {
+      const now = await time.latest();
+      const auth = await authorize(user1.address, amount, 1, authorizer, {
+        validAfter: now + 3600,
+        validUntil: now + 7200,
+      });
+
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+        "AuthorizationManager: authorization not yet valid"
+      );
+
+      // Rejection must not consume the authorization
+      expect(await authorizationManager.isAuthorizationUsed(auth.authorizationId)).to.be.false;
+    });
+
+    it("should accept an authorization inside its window", async function () {
+      const now = await time.latest();
+      const auth = await authorize(user1.address, amount, 1, authorizer, {
+        validAfter: now + 3600,
+        validUntil: now + 7200,
+      });
+
+      // Move to the start of the window (inclusive)
+      await time.setNextBlockTimestamp(now + 3600);
+
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.emit(vault, "Withdrawal");
+      expect(await authorizationManager.isAuthorizationUsed(auth.authorizationId)).to.be.true;
+    });
+
+    it("should accept an authorization on its last valid second", async function () {
+      const now = await time.latest();
+      const auth = await authorize(user1.address, amount, 1, authorizer, {
+        validUntil: now + 600,
+      });
+
+      await time.setNextBlockTimestamp(now + 600);
+
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.emit(vault, "Withdrawal");
+    });
+
+    it("should reject an expired authorization", async function () {
+      const now = await time.latest();
+      const auth = await authorize(user1.address, amount, 1, authorizer, {
+        validUntil: now + 600,
+      });
+
+      await time.increase(601);
+
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+        "AuthorizationManager: authorization expired"
+      );
+    });
+
+    it("should bind the validity window into the signed authorization", async function () {
+      const now = await time.latest();
+      const auth = await authorize(user1.address, amount, 1, authorizer, {
+        validUntil: now + 600,
+      });
+
+      // Extending the expiry invalidates the authorization ID
+      await expect(
+        vault.withdraw(...withdrawArgs({ ...auth, validUntil: ethers.MaxUint256 }))
+      ).to.be.revertedWith("AuthorizationManager: authorization parameter mismatch");
+    });
+  });
+
+  // ============================================================================
+  // REVOCATION TESTS
+  // ============================================================================
+
+  describe("Revocation", function () {
+    const amount = ethers.parseEther("1.0");
+
+    beforeEach(async function () {
+      await deployer.sendTransaction({
+        to: vaultAddress,
+        value: ethers.parseEther("10.0"),
+      });
+    });
+
+    it("should report unused, consumed and revoked status", async function () {
+      const consumed = await authorize(user1.address, amount, 1);
+      const revoked = await authorize(user1.address, amount, 2);
+      const unused = await authorize(user1.address, amount, 3);
+
+      await vault.withdraw(...withdrawArgs(consumed));
+      await authorizationManager.revokeAuthorization(revoked.authorizationId);
+
+      expect(await authorizationManager.getAuthorizationStatus(consumed.authorizationId)).to.equal(
+        AuthorizationStatus.Consumed
+      );
+      expect(await authorizationManager.getAuthorizationStatus(revoked.authorizationId)).to.equal(
+        AuthorizationStatus.Revoked
+      );
+      expect(await authorizationManager.getAuthorizationStatus(unused.authorizationId)).to.equal(
+        AuthorizationStatus.Unused
+      );
+
+      // Revocation is not consumption
+      expect(await authorizationManager.isAuthorizationUsed(revoked.authorizationId)).to.be.false;
+    });
+
+    it("should let the owner revoke an authorization and block its use", async function () {
+      const auth = await authorize(user1.address, amount, 1);
+
+      await expect(authorizationManager.revokeAuthorization(auth.authorizationId))
+        .to.emit(authorizationManager, "AuthorizationRevoked")
+        .withArgs(auth.authorizationId, deployer.address, anyValue);
+
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+        "AuthorizationManager: authorization revoked"
+      );
+      expect(await vault.getBalance()).to.equal(ethers.parseEther("10.0"));
+    });
+
+    it("should let a registered signer revoke an authorization by its contents only", async function () {
+      const auth = await authorize(user1.address, amount, 1);
+
+      await expect(
+        authorizationManager.connect(authorizer).revokeAuthorization(auth.authorizationId)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner or an auditor");
+
+      await expect(
+        authorizationManager
+          .connect(authorizer)
+          .revokeVaultAuthorization(
+            vaultAddress,
+            ethers.ZeroAddress,
+            user1.address,
+            amount,
+            1,
+            auth.validAfter,
+            auth.validUntil
+          )
+      )
+        .to.emit(authorizationManager, "AuthorizationRevoked")
+        .withArgs(auth.authorizationId, authorizer.address, anyValue);
+    });
+
+    it("should reject revocation by anyone else", async function () {
+      const auth = await authorize(user1.address, amount, 1);
+
+      await expect(
+        authorizationManager.connect(attacker).revokeAuthorization(auth.authorizationId)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner or an auditor");
+
+      await expect(
+        authorizationManager.connect(attacker).revokeAuthorizations([auth.authorizationId])
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner or an auditor");
+    });
+
+    it("should revoke a batch of authorizations", async function () {
+      const auth1 = await authorize(user1.address, amount, 1);
+      const auth2 = await authorize(user2.address, amount, 2);
+
+      const tx = authorizationManager.revokeAuthorizations([
+        auth1.authorizationId,
+        auth2.authorizationId,
+      ]);
+      await expect(tx)
+        .to.emit(authorizationManager, "AuthorizationRevoked")
+        .withArgs(auth1.authorizationId, deployer.address, anyValue);
+      await expect(tx)
+        .to.emit(authorizationManager, "AuthorizationRevoked")
+        .withArgs(auth2.authorizationId, deployer.address, anyValue);
+
+      await expect(vault.withdraw(...withdrawArgs(auth1))).to.be.revertedWith(
+        "AuthorizationManager: authorization revoked"
       );
+      await expect(vault.withdraw(...withdrawArgs(auth2))).to.be.revertedWith(
+        "AuthorizationManager: authorization revoked"
+      );
+    });
+
+    it("should not revoke a consumed or already revoked authorization", async function () {
+      const consumed = await authorize(user1.address, amount, 1);
+      const revoked = await authorize(user1.address, amount, 2);
+
+      await vault.withdraw(...withdrawArgs(consumed));
+      await authorizationManager.revokeAuthorization(revoked.authorizationId);
+
+      await expect(
+        authorizationManager.revokeAuthorization(consumed.authorizationId)
+      ).to.be.revertedWith("AuthorizationManager: authorization already used");
+
+      await expect(
+        authorizationManager.revokeAuthorization(revoked.authorizationId)
+      ).to.be.revertedWith("AuthorizationManager: authorization already revoked");
+
+      // A batch containing an invalid entry reverts as a whole
+      const unused = await authorize(user1.address, amount, 3);
+      await expect(
+        authorizationManager.revokeAuthorizations([unused.authorizationId, revoked.authorizationId])
+      ).to.be.revertedWith("AuthorizationManager: authorization already revoked");
+      expect(await authorizationManager.getAuthorizationStatus(unused.authorizationId)).to.equal(
+        AuthorizationStatus.Unused
+      );
+    });
+  });
+
+  // ============================================================================
+  // WITHDRAWAL TESTS
+  // ============================================================================
+
+  describe("Withdrawals", function () {
+    beforeEach(async function () {
+      // Deposit funds before each test
+      const depositAmount = ethers.parseEther("10.0");
+      await deployer.sendTransaction({
+        to: vaultAddress,
+        value: depositAmount,
+      });
+    });
+
+    it("should successfully withdraw with valid authorization", async function () {
+      const withdrawAmount = ethers.parseEther("1.0");
+      const nonce = 1;
+      const recipient = user1.address;
+
+      // Sign authorization
+      const auth = await authorize(recipient, withdrawAmount, nonce);
+
+      // Get initial recipient balance
+      const initialBalance = await ethers.provider.getBalance(recipient);
+
+      // Perform withdrawal (submitted by a third party so recipient pays no gas)
+      const tx = await vault
+        .connect(user2)
+        .withdraw(...withdrawArgs(auth));
+      await tx.wait();
+
+      // Verify balance updated
+      const finalBalance = await ethers.provider.getBalance(recipient);
+      expect(finalBalance).to.equal(initialBalance + withdrawAmount);
+
+      // Verify vault balance decreased
+      const vaultBalance = await vault.getBalance();
+      expect(vaultBalance).to.equal(ethers.parseEther("10.0") - withdrawAmount);
+    });
+
+    it("should emit Withdrawal event with correct parameters", async function () {
+      const withdrawAmount = ethers.parseEther("1.0");
+      const nonce = 1;
+      const recipient = user1.address;
+
+      const auth = await authorize(recipient, withdrawAmount, nonce);
+
+      await expect(
+        vault.withdraw(...withdrawArgs(auth))
+      )
+        .to.emit(vault, "Withdrawal")
+        .withArgs(
+          recipient,
+          withdrawAmount,
+          auth.authorizationId,
+          ethers.parseEther("9.0"), // remaining balance
+          anyValue // timestamp
+        );
+    });
+
+    it("should prevent reuse of authorization for second withdrawal", async function () {
+      const withdrawAmount = ethers.parseEther("1.0");
+      const nonce = 1;
+      const recipient = user1.address;
+
+      const auth = await authorize(recipient, withdrawAmount, nonce);
+
+      // First withdrawal should succeed
+      await vault.withdraw(...withdrawArgs(auth));
+
+      // Second withdrawal with same authorization should fail
+      await expect(
+        vault.withdraw(...withdrawArgs(auth))
+      ).to.be.reverted;
+    });
+
+    it("should reject withdrawal without valid authorization", async function () {
+      const withdrawAmount = ethers.parseEther("1.0");
+      const nonce = 1;
+      const recipient = user1.address;
+
+      // Use wrong nonce - authorization will not match
+      const auth = await authorize(recipient, withdrawAmount, nonce);
+
+      // Try to withdraw with different nonce
+      const wrongNonce = 999;
+
+      await expect(
+        vault.withdraw(...withdrawArgs({ ...auth, nonce: wrongNonce }))
+      ).to.be.reverted;
+    });
+
+    it("should reject withdrawal if insufficient balance", async function () {
+      const withdrawAmount = ethers.parseEther("100.0"); // More than available
+      const nonce = 1;
+      const recipient = user1.address;
+
+      const auth = await authorize(recipient, withdrawAmount, nonce);
+
+      await expect(
+        vault.withdraw(...withdrawArgs(auth))
+      ).to.be.revertedWith("SecureVault: insufficient vault balance");
+    });
+
+    it("should reject withdrawal to zero address", async function () {
+      const withdrawAmount = ethers.parseEther("1.0");
+      const nonce = 1;
+      const zeroAddress = ethers.ZeroAddress;
+
+      const auth = await authorize(zeroAddress, withdrawAmount, nonce);
+
+      await expect(
+        vault.withdraw(...withdrawArgs(auth))
+      ).to.be.reverted;
+    });
+
+    it("should handle multiple sequential withdrawals with different authorizations", async function () {
+      const amount1 = ethers.parseEther("1.0");
+      const amount2 = ethers.parseEther("2.0");
+      const amount3 = ethers.parseEther("1.5");
+
+      // Sign authorizations with different nonces
+      const auth1 = await authorize(user1.address, amount1, 1);
+      const auth2 = await authorize(user2.address, amount2, 2);
+      const auth3 = await authorize(user1.address, amount3, 3);
+
+      // Perform withdrawals
+      await vault.withdraw(...withdrawArgs(auth1));
+      await vault.withdraw(...withdrawArgs(auth2));
+      await vault.withdraw(...withdrawArgs(auth3));
+
+      // Verify final balance
+      const finalBalance = await vault.getBalance();
+      const expectedBalance = ethers.parseEther("10.0") - amount1 - amount2 - amount3;
+      expect(finalBalance).to.equal(expectedBalance);
+    });
+
+    it("should maintain correct balance after deposits and withdrawals", async function () {
+      // Initial state: 10.0 ETH in vault
+
+      // Withdrawal 1
+      const auth1 = await authorize(user1.address, ethers.parseEther("2.0"), 1);
+      await vault.withdraw(...withdrawArgs(auth1));
+
+      let balance = await vault.getBalance();
+      expect(balance).to.equal(ethers.parseEther("8.0"));
+
+      // Deposit more
+      await user2.sendTransaction({
+        to: vaultAddress,
+        value: ethers.parseEther("5.0"),
+      });
+
+      balance = await vault.getBalance();
+      expect(balance).to.equal(ethers.parseEther("13.0"));
+
+      // Withdrawal 2
+      const auth2 = await authorize(user2.address, ethers.parseEther("3.0"), 2);
+      await vault.withdraw(...withdrawArgs(auth2));
+
+      balance = await vault.getBalance();
+      expect(balance).to.equal(ethers.parseEther("10.0"));
+    });
+  });
+
+  // ============================================================================
+  // TIMELOCK TESTS
+  // ============================================================================
+
+  describe("Timelocked Withdrawals", function () {
+    const DELAY = 2 * 24 * 60 * 60;
+    const QueueStatus = { None: 0n, Queued: 1n, Executed: 2n, Cancelled: 3n };
+    let guardian;
+
+    // Sign and submit a native-currency withdrawal that never expires
+    async function requestWithdrawal(recipient, amount, nonce) {
+      const auth = await authorize(recipient, amount, nonce, authorizer, {
+        validUntil: ethers.MaxUint256,
+      });
+      await vault.withdraw(...withdrawArgs(auth));
+      return auth;
+    }
+
+    beforeEach(async function () {
+      guardian = (await ethers.getSigners())[5];
+
+      await deployer.sendTransaction({
+        to: vaultAddress,
+        value: ethers.parseEther("100.0"),
+      });
+      await vault.setTimelock(ethers.ZeroAddress, ethers.parseEther("10.0"), DELAY);
+      await vault.grantRole(await vault.GUARDIAN_ROLE(), guardian.address);
+    });
+
+    it("should pay out withdrawals at or below the threshold immediately", async function () {
+      const auth = await authorize(user1.address, ethers.parseEther("10.0"), 1);
+
+      await expect(vault.withdraw(...withdrawArgs(auth)))
+        .to.emit(vault, "Withdrawal")
+        .and.not.to.emit(vault, "WithdrawalQueued");
+    });
+
+    it("should queue large withdrawals and reserve their funds", async function () {
+      const amount = ethers.parseEther("40.0");
+      const auth = await authorize(user1.address, amount, 1);
+      const recipientBefore = await ethers.provider.getBalance(user1.address);
+
+      const now = await time.latest();
+      await time.setNextBlockTimestamp(now + 10);
+      await expect(vault.withdraw(...withdrawArgs(auth)))
+        .to.emit(vault, "WithdrawalQueued")
+        .withArgs(auth.authorizationId, ethers.ZeroAddress, user1.address, amount, now + 10 + DELAY, anyValue)
+        .and.not.to.emit(vault, "Withdrawal");
+
+      // Authorization is consumed at queue time; funds are reserved, not sent
+      expect(await authorizationManager.isAuthorizationUsed(auth.authorizationId)).to.be.true;
+      expect(await vault.getBalance()).to.equal(ethers.parseEther("60.0"));
+      expect(await vault.reservedBalances(ethers.ZeroAddress)).to.equal(amount);
+      expect(await ethers.provider.getBalance(user1.address)).to.equal(recipientBefore);
+
+      const queued = await vault.queuedWithdrawals(auth.authorizationId);
+      expect(queued.status).to.equal(QueueStatus.Queued);
+    });
+
+    it("should only execute after the delay", async function () {
+      const amount = ethers.parseEther("40.0");
+      const auth = await requestWithdrawal(user1.address, amount, 1);
+
+      await expect(vault.executeWithdrawal(auth.authorizationId)).to.be.revertedWith(
+        "SecureVault: withdrawal still timelocked"
+      );
+
+      await time.increase(DELAY);
+
+      const recipientBefore = await ethers.provider.getBalance(user1.address);
+      await expect(vault.connect(user2).executeWithdrawal(auth.authorizationId))
+        .to.emit(vault, "WithdrawalExecuted")
+        .withArgs(auth.authorizationId, ethers.ZeroAddress, user1.address, amount, anyValue)
+        .and.to.emit(vault, "Withdrawal")
+        .withArgs(user1.address, amount, auth.authorizationId, ethers.parseEther("60.0"), anyValue);
+
+      expect(await ethers.provider.getBalance(user1.address)).to.equal(recipientBefore + amount);
+      expect(await vault.reservedBalances(ethers.ZeroAddress)).to.equal(0);
+      expect((await vault.queuedWithdrawals(auth.authorizationId)).status).to.equal(
+        QueueStatus.Executed
+      );
+
+      // Cannot be executed twice
+      await expect(vault.executeWithdrawal(auth.authorizationId)).to.be.revertedWith(
+        "SecureVault: withdrawal not queued"
+      );
+    });
+
+    it("should let the guardian cancel during the delay and release the funds", async function () {
+      const amount = ethers.parseEther("40.0");
+      const auth = await requestWithdrawal(user1.address, amount, 1);
+
+      await expect(vault.connect(guardian).cancelWithdrawal(auth.authorizationId))
+        .to.emit(vault, "WithdrawalCancelled")
+        .withArgs(auth.authorizationId, guardian.address, amount, anyValue);
+
+      expect(await vault.getBalance()).to.equal(ethers.parseEther("100.0"));
+      expect(await vault.reservedBalances(ethers.ZeroAddress)).to.equal(0);
+
+      // A cancelled withdrawal can never execute, and its authorization stays spent
+      await time.increase(DELAY);
+      await expect(vault.executeWithdrawal(auth.authorizationId)).to.be.revertedWith(
+        "SecureVault: withdrawal not queued"
+      );
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+        "AuthorizationManager: authorization already used"
+      );
+    });
+
+    it("should let the owner cancel but nobody else", async function () {
+      const auth = await requestWithdrawal(user1.address, ethers.parseEther("40.0"), 1);
+
+      await expect(
+        vault.connect(attacker).cancelWithdrawal(auth.authorizationId)
+      ).to.be.revertedWith("SecureVault: caller is not the owner, a guardian or an auditor");
+
+      await expect(vault.cancelWithdrawal(auth.authorizationId))
+        .to.emit(vault, "WithdrawalCancelled")
+        .withArgs(auth.authorizationId, deployer.address, ethers.parseEther("40.0"), anyValue);
+    });
+
+    it("should not count reserved funds as spendable", async function () {
+      await requestWithdrawal(user1.address, ethers.parseEther("80.0"), 1);
+
+      const auth = await authorize(user2.address, ethers.parseEther("30.0"), 2);
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+        "SecureVault: insufficient vault balance"
+      );
+    });
+
+    it("should timelock token withdrawals per asset", async function () {
+      const Token = await ethers.getContractFactory("MockERC20");
+      const token = await Token.deploy("Mock USD", "mUSD");
+      await token.waitForDeployment();
+      const tokenAddress = await token.getAddress();
+      await token.mint(deployer.address, ethers.parseEther("1000"));
+      await token.approve(vaultAddress, ethers.parseEther("1000"));
+      await vault.depositToken(tokenAddress, ethers.parseEther("1000"));
+
+      await vault.setTimelock(tokenAddress, ethers.parseEther("500"), DELAY);
+
+      const auth = await authorize(user1.address, ethers.parseEther("600"), 1, authorizer, {
+        token: tokenAddress,
+      });
+      await expect(vault.withdrawToken(...withdrawTokenArgs(auth))).to.emit(vault, "WithdrawalQueued");
+      expect(await vault.getTokenBalance(tokenAddress)).to.equal(ethers.parseEther("400"));
+
+      await time.increase(DELAY);
+      await expect(vault.executeWithdrawal(auth.authorizationId))
+        .to.emit(vault, "TokenWithdrawal")
+        .withArgs(tokenAddress, user1.address, ethers.parseEther("600"), auth.authorizationId, ethers.parseEther("400"), anyValue);
+      expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("600"));
+    });
+
+    it("should restrict timelock configuration to the owner or an admin", async function () {
+      await expect(
+        vault.connect(attacker).setTimelock(ethers.ZeroAddress, 0, 0)
+      ).to.be.revertedWith("SecureVault: caller is not the owner or an admin");
+
+      await expect(
+        vault.connect(guardian).setTimelock(ethers.ZeroAddress, 0, 0)
+      ).to.be.revertedWith("SecureVault: caller is not the owner or an admin");
+
+      await expect(vault.setTimelock(ethers.ZeroAddress, 1, DELAY))
+        .to.emit(vault, "TimelockUpdated")
+        .withArgs(ethers.ZeroAddress, 1, DELAY, anyValue);
+    });
+  });
+
+  // ============================================================================
+  // EMERGENCY PAUSE TESTS
+  // ============================================================================
+
+  describe("Emergency Pause", function () {
+    let guardian;
+
+    beforeEach(async function () {
+      guardian = (await ethers.getSigners())[5];
+
+      await authorizationManager.grantRole(await authorizationManager.GUARDIAN_ROLE(), guardian.address);
+      await vault.grantRole(await vault.GUARDIAN_ROLE(), guardian.address);
+
+      await deployer.sendTransaction({
+        to: vaultAddress,
+        value: ethers.parseEther("10.0"),
+      });
+    });
+
+    it("should let the guardian pause both contracts", async function () {
+      await expect(authorizationManager.connect(guardian).pause())
+        .to.emit(authorizationManager, "Paused")
+        .withArgs(guardian.address, anyValue);
+      await expect(vault.connect(guardian).pause())
+        .to.emit(vault, "Paused")
+        .withArgs(guardian.address, anyValue);
+
+      expect(await authorizationManager.paused()).to.be.true;
+      expect(await vault.paused()).to.be.true;
+    });
+
+    it("should only let the owner unpause", async function () {
+      await authorizationManager.connect(guardian).pause();
+      await vault.connect(guardian).pause();
+
+      await expect(authorizationManager.connect(guardian).unpause()).to.be.revertedWith(
+        "AuthorizationManager: caller is not the owner"
+      );
+      await expect(vault.connect(guardian).unpause()).to.be.revertedWith(
+        "SecureVault: caller is not the owner"
+      );
+
+      await expect(authorizationManager.unpause())
+        .to.emit(authorizationManager, "Unpaused")
+        .withArgs(deployer.address, anyValue);
+      await expect(vault.unpause())
+        .to.emit(vault, "Unpaused")
+        .withArgs(deployer.address, anyValue);
+    });
+
+    it("should reject pausing by anyone else", async function () {
+      await expect(authorizationManager.connect(attacker).pause()).to.be.revertedWith(
+        "AuthorizationManager: caller is not the owner or guardian"
+      );
+      await expect(vault.connect(attacker).pause()).to.be.revertedWith(
+        "SecureVault: caller is not the owner or guardian"
+      );
+
+      // Signers can revoke authorizations but not pause
+      await expect(authorizationManager.connect(authorizer).pause()).to.be.revertedWith(
+        "AuthorizationManager: caller is not the owner or guardian"
+      );
+    });
+
+    it("should reject pausing twice and unpausing when not paused", async function () {
+      await expect(vault.unpause()).to.be.revertedWith("SecureVault: not paused");
+      await expect(authorizationManager.unpause()).to.be.revertedWith(
+        "AuthorizationManager: not paused"
+      );
+
+      await vault.pause();
+      await authorizationManager.pause();
+      await expect(vault.connect(guardian).pause()).to.be.revertedWith("SecureVault: already paused");
+      await expect(authorizationManager.connect(guardian).pause()).to.be.revertedWith(
+        "AuthorizationManager: already paused"
+      );
+    });
+
+    it("should block withdrawals while the vault is paused", async function () {
+      const auth = await authorize(user1.address, ethers.parseEther("1.0"), 1);
+
+      await vault.connect(guardian).pause();
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith("SecureVault: paused");
+
+      // The authorization was not consumed and works once unpaused
+      await vault.unpause();
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.emit(vault, "Withdrawal");
+    });
+
+    it("should block verification while the manager is paused", async function () {
+      const auth = await authorize(user1.address, ethers.parseEther("1.0"), 1);
+
+      await authorizationManager.connect(guardian).pause();
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+        "AuthorizationManager: paused"
+      );
+
+      // Revocation still works during an incident
+      await expect(authorizationManager.revokeAuthorization(auth.authorizationId))
+        .to.emit(authorizationManager, "AuthorizationRevoked");
+    });
+
+    it("should block execution of queued withdrawals but allow cancellation", async function () {
+      await vault.setTimelock(ethers.ZeroAddress, ethers.parseEther("1.0"), 3600);
+      const auth = await authorize(user1.address, ethers.parseEther("5.0"), 1);
+      await vault.withdraw(...withdrawArgs(auth));
+      await time.increase(3600);
+
+      await vault.connect(guardian).pause();
+      await expect(vault.executeWithdrawal(auth.authorizationId)).to.be.revertedWith(
+        "SecureVault: paused"
+      );
+      await expect(vault.connect(guardian).cancelWithdrawal(auth.authorizationId))
+        .to.emit(vault, "WithdrawalCancelled");
+    });
+
+    it("should accept deposits while paused unless configured otherwise", async function () {
+      await vault.connect(guardian).pause();
+
+      await expect(
+        user1.sendTransaction({ to: vaultAddress, value: ethers.parseEther("1.0") })
+      ).to.emit(vault, "Deposit");
+
+      await expect(vault.connect(guardian).setPauseDeposits(true)).to.be.revertedWith(
+        "SecureVault: caller is not the owner or an admin"
+      );
+      await expect(vault.setPauseDeposits(true))
+        .to.emit(vault, "PauseDepositsUpdated")
+        .withArgs(true, anyValue);
+
+      await expect(
+        user1.sendTransaction({ to: vaultAddress, value: ethers.parseEther("1.0") })
+      ).to.be.revertedWith("SecureVault: deposits paused");
+
+      // The setting only applies while paused
+      await vault.unpause();
+      await expect(
+        user1.sendTransaction({ to: vaultAddress, value: ethers.parseEther("1.0") })
+      ).to.emit(vault, "Deposit");
+    });
+
+    it("should stop a guardian from pausing once its role is revoked", async function () {
+      const GUARDIAN_ROLE = await authorizationManager.GUARDIAN_ROLE();
+
+      await expect(
+        authorizationManager.connect(guardian).grantRole(GUARDIAN_ROLE, attacker.address)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner");
+
+      await authorizationManager.revokeRole(GUARDIAN_ROLE, guardian.address);
+      await expect(authorizationManager.connect(guardian).pause()).to.be.revertedWith(
+        "AuthorizationManager: caller is not the owner or guardian"
+      );
+    });
+  });
+
+  // ============================================================================
+  // OWNERSHIP AND ROLE TESTS
+  // ============================================================================
+
+  describe("Ownership and Roles", function () {
+    let ADMIN_ROLE, SIGNER_MANAGER_ROLE, GUARDIAN_ROLE, AUDITOR_ROLE;
+    let admin, signerManager, guardian, auditor;
+
+    beforeEach(async function () {
+      [admin, signerManager, guardian, auditor] = (await ethers.getSigners()).slice(5, 9);
+
+      ADMIN_ROLE = await authorizationManager.ADMIN_ROLE();
+      SIGNER_MANAGER_ROLE = await authorizationManager.SIGNER_MANAGER_ROLE();
+      GUARDIAN_ROLE = await authorizationManager.GUARDIAN_ROLE();
+      AUDITOR_ROLE = await authorizationManager.AUDITOR_ROLE();
+
+      for (const contract of [authorizationManager, vault]) {
+        await contract.grantRole(ADMIN_ROLE, admin.address);
+        await contract.grantRole(GUARDIAN_ROLE, guardian.address);
+        await contract.grantRole(AUDITOR_ROLE, auditor.address);
+      }
+      await authorizationManager.grantRole(SIGNER_MANAGER_ROLE, signerManager.address);
+    });
+
+    it("should use the same role identifiers on both contracts", async function () {
+      expect(await vault.ADMIN_ROLE()).to.equal(ADMIN_ROLE);
+      expect(await vault.GUARDIAN_ROLE()).to.equal(GUARDIAN_ROLE);
+      expect(await vault.AUDITOR_ROLE()).to.equal(AUDITOR_ROLE);
+      expect(ADMIN_ROLE).to.equal(ethers.id("ADMIN_ROLE"));
+    });
+
+    it("should not define the signer-manager role on the vault", async function () {
+      expect(vault.interface.getFunction("SIGNER_MANAGER_ROLE")).to.be.null;
+      await expect(vault.grantRole(SIGNER_MANAGER_ROLE, signerManager.address)).to.be.revertedWith(
+        "SecureVault: unknown role"
+      );
+    });
+
+    it("should transfer ownership in two steps", async function () {
+      for (const [contract, name] of [[authorizationManager, "AuthorizationManager"], [vault, "SecureVault"]]) {
+        await expect(contract.transferOwnership(user1.address))
+          .to.emit(contract, "OwnershipTransferStarted")
+          .withArgs(deployer.address, user1.address, anyValue);
+
+        // Nothing changes until the new owner accepts
+        expect(await contract.owner()).to.equal(deployer.address);
+        expect(await contract.pendingOwner()).to.equal(user1.address);
+
+        await expect(contract.connect(attacker).acceptOwnership()).to.be.revertedWith(
+          `${name}: caller is not the pending owner`
+        );
+
+        await expect(contract.connect(user1).acceptOwnership())
+          .to.emit(contract, "OwnershipTransferred")
+          .withArgs(deployer.address, user1.address, anyValue);
+
+        expect(await contract.owner()).to.equal(user1.address);
+        expect(await contract.pendingOwner()).to.equal(ethers.ZeroAddress);
+
+        // The previous owner loses its privileges
+        await expect(contract.grantRole(ADMIN_ROLE, attacker.address)).to.be.revertedWith(
+          `${name}: caller is not the owner`
+        );
+      }
+    });
+
+    it("should let the owner cancel a pending transfer", async function () {
+      await authorizationManager.transferOwnership(user1.address);
+      await authorizationManager.transferOwnership(ethers.ZeroAddress);
+
+      await expect(authorizationManager.connect(user1).acceptOwnership()).to.be.revertedWith(
+        "AuthorizationManager: caller is not the pending owner"
+      );
+      expect(await authorizationManager.owner()).to.equal(deployer.address);
+    });
+
+    it("should only allow the owner to start a transfer or manage roles", async function () {
+      await expect(
+        authorizationManager.connect(admin).transferOwnership(admin.address)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner");
+
+      await expect(
+        authorizationManager.connect(admin).grantRole(ADMIN_ROLE, attacker.address)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner");
+
+      await expect(
+        vault.connect(admin).revokeRole(GUARDIAN_ROLE, guardian.address)
+      ).to.be.revertedWith("SecureVault: caller is not the owner");
+    });
+
+    it("should grant, revoke and renounce roles with events", async function () {
+      await expect(authorizationManager.grantRole(AUDITOR_ROLE, user1.address))
+        .to.emit(authorizationManager, "RoleGranted")
+        .withArgs(AUDITOR_ROLE, user1.address, deployer.address, anyValue);
+      expect(await authorizationManager.hasRole(AUDITOR_ROLE, user1.address)).to.be.true;
+
+      await expect(authorizationManager.grantRole(AUDITOR_ROLE, user1.address)).to.be.revertedWith(
+        "AuthorizationManager: role already granted"
+      );
+
+      await expect(authorizationManager.revokeRole(AUDITOR_ROLE, user1.address))
+        .to.emit(authorizationManager, "RoleRevoked")
+        .withArgs(AUDITOR_ROLE, user1.address, deployer.address, anyValue);
+      expect(await authorizationManager.hasRole(AUDITOR_ROLE, user1.address)).to.be.false;
+
+      await expect(authorizationManager.revokeRole(AUDITOR_ROLE, user1.address)).to.be.revertedWith(
+        "AuthorizationManager: role not granted"
+      );
+
+      await expect(vault.connect(guardian).renounceRole(GUARDIAN_ROLE))
+        .to.emit(vault, "RoleRevoked")
+        .withArgs(GUARDIAN_ROLE, guardian.address, guardian.address, anyValue);
+      expect(await vault.hasRole(GUARDIAN_ROLE, guardian.address)).to.be.false;
+    });
+
+    it("should reject unknown roles and the zero address", async function () {
+      await expect(
+        authorizationManager.grantRole(ethers.id("OPERATOR_ROLE"), user1.address)
+      ).to.be.revertedWith("AuthorizationManager: unknown role");
+
+      await expect(vault.grantRole(ADMIN_ROLE, ethers.ZeroAddress)).to.be.revertedWith(
+        "SecureVault: invalid account"
+      );
+    });
+
+    it("should let a signer manager manage signers only", async function () {
+      await expect(authorizationManager.connect(signerManager).addSigner(user1.address))
+        .to.emit(authorizationManager, "SignerAdded");
+      await expect(authorizationManager.connect(signerManager).setThreshold(2))
+        .to.emit(authorizationManager, "ThresholdChanged");
+
+      await expect(
+        authorizationManager.connect(signerManager).registerVault(user2.address)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner or an admin");
+      await expect(authorizationManager.connect(signerManager).pause()).to.be.revertedWith(
+        "AuthorizationManager: caller is not the owner or guardian"
+      );
+    });
+
+    it("should let an admin manage the registry, policies and timelocks only", async function () {
+      await expect(authorizationManager.connect(admin).registerVault(user2.address))
+        .to.emit(authorizationManager, "VaultRegistered");
+      await expect(
+        authorizationManager.connect(admin).setRecipientLimit(vaultAddress, ethers.ZeroAddress, user1.address, 1)
+      ).to.emit(authorizationManager, "RecipientLimitUpdated");
+      await expect(vault.connect(admin).setTimelock(ethers.ZeroAddress, 1, 60))
+        .to.emit(vault, "TimelockUpdated");
+      await expect(vault.connect(admin).setPauseDeposits(true))
+        .to.emit(vault, "PauseDepositsUpdated");
+
+      await expect(
+        authorizationManager.connect(admin).addSigner(user1.address)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner or a signer manager");
+      await expect(vault.connect(admin).pause()).to.be.revertedWith(
+        "SecureVault: caller is not the owner or guardian"
+      );
+    });
+
+    it("should not let a guardian unpause or administer", async function () {
+      await vault.connect(guardian).pause();
+
+      await expect(vault.connect(guardian).unpause()).to.be.revertedWith(
+        "SecureVault: caller is not the owner"
+      );
+      await expect(
+        vault.connect(guardian).setTimelock(ethers.ZeroAddress, 0, 0)
+      ).to.be.revertedWith("SecureVault: caller is not the owner or an admin");
+    });
+
+    it("should let an auditor revoke authorizations and cancel queued withdrawals", async function () {
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("10.0") });
+
+      const pending = await authorize(user1.address, ethers.parseEther("1.0"), 1);
+      await expect(authorizationManager.connect(auditor).revokeAuthorization(pending.authorizationId))
+        .to.emit(authorizationManager, "AuthorizationRevoked")
+        .withArgs(pending.authorizationId, auditor.address, anyValue);
+
+      await vault.setTimelock(ethers.ZeroAddress, ethers.parseEther("1.0"), 3600);
+      const large = await authorize(user1.address, ethers.parseEther("5.0"), 2);
+      await vault.withdraw(...withdrawArgs(large));
+      await expect(vault.connect(auditor).cancelWithdrawal(large.authorizationId))
+        .to.emit(vault, "WithdrawalCancelled")
+        .withArgs(large.authorizationId, auditor.address, ethers.parseEther("5.0"), anyValue);
+
+      await expect(authorizationManager.connect(auditor).pause()).to.be.revertedWith(
+        "AuthorizationManager: caller is not the owner or guardian"
+      );
+      await expect(
+        authorizationManager.connect(auditor).setPolicy(ethers.ZeroAddress, {
+          maxWithdrawalAmount: 0,
+          dailyLimit: 0,
+          largeWithdrawalAmount: 0,
+          largeWithdrawalThreshold: 0,
+        })
+      ).to.be.revertedWith("AuthorizationManager: caller is not the owner or an admin");
+    });
+  });
+
+  // ============================================================================
+  // FACTORY TESTS
+  // ============================================================================
+
+  describe("Vault Factory", function () {
+    let factory;
+
+    // Deploy a pair through the factory and return the attached contracts
+    async function deployPair(signers, signerThreshold, caller = deployer) {
+      const tx = await factory.connect(caller).deployPair(signers, signerThreshold);
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => factory.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "PairDeployed");
+
+      return {
+        tx,
+        manager: await ethers.getContractAt("AuthorizationManager", event.args.authorizationManager),
+        pairVault: await ethers.getContractAt("SecureVault", event.args.vault),
+      };
+    }
+
+    beforeEach(async function () {
+      factory = await deployFactory();
+    });
+
+    it("should deploy, initialize and wire up a pair atomically", async function () {
+      const { tx, manager, pairVault } = await deployPair([authorizer.address, user2.address], 2);
+
+      await expect(tx)
+        .to.emit(factory, "PairDeployed")
+        .withArgs(0, await manager.getAddress(), await pairVault.getAddress(), deployer.address, anyValue);
+
+      // Both contracts are initialized, with the factory as interim owner
+      expect(await manager.owner()).to.equal(await factory.getAddress());
+      expect(await pairVault.owner()).to.equal(await factory.getAddress());
+      expect(await pairVault.isInitialized()).to.be.true;
+      expect(await pairVault.authorizationManager()).to.equal(await manager.getAddress());
+      expect(await manager.registeredVaults(await pairVault.getAddress())).to.be.true;
+      expect(await manager.isSigner(authorizer.address)).to.be.true;
+      expect(await manager.isSigner(user2.address)).to.be.true;
+      expect(await manager.threshold()).to.equal(2);
+    });
+
+    it("should index every deployed pair", async function () {
+      const first = await deployPair([authorizer.address], 1);
+      const second = await deployPair([authorizer.address], 1, user1);
+
+      expect(await factory.pairCount()).to.equal(2);
+
+      const pair = await factory.getPair(1);
+      expect(pair.authorizationManager).to.equal(await second.manager.getAddress());
+      expect(pair.vault).to.equal(await second.pairVault.getAddress());
+      expect(pair.owner).to.equal(user1.address);
+
+      expect((await factory.getPair(0)).vault).to.equal(await first.pairVault.getAddress());
+    });
+
+    it("should hand ownership to the caller through the two-step transfer", async function () {
+      const { manager, pairVault } = await deployPair([authorizer.address], 1);
+
+      expect(await manager.pendingOwner()).to.equal(deployer.address);
+      expect(await pairVault.pendingOwner()).to.equal(deployer.address);
+
+      await expect(manager.connect(attacker).acceptOwnership()).to.be.revertedWith(
+        "AuthorizationManager: caller is not the pending owner"
+      );
+
+      await manager.acceptOwnership();
+      await pairVault.acceptOwnership();
+      expect(await manager.owner()).to.equal(deployer.address);
+      expect(await pairVault.owner()).to.equal(deployer.address);
+    });
+
+    it("should leave nothing for a third party to initialize", async function () {
+      const { manager, pairVault } = await deployPair([authorizer.address], 1);
+
+      await expect(manager.connect(attacker).initialize()).to.be.revertedWith(
+        "AuthorizationManager: already initialized"
+      );
+      await expect(
+        pairVault.connect(attacker).initialize(attacker.address)
+      ).to.be.revertedWith("SecureVault: already initialized");
+    });
+
+    it("should close the front-running window of separate deploy and initialize", async function () {
+      // Without the factory, whoever calls initialize first wins
+      const SecureVault = await ethers.getContractFactory("SecureVault");
+      const exposed = await SecureVault.deploy();
+      await exposed.waitForDeployment();
+
+      await exposed.connect(attacker).initialize(attacker.address);
+      await expect(exposed.initialize(authManagerAddress)).to.be.revertedWith(
+        "SecureVault: already initialized"
+      );
+      expect(await exposed.owner()).to.equal(attacker.address);
+
+      // Through the factory the vault is bound to its own manager in the deploying transaction
+      const { manager, pairVault } = await deployPair([authorizer.address], 1);
+      expect(await pairVault.authorizationManager()).to.equal(await manager.getAddress());
+      expect(await pairVault.pendingOwner()).to.equal(deployer.address);
+    });
+
+    it("should deploy each pair as proxies of the shared implementations", async function () {
+      const first = await deployPair([authorizer.address], 1);
+      const second = await deployPair([authorizer.address], 1);
+
+      expect(await first.manager.implementation()).to.equal(await factory.managerImplementation());
+      expect(await second.manager.implementation()).to.equal(await factory.managerImplementation());
+      expect(await first.pairVault.implementation()).to.equal(await factory.vaultImplementation());
+
+      // Pairs share code but not state
+      expect(await first.pairVault.getAddress()).to.not.equal(await second.pairVault.getAddress());
+      expect(await second.manager.registeredVaults(await first.pairVault.getAddress())).to.be.false;
+    });
+
+    it("should reject implementations that are not contracts", async function () {
+      const VaultFactory = await ethers.getContractFactory("VaultFactory");
+
+      await expect(VaultFactory.deploy(attacker.address, vaultAddress)).to.be.revertedWith(
+        "VaultFactory: invalid manager implementation"
+      );
+      await expect(VaultFactory.deploy(authManagerAddress, attacker.address)).to.be.revertedWith(
+        "VaultFactory: invalid vault implementation"
+      );
+    });
+
+    it("should produce a pair that processes withdrawals", async function () {
+      const { manager, pairVault } = await deployPair([authorizer.address], 1);
+      await manager.acceptOwnership();
+      await pairVault.acceptOwnership();
+
+      const pairVaultAddress = await pairVault.getAddress();
+      await deployer.sendTransaction({ to: pairVaultAddress, value: ethers.parseEther("5.0") });
+
+      const auth = await signWithdrawal(authorizer, manager, {
+        vault: pairVaultAddress,
+        recipient: user1.address,
+        amount: ethers.parseEther("1.0"),
+        nonce: 1n,
+      });
+
+      await expect(pairVault.withdraw(...withdrawArgs(auth)))
+        .to.emit(pairVault, "Withdrawal")
+        .withArgs(user1.address, ethers.parseEther("1.0"), auth.authorizationId, ethers.parseEther("4.0"), anyValue);
+    });
+  });
+
+  // ============================================================================
+  // UPGRADE TESTS
+  // ============================================================================
+
+  describe("Upgrades", function () {
+    let manager, proxyVault, proxyVaultAddress;
+
+    beforeEach(async function () {
+      const factory = await deployFactory();
+      const receipt = await (await factory.deployPair([authorizer.address], 1)).wait();
+      const event = receipt.logs
+        .map((log) => factory.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "PairDeployed");
+
+      manager = await ethers.getContractAt("AuthorizationManager", event.args.authorizationManager);
+      proxyVault = await ethers.getContractAt("SecureVault", event.args.vault);
+      proxyVaultAddress = await proxyVault.getAddress();
+      await manager.acceptOwnership();
+      await proxyVault.acceptOwnership();
+
+      await deployer.sendTransaction({ to: proxyVaultAddress, value: ethers.parseEther("10.0") });
+    });
+
+    // Deploy an upgrade target by artifact name
+    async function deployImplementation(name) {
+      const Implementation = await ethers.getContractFactory(name);
+      const implementation = await Implementation.deploy();
+      await implementation.waitForDeployment();
+      return implementation.getAddress();
+    }
+
+    // Sign a withdrawal from the proxied vault
+    async function authorizeProxy(recipient, amount, nonce) {
+      return signWithdrawal(authorizer, manager, {
+        vault: proxyVaultAddress,
+        recipient,
+        amount,
+        nonce,
+      });
+    }
+
+    it("should preserve balances and consumed authorizations across an upgrade", async function () {
+      const spent = await authorizeProxy(user1.address, ethers.parseEther("3.0"), 1);
+      await proxyVault.withdraw(...withdrawArgs(spent));
+      await proxyVault.grantRole(await proxyVault.GUARDIAN_ROLE(), user2.address);
+
+      const vaultV2 = await deployImplementation("SecureVaultV2");
+      const managerV2 = await deployImplementation("AuthorizationManagerV2");
+
+      await expect(proxyVault.upgradeTo(vaultV2))
+        .to.emit(proxyVault, "Upgraded")
+        .withArgs(vaultV2, anyValue);
+      await expect(manager.upgradeTo(managerV2))
+        .to.emit(manager, "Upgraded")
+        .withArgs(managerV2, anyValue);
+
+      const upgradedVault = await ethers.getContractAt("SecureVaultV2", proxyVaultAddress);
+      const upgradedManager = await ethers.getContractAt("AuthorizationManagerV2", await manager.getAddress());
+      expect(await upgradedVault.version()).to.equal("2");
+      expect(await upgradedManager.version()).to.equal("2");
+      expect(await upgradedVault.implementation()).to.equal(vaultV2);
+
+      // State written before the upgrade is intact
+      expect(await upgradedVault.getBalance()).to.equal(ethers.parseEther("7.0"));
+      expect(await ethers.provider.getBalance(proxyVaultAddress)).to.equal(ethers.parseEther("7.0"));
+      expect(await upgradedManager.isAuthorizationUsed(spent.authorizationId)).to.be.true;
+      expect(await upgradedVault.owner()).to.equal(deployer.address);
+      expect(await upgradedVault.hasRole(await upgradedVault.GUARDIAN_ROLE(), user2.address)).to.be.true;
+      expect(await upgradedManager.registeredVaults(proxyVaultAddress)).to.be.true;
+
+      // The consumed authorization still cannot be replayed
+      await expect(upgradedVault.withdraw(...withdrawArgs(spent))).to.be.revertedWith(
+        "AuthorizationManager: authorization already used"
+      );
+
+      // New authorizations keep working, with the same EIP-712 domain
+      const fresh = await authorizeProxy(user1.address, ethers.parseEther("2.0"), 2);
+      await expect(upgradedVault.withdraw(...withdrawArgs(fresh)))
+        .to.emit(upgradedVault, "Withdrawal")
+        .withArgs(user1.address, ethers.parseEther("2.0"), fresh.authorizationId, ethers.parseEther("5.0"), anyValue);
+    });
+
+    it("should only let the owner upgrade", async function () {
+      const vaultV2 = await deployImplementation("SecureVaultV2");
+      const managerV2 = await deployImplementation("AuthorizationManagerV2");
+
+      await proxyVault.grantRole(await proxyVault.ADMIN_ROLE(), user2.address);
+      await expect(proxyVault.connect(user2).upgradeTo(vaultV2)).to.be.revertedWith(
+        "SecureVault: caller is not the owner"
+      );
+      await expect(manager.connect(attacker).upgradeTo(managerV2)).to.be.revertedWith(
+        "AuthorizationManager: caller is not the owner"
+      );
+    });
+
+    it("should run a call on the new implementation with upgradeToAndCall", async function () {
+      const vaultV2 = await deployImplementation("SecureVaultV2");
+      const call = proxyVault.interface.encodeFunctionData("setPauseDeposits", [true]);
+
+      await expect(proxyVault.upgradeToAndCall(vaultV2, call))
+        .to.emit(proxyVault, "PauseDepositsUpdated")
+        .withArgs(true, anyValue);
+      expect(await proxyVault.pauseDeposits()).to.be.true;
+    });
+
+    it("should apply the default recipient cooldown to vaults upgraded from before the allowlist", async function () {
+      // A vault initialized before the allowlist existed has no cooldown stored
+      const layout = await getStorageLayout(hre, "SecureVault");
+      const slot = BigInt(layout.find(({ label }) => label === "recipientCooldown").slot);
+      await setStorageAt(proxyVaultAddress, slot, 0);
+
+      await proxyVault.upgradeTo(await deployImplementation("SecureVaultV2"));
+      const defaultCooldown = await proxyVault.DEFAULT_RECIPIENT_COOLDOWN();
+      expect(await proxyVault.recipientCooldown()).to.equal(0);
+      expect(await proxyVault.getRecipientCooldown()).to.equal(defaultCooldown);
+
+      await proxyVault.addRecipient(user1.address, "payroll");
+      expect(await proxyVault.recipientActiveAt(user1.address)).to.equal(BigInt(await time.latest()) + defaultCooldown);
+
+      // An explicit zero still disables the cooldown
+      await expect(proxyVault.setRecipientCooldown(0))
+        .to.emit(proxyVault, "RecipientCooldownUpdated")
+        .withArgs(defaultCooldown, 0, anyValue);
+      expect(await proxyVault.getRecipientCooldown()).to.equal(0);
+      await proxyVault.addRecipient(user2.address, "instant");
+      expect(await proxyVault.recipientActiveAt(user2.address)).to.equal(await time.latest());
+    });
+
+    it("should reject implementations that cannot be upgraded again", async function () {
+      const Token = await ethers.getContractFactory("MockERC20");
+      const token = await Token.deploy("Mock USD", "mUSD");
+      await token.waitForDeployment();
+
+      await expect(proxyVault.upgradeTo(await token.getAddress())).to.be.revertedWith(
+        "UUPSUpgradeable: implementation is not UUPS"
+      );
+      await expect(proxyVault.upgradeTo(attacker.address)).to.be.revertedWith(
+        "UUPSUpgradeable: implementation is not a contract"
+      );
+
+      // A proxy is not a valid implementation either
+      await expect(proxyVault.upgradeTo(await manager.getAddress())).to.be.revertedWith(
+        "UUPSUpgradeable: implementation is not UUPS"
+      );
+    });
+
+    it("should not allow upgrades outside a proxy", async function () {
+      const vaultV2 = await deployImplementation("SecureVaultV2");
+
+      // The directly deployed vault under test has no proxy to upgrade
+      await expect(vault.upgradeTo(vaultV2)).to.be.revertedWith(
+        "UUPSUpgradeable: must be called through a proxy"
+      );
+
+      // Taking over an uninitialized implementation gives no control over proxies
+      const implementation = await ethers.getContractAt("SecureVault", await proxyVault.implementation());
+      await implementation.connect(attacker).initialize(attacker.address);
+      await expect(implementation.connect(attacker).upgradeTo(vaultV2)).to.be.revertedWith(
+        "UUPSUpgradeable: must be called through a proxy"
+      );
+    });
+
+    it("should accept append-only storage layouts", async function () {
+      for (const name of ["SecureVault", "AuthorizationManager"]) {
+        const previous = await getStorageLayout(hre, name);
+        const next = await getStorageLayout(hre, `${name}V2`);
+        expect(compareStorageLayouts(previous, next)).to.deep.equal([]);
+
+        const appended = [
+          ...previous,
+          { label: "extra", slot: "99", offset: 0, type: { label: "uint256", encoding: "inplace", numberOfBytes: "32" } },
+        ];
+        expect(compareStorageLayouts(previous, appended)).to.deep.equal([]);
+      }
+    });
+
+    it("should reject reordered, removed or retyped storage", async function () {
+      const previous = await getStorageLayout(hre, "SecureVault");
+
+      const removed = previous.slice(0, -1);
+      expect(compareStorageLayouts(previous, removed)).to.have.length(1);
+
+      const reordered = [previous[1], previous[0], ...previous.slice(2)];
+      expect(compareStorageLayouts(previous, reordered)[0]).to.match(/was replaced by/);
+
+      const retyped = previous.map((variable) =>
+        variable.label === "totalBalance"
+          ? { ...variable, type: { label: "uint128", encoding: "inplace", numberOfBytes: "16" } }
+          : variable
+      );
+      expect(compareStorageLayouts(previous, retyped)).to.deep.equal([
+        "`totalBalance` (slot 1, offset 0) changed type from uint256 to uint128",
+      ]);
+    });
+  });
+
+  // ============================================================================
+  // AUTHORIZATION SERVICE TESTS
+  // ============================================================================
+
+  describe("Authorization Service", function () {
+    const API_TOKEN = "service-token";
+    const SIGNER_TOKEN = "signer-token";
+    let storeDir, storePath, server, baseUrl;
+
+    // Start the service with its authorizer key and the signer services of the other keys
+    async function startService(signer = authorizer, cosigners = []) {
+      server = createAuthorizationService({
+        signer,
+        cosigners,
+        authorizationManager: authManagerAddress,
+        vault: vaultAddress,
+        storePath,
+        apiToken: API_TOKEN,
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    async function stopService() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    // Start a signer service holding one key and return it with its URL
+    async function startSignerService(signer) {
+      const signerServer = createSignerService({
+        signer,
+        authorizationManager: authManagerAddress,
+        vault: vaultAddress,
+        apiToken: SIGNER_TOKEN,
+      });
+      await new Promise((resolve) => signerServer.listen(0, "127.0.0.1", resolve));
+      return { server: signerServer, url: `http://127.0.0.1:${signerServer.address().port}` };
+    }
+
+    async function stopSignerService(signerServer) {
+      signerServer.closeAllConnections();
+      await new Promise((resolve) => signerServer.close(resolve));
+    }
+
+    // Call an API and return { status, body }
+    async function request(url, method, body, token) {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          "Content-Type": "application/json",
+          ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        body: typeof body === "string" ? body : body && JSON.stringify(body),
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    // Call the authorization service, with its API token unless `token` is null
+    async function api(method, route, body, token = API_TOKEN) {
+      return request(`${baseUrl}${route}`, method, body, token);
+    }
+
+    beforeEach(async function () {
+      storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "authorization-service-"));
+      storePath = path.join(storeDir, "authorizations.json");
+
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("10.0") });
+      await startService();
+    });
+
+    afterEach(async function () {
+      await stopService();
+      fs.rmSync(storeDir, { recursive: true, force: true });
+    });
+
+    it("should issue an authorization with ready-to-use withdraw arguments", async function () {
+      const amount = ethers.parseEther("2.0");
+      const { status, body } = await api("POST", "/authorizations", {
+        recipient: user1.address,
+        amount: amount.toString(),
+      });
+
+      expect(status).to.equal(201);
+      expect(body.method).to.equal("withdraw");
+      expect(body.vault).to.equal(vaultAddress);
+      expect(await authorizationManager.isNonceUsed(vaultAddress, vaultAddress, body.nonce)).to.be.false;
+      expect(body.authorizationId).to.equal(
+        await authorizationManager.computeAuthorizationId(
+          vaultAddress,
+          ethers.ZeroAddress,
+          user1.address,
+          amount,
+          body.nonce,
+          body.validAfter,
+          body.validUntil
+        )
+      );
+
+      await expect(vault.connect(user2)[body.method](...body.args))
+        .to.emit(vault, "Withdrawal")
+        .withArgs(user1.address, amount, body.authorizationId, ethers.parseEther("8.0"), anyValue);
+
+      const fetched = await api("GET", `/authorizations/${body.authorizationId}`);
+      expect(fetched.body.status).to.equal("consumed");
+    });
+
+    it("should issue token authorizations for withdrawToken", async function () {
+      const Token = await ethers.getContractFactory("MockERC20");
+      const token = await Token.deploy("Mock USD", "mUSD");
+      await token.waitForDeployment();
+      const tokenAddress = await token.getAddress();
+      await token.mint(deployer.address, 1000n);
+      await token.approve(vaultAddress, 1000n);
+      await vault.depositToken(tokenAddress, 1000n);
+
+      const { body } = await api("POST", "/authorizations", {
+        recipient: user1.address,
+        amount: "250",
+        token: tokenAddress,
+      });
+
+      expect(body.method).to.equal("withdrawToken");
+      await vault[body.method](...body.args);
+      expect(await token.balanceOf(user1.address)).to.equal(250n);
+    });
+
+    it("should allocate distinct nonces to concurrent requests", async function () {
+      const responses = await Promise.all(
+        [1, 2, 3, 4, 5].map(() =>
+          api("POST", "/authorizations", { recipient: user1.address, amount: "1000" })
+        )
+      );
+
+      // Consecutive from a random starting point
+      const nonces = responses.map(({ body }) => BigInt(body.nonce)).sort((a, b) => (a < b ? -1 : 1));
+      expect(nonces).to.deep.equal([0n, 1n, 2n, 3n, 4n].map((offset) => nonces[0] + offset));
+      expect(new Set(responses.map(({ body }) => body.authorizationId)).size).to.equal(5);
+    });
+
+    it("should not reissue nonces used on chain after its store is lost", async function () {
+      const first = (await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" })).body;
+      await vault.withdraw(...first.args);
+
+      await stopService();
+      fs.rmSync(storePath);
+      await startService();
+
+      const second = (await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" })).body;
+      expect(second.nonce).to.not.equal(first.nonce);
+      await expect(vault.withdraw(...second.args)).to.emit(vault, "Withdrawal");
+    });
+
+    it("should require the API token", async function () {
+      const missing = await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" }, null);
+      expect(missing.status).to.equal(401);
+      expect(missing.body.error).to.equal("Missing or invalid API token");
+
+      expect((await api("GET", "/authorizations", undefined, "wrong-token")).status).to.equal(401);
+      expect((await api("POST", `/authorizations/${ethers.ZeroHash}/revoke`, undefined, null)).status).to.equal(401);
+      expect((await api("GET", "/health", undefined, null)).status).to.equal(200);
+
+      expect(() =>
+        createAuthorizationService({
+          signer: authorizer,
+          authorizationManager: authManagerAddress,
+          vault: vaultAddress,
+          storePath,
+        })
+      ).to.throw("An API token is required");
+    });
+
+    it("should persist nonces and authorizations across restarts", async function () {
+      const first = await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" });
+
+      await stopService();
+      await startService();
+
+      const second = await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" });
+      expect(BigInt(second.body.nonce)).to.equal(BigInt(first.body.nonce) + 1n);
+
+      const { body } = await api("GET", "/authorizations");
+      expect(body.map((record) => record.authorizationId)).to.deep.equal([
+        first.body.authorizationId,
+        second.body.authorizationId,
+      ]);
+    });
+
+    it("should list authorizations by status", async function () {
+      const consumed = (await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" })).body;
+      const pending = (await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" })).body;
+      const revoked = (await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" })).body;
+      const latest = await time.latest();
+      const expiring = (
+        await api("POST", "/authorizations", {
+          recipient: user1.address,
+          amount: "1000",
+          validUntil: String(latest + 60),
+        })
+      ).body;
+
+      await vault.withdraw(...consumed.args);
+      await api("POST", `/authorizations/${revoked.authorizationId}/revoke`);
+      await time.increase(120);
+
+      const ids = async (status) =>
+        (await api("GET", `/authorizations?status=${status}`)).body.map((record) => record.authorizationId);
+
+      expect(await ids("pending")).to.deep.equal([pending.authorizationId]);
+      expect(await ids("consumed")).to.deep.equal([consumed.authorizationId]);
+      expect(await ids("revoked")).to.deep.equal([revoked.authorizationId]);
+      expect(await ids("expired")).to.deep.equal([expiring.authorizationId]);
+      expect((await api("GET", "/authorizations")).body).to.have.length(4);
+    });
+
+    it("should revoke unused authorizations on-chain", async function () {
+      const { body } = await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" });
+
+      const revoked = await api("POST", `/authorizations/${body.authorizationId}/revoke`);
+      expect(revoked.status).to.equal(200);
+      expect(revoked.body.status).to.equal("revoked");
+      expect(await authorizationManager.getAuthorizationStatus(body.authorizationId)).to.equal(
+        AuthorizationStatus.Revoked
+      );
+
+      await expect(vault.withdraw(...body.args)).to.be.revertedWith(
+        "AuthorizationManager: authorization revoked"
+      );
+
+      const again = await api("POST", `/authorizations/${body.authorizationId}/revoke`);
+      expect(again.status).to.equal(409);
+    });
+
+    it("should refuse to revoke consumed or unknown authorizations", async function () {
+      const { body } = await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" });
+      await vault.withdraw(...body.args);
+
+      const consumed = await api("POST", `/authorizations/${body.authorizationId}/revoke`);
+      expect(consumed.status).to.equal(409);
+      expect(consumed.body.error).to.equal("Authorization is already consumed");
+
+      const unknown = await api("POST", `/authorizations/${ethers.ZeroHash}/revoke`);
+      expect(unknown.status).to.equal(404);
+    });
+
+    it("should reject invalid requests", async function () {
+      const badRecipient = await api("POST", "/authorizations", { recipient: "0x1234", amount: "1" });
+      expect(badRecipient.status).to.equal(400);
+      expect(badRecipient.body.error).to.equal("recipient must be an address");
+
+      const zeroAmount = await api("POST", "/authorizations", { recipient: user1.address, amount: "0" });
+      expect(zeroAmount.status).to.equal(400);
+
+      const negativeAmount = await api("POST", "/authorizations", { recipient: user1.address, amount: "-5" });
+      expect(negativeAmount.status).to.equal(400);
+
+      const badJson = await api("POST", "/authorizations", "{not json");
+      expect(badJson.status).to.equal(400);
+
+      const badStatus = await api("GET", "/authorizations?status=lost");
+      expect(badStatus.status).to.equal(400);
+
+      const unknownRoute = await api("DELETE", "/authorizations");
+      expect(unknownRoute.status).to.equal(404);
+    });
+
+    it("should combine its signature with those of signer services to meet the threshold", async function () {
+      const [signerA, signerB] = (await ethers.getSigners()).slice(5, 7);
+      await authorizationManager.addSigner(signerA.address);
+      await authorizationManager.addSigner(signerB.address);
+      await authorizationManager.setThreshold(2);
+
+      const cosigner = await startSignerService(signerB);
+      try {
+        await stopService();
+        await startService(signerA, [{ url: cosigner.url, apiToken: SIGNER_TOKEN }]);
+
+        const { body } = await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" });
+        expect(body.signatures).to.have.length(2);
+        await expect(vault.withdraw(...body.args)).to.emit(vault, "Withdrawal");
+
+        const relayed = await api("POST", "/authorizations", { recipient: user1.address, amount: "1000", fee: "10" });
+        await expect(vault.withdrawRelayed(...relayed.body.args)).to.emit(vault, "RelayFeePaid");
+
+      } finally {
+        await stopSignerService(cosigner.server);
+      }
+
+      // The open health endpoint answers without reaching the (now stopped) signer service
+      const health = await api("GET", "/health", undefined, null);
+      expect(health.status).to.equal(200);
+      expect(health.body).to.include({ signer: signerA.address, cosigners: 1 });
+    });
+
+    it("should name a signer service whose response is not JSON", async function () {
+      const signerB = (await ethers.getSigners())[6];
+      await authorizationManager.addSigner(signerB.address);
+      await authorizationManager.setThreshold(2);
+
+      const broken = http.createServer((request, response) => {
+        response.writeHead(500, { "Content-Type": "text/html" });
+        response.end("<html>Internal Server Error</html>");
+      });
+      await new Promise((resolve) => broken.listen(0, "127.0.0.1", resolve));
+      const brokenUrl = `http://127.0.0.1:${broken.address().port}`;
+      try {
+        await stopService();
+        await startService(authorizer, [{ url: brokenUrl, apiToken: SIGNER_TOKEN }]);
+
+        const failed = await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" });
+        expect(failed.status).to.equal(502);
+        expect(failed.body.error).to.equal(`Signer service ${brokenUrl} sent an invalid response (HTTP 500)`);
+      } finally {
+        await stopSignerService(broken);
+      }
+    });
+
+    it("should fail to issue when a signer service refuses to sign", async function () {
+      const signerB = (await ethers.getSigners())[6];
+      await authorizationManager.addSigner(signerB.address);
+      await authorizationManager.setThreshold(2);
+      await authorizationManager.setNonceMode(vaultAddress, NonceMode.Sequential, false);
+
+      const cosigner = await startSignerService(signerB);
+      try {
+        await stopService();
+        await startService(authorizer, [{ url: cosigner.url, apiToken: "wrong-token" }]);
+
+        const refused = await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" });
+        expect(refused.status).to.equal(502);
+        expect(refused.body.error).to.equal(`Signer service ${cosigner.url} refused: Missing or invalid API token`);
+
+        // The nonce of the failed request is given back, so sequential nonces stay gapless
+        await stopService();
+        await startService(authorizer, [{ url: cosigner.url, apiToken: SIGNER_TOKEN }]);
+        const { body } = await api("POST", "/authorizations", { recipient: user1.address, amount: "1000" });
+        expect(body.nonce).to.equal("0");
+        await expect(vault.withdraw(...body.args)).to.emit(vault, "Withdrawal");
+      } finally {
+        await stopSignerService(cosigner.server);
+      }
+    });
+
+    it("should return only its own signature from a signer service", async function () {
+      const cosigner = await startSignerService(authorizer);
+      try {
+        const latest = BigInt(await time.latest());
+        const withdrawal = {
+          recipient: user1.address,
+          amount: "1000",
+          nonce: "9",
+          validAfter: "0",
+          validUntil: (latest + 3600n).toString(),
+        };
+
+        expect((await request(`${cosigner.url}/signatures`, "POST", withdrawal)).status).to.equal(401);
+        const incomplete = await request(
+          `${cosigner.url}/signatures`,
+          "POST",
+          { ...withdrawal, nonce: undefined },
+          SIGNER_TOKEN
+        );
+        expect(incomplete.status).to.equal(400);
+        expect(incomplete.body.error).to.equal("nonce must be a non-negative integer");
+
+        const { status, body } = await request(`${cosigner.url}/signatures`, "POST", withdrawal, SIGNER_TOKEN);
+        expect(status).to.equal(200);
+        expect(body.signer).to.equal(authorizer.address);
+        expect(ethers.recoverAddress(body.authorizationId, body.signature)).to.equal(authorizer.address);
+        expect(body.authorizationId).to.equal(
+          await authorizationManager.computeAuthorizationId(
+            vaultAddress,
+            ethers.ZeroAddress,
+            user1.address,
+            1000n,
+            9n,
+            0n,
+            latest + 3600n
+          )
+        );
+      } finally {
+        await stopSignerService(cosigner.server);
+      }
+    });
+  });
+
+  // ============================================================================
+  // EVENT INDEXER TESTS
+  // ============================================================================
+
+  describe("Event Indexer", function () {
+    let indexDir, indexPath, deploymentBlock;
+
+    // Index the pair under test (or another vault) into the index file
+    function createIndexer(options = {}) {
+      return new VaultIndexer({
+        provider: ethers.provider,
+        authorizationManager: authManagerAddress,
+        vault: vaultAddress,
+        store: new EventStore(indexPath),
+        fromBlock: deploymentBlock,
+        confirmations: 0,
+        ...options,
+      });
+    }
+
+    beforeEach(async function () {
+      indexDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-indexer-"));
+      indexPath = path.join(indexDir, "index.json");
+      deploymentBlock = (await authorizationManager.deploymentTransaction().wait()).blockNumber;
+
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("5.0") });
+    });
+
+    afterEach(function () {
+      fs.rmSync(indexDir, { recursive: true, force: true });
+    });
+
+    it("should rebuild vault history from the deployment block", async function () {
+      const auth = await authorize(user1.address, ethers.parseEther("1.0"), 1);
+      await vault.withdraw(...withdrawArgs(auth));
+
+      const indexer = createIndexer({ batchSize: 2 });
+      const { fromBlock, events } = await indexer.sync();
+
+      expect(fromBlock).to.equal(deploymentBlock);
+      expect(events).to.equal(5);
+      expect(indexer.store.query().map((record) => record.event)).to.deep.equal([
+        "Initialized",
+        "VaultInitialized",
+        "Deposit",
+        "AuthorizationConsumed",
+        "Withdrawal",
+      ]);
+
+      const [withdrawal] = indexer.store.query({ event: "Withdrawal" });
+      expect(withdrawal.address).to.equal(vaultAddress);
+      expect(withdrawal.args).to.deep.include({
+        recipient: user1.address,
+        amount: ethers.parseEther("1.0").toString(),
+        authorizationId: auth.authorizationId,
+        newBalance: ethers.parseEther("4.0").toString(),
+      });
+      expect(indexer.store.missingConsumptions()).to.deep.equal([]);
+    });
+
+    it("should total withdrawals per recipient and asset", async function () {
+      const Token = await ethers.getContractFactory("MockERC20");
+      const token = await Token.deploy("Mock USD", "mUSD");
+      await token.waitForDeployment();
+      const tokenAddress = await token.getAddress();
+      await token.mint(deployer.address, 1000n);
+      await token.approve(vaultAddress, 1000n);
+      await vault.depositToken(tokenAddress, 1000n);
+
+      await vault.withdraw(...withdrawArgs(await authorize(user1.address, 100n, 1)));
+      await vault.withdraw(...withdrawArgs(await authorize(user2.address, 200n, 2)));
+      await vault.withdraw(...withdrawArgs(await authorize(user1.address, 300n, 3)));
+      await vault.withdrawToken(
+        ...withdrawTokenArgs(await authorize(user1.address, 400n, 4, authorizer, { token: tokenAddress }))
+      );
+
+      const indexer = createIndexer();
+      await indexer.sync();
+
+      expect(indexer.store.recipientTotals()).to.deep.equal([
+        { recipient: user1.address, token: ethers.ZeroAddress, count: 2, total: "400" },
+        { recipient: user2.address, token: ethers.ZeroAddress, count: 1, total: "200" },
+        { recipient: user1.address, token: tokenAddress, count: 1, total: "400" },
+      ]);
+      expect(indexer.store.missingConsumptions()).to.deep.equal([]);
+    });
+
+    it("should resume from the persisted checkpoint", async function () {
+      const first = await createIndexer().sync();
+
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("1.0") });
+
+      const indexer = createIndexer();
+      const second = await indexer.sync();
+      expect(second.fromBlock).to.equal(first.toBlock + 1);
+      expect(second.events).to.equal(1);
+      expect(indexer.store.query({ event: "Deposit" })).to.have.length(2);
+
+      const third = await createIndexer().sync();
+      expect(third.events).to.equal(0);
+    });
+
+    it("should only index blocks past the confirmation depth", async function () {
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("1.0") });
+      const depositBlock = await ethers.provider.getBlockNumber();
+
+      const indexer = createIndexer({ confirmations: 3 });
+      await indexer.sync();
+      expect(indexer.store.checkpoint.blockNumber).to.equal(depositBlock - 3);
+      expect(indexer.store.query({ event: "Deposit", fromBlock: depositBlock })).to.have.length(0);
+
+      await mine(3);
+      await indexer.sync();
+      expect(indexer.store.query({ event: "Deposit", fromBlock: depositBlock })).to.have.length(1);
+    });
+
+    it("should never store events reorganized out within the confirmation depth", async function () {
+      const indexer = createIndexer({ confirmations: 3 });
+      const snapshot = await takeSnapshot();
+
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("1.0") });
+      await mine(1);
+      await indexer.sync();
+
+      // Replace the last blocks with a competing history
+      await snapshot.restore();
+      await user1.sendTransaction({ to: vaultAddress, value: ethers.parseEther("2.0") });
+      await mine(3);
+      await indexer.sync();
+
+      const deposits = indexer.store.query({ event: "Deposit" }).map((record) => record.args.depositor);
+      expect(deposits).to.deep.equal([deployer.address, user1.address]);
+    });
+
+    it("should refuse to resume after a reorganization deeper than the confirmation depth", async function () {
+      const snapshot = await takeSnapshot();
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("1.0") });
+      await createIndexer().sync();
+
+      await snapshot.restore();
+      await user1.sendTransaction({ to: vaultAddress, value: ethers.parseEther("2.0") });
+
+      await expect(createIndexer().sync()).to.be.rejectedWith("was reorganized out after being indexed");
+    });
+
+    it("should report withdrawals whose authorization consumption is missing", async function () {
+      // A second vault wired to a manager other than the one being audited
+      const AuthorizationManager = await ethers.getContractFactory("AuthorizationManager");
+      const otherManager = await AuthorizationManager.deploy();
+      await otherManager.initialize();
+      await otherManager.addSigner(authorizer.address);
+
+      const SecureVault = await ethers.getContractFactory("SecureVault");
+      const otherVault = await SecureVault.deploy();
+      const otherVaultAddress = await otherVault.getAddress();
+      await otherVault.initialize(await otherManager.getAddress());
+      await otherManager.registerVault(otherVaultAddress);
+      await deployer.sendTransaction({ to: otherVaultAddress, value: ethers.parseEther("1.0") });
+
+      const auth = await signWithdrawal(authorizer, otherManager, {
+        vault: otherVaultAddress,
+        recipient: attacker.address,
+        amount: ethers.parseEther("1.0"),
+        nonce: 1,
+      });
+      await otherVault.withdraw(...withdrawArgs(auth));
+
+      const indexer = createIndexer({ vault: otherVaultAddress });
+      await indexer.sync();
+
+      const missing = indexer.store.missingConsumptions();
+      expect(missing).to.have.length(1);
+      expect(missing[0].address).to.equal(otherVaultAddress);
+      expect(missing[0].args.authorizationId).to.equal(auth.authorizationId);
+    });
+  });
+
+  // ============================================================================
+  // BALANCE RECONCILIATION TESTS
+  // ============================================================================
+
+  describe("Balance Reconciliation", function () {
+    let token, tokenAddress;
+
+    // Send native currency to the vault without going through receive()
+    async function forceSend(amount) {
+      await setBalance(vaultAddress, (await ethers.provider.getBalance(vaultAddress)) + amount);
+    }
+
+    beforeEach(async function () {
+      const Token = await ethers.getContractFactory("MockERC20");
+      token = await Token.deploy("Mock USD", "mUSD");
+      await token.waitForDeployment();
+      tokenAddress = await token.getAddress();
+      await token.mint(deployer.address, 10000n);
+      await token.approve(vaultAddress, 1000n);
+
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("5.0") });
+      await vault.depositToken(tokenAddress, 1000n);
+    });
+
+    describe("Surplus", function () {
+      it("should report no surplus when holdings match the accounting", async function () {
+        await vault.withdraw(...withdrawArgs(await authorize(user1.address, ethers.parseEther("1.0"), 1)));
+
+        expect(await vault.getSurplus(ethers.ZeroAddress)).to.equal(0);
+        expect(await vault.getSurplus(tokenAddress)).to.equal(0);
+      });
+
+      it("should report forced native currency as surplus", async function () {
+        await forceSend(ethers.parseEther("0.5"));
+
+        expect(await vault.getSurplus(ethers.ZeroAddress)).to.equal(ethers.parseEther("0.5"));
+        expect(await vault.getBalance()).to.equal(ethers.parseEther("5.0"));
+      });
+
+      it("should report tokens transferred without a deposit as surplus", async function () {
+        await token.transfer(vaultAddress, 300n);
+
+        expect(await vault.getSurplus(tokenAddress)).to.equal(300n);
+        expect(await vault.getTokenBalance(tokenAddress)).to.equal(1000n);
+      });
+
+      it("should count funds reserved for queued withdrawals as accounted", async function () {
+        await vault.setTimelock(ethers.ZeroAddress, ethers.parseEther("1.0"), 3600);
+        await vault.withdraw(...withdrawArgs(await authorize(user1.address, ethers.parseEther("2.0"), 1)));
+
+        expect(await vault.reservedBalances(ethers.ZeroAddress)).to.equal(ethers.parseEther("2.0"));
+        expect(await vault.getSurplus(ethers.ZeroAddress)).to.equal(0);
+      });
+
+      it("should report zero when the vault holds less than it accounts for", async function () {
+        await setBalance(vaultAddress, ethers.parseEther("1.0"));
+
+        expect(await vault.getSurplus(ethers.ZeroAddress)).to.equal(0);
+      });
+    });
+
+    describe("Sweeps", function () {
+      it("should sweep native surplus with an authorization", async function () {
+        await forceSend(ethers.parseEther("0.5"));
+        const auth = await authorize(user2.address, ethers.parseEther("0.5"), 1);
+        const recipientBefore = await ethers.provider.getBalance(user2.address);
+
+        await expect(vault.sweepSurplus(...withdrawTokenArgs(auth)))
+          .to.emit(vault, "SurplusSwept")
+          .withArgs(ethers.ZeroAddress, user2.address, ethers.parseEther("0.5"), auth.authorizationId, anyValue)
+          .and.to.emit(authorizationManager, "AuthorizationConsumed");
+
+        expect(await ethers.provider.getBalance(user2.address)).to.equal(
+          recipientBefore + ethers.parseEther("0.5")
+        );
+        expect(await vault.getSurplus(ethers.ZeroAddress)).to.equal(0);
+        expect(await vault.getBalance()).to.equal(ethers.parseEther("5.0"));
+        expect(await ethers.provider.getBalance(vaultAddress)).to.equal(ethers.parseEther("5.0"));
+      });
+
+      it("should sweep token surplus with an authorization bound to the token", async function () {
+        await token.transfer(vaultAddress, 300n);
+        const auth = await authorize(user2.address, 300n, 1, authorizer, { token: tokenAddress });
+
+        await expect(vault.sweepSurplus(...withdrawTokenArgs(auth)))
+          .to.emit(vault, "SurplusSwept")
+          .withArgs(tokenAddress, user2.address, 300n, auth.authorizationId, anyValue);
+
+        expect(await token.balanceOf(user2.address)).to.equal(300n);
+        expect(await vault.getTokenBalance(tokenAddress)).to.equal(1000n);
+      });
+
+      it("should never sweep accounted funds", async function () {
+        await forceSend(ethers.parseEther("0.5"));
+        const auth = await authorize(user2.address, ethers.parseEther("1.0"), 1);
+
+        await expect(vault.sweepSurplus(...withdrawTokenArgs(auth))).to.be.revertedWith(
+          "SecureVault: insufficient surplus"
+        );
+      });
+
+      it("should only allow the owner to sweep", async function () {
+        await forceSend(ethers.parseEther("0.5"));
+        const auth = await authorize(attacker.address, ethers.parseEther("0.5"), 1);
+
+        await expect(vault.connect(attacker).sweepSurplus(...withdrawTokenArgs(auth))).to.be.revertedWith(
+          "SecureVault: caller is not the owner"
+        );
+      });
+
+      it("should require a valid, unused authorization", async function () {
+        await forceSend(ethers.parseEther("1.0"));
+
+        const forged = await authorize(user2.address, ethers.parseEther("0.5"), 1, attacker);
+        await expect(vault.sweepSurplus(...withdrawTokenArgs(forged))).to.be.revertedWith(
+          "AuthorizationManager: invalid signer"
+        );
+
+        const auth = await authorize(user2.address, ethers.parseEther("0.5"), 2);
+        await vault.sweepSurplus(...withdrawTokenArgs(auth));
+        await expect(vault.sweepSurplus(...withdrawTokenArgs(auth))).to.be.revertedWith(
+          "AuthorizationManager: authorization already used"
+        );
+      });
+
+      it("should not sweep while paused", async function () {
+        await forceSend(ethers.parseEther("0.5"));
+        const auth = await authorize(user2.address, ethers.parseEther("0.5"), 1);
+        await vault.pause();
+
+        await expect(vault.sweepSurplus(...withdrawTokenArgs(auth))).to.be.revertedWith("SecureVault: paused");
+      });
+    });
+
+    describe("Reconciliation Report", function () {
+      let indexDir, store;
+
+      // Sync an index of the pair under test and reconcile it
+      async function runReport() {
+        const deploymentBlock = (await authorizationManager.deploymentTransaction().wait()).blockNumber;
+        await new VaultIndexer({
+          provider: ethers.provider,
+          authorizationManager: authManagerAddress,
+          vault: vaultAddress,
+          store,
+          fromBlock: deploymentBlock,
+          confirmations: 0,
+        }).sync();
+        return reconcile({ provider: ethers.provider, vault: vaultAddress, store });
+      }
+
+      beforeEach(function () {
+        indexDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-reconcile-"));
+        store = new EventStore(path.join(indexDir, "index.json"));
+      });
+
+      afterEach(function () {
+        fs.rmSync(indexDir, { recursive: true, force: true });
+      });
+
+      it("should reconcile events, accounting and holdings per asset", async function () {
+        await vault.withdraw(...withdrawArgs(await authorize(user1.address, ethers.parseEther("1.0"), 1)));
+        await vault.withdrawToken(
+          ...withdrawTokenArgs(await authorize(user1.address, 400n, 2, authorizer, { token: tokenAddress }))
+        );
+
+        const report = await runReport();
+
+        expect(report.ok).to.equal(true);
+        expect(report.assets).to.deep.equal([
+          {
+            token: ethers.ZeroAddress,
+            deposited: ethers.parseEther("5.0").toString(),
+            withdrawn: ethers.parseEther("1.0").toString(),
+            swept: "0",
+            expected: ethers.parseEther("4.0").toString(),
+            accounted: ethers.parseEther("4.0").toString(),
+            actual: ethers.parseEther("4.0").toString(),
+            surplus: "0",
+            drift: "0",
+            ok: true,
+          },
+          {
+            token: tokenAddress,
+            deposited: "1000",
+            withdrawn: "400",
+            swept: "0",
+            expected: "600",
+            accounted: "600",
+            actual: "600",
+            surplus: "0",
+            drift: "0",
+            ok: true,
+          },
+        ]);
+      });
+
+      it("should report surplus and record sweeps", async function () {
+        await forceSend(ethers.parseEther("0.5"));
+        await token.transfer(vaultAddress, 300n);
+
+        let [native, tokenAsset] = (await runReport()).assets;
+        expect(native.surplus).to.equal(ethers.parseEther("0.5").toString());
+        expect(native.ok).to.equal(true);
+        expect(tokenAsset.surplus).to.equal("300");
+
+        await vault.sweepSurplus(...withdrawTokenArgs(await authorize(user2.address, ethers.parseEther("0.5"), 1)));
+
+        [native] = (await runReport()).assets;
+        expect(native.swept).to.equal(ethers.parseEther("0.5").toString());
+        expect(native.surplus).to.equal("0");
+        expect(native.drift).to.equal("0");
+      });
+
+      it("should account for queued withdrawals until they are paid out", async function () {
+        await vault.setTimelock(ethers.ZeroAddress, ethers.parseEther("1.0"), 3600);
+        const auth = await authorize(user1.address, ethers.parseEther("2.0"), 1, authorizer, {
+          validUntil: ethers.MaxUint256,
+        });
+        await vault.withdraw(...withdrawArgs(auth));
+
+        let [native] = (await runReport()).assets;
+        expect(native.withdrawn).to.equal("0");
+        expect(native.drift).to.equal("0");
+
+        await time.increase(3600);
+        await vault.executeWithdrawal(auth.authorizationId);
+
+        [native] = (await runReport()).assets;
+        expect(native.withdrawn).to.equal(ethers.parseEther("2.0").toString());
+        expect(native.drift).to.equal("0");
+      });
+
+      it("should flag accounting drift and shortfalls", async function () {
+        // totalBalance (slot 1) changed without any event
+        await setStorageAt(vaultAddress, 1, ethers.parseEther("6.0"));
+        await forceSend(ethers.parseEther("1.0"));
+
+        let report = await runReport();
+        expect(report.ok).to.equal(false);
+        expect(report.assets[0].drift).to.equal(ethers.parseEther("1.0").toString());
+
+        await setStorageAt(vaultAddress, 1, ethers.parseEther("5.0"));
+        await setBalance(vaultAddress, ethers.parseEther("4.0"));
+
+        report = await runReport();
+        expect(report.ok).to.equal(false);
+        expect(report.assets[0].drift).to.equal("0");
+        expect(report.assets[0].surplus).to.equal(ethers.parseEther("-1.0").toString());
+      });
+    });
+  });
+
+  // ============================================================================
+  // BATCH WITHDRAWAL TESTS
+  // ============================================================================
+
+  describe("Batch Withdrawals", function () {
+    let payees;
+
+    // Sign one authorization per payee, with consecutive nonces from `firstNonce`
+    async function authorizeAll(amount, firstNonce = 1, recipients = payees, overrides = {}) {
+      const authorizations = [];
+      for (let i = 0; i < recipients.length; i++) {
+        authorizations.push(
+          await authorize(recipients[i].address, amount, firstNonce + i, authorizer, overrides)
+        );
+      }
+      return authorizations;
+    }
+
+    // Decode the Error(string) revert data reported by BatchWithdrawalFailed
+    function decodeReason(reason) {
+      return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(reason, 4))[0];
+    }
+
+    beforeEach(async function () {
+      payees = (await ethers.getSigners()).slice(5, 8);
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("10.0") });
+    });
+
+    describe("All-or-nothing", function () {
+      it("should pay every recipient in one transaction", async function () {
+        const amount = ethers.parseEther("1.0");
+        const authorizations = await authorizeAll(amount);
+        const balancesBefore = await Promise.all(payees.map((payee) => ethers.provider.getBalance(payee)));
+
+        const tx = vault.withdrawBatch(...withdrawBatchArgs(authorizations, true));
+        await expect(tx)
+          .to.emit(vault, "BatchWithdrawal")
+          .withArgs(ethers.ZeroAddress, 3, 3, true, anyValue);
+        for (const auth of authorizations) {
+          await expect(tx)
+            .to.emit(vault, "Withdrawal")
+            .withArgs(auth.recipient, amount, auth.authorizationId, anyValue, anyValue);
+          await expect(tx).to.emit(authorizationManager, "AuthorizationConsumed");
+        }
+
+        for (let i = 0; i < payees.length; i++) {
+          expect(await ethers.provider.getBalance(payees[i])).to.equal(balancesBefore[i] + amount);
+        }
+        expect(await vault.getBalance()).to.equal(ethers.parseEther("7.0"));
+      });
+
+      it("should revert the whole batch and consume nothing if one request is invalid", async function () {
+        const authorizations = await authorizeAll(ethers.parseEther("1.0"));
+        authorizations[1] = await authorize(payees[1].address, ethers.parseEther("1.0"), 2, attacker);
+
+        await expect(vault.withdrawBatch(...withdrawBatchArgs(authorizations, true))).to.be.revertedWith(
+          "AuthorizationManager: invalid signer"
+        );
+
+        for (const auth of authorizations) {
+          expect(await authorizationManager.getAuthorizationStatus(auth.authorizationId)).to.equal(
+            AuthorizationStatus.Unused
+          );
+        }
+        expect(await vault.getBalance()).to.equal(ethers.parseEther("10.0"));
+      });
+
+      it("should reject a batch whose total exceeds the vault balance", async function () {
+        const authorizations = await authorizeAll(ethers.parseEther("4.0"));
+
+        await expect(vault.withdrawBatch(...withdrawBatchArgs(authorizations, true))).to.be.revertedWith(
+          "SecureVault: insufficient vault balance"
+        );
+      });
+
+      it("should reject an authorization repeated within the batch", async function () {
+        const [auth] = await authorizeAll(ethers.parseEther("1.0"));
+
+        await expect(vault.withdrawBatch(...withdrawBatchArgs([auth, auth], true))).to.be.revertedWith(
+          "AuthorizationManager: authorization already used"
+        );
+      });
+
+      it("should accumulate policy limits across the batch", async function () {
+        await authorizationManager.setPolicy(ethers.ZeroAddress, {
+          maxWithdrawalAmount: 0,
+          dailyLimit: ethers.parseEther("2.5"),
+          largeWithdrawalAmount: 0,
+          largeWithdrawalThreshold: 0,
+        });
+        const authorizations = await authorizeAll(ethers.parseEther("1.0"));
+
+        await expect(vault.withdrawBatch(...withdrawBatchArgs(authorizations, true))).to.be.revertedWith(
+          "AuthorizationManager: exceeds daily limit"
+        );
+      });
+    });
+
+    describe("Best-effort", function () {
+      it("should skip failing requests and report why", async function () {
+        const amount = ethers.parseEther("1.0");
+        const authorizations = await authorizeAll(amount);
+        authorizations[1] = await authorize(payees[1].address, amount, 2, attacker);
+        const balanceBefore = await ethers.provider.getBalance(payees[1]);
+
+        const tx = await vault.withdrawBatch(...withdrawBatchArgs(authorizations, false));
+        await expect(tx)
+          .to.emit(vault, "BatchWithdrawal")
+          .withArgs(ethers.ZeroAddress, 3, 2, false, anyValue);
+        await expect(tx)
+          .to.emit(vault, "BatchWithdrawalFailed")
+          .withArgs(1, authorizations[1].authorizationId, payees[1].address, anyValue, anyValue);
+
+        const receipt = await tx.wait();
+        const failures = receipt.logs
+          .map((log) => vault.interface.parseLog(log))
+          .filter((event) => event && event.name === "BatchWithdrawalFailed");
+        expect(failures).to.have.length(1);
+        expect(decodeReason(failures[0].args.reason)).to.equal("AuthorizationManager: invalid signer");
+
+        expect(await ethers.provider.getBalance(payees[1])).to.equal(balanceBefore);
+        expect(await authorizationManager.getAuthorizationStatus(authorizations[0].authorizationId)).to.equal(
+          AuthorizationStatus.Consumed
+        );
+        expect(await authorizationManager.getAuthorizationStatus(authorizations[1].authorizationId)).to.equal(
+          AuthorizationStatus.Unused
+        );
+        expect(await vault.getBalance()).to.equal(ethers.parseEther("8.0"));
+      });
+
+      it("should pay requests in order until the balance runs out", async function () {
+        const authorizations = await authorizeAll(ethers.parseEther("4.0"));
+
+        const tx = await vault.withdrawBatch(...withdrawBatchArgs(authorizations, false));
+        await expect(tx)
+          .to.emit(vault, "BatchWithdrawal")
+          .withArgs(ethers.ZeroAddress, 3, 2, false, anyValue);
+
+        const failure = (await tx.wait()).logs
+          .map((log) => vault.interface.parseLog(log))
+          .find((event) => event && event.name === "BatchWithdrawalFailed");
+        expect(failure.args.index).to.equal(2);
+        expect(decodeReason(failure.args.reason)).to.equal("SecureVault: insufficient vault balance");
+
+        // The unconsumed authorization can be used once the vault is topped up
+        await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("2.0") });
+        await expect(vault.withdraw(...withdrawArgs(authorizations[2]))).to.emit(vault, "Withdrawal");
+      });
+
+      it("should not allow the per-request entrypoint to be called directly", async function () {
+        const [auth] = await authorizeAll(ethers.parseEther("1.0"));
+        const [token, [request]] = withdrawBatchArgs([auth], false);
+
+        await expect(vault.withdrawBatchItem(token, request)).to.be.revertedWith(
+          "SecureVault: caller is not the vault"
+        );
+      });
+    });
+
+    it("should batch token withdrawals", async function () {
+      const Token = await ethers.getContractFactory("MockERC20");
+      const token = await Token.deploy("Mock USD", "mUSD");
+      await token.waitForDeployment();
+      const tokenAddress = await token.getAddress();
+      await token.mint(deployer.address, 1000n);
+      await token.approve(vaultAddress, 1000n);
+      await vault.depositToken(tokenAddress, 1000n);
+
+      const authorizations = await authorizeAll(100n, 1, payees, { token: tokenAddress });
+      await expect(vault.withdrawBatch(...withdrawBatchArgs(authorizations, true)))
+        .to.emit(vault, "BatchWithdrawal")
+        .withArgs(tokenAddress, 3, 3, true, anyValue);
+
+      for (const payee of payees) {
+        expect(await token.balanceOf(payee.address)).to.equal(100n);
+      }
+      expect(await vault.getTokenBalance(tokenAddress)).to.equal(700n);
+    });
+
+    it("should reject batches mixing assets", async function () {
+      const [nativeAuth] = await authorizeAll(1n);
+      const tokenAuth = await authorize(payees[1].address, 1n, 2, authorizer, { token: user2.address });
+
+      expect(() => withdrawBatchArgs([nativeAuth, tokenAuth], true)).to.throw(
+        "All authorizations of a batch must be for the same asset"
+      );
+    });
+
+    it("should queue timelocked requests individually", async function () {
+      await vault.setTimelock(ethers.ZeroAddress, ethers.parseEther("1.0"), 3600);
+      const small = await authorize(payees[0].address, ethers.parseEther("1.0"), 1);
+      const large = await authorize(payees[1].address, ethers.parseEther("2.0"), 2);
+
+      const tx = vault.withdrawBatch(...withdrawBatchArgs([small, large], true));
+      await expect(tx)
+        .to.emit(vault, "Withdrawal")
+        .withArgs(payees[0].address, ethers.parseEther("1.0"), small.authorizationId, anyValue, anyValue);
+      await expect(tx)
+        .to.emit(vault, "WithdrawalQueued")
+        .withArgs(large.authorizationId, ethers.ZeroAddress, payees[1].address, ethers.parseEther("2.0"), anyValue, anyValue);
+
+      expect(await vault.reservedBalances(ethers.ZeroAddress)).to.equal(ethers.parseEther("2.0"));
+    });
+
+    it("should reject empty batches and batches while paused", async function () {
+      await expect(vault.withdrawBatch(ethers.ZeroAddress, [], true)).to.be.revertedWith(
+        "SecureVault: empty batch"
+      );
+
+      const authorizations = await authorizeAll(ethers.parseEther("1.0"));
+      await vault.pause();
+      for (const atomic of [true, false]) {
+        await expect(vault.withdrawBatch(...withdrawBatchArgs(authorizations, atomic))).to.be.revertedWith(
+          "SecureVault: paused"
+        );
+      }
+    });
+
+    it("should only let the vault verify a batch of its authorizations", async function () {
+      const authorizations = await authorizeAll(ethers.parseEther("1.0"));
+      const [token, requests] = withdrawBatchArgs(authorizations, true);
+
+      await expect(
+        authorizationManager.connect(attacker).verifyAuthorizations(vaultAddress, token, requests)
+      ).to.be.revertedWith("AuthorizationManager: caller is not the vault");
+    });
+
+    it("should cost less gas than individual withdrawals (benchmark)", async function () {
+      const recipients = (await ethers.getSigners()).slice(5, 15);
+      const amount = ethers.parseEther("0.1");
+      const gasUsed = async (tx) => (await (await tx).wait()).gasUsed;
+
+      let individual = 0n;
+      for (const auth of await authorizeAll(amount, 1, recipients)) {
+        individual += await gasUsed(vault.withdraw(...withdrawArgs(auth)));
+      }
+      const atomic = await gasUsed(
+        vault.withdrawBatch(...withdrawBatchArgs(await authorizeAll(amount, 11, recipients), true))
+      );
+      const bestEffort = await gasUsed(
+        vault.withdrawBatch(...withdrawBatchArgs(await authorizeAll(amount, 21, recipients), false))
+      );
+
+      expect(atomic).to.be.lessThan(individual);
+      expect(bestEffort).to.be.lessThan(individual);
+    });
+  });
+
+  // ============================================================================
+  // RELAYED WITHDRAWAL TESTS
+  // ============================================================================
+
+  describe("Relayed Withdrawals", function () {
+    let relayer, recipient;
+
+    // Sign a relayed withdrawal from the vault under test to the gasless recipient
+    async function authorizeRelayed(amount, fee, nonce, overrides = {}) {
+      return collectRelayedSignatures([authorizer], authorizationManager, {
+        vault: vaultAddress,
+        recipient: recipient.address,
+        amount,
+        fee,
+        nonce,
+        ...overrides,
+      });
+    }
+
+    beforeEach(async function () {
+      relayer = (await ethers.getSigners())[5];
+      // A fresh key that holds no gas and never sends a transaction
+      recipient = ethers.Wallet.createRandom();
+
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("10.0") });
+    });
+
+    it("should pay the recipient the net amount and the relayer its fee", async function () {
+      const amount = ethers.parseEther("2.0");
+      const fee = ethers.parseEther("0.01");
+      const auth = await authorizeRelayed(amount, fee, 1);
+
+      const tx = vault.connect(relayer).withdrawRelayed(...withdrawRelayedArgs(auth));
+      await expect(tx).to.changeEtherBalances([recipient, relayer, vault], [amount - fee, fee, -amount]);
+      await expect(tx)
+        .to.emit(vault, "RelayFeePaid")
+        .withArgs(auth.authorizationId, ethers.ZeroAddress, relayer.address, fee, anyValue);
+      await expect(tx)
+        .to.emit(vault, "Withdrawal")
+        .withArgs(recipient.address, amount - fee, auth.authorizationId, ethers.parseEther("8.0"), anyValue);
+      await expect(tx)
+        .to.emit(authorizationManager, "AuthorizationConsumed")
+        .withArgs(vaultAddress, ethers.ZeroAddress, recipient.address, amount, auth.authorizationId, anyValue);
+
+      expect(await ethers.provider.getTransactionCount(recipient.address)).to.equal(0);
+    });
+
+    it("should accept a relayed withdrawal without a fee", async function () {
+      const auth = await authorizeRelayed(ethers.parseEther("1.0"), 0n, 1);
+
+      await expect(vault.connect(relayer).withdrawRelayed(...withdrawRelayedArgs(auth)))
+        .to.emit(vault, "Withdrawal")
+        .and.not.to.emit(vault, "RelayFeePaid");
+      expect(await ethers.provider.getBalance(recipient.address)).to.equal(ethers.parseEther("1.0"));
+    });
+
+    it("should only let the bound relayer submit", async function () {
+      const auth = await authorizeRelayed(ethers.parseEther("1.0"), ethers.parseEther("0.01"), 1, {
+        relayer: relayer.address,
+      });
+
+      await expect(vault.connect(attacker).withdrawRelayed(...withdrawRelayedArgs(auth))).to.be.revertedWith(
+        "SecureVault: caller is not the authorized relayer"
+      );
+      await expect(vault.connect(relayer).withdrawRelayed(...withdrawRelayedArgs(auth))).to.emit(
+        vault,
+        "RelayFeePaid"
+      );
+    });
+
+    it("should bind the fee and relayer into the signed authorization", async function () {
+      const auth = await authorizeRelayed(ethers.parseEther("1.0"), ethers.parseEther("0.01"), 1, {
+        relayer: relayer.address,
+      });
+
+      const [token, request] = withdrawRelayedArgs(auth);
+      await expect(
+        vault.connect(relayer).withdrawRelayed(token, { ...request, fee: ethers.parseEther("0.5") })
+      ).to.be.revertedWith("AuthorizationManager: authorization parameter mismatch");
+      await expect(
+        vault.connect(attacker).withdrawRelayed(token, { ...request, relayer: attacker.address })
+      ).to.be.revertedWith("AuthorizationManager: authorization parameter mismatch");
+    });
+
+    it("should keep relayed and direct authorizations apart", async function () {
+      const amount = ethers.parseEther("1.0");
+      const relayed = await authorizeRelayed(amount, 0n, 1);
+      await expect(vault.withdraw(...withdrawArgs(relayed))).to.be.revertedWith(
+        "AuthorizationManager: authorization parameter mismatch"
+      );
+
+      const direct = await authorize(recipient.address, amount, 2);
+      const asRelayed = { ...direct, fee: 0n, relayer: ethers.ZeroAddress, signatures: [direct.signature] };
+      await expect(vault.connect(relayer).withdrawRelayed(...withdrawRelayedArgs(asRelayed))).to.be.revertedWith(
+        "AuthorizationManager: authorization parameter mismatch"
+      );
+    });
+
+    it("should reject a fee that is not less than the amount", async function () {
+      const amount = ethers.parseEther("1.0");
+      const auth = await authorizeRelayed(amount, amount, 1);
+
+      await expect(vault.connect(relayer).withdrawRelayed(...withdrawRelayedArgs(auth))).to.be.revertedWith(
+        "SecureVault: fee must be less than amount"
+      );
+    });
+
+    it("should prevent replaying a relayed authorization", async function () {
+      const auth = await authorizeRelayed(ethers.parseEther("1.0"), ethers.parseEther("0.01"), 1);
+      await vault.connect(relayer).withdrawRelayed(...withdrawRelayedArgs(auth));
+
+      await expect(vault.connect(relayer).withdrawRelayed(...withdrawRelayedArgs(auth))).to.be.revertedWith(
+        "AuthorizationManager: authorization already used"
+      );
+    });
+
+    it("should pay the fee at once and queue a timelocked net amount", async function () {
+      const amount = ethers.parseEther("5.0");
+      const fee = ethers.parseEther("0.1");
+      await vault.setTimelock(ethers.ZeroAddress, ethers.parseEther("1.0"), 60);
+      const auth = await authorizeRelayed(amount, fee, 1);
+
+      const tx = vault.connect(relayer).withdrawRelayed(...withdrawRelayedArgs(auth));
+      await expect(tx).to.changeEtherBalances([recipient, relayer], [0n, fee]);
+      await expect(tx)
+        .to.emit(vault, "WithdrawalQueued")
+        .withArgs(auth.authorizationId, ethers.ZeroAddress, recipient.address, amount - fee, anyValue, anyValue);
+      expect(await vault.reservedBalances(ethers.ZeroAddress)).to.equal(amount - fee);
+
+      await time.increase(60);
+      await expect(vault.connect(relayer).executeWithdrawal(auth.authorizationId)).to.changeEtherBalance(
+        recipient,
+        amount - fee
+      );
+    });
+
+    it("should pay token fees in the withdrawn token", async function () {
+      const Token = await ethers.getContractFactory("MockERC20");
+      const token = await Token.deploy("Mock USD", "mUSD");
+      const tokenAddress = await token.getAddress();
+      await token.mint(user2.address, ethers.parseEther("100"));
+      await token.connect(user2).approve(vaultAddress, ethers.parseEther("100"));
+      await vault.connect(user2).depositToken(tokenAddress, ethers.parseEther("100"));
+
+      const auth = await authorizeRelayed(ethers.parseEther("40"), ethers.parseEther("1"), 1, {
+        token: tokenAddress,
+      });
+      await expect(vault.connect(relayer).withdrawRelayed(...withdrawRelayedArgs(auth)))
+        .to.emit(vault, "TokenWithdrawal")
+        .withArgs(tokenAddress, recipient.address, ethers.parseEther("39"), auth.authorizationId, anyValue, anyValue);
+
+      expect(await token.balanceOf(recipient.address)).to.equal(ethers.parseEther("39"));
+      expect(await token.balanceOf(relayer.address)).to.equal(ethers.parseEther("1"));
+      expect(await vault.getTokenBalance(tokenAddress)).to.equal(ethers.parseEther("60"));
+    });
+
+    it("should reconcile relayed withdrawals in the event index", async function () {
+      const indexDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-indexer-"));
+      try {
+        const auth = await authorizeRelayed(ethers.parseEther("2.0"), ethers.parseEther("0.05"), 1);
+        await vault.connect(relayer).withdrawRelayed(...withdrawRelayedArgs(auth));
+
+        const store = new EventStore(path.join(indexDir, "index.json"));
+        await new VaultIndexer({
+          provider: ethers.provider,
+          authorizationManager: authManagerAddress,
+          vault: vaultAddress,
+          store,
+          fromBlock: (await authorizationManager.deploymentTransaction().wait()).blockNumber,
+          confirmations: 0,
+        }).sync();
+
+        expect(store.query({ event: "RelayFeePaid" })).to.have.length(1);
+        expect(store.missingConsumptions()).to.deep.equal([]);
+
+        const report = await reconcile({ provider: ethers.provider, vault: vaultAddress, store });
+        expect(report.ok).to.be.true;
+        expect(report.assets[0].withdrawn).to.equal(ethers.parseEther("2.0").toString());
+      } finally {
+        fs.rmSync(indexDir, { recursive: true, force: true });
+      }
+    });
+
+    describe("Relayer service", function () {
+      const MIN_FEE = ethers.parseEther("0.001");
+      let server, baseUrl;
+
+      // POST an authorization to the relayer and return { status, body }
+      async function relay(body) {
+        const response = await fetch(`${baseUrl}/relay`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+      }
+
+      // Authorization as served by the authorization service: JSON fields and signatures
+      function toRecord(auth) {
+        return JSON.parse(JSON.stringify(auth, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+      }
+
+      beforeEach(async function () {
+        server = createRelayer({ signer: relayer, vault: vaultAddress, minFee: MIN_FEE });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+      });
+
+      afterEach(async function () {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      });
+
+      it("should submit a withdrawal on behalf of a gasless recipient", async function () {
+        const amount = ethers.parseEther("1.0");
+        const fee = ethers.parseEther("0.002");
+        const auth = await authorizeRelayed(amount, fee, 1, { relayer: relayer.address });
+        const relayerBefore = await ethers.provider.getBalance(relayer.address);
+
+        const { status, body } = await relay(toRecord(auth));
+        expect(status).to.equal(200);
+        expect(body.authorizationId).to.equal(auth.authorizationId);
+        expect(body.relayer).to.equal(relayer.address);
+        expect(body.fee).to.equal(fee.toString());
+
+        const receipt = await ethers.provider.getTransactionReceipt(body.transactionHash);
+        expect(receipt.from).to.equal(relayer.address);
+        expect(await ethers.provider.getBalance(recipient.address)).to.equal(amount - fee);
+        expect(await ethers.provider.getBalance(relayer.address)).to.equal(
+          relayerBefore + fee - receipt.gasUsed * receipt.gasPrice
+        );
+      });
+
+      it("should refuse fees below its minimum and authorizations bound elsewhere", async function () {
+        const low = await authorizeRelayed(ethers.parseEther("1.0"), MIN_FEE - 1n, 1);
+        let response = await relay(toRecord(low));
+        expect(response.status).to.equal(422);
+        expect(response.body.error).to.match(/below the relayer minimum/);
+
+        const bound = await authorizeRelayed(ethers.parseEther("1.0"), MIN_FEE, 2, { relayer: attacker.address });
+        response = await relay(toRecord(bound));
+        expect(response.status).to.equal(422);
+        expect(response.body.error).to.equal("Authorization is bound to another relayer");
+
+        const otherVault = await authorizeRelayed(ethers.parseEther("1.0"), MIN_FEE, 3, {
+          vault: authManagerAddress,
+        });
+        response = await relay(toRecord(otherVault));
+        expect(response.status).to.equal(422);
+        expect(response.body.error).to.equal("Authorization is for another vault");
+      });
+
+      it("should apply each token's own minimum fee and refuse tokens without one", async function () {
+        const Token = await ethers.getContractFactory("MockERC20");
+        const [priced, unpriced] = [await Token.deploy("Mock USD", "mUSD"), await Token.deploy("Other", "OTH")];
+        const [pricedAddress, unpricedAddress] = [await priced.getAddress(), await unpriced.getAddress()];
+        for (const token of [priced, unpriced]) {
+          await token.mint(user2.address, 1000000n);
+          await token.connect(user2).approve(vaultAddress, 1000000n);
+          await vault.connect(user2).depositToken(await token.getAddress(), 1000000n);
+        }
+
+        // A 6-decimal token: 5 base units would be far below the ETH minimum, but is this token's own
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+        server = createRelayer({
+          signer: relayer,
+          vault: vaultAddress,
+          minFee: MIN_FEE,
+          minFees: { [pricedAddress.toLowerCase()]: 5n },
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        const low = await authorizeRelayed(1000n, 4n, 1, { token: pricedAddress });
+        let response = await relay(toRecord(low));
+        expect(response.status).to.equal(422);
+        expect(response.body.error).to.equal("Fee is below the relayer minimum of 5");
+
+        const enough = await authorizeRelayed(1000n, 5n, 2, { token: pricedAddress });
+        expect((await relay(toRecord(enough))).status).to.equal(200);
+        expect(await priced.balanceOf(relayer.address)).to.equal(5n);
+
+        const other = await authorizeRelayed(1000n, MIN_FEE, 3, { token: unpricedAddress });
+        response = await relay(toRecord(other));
+        expect(response.status).to.equal(422);
+        expect(response.body.error).to.equal(`Relayer does not accept fees in token ${unpricedAddress}`);
+
+        const health = await (await fetch(`${baseUrl}/health`)).json();
+        expect(health.minFees).to.deep.equal({ [pricedAddress]: "5" });
+      });
+
+      it("should refuse without spending gas when the withdrawal would revert", async function () {
+        const auth = await authorizeRelayed(ethers.parseEther("1.0"), MIN_FEE, 1);
+        expect((await relay(toRecord(auth))).status).to.equal(200);
+
+        const nonceBefore = await ethers.provider.getTransactionCount(relayer.address);
+        const { status, body } = await relay(toRecord(auth));
+        expect(status).to.equal(422);
+        expect(body.error).to.equal("AuthorizationManager: authorization already used");
+        expect(await ethers.provider.getTransactionCount(relayer.address)).to.equal(nonceBefore);
+      });
+
+      it("should reject malformed requests", async function () {
+        const auth = toRecord(await authorizeRelayed(ethers.parseEther("1.0"), MIN_FEE, 1));
+
+        expect((await relay({ ...auth, signatures: [] })).status).to.equal(400);
+        expect((await relay({ ...auth, amount: "-1" })).status).to.equal(400);
+        expect((await relay({ ...auth, authorizationId: "0x1234" })).status).to.equal(400);
+      });
+
+      it("should relay an authorization issued by the authorization service", async function () {
+        const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "authorization-service-"));
+        const service = createAuthorizationService({
+          signer: authorizer,
+          authorizationManager: authManagerAddress,
+          vault: vaultAddress,
+          storePath: path.join(storeDir, "authorizations.json"),
+          apiToken: "service-token",
+        });
+        await new Promise((resolve) => service.listen(0, "127.0.0.1", resolve));
+
+        try {
+          const issued = await fetch(`http://127.0.0.1:${service.address().port}/authorizations`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", Authorization: "Bearer service-token" },
+            body: JSON.stringify({
+              recipient: recipient.address,
+              amount: ethers.parseEther("1.0").toString(),
+              fee: MIN_FEE.toString(),
+            }),
+          });
+          const record = await issued.json();
+          expect(issued.status).to.equal(201);
+          expect(record.method).to.equal("withdrawRelayed");
+          expect(record.relayer).to.equal(ethers.ZeroAddress);
+
+          expect((await relay(record)).status).to.equal(200);
+          expect(await ethers.provider.getBalance(recipient.address)).to.equal(ethers.parseEther("1.0") - MIN_FEE);
+        } finally {
+          service.closeAllConnections();
+          await new Promise((resolve) => service.close(resolve));
+          fs.rmSync(storeDir, { recursive: true, force: true });
+        }
+      });
+
+      it("should report its configuration", async function () {
+        const body = await (await fetch(`${baseUrl}/health`)).json();
+        expect(body).to.deep.equal({
+          status: "ok",
+          vault: vaultAddress,
+          relayer: relayer.address,
+          minFee: MIN_FEE.toString(),
+          minFees: {},
+        });
+      });
+    });
+  });
+
+  // ============================================================================
+  // PULL-PAYMENT FALLBACK TESTS
+  // ============================================================================
+
+  describe("Pull-Payment Fallback", function () {
+    const GAS_LIMIT = 50000;
+    let rejecting, rejectingAddress, griefing, griefingAddress;
+
+    // Deploy a recipient contract from contracts/mocks
+    async function deployRecipient(contractName) {
+      const Recipient = await ethers.getContractFactory(contractName);
+      const deployed = await Recipient.deploy();
+      await deployed.waitForDeployment();
+      return deployed;
+    }
+
+    beforeEach(async function () {
+      rejecting = await deployRecipient("RejectingRecipient");
+      rejectingAddress = await rejecting.getAddress();
+      griefing = await deployRecipient("GasGriefingRecipient");
+      griefingAddress = await griefing.getAddress();
+
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("10.0") });
+    });
+
+    it("should revert and keep the authorization unused while the fallback is disabled", async function () {
+      const auth = await authorize(rejectingAddress, ethers.parseEther("1.0"), 1);
+
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith("SecureVault: fund transfer failed");
+      expect(await authorizationManager.getAuthorizationStatus(auth.authorizationId)).to.equal(
+        AuthorizationStatus.Unused
+      );
+    });
+
+    it("should only let the owner or an admin configure the fallback", async function () {
+      await expect(vault.connect(attacker).setPullPaymentFallback(true, GAS_LIMIT)).to.be.revertedWith(
+        "SecureVault: caller is not the owner or an admin"
+      );
+      await expect(vault.setPullPaymentFallback(true, 0)).to.be.revertedWith(
+        "SecureVault: gas limit must be greater than zero"
+      );
+
+      await expect(vault.setPullPaymentFallback(true, GAS_LIMIT))
+        .to.emit(vault, "PullPaymentFallbackUpdated")
+        .withArgs(true, GAS_LIMIT, anyValue);
+      expect(await vault.pullPaymentFallback()).to.be.true;
+      expect(await vault.pushGasLimit()).to.equal(GAS_LIMIT);
+    });
+
+    describe("Enabled", function () {
+      beforeEach(async function () {
+        await vault.setPullPaymentFallback(true, GAS_LIMIT);
+      });
+
+      it("should still push to recipients that accept the transfer", async function () {
+        const amount = ethers.parseEther("1.0");
+        const auth = await authorize(user1.address, amount, 1);
+
+        const tx = vault.withdraw(...withdrawArgs(auth));
+        await expect(tx).to.changeEtherBalance(user1, amount);
+        await expect(tx).to.emit(vault, "Withdrawal").and.not.to.emit(vault, "WithdrawalCredited");
+      });
+
+      it("should credit a recipient that rejects the transfer", async function () {
+        const amount = ethers.parseEther("1.0");
+        const auth = await authorize(rejectingAddress, amount, 1);
+
+        await expect(vault.withdraw(...withdrawArgs(auth)))
+          .to.emit(vault, "WithdrawalCredited")
+          .withArgs(auth.authorizationId, ethers.ZeroAddress, rejectingAddress, amount, anyValue)
+          .and.not.to.emit(vault, "Withdrawal");
+
+        expect(await authorizationManager.isAuthorizationUsed(auth.authorizationId)).to.be.true;
+        expect(await vault.pendingWithdrawals(ethers.ZeroAddress, rejectingAddress)).to.equal(amount);
+        expect(await vault.getBalance()).to.equal(ethers.parseEther("9.0"));
+        expect(await vault.reservedBalances(ethers.ZeroAddress)).to.equal(amount);
+        expect(await vault.getSurplus(ethers.ZeroAddress)).to.equal(0);
+      });
+
+      it("should let the recipient claim its credit to another address", async function () {
+        const amount = ethers.parseEther("1.0");
+        await vault.withdraw(...withdrawArgs(await authorize(rejectingAddress, amount, 1)));
+        await vault.withdraw(...withdrawArgs(await authorize(rejectingAddress, amount, 2)));
+
+        const tx = rejecting.claim(vaultAddress, ethers.ZeroAddress, user2.address);
+        await expect(tx)
+          .to.emit(vault, "PendingWithdrawalClaimed")
+          .withArgs(ethers.ZeroAddress, rejectingAddress, user2.address, amount * 2n, anyValue);
+        await expect(tx).to.changeEtherBalances([user2, vault], [amount * 2n, -amount * 2n]);
+
+        expect(await vault.pendingWithdrawals(ethers.ZeroAddress, rejectingAddress)).to.equal(0);
+        expect(await vault.reservedBalances(ethers.ZeroAddress)).to.equal(0);
+        await expect(rejecting.claim(vaultAddress, ethers.ZeroAddress, user2.address)).to.be.revertedWith(
+          "SecureVault: nothing to claim"
+        );
+      });
+
+      it("should reject claims by anyone else, to the zero address, or while paused", async function () {
+        await vault.withdraw(...withdrawArgs(await authorize(rejectingAddress, ethers.parseEther("1.0"), 1)));
+
+        await expect(vault.connect(attacker).claimPendingWithdrawal(ethers.ZeroAddress, attacker.address)).to.be
+          .revertedWith("SecureVault: nothing to claim");
+        await expect(rejecting.claim(vaultAddress, ethers.ZeroAddress, ethers.ZeroAddress)).to.be.revertedWith(
+          "SecureVault: invalid recipient"
+        );
+
+        await vault.pause();
+        await expect(rejecting.claim(vaultAddress, ethers.ZeroAddress, user2.address)).to.be.revertedWith(
+          "SecureVault: paused"
+        );
+      });
+
+      it("should cap the gas a griefing recipient can burn and credit it", async function () {
+        const amount = ethers.parseEther("1.0");
+        const auth = await authorize(griefingAddress, amount, 1);
+
+        const tx = await vault.withdraw(...withdrawArgs(auth));
+        await expect(tx)
+          .to.emit(vault, "WithdrawalCredited")
+          .withArgs(auth.authorizationId, ethers.ZeroAddress, griefingAddress, amount, anyValue);
+
+        // Forwarding all gas would let the recipient burn nearly the whole transaction gas limit
+        const { gasUsed } = await tx.wait();
+        expect(gasUsed).to.be.lessThan(500000n);
+        expect(await vault.pendingWithdrawals(ethers.ZeroAddress, griefingAddress)).to.equal(amount);
+      });
+
+      it("should credit a queued withdrawal whose recipient rejects the payout", async function () {
+        const amount = ethers.parseEther("5.0");
+        await vault.setTimelock(ethers.ZeroAddress, ethers.parseEther("1.0"), 60);
+        const auth = await authorize(rejectingAddress, amount, 1, authorizer, { validUntil: ethers.MaxUint256 });
+        await vault.withdraw(...withdrawArgs(auth));
+
+        await time.increase(60);
+        await expect(vault.executeWithdrawal(auth.authorizationId))
+          .to.emit(vault, "WithdrawalCredited")
+          .withArgs(auth.authorizationId, ethers.ZeroAddress, rejectingAddress, amount, anyValue);
+        expect(await vault.reservedBalances(ethers.ZeroAddress)).to.equal(amount);
+      });
+
+      it("should credit token transfers the token refuses", async function () {
+        const Token = await ethers.getContractFactory("FalseReturningERC20");
+        const token = await Token.deploy();
+        const tokenAddress = await token.getAddress();
+        await token.mint(user2.address, ethers.parseEther("100"));
+        await token.connect(user2).approve(vaultAddress, ethers.parseEther("100"));
+        await vault.connect(user2).depositToken(tokenAddress, ethers.parseEther("100"));
+
+        await token.setFailTransfers(true);
+        const auth = await authorize(user1.address, ethers.parseEther("40"), 1, authorizer, { token: tokenAddress });
+        await expect(vault.withdrawToken(...withdrawTokenArgs(auth)))
+          .to.emit(vault, "WithdrawalCredited")
+          .withArgs(auth.authorizationId, tokenAddress, user1.address, ethers.parseEther("40"), anyValue);
+
+        await token.setFailTransfers(false);
+        await vault.connect(user1).claimPendingWithdrawal(tokenAddress, user1.address);
+        expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("40"));
+        expect(await vault.reservedBalances(tokenAddress)).to.equal(0);
+      });
+
+      it("should reconcile credited and claimed withdrawals", async function () {
+        const indexDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-indexer-"));
+        try {
+          const store = new EventStore(path.join(indexDir, "index.json"));
+          const indexer = new VaultIndexer({
+            provider: ethers.provider,
+            authorizationManager: authManagerAddress,
+            vault: vaultAddress,
+            store,
+            fromBlock: (await authorizationManager.deploymentTransaction().wait()).blockNumber,
+            confirmations: 0,
+          });
+
+          await vault.withdraw(...withdrawArgs(await authorize(rejectingAddress, ethers.parseEther("1.0"), 1)));
+          await indexer.sync();
+          let report = await reconcile({ provider: ethers.provider, vault: vaultAddress, store });
+          expect(report.ok).to.be.true;
+          expect(report.assets[0].withdrawn).to.equal("0");
+
+          await rejecting.claim(vaultAddress, ethers.ZeroAddress, user2.address);
+          await indexer.sync();
+          report = await reconcile({ provider: ethers.provider, vault: vaultAddress, store });
+          expect(report.ok).to.be.true;
+          expect(report.assets[0].withdrawn).to.equal(ethers.parseEther("1.0").toString());
+        } finally {
+          fs.rmSync(indexDir, { recursive: true, force: true });
+        }
+      });
+    });
+
+    it("should let a griefing recipient exhaust the gas while the fallback is disabled", async function () {
+      const auth = await authorize(griefingAddress, ethers.parseEther("1.0"), 1);
+
+      await expect(vault.withdraw(...withdrawArgs(auth), { gasLimit: 1000000 })).to.be.reverted;
+      expect(await authorizationManager.getAuthorizationStatus(auth.authorizationId)).to.equal(
+        AuthorizationStatus.Unused
+      );
+    });
+  });
+
+  // ============================================================================
+  // REENTRANCY TESTS
+  // ============================================================================
+
+  describe("Reentrancy", function () {
+    let malicious, maliciousAddress;
+
+    // Revert string of the malicious recipient's last reentrant call
+    async function reentryError() {
+      const returndata = await malicious.returndata();
+      return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(returndata, 4))[0];
+    }
+
+    // The vault's accounting must match what it holds (nothing is force-sent in these tests)
+    async function expectConsistent(token) {
+      const accounted = token
+        ? (await vault.getTokenBalance(token)) + (await vault.reservedBalances(token))
+        : (await vault.getBalance()) + (await vault.reservedBalances(ethers.ZeroAddress));
+      const held = token
+        ? await (await ethers.getContractAt("MockERC20", token)).balanceOf(vaultAddress)
+        : await ethers.provider.getBalance(vaultAddress);
+      expect(accounted).to.equal(held);
+    }
+
+    beforeEach(async function () {
+      const ReentrantRecipient = await ethers.getContractFactory("ReentrantRecipient");
+      malicious = await ReentrantRecipient.deploy();
+      await malicious.waitForDeployment();
+      maliciousAddress = await malicious.getAddress();
+
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("10.0") });
+    });
+
+    it("should block re-entering withdraw with the same authorization", async function () {
+      const amount = ethers.parseEther("1.0");
+      const auth = await authorize(maliciousAddress, amount, 1);
+      await malicious.arm(vaultAddress, vault.interface.encodeFunctionData("withdraw", withdrawArgs(auth)), 0);
+
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.changeEtherBalance(malicious, amount);
+
+      expect(await malicious.attempted()).to.be.true;
+      expect(await malicious.succeeded()).to.be.false;
+      expect(await reentryError()).to.equal("SecureVault: reentrant call");
+      expect(await vault.getBalance()).to.equal(ethers.parseEther("9.0"));
+      await expectConsistent();
+    });
+
+    it("should block re-entering every outflow path with a fresh authorization", async function () {
+      const amount = ethers.parseEther("1.0");
+      const second = await authorize(maliciousAddress, amount, 2);
+      const relayed = await collectRelayedSignatures([authorizer], authorizationManager, {
+        vault: vaultAddress,
+        recipient: maliciousAddress,
+        amount,
+        nonce: 3,
+      });
+      const reentries = [
+        vault.interface.encodeFunctionData("withdraw", withdrawArgs(second)),
+        vault.interface.encodeFunctionData("withdrawBatch", withdrawBatchArgs([second], false)),
+        vault.interface.encodeFunctionData("withdrawRelayed", withdrawRelayedArgs(relayed)),
+        vault.interface.encodeFunctionData("claimPendingWithdrawal", [ethers.ZeroAddress, maliciousAddress]),
+        vault.interface.encodeFunctionData("executeWithdrawal", [second.authorizationId]),
+      ];
+
+      for (let i = 0; i < reentries.length; i++) {
+        const auth = await authorize(maliciousAddress, amount, 10 + i);
+        await malicious.arm(vaultAddress, reentries[i], 0);
+
+        await expect(vault.withdraw(...withdrawArgs(auth))).to.changeEtherBalance(malicious, amount);
+        expect(await malicious.succeeded()).to.be.false;
+        expect(await reentryError()).to.equal("SecureVault: reentrant call");
+      }
+
+      // The authorizations offered during the attack were never touched
+      expect(await authorizationManager.getAuthorizationStatus(second.authorizationId)).to.equal(
+        AuthorizationStatus.Unused
+      );
+      expect(await authorizationManager.getAuthorizationStatus(relayed.authorizationId)).to.equal(
+        AuthorizationStatus.Unused
+      );
+      expect(await vault.getBalance()).to.equal(ethers.parseEther("5.0"));
+      await expectConsistent();
+
+      // and remain usable once the attack is over
+      await expect(vault.withdraw(...withdrawArgs(second))).to.changeEtherBalance(malicious, amount);
+    });
+
+    it("should block re-entry from the queued withdrawal payout", async function () {
+      const amount = ethers.parseEther("5.0");
+      await vault.setTimelock(ethers.ZeroAddress, ethers.parseEther("1.0"), 60);
+      const auth = await authorize(maliciousAddress, amount, 1, authorizer, { validUntil: ethers.MaxUint256 });
+      await vault.withdraw(...withdrawArgs(auth));
+      await time.increase(60);
+
+      const reentry = vault.interface.encodeFunctionData("executeWithdrawal", [auth.authorizationId]);
+      await malicious.arm(vaultAddress, reentry, 0);
+      await expect(vault.executeWithdrawal(auth.authorizationId)).to.changeEtherBalance(malicious, amount);
+
+      expect(await reentryError()).to.equal("SecureVault: reentrant call");
+      expect(await vault.reservedBalances(ethers.ZeroAddress)).to.equal(0);
+      await expectConsistent();
+    });
+
+    it("should account deposits made from receive() during a withdrawal", async function () {
+      const amount = ethers.parseEther("2.0");
+      const redeposit = ethers.parseEther("0.5");
+      const auth = await authorize(maliciousAddress, amount, 1);
+      await malicious.arm(vaultAddress, "0x", redeposit);
+
+      const tx = vault.withdraw(...withdrawArgs(auth));
+      await expect(tx).to.changeEtherBalance(malicious, amount - redeposit);
+      await expect(tx)
+        .to.emit(vault, "Deposit")
+        .withArgs(maliciousAddress, redeposit, ethers.parseEther("8.5"), anyValue);
+
+      expect(await malicious.succeeded()).to.be.true;
+      expect(await vault.getBalance()).to.equal(ethers.parseEther("8.5"));
+      await expectConsistent();
+    });
+
+    describe("Token hooks", function () {
+      let token, tokenAddress;
+
+      beforeEach(async function () {
+        const ReentrantERC20 = await ethers.getContractFactory("ReentrantERC20");
+        token = await ReentrantERC20.deploy();
+        await token.waitForDeployment();
+        tokenAddress = await token.getAddress();
+
+        await token.mint(user2.address, ethers.parseEther("100"));
+        await token.connect(user2).approve(vaultAddress, ethers.parseEther("100"));
+        await vault.connect(user2).depositToken(tokenAddress, ethers.parseEther("100"));
+        await token.setHook(maliciousAddress);
+      });
+
+      it("should block re-entering withdrawToken from a transfer hook", async function () {
+        const amount = ethers.parseEther("10");
+        const overrides = { token: tokenAddress };
+        const auth = await authorize(maliciousAddress, amount, 1, authorizer, overrides);
+        const second = await authorize(maliciousAddress, amount, 2, authorizer, overrides);
+        const reentry = vault.interface.encodeFunctionData("withdrawToken", withdrawTokenArgs(second));
+        await malicious.arm(vaultAddress, reentry, 0);
+
+        await vault.withdrawToken(...withdrawTokenArgs(auth));
+
+        expect(await reentryError()).to.equal("SecureVault: reentrant call");
+        expect(await token.balanceOf(maliciousAddress)).to.equal(amount);
+        expect(await vault.getTokenBalance(tokenAddress)).to.equal(ethers.parseEther("90"));
+        await expectConsistent(tokenAddress);
+      });
+
+      it("should not double-count a deposit re-entered from a transfer hook", async function () {
+        const amount = ethers.parseEther("30");
+        await token.mint(maliciousAddress, amount * 2n);
+        const deposit = vault.interface.encodeFunctionData("depositToken", [tokenAddress, amount]);
+        await malicious.execute(tokenAddress, token.interface.encodeFunctionData("approve", [vaultAddress, amount * 2n]));
+        await malicious.arm(vaultAddress, deposit, 0);
+
+        // Deposit 30; the hook re-enters with another 30 while the first transfer is in flight
+        await malicious.execute(vaultAddress, deposit);
+
+        expect(await reentryError()).to.equal("SecureVault: reentrant call");
+        expect(await vault.getTokenBalance(tokenAddress)).to.equal(ethers.parseEther("130"));
+        await expectConsistent(tokenAddress);
+      });
+    });
+
+    it("should keep paying the rest of a batch when a recipient burns all its gas", async function () {
+      const GasGriefingRecipient = await ethers.getContractFactory("GasGriefingRecipient");
+      const griefing = await GasGriefingRecipient.deploy();
+      const griefingAddress = await griefing.getAddress();
+      await vault.setPullPaymentFallback(true, 50000);
+
+      const amount = ethers.parseEther("1.0");
+      const authorizations = [
+        await authorize(user1.address, amount, 1),
+        await authorize(griefingAddress, amount, 2),
+        await authorize(user2.address, amount, 3),
+      ];
+
+      const tx = vault.withdrawBatch(...withdrawBatchArgs(authorizations, false));
+      await expect(tx).to.changeEtherBalances([user1, user2], [amount, amount]);
+      await expect(tx).to.emit(vault, "BatchWithdrawal").withArgs(ethers.ZeroAddress, 3, 3, false, anyValue);
+
+      expect(await vault.pendingWithdrawals(ethers.ZeroAddress, griefingAddress)).to.equal(amount);
+      expect(await vault.getBalance()).to.equal(ethers.parseEther("7.0"));
+      await expectConsistent();
+    });
+  });
+
+  // ============================================================================
+  // SHARED AUTHORIZATION MANAGER TESTS
+  // ============================================================================
+
+  describe("Shared AuthorizationManager", function () {
+    let otherVault, otherVaultAddress;
+
+    const noPolicy = {
+      maxWithdrawalAmount: 0,
+      dailyLimit: 0,
+      largeWithdrawalAmount: 0,
+      largeWithdrawalThreshold: 0,
+    };
+
+    // Sign a withdrawal from the second vault
+    async function authorizeOther(recipient, amount, nonce, signers = [authorizer]) {
+      return collectSignatures(signers, authorizationManager, {
+        vault: otherVaultAddress,
+        recipient,
+        amount,
+        nonce,
+      });
+    }
+
+    beforeEach(async function () {
+      const SecureVault = await ethers.getContractFactory("SecureVault");
+      otherVault = await SecureVault.deploy();
+      await otherVault.waitForDeployment();
+      otherVaultAddress = await otherVault.getAddress();
+
+      await otherVault.initialize(authManagerAddress);
+      await authorizationManager.registerVault(otherVaultAddress);
+
+      for (const target of [vaultAddress, otherVaultAddress]) {
+        await deployer.sendTransaction({ to: target, value: ethers.parseEther("10.0") });
+      }
+    });
+
+    describe("Vault registry", function () {
+      it("should list registered vaults", async function () {
+        expect([...(await authorizationManager.getVaults())]).to.have.members([vaultAddress, otherVaultAddress]);
+      });
+
+      it("should drop unregistered vaults from the list", async function () {
+        await authorizationManager.unregisterVault(vaultAddress);
+        expect(await authorizationManager.getVaults()).to.deep.equal([otherVaultAddress]);
+
+        await authorizationManager.unregisterVault(otherVaultAddress);
+        expect(await authorizationManager.getVaults()).to.deep.equal([]);
+
+        await authorizationManager.registerVault(vaultAddress);
+        expect(await authorizationManager.getVaults()).to.deep.equal([vaultAddress]);
+      });
+    });
+
+    describe("Signer domains", function () {
+      it("should use the shared signer set until a vault gets its own", async function () {
+        expect(await authorizationManager.isAuthorizedSigner(otherVaultAddress, authorizer.address)).to.be.true;
+        expect(await authorizationManager.getThreshold(otherVaultAddress)).to.equal(1);
+
+        const auth = await authorizeOther(user1.address, ethers.parseEther("1.0"), 1);
+        await expect(otherVault.withdraw(...withdrawArgs(auth))).to.emit(otherVault, "Withdrawal");
+      });
+
+      it("should accept a vault's own signers only for that vault", async function () {
+        await expect(authorizationManager.addVaultSigner(otherVaultAddress, user2.address))
+          .to.emit(authorizationManager, "VaultSignerAdded")
+          .withArgs(otherVaultAddress, user2.address, anyValue);
+
+        expect(await authorizationManager.isAuthorizedSigner(otherVaultAddress, user2.address)).to.be.true;
+        expect(await authorizationManager.isAuthorizedSigner(vaultAddress, user2.address)).to.be.false;
+
+        // The vault's own key withdraws from it, but not from the vault on the shared set
+        const own = await authorizeOther(user1.address, ethers.parseEther("1.0"), 1, [user2]);
+        await expect(otherVault.withdraw(...withdrawArgs(own))).to.emit(otherVault, "Withdrawal");
+
+        const foreign = await authorize(user1.address, ethers.parseEther("1.0"), 1, user2);
+        await expect(vault.withdraw(...withdrawArgs(foreign))).to.be.revertedWith(
+          "AuthorizationManager: invalid signer"
+        );
+      });
+
+      it("should reject shared signers once a vault has its own set", async function () {
+        await authorizationManager.addVaultSigner(otherVaultAddress, user2.address);
+        expect(await authorizationManager.isAuthorizedSigner(otherVaultAddress, authorizer.address)).to.be.false;
+
+        const auth = await authorizeOther(user1.address, ethers.parseEther("1.0"), 1);
+        await expect(otherVault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+          "AuthorizationManager: invalid signer"
+        );
+
+        // The other vault still uses the shared set
+        await expect(vault.withdraw(...withdrawArgs(await authorize(user1.address, 1n, 1)))).to.emit(
+          vault,
+          "Withdrawal"
+        );
+      });
+
+      it("should not fall back to the shared set when a vault's keys are removed", async function () {
+        await authorizationManager.addVaultSigner(otherVaultAddress, user2.address);
+        await expect(authorizationManager.removeVaultSigner(otherVaultAddress, user2.address))
+          .to.emit(authorizationManager, "VaultSignerRemoved")
+          .withArgs(otherVaultAddress, user2.address, anyValue);
+
+        const auth = await authorizeOther(user1.address, ethers.parseEther("1.0"), 1);
+        await expect(otherVault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+          "AuthorizationManager: invalid signer"
+        );
+      });
+
+      it("should enforce a per-vault threshold", async function () {
+        await authorizationManager.addVaultSigner(otherVaultAddress, user2.address);
+        await authorizationManager.addVaultSigner(otherVaultAddress, attacker.address);
+
+        await expect(authorizationManager.setVaultThreshold(otherVaultAddress, 2))
+          .to.emit(authorizationManager, "VaultThresholdChanged")
+          .withArgs(otherVaultAddress, 1, 2, anyValue);
+        expect(await authorizationManager.getThreshold(otherVaultAddress)).to.equal(2);
+        expect(await authorizationManager.getThreshold(vaultAddress)).to.equal(1);
+
+        const single = await authorizeOther(user1.address, ethers.parseEther("1.0"), 1, [user2]);
+        await expect(otherVault.withdraw(...withdrawArgs(single))).to.be.revertedWith(
+          "AuthorizationManager: insufficient signatures"
+        );
+
+        const double = await authorizeOther(user1.address, ethers.parseEther("1.0"), 2, [user2, attacker]);
+        await expect(otherVault.withdraw(...withdrawArgs(double))).to.emit(otherVault, "Withdrawal");
+      });
+
+      it("should validate vault signer changes", async function () {
+        await expect(authorizationManager.setVaultThreshold(otherVaultAddress, 1)).to.be.revertedWith(
+          "AuthorizationManager: vault uses the shared signer set"
+        );
+        await expect(authorizationManager.addVaultSigner(user1.address, user2.address)).to.be.revertedWith(
+          "AuthorizationManager: vault not registered"
+        );
+        await expect(authorizationManager.addVaultSigner(otherVaultAddress, ethers.ZeroAddress)).to.be.revertedWith(
+          "AuthorizationManager: invalid signer"
+        );
+
+        await authorizationManager.addVaultSigner(otherVaultAddress, user2.address);
+        await expect(authorizationManager.addVaultSigner(otherVaultAddress, user2.address)).to.be.revertedWith(
+          "AuthorizationManager: signer already registered"
+        );
+        await expect(authorizationManager.removeVaultSigner(otherVaultAddress, user1.address)).to.be.revertedWith(
+          "AuthorizationManager: signer not registered"
+        );
+        await expect(authorizationManager.setVaultThreshold(otherVaultAddress, 0)).to.be.revertedWith(
+          "AuthorizationManager: threshold must be greater than zero"
+        );
+        await expect(authorizationManager.setVaultThreshold(otherVaultAddress, 2)).to.be.revertedWith(
+          "AuthorizationManager: threshold exceeds signer count"
+        );
+      });
+
+      it("should only allow the owner or a signer manager to change vault signers", async function () {
+        await expect(
+          authorizationManager.connect(attacker).addVaultSigner(otherVaultAddress, attacker.address)
+        ).to.be.revertedWith("AuthorizationManager: caller is not the owner or a signer manager");
+        await expect(
+          authorizationManager.connect(attacker).removeVaultSigner(otherVaultAddress, authorizer.address)
+        ).to.be.revertedWith("AuthorizationManager: caller is not the owner or a signer manager");
+        await expect(
+          authorizationManager.connect(attacker).setVaultThreshold(otherVaultAddress, 1)
+        ).to.be.revertedWith("AuthorizationManager: caller is not the owner or a signer manager");
+      });
+    });
+
+    describe("Vault policies", function () {
+      it("should override the shared policy for one vault", async function () {
+        await authorizationManager.setPolicy(ethers.ZeroAddress, {
+          ...noPolicy,
+          maxWithdrawalAmount: ethers.parseEther("1.0"),
+        });
+        await expect(
+          authorizationManager.setVaultPolicy(otherVaultAddress, ethers.ZeroAddress, {
+            ...noPolicy,
+            maxWithdrawalAmount: ethers.parseEther("5.0"),
+          })
+        )
+          .to.emit(authorizationManager, "VaultPolicyUpdated")
+          .withArgs(otherVaultAddress, ethers.ZeroAddress, ethers.parseEther("5.0"), 0, 0, 0, anyValue);
+
+        expect(
+          (await authorizationManager.getPolicy(otherVaultAddress, ethers.ZeroAddress)).maxWithdrawalAmount
+        ).to.equal(ethers.parseEther("5.0"));
+        expect((await authorizationManager.getPolicy(vaultAddress, ethers.ZeroAddress)).maxWithdrawalAmount).to.equal(
+          ethers.parseEther("1.0")
+        );
+
+        const large = await authorizeOther(user1.address, ethers.parseEther("3.0"), 1);
+        await expect(otherVault.withdraw(...withdrawArgs(large))).to.emit(otherVault, "Withdrawal");
+
+        const shared = await authorize(user1.address, ethers.parseEther("3.0"), 1);
+        await expect(vault.withdraw(...withdrawArgs(shared))).to.be.revertedWith(
+          "AuthorizationManager: exceeds per-withdrawal limit"
+        );
+      });
+
+      it("should go back to the shared policy when cleared", async function () {
+        await authorizationManager.setPolicy(ethers.ZeroAddress, {
+          ...noPolicy,
+          maxWithdrawalAmount: ethers.parseEther("1.0"),
+        });
+        await authorizationManager.setVaultPolicy(otherVaultAddress, ethers.ZeroAddress, noPolicy);
+
+        await expect(authorizationManager.clearVaultPolicy(otherVaultAddress, ethers.ZeroAddress))
+          .to.emit(authorizationManager, "VaultPolicyCleared")
+          .withArgs(otherVaultAddress, ethers.ZeroAddress, anyValue);
+        await expect(authorizationManager.clearVaultPolicy(otherVaultAddress, ethers.ZeroAddress)).to.be.revertedWith(
+          "AuthorizationManager: no vault policy"
+        );
+
+        const auth = await authorizeOther(user1.address, ethers.parseEther("3.0"), 1);
+        await expect(otherVault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+          "AuthorizationManager: exceeds per-withdrawal limit"
+        );
+      });
+
+      it("should bound the large-withdrawal threshold by the vault's signer set", async function () {
+        await authorizationManager.addVaultSigner(otherVaultAddress, user2.address);
+
+        await expect(
+          authorizationManager.setVaultPolicy(otherVaultAddress, ethers.ZeroAddress, {
+            ...noPolicy,
+            largeWithdrawalAmount: ethers.parseEther("1.0"),
+            largeWithdrawalThreshold: 2,
+          })
+        ).to.be.revertedWith("AuthorizationManager: invalid large withdrawal threshold");
+        await expect(
+          authorizationManager.setVaultPolicy(user1.address, ethers.ZeroAddress, noPolicy)
+        ).to.be.revertedWith("AuthorizationManager: vault not registered");
+        await expect(
+          authorizationManager.connect(attacker).setVaultPolicy(otherVaultAddress, ethers.ZeroAddress, noPolicy)
+        ).to.be.revertedWith("AuthorizationManager: caller is not the owner or an admin");
+      });
+
+      it("should bound the shared large-withdrawal threshold by every vault using it", async function () {
+        // Two shared signers, but the other vault has a single key of its own
+        await authorizationManager.addSigner(user1.address);
+        await authorizationManager.addVaultSigner(otherVaultAddress, user2.address);
+
+        const policy = { ...noPolicy, largeWithdrawalAmount: ethers.parseEther("1.0"), largeWithdrawalThreshold: 2 };
+        await expect(authorizationManager.setPolicy(ethers.ZeroAddress, policy)).to.be.revertedWith(
+          "AuthorizationManager: invalid large withdrawal threshold"
+        );
+
+        // Once the other vault has its own policy, the shared one no longer applies to it
+        await authorizationManager.setVaultPolicy(otherVaultAddress, ethers.ZeroAddress, noPolicy);
+        await expect(authorizationManager.setPolicy(ethers.ZeroAddress, policy)).to.emit(
+          authorizationManager,
+          "PolicyUpdated"
+        );
+      });
+
+      it("should keep recipient limits per vault", async function () {
+        await authorizationManager.addVaultSigner(otherVaultAddress, user2.address);
+        await authorizationManager.setRecipientLimit(
+          vaultAddress,
+          ethers.ZeroAddress,
+          user1.address,
+          ethers.parseEther("1.0")
+        );
+        await authorizationManager.setRecipientLimit(
+          otherVaultAddress,
+          ethers.ZeroAddress,
+          user1.address,
+          ethers.parseEther("3.0")
+        );
+
+        const capped = await authorize(user1.address, ethers.parseEther("2.0"), 1);
+        await expect(vault.withdraw(...withdrawArgs(capped))).to.be.revertedWith(
+          "AuthorizationManager: exceeds recipient limit"
+        );
+
+        const allowed = await authorizeOther(user1.address, ethers.parseEther("2.0"), 1, [user2]);
+        await expect(otherVault.withdraw(...withdrawArgs(allowed))).to.emit(otherVault, "Withdrawal");
+        expect(
+          await authorizationManager.getRecipientOutflow(otherVaultAddress, ethers.ZeroAddress, user1.address)
+        ).to.equal(ethers.parseEther("2.0"));
+        expect(
+          await authorizationManager.getRecipientOutflow(vaultAddress, ethers.ZeroAddress, user1.address)
+        ).to.equal(0);
+      });
+    });
+
+    describe("Revocation", function () {
+      // Arguments for revokeVaultAuthorization from a signed authorization
+      function revokeArgs(auth) {
+        return [auth.vault, auth.token, auth.recipient, auth.amount, auth.nonce, auth.validAfter, auth.validUntil];
+      }
+
+      beforeEach(async function () {
+        await authorizationManager.addVaultSigner(otherVaultAddress, user2.address);
+      });
+
+      it("should let a vault's own signer revoke that vault's authorizations", async function () {
+        const auth = await authorizeOther(user1.address, ethers.parseEther("1.0"), 1, [user2]);
+
+        // The ID alone does not tell which vault it belongs to
+        await expect(
+          authorizationManager.connect(user2).revokeAuthorization(auth.authorizationId)
+        ).to.be.revertedWith("AuthorizationManager: caller is not the owner or an auditor");
+
+        await expect(authorizationManager.connect(user2).revokeVaultAuthorization(...revokeArgs(auth)))
+          .to.emit(authorizationManager, "AuthorizationRevoked")
+          .withArgs(auth.authorizationId, user2.address, anyValue);
+        await expect(otherVault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+          "AuthorizationManager: authorization revoked"
+        );
+      });
+
+      it("should let a vault's own signer revoke a relayed authorization", async function () {
+        const auth = await collectRelayedSignatures([user2], authorizationManager, {
+          vault: otherVaultAddress,
+          recipient: user1.address,
+          amount: ethers.parseEther("1.0"),
+          fee: ethers.parseEther("0.01"),
+          nonce: 1,
+        });
+
+        await expect(
+          authorizationManager
+            .connect(user2)
+            .revokeRelayedVaultAuthorization(otherVaultAddress, ...withdrawRelayedArgs(auth))
+        )
+          .to.emit(authorizationManager, "AuthorizationRevoked")
+          .withArgs(auth.authorizationId, user2.address, anyValue);
+        await expect(otherVault.withdrawRelayed(...withdrawRelayedArgs(auth))).to.be.revertedWith(
+          "AuthorizationManager: authorization revoked"
+        );
+      });
+
+      it("should not let a vault's own signer revoke for another vault", async function () {
+        const auth = await authorize(user1.address, ethers.parseEther("1.0"), 1);
+
+        await expect(
+          authorizationManager.connect(user2).revokeVaultAuthorization(...revokeArgs(auth))
+        ).to.be.revertedWith("AuthorizationManager: caller is not the owner, a signer or an auditor");
+
+        // Naming its own vault only revokes a different ID
+        const args = revokeArgs(auth);
+        args[0] = otherVaultAddress;
+        await authorizationManager.connect(user2).revokeVaultAuthorization(...args);
+        await expect(vault.withdraw(...withdrawArgs(auth))).to.emit(vault, "Withdrawal");
+      });
+
+      it("should let shared signers and auditors revoke by contents", async function () {
+        const auth = await authorize(user1.address, ethers.parseEther("1.0"), 1);
+        await expect(authorizationManager.connect(authorizer).revokeVaultAuthorization(...revokeArgs(auth)))
+          .to.emit(authorizationManager, "AuthorizationRevoked")
+          .withArgs(auth.authorizationId, authorizer.address, anyValue);
+
+        // The shared signers no longer sign for the other vault, by contents or by ID
+        const other = await authorizeOther(user1.address, ethers.parseEther("1.0"), 1, [user2]);
+        await expect(
+          authorizationManager.connect(authorizer).revokeVaultAuthorization(...revokeArgs(other))
+        ).to.be.revertedWith("AuthorizationManager: caller is not the owner, a signer or an auditor");
+        for (const revoke of [
+          () => authorizationManager.connect(authorizer).revokeAuthorization(other.authorizationId),
+          () => authorizationManager.connect(authorizer).revokeAuthorizations([other.authorizationId]),
+        ]) {
+          await expect(revoke()).to.be.revertedWith("AuthorizationManager: caller is not the owner or an auditor");
+        }
+        expect(await authorizationManager.getAuthorizationStatus(other.authorizationId)).to.equal(0);
+
+        await authorizationManager.grantRole(await authorizationManager.AUDITOR_ROLE(), attacker.address);
+        await expect(authorizationManager.connect(attacker).revokeVaultAuthorization(...revokeArgs(other)))
+          .to.emit(authorizationManager, "AuthorizationRevoked")
+          .withArgs(other.authorizationId, attacker.address, anyValue);
+      });
+    });
+
+    describe("Nonces", function () {
+      it("should allow the same nonce on different vaults", async function () {
+        const first = await authorize(user1.address, ethers.parseEther("1.0"), 7);
+        const second = await authorizeOther(user1.address, ethers.parseEther("1.0"), 7);
+
+        await expect(vault.withdraw(...withdrawArgs(first))).to.emit(vault, "Withdrawal");
+        await expect(otherVault.withdraw(...withdrawArgs(second))).to.emit(otherVault, "Withdrawal");
+
+        expect(await authorizationManager.nonceUsed(vaultAddress, 7)).to.be.true;
+        expect(await authorizationManager.nonceUsed(otherVaultAddress, 7)).to.be.true;
+      });
+
+      it("should reject a nonce used twice on one vault", async function () {
+        await vault.withdraw(...withdrawArgs(await authorize(user1.address, ethers.parseEther("1.0"), 7)));
+
+        // A different withdrawal, and so a different authorization, with the same nonce
+        const reused = await authorize(user2.address, ethers.parseEther("2.0"), 7);
+        await expect(vault.withdraw(...withdrawArgs(reused))).to.be.revertedWith(
+          "AuthorizationManager: nonce already used"
+        );
+        expect(await authorizationManager.nonceUsed(vaultAddress, 8)).to.be.false;
+      });
+    });
+
+    describe("Deployment", function () {
+      let factory, manager;
+
+      beforeEach(async function () {
+        factory = await deployFactory();
+        const tx = await factory.deployPair([authorizer.address], 1);
+        const receipt = await tx.wait();
+        const event = receipt.logs
+          .map((log) => factory.interface.parseLog(log))
+          .find((parsed) => parsed && parsed.name === "PairDeployed");
+
+        manager = await ethers.getContractAt("AuthorizationManager", event.args.authorizationManager);
+        await manager.acceptOwnership();
+      });
+
+      it("should deploy an extra vault on an existing manager", async function () {
+        const managerAddress = await manager.getAddress();
+        const tx = await factory.deployVault(managerAddress);
+        const receipt = await tx.wait();
+        const event = receipt.logs
+          .map((log) => factory.interface.parseLog(log))
+          .find((parsed) => parsed && parsed.name === "VaultDeployed");
+        await expect(tx)
+          .to.emit(factory, "VaultDeployed")
+          .withArgs(managerAddress, event.args.vault, deployer.address, anyValue);
+
+        const extra = await ethers.getContractAt("SecureVault", event.args.vault);
+        expect(await extra.authorizationManager()).to.equal(managerAddress);
+        expect(await extra.pendingOwner()).to.equal(deployer.address);
+
+        // Registration stays with the manager's owner
+        expect(await manager.registeredVaults(event.args.vault)).to.be.false;
+        await expect(factory.deployVault(ethers.ZeroAddress)).to.be.revertedWith("VaultFactory: invalid manager");
+      });
+
+      it("should deploy and register the vaults of a config file", async function () {
+        const configFile = path.join(os.tmpdir(), `vaults-${Date.now()}.json`);
+        fs.writeFileSync(
+          configFile,
+          JSON.stringify({
+            vaults: [
+              { name: "primary" },
+              {
+                name: "treasury",
+                signers: [user1.address, user2.address],
+                threshold: 2,
+                policies: { [ethers.ZeroAddress]: { maxWithdrawalAmount: "1000" } },
+              },
+              { name: "payroll", signers: [attacker.address] },
+            ],
+          })
+        );
+
+        const primaryVault = (await manager.getVaults())[0];
+        const deployed = await deployVaults({
+          signer: deployer,
+          factory: await factory.getAddress(),
+          manager: await manager.getAddress(),
+          vaults: loadVaultConfigs(configFile),
+          primaryVault,
+        });
+        fs.unlinkSync(configFile);
+
+        expect(deployed.map(({ name }) => name)).to.deep.equal(["primary", "treasury", "payroll"]);
+        expect(deployed[0].address).to.equal(primaryVault);
+        expect([...(await manager.getVaults())]).to.have.members(deployed.map(({ address }) => address));
+
+        const [, treasury, payroll] = deployed;
+        expect(await (await ethers.getContractAt("SecureVault", treasury.address)).owner()).to.equal(deployer.address);
+        expect(await manager.getThreshold(treasury.address)).to.equal(2);
+        expect(await manager.isAuthorizedSigner(treasury.address, user2.address)).to.be.true;
+        expect(await manager.isAuthorizedSigner(treasury.address, authorizer.address)).to.be.false;
+        expect((await manager.getPolicy(treasury.address, ethers.ZeroAddress)).maxWithdrawalAmount).to.equal(1000);
+        expect(await manager.isAuthorizedSigner(payroll.address, attacker.address)).to.be.true;
+        expect(await manager.isAuthorizedSigner(primaryVault, authorizer.address)).to.be.true;
+      });
+
+      it("should reject invalid vault configs", async function () {
+        expect(() => normalizeVaultConfig({}, 0)).to.throw("vaults[0].name must be a non-empty string");
+        expect(() => normalizeVaultConfig({ name: "a", signers: ["0x1234"] }, 1)).to.throw(
+          "vaults[1].signers[0] is not an address"
+        );
+        expect(() => normalizeVaultConfig({ name: "a", signers: [user1.address, user1.address] }, 0)).to.throw(
+          "vaults[0].signers contains a duplicate"
+        );
+        expect(() => normalizeVaultConfig({ name: "a", signers: [user1.address], threshold: 2 }, 0)).to.throw(
+          "vaults[0].threshold must be between 1 and the number of signers"
+        );
+        expect(() => normalizeVaultConfig({ name: "a", threshold: 1 }, 0)).to.throw(
+          "vaults[0].threshold requires signers"
+        );
+        expect(() => normalizeVaultConfig({ name: "a", policies: { usdc: {} } }, 0)).to.throw(
+          "vaults[0].policies key usdc is not an address"
+        );
+      });
+    });
+  });
+
+  // ============================================================================
+  // OPERATOR CLI TESTS
+  // ============================================================================
+
+  describe("Operator CLI", function () {
+    let workDir;
+
+    // Run a command line against the vault under test, as user1 with the authorizer key
+    async function cli(...argv) {
+      return runCommand(parseCommandLine(argv), {
+        provider: ethers.provider,
+        chainId: 31337n,
+        deployment: { contracts: { SecureVault: { address: vaultAddress } } },
+        sender: user1,
+        authorizers: [authorizer],
+      });
+    }
+
+    // Error a command line fails with
+    async function cliError(...argv) {
+      try {
+        await cli(...argv);
+      } catch (error) {
+        expect(error).to.be.instanceOf(CliError);
+        return error;
+      }
+      expect.fail(`${argv[0]} should have failed`);
+    }
+
+    beforeEach(async function () {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-cli-"));
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("10.0") });
+    });
+
+    afterEach(function () {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it("should parse commands and reject unknown ones", function () {
+      const { command, options, positionals } = parseCommandLine(["check-auth", ethers.ZeroHash, "--json"]);
+      expect(command).to.equal("check-auth");
+      expect(options.json).to.be.true;
+      expect(positionals).to.deep.equal([ethers.ZeroHash]);
+
+      expect(() => parseCommandLine([])).to.throw(CliError, "A command is required");
+      expect(() => parseCommandLine(["transfer"])).to.throw(CliError, 'Unknown command "transfer"');
+      expect(() => parseCommandLine(["status", "--bogus"])).to.throw(CliError);
+      expect(parseCommandLine(["--help"]).options.help).to.be.true;
+    });
+
+    it("should deposit native currency in whole units", async function () {
+      const result = await cli("deposit", "--amount", "1.5");
+
+      expect(result.amount).to.equal(ethers.parseEther("1.5"));
+      expect(result.from).to.equal(user1.address);
+      expect(result.balance).to.equal(ethers.parseEther("11.5"));
+      expect(await vault.getBalance()).to.equal(ethers.parseEther("11.5"));
+
+      await expect(cli("deposit", "--amount", "0")).to.be.rejectedWith(
+        CliError,
+        "--amount must be greater than zero"
+      );
+      await expect(cli("deposit")).to.be.rejectedWith(CliError, "--amount is required");
+    });
+
+    it("should approve and deposit tokens", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD", "mUSD");
+      await token.waitForDeployment();
+      const tokenAddress = await token.getAddress();
+      await token.mint(user1.address, ethers.parseEther("100"));
+
+      const result = await cli("deposit", "--token", tokenAddress, "--amount", "40");
+
+      expect(result.token).to.equal(tokenAddress);
+      expect(result.balance).to.equal(ethers.parseEther("40"));
+      expect(await token.balanceOf(vaultAddress)).to.equal(ethers.parseEther("40"));
+    });
+
+    it("should write an authorization file and withdraw with it", async function () {
+      const file = path.join(workDir, "auth.json");
+      const issued = await cli("authorize", "--recipient", user2.address, "--amount", "2", "--out", file);
+
+      const document = JSON.parse(fs.readFileSync(file, "utf8"));
+      expect(issued.file).to.equal(file);
+      expect(document.chainId).to.equal("31337");
+      expect(document.vault).to.equal(vaultAddress);
+      expect(document.authorizationManager).to.equal(authManagerAddress);
+      expect(document.amount).to.equal(ethers.parseEther("2").toString());
+      expect(document.authorizationId).to.equal(
+        await authorizationManager.computeAuthorizationId(
+          vaultAddress,
+          ethers.ZeroAddress,
+          user2.address,
+          document.amount,
+          document.nonce,
+          document.validAfter,
+          document.validUntil
+        )
+      );
+
+      expect((await cli("check-auth", document.authorizationId)).status).to.equal("unused");
+
+      const before = await ethers.provider.getBalance(user2.address);
+      const result = await cli("withdraw", "--file", file);
+      expect(await ethers.provider.getBalance(user2.address)).to.equal(before + ethers.parseEther("2"));
+      expect(result.outcome).to.equal("paid");
+      expect(result.authorizationId).to.equal(document.authorizationId);
+
+      const checked = await cli("check-auth", document.authorizationId);
+      expect(checked.used).to.be.true;
+      expect(checked.status).to.equal("consumed");
+
+      await expect(cli("withdraw", "--file", file)).to.be.rejectedWith(
+        CliError,
+        "AuthorizationManager: authorization already used"
+      );
+    });
+
+    it("should honour the nonce and validity options", async function () {
+      const file = path.join(workDir, "auth.json");
+      const now = await time.latest();
+      const result = await cli(
+        "authorize",
+        "--recipient",
+        user2.address,
+        "--amount",
+        "1",
+        "--nonce",
+        "42",
+        "--valid-after",
+        String(now + 100),
+        "--valid-for",
+        "600",
+        "--out",
+        file
+      );
+
+      expect(result.nonce).to.equal("42");
+      expect(result.validAfter).to.equal(String(now + 100));
+      expect(Number(result.validUntil)).to.be.within(now + 600, now + 601);
+
+      const error = await cliError("withdraw", "--file", file);
+      expect(error.details).to.include(`not valid until ${now + 100} (now ${await time.latest()})`);
+      await expect(cli("authorize", "--recipient", "alice", "--amount", "1")).to.be.rejectedWith(
+        CliError,
+        "--recipient must be an address"
+      );
+    });
+
+    it("should report a timelocked withdrawal as queued", async function () {
+      await vault.setTimelock(ethers.ZeroAddress, ethers.parseEther("1.0"), 3600);
+      const file = path.join(workDir, "auth.json");
+      await cli("authorize", "--recipient", user2.address, "--amount", "5", "--out", file);
+
+      const result = await cli("withdraw", "--file", file);
+      expect(result.outcome).to.equal("queued");
+      expect(result.executableAt).to.be.greaterThan(BigInt(await time.latest()));
+    });
+
+    it("should refuse an authorization file for another chain", async function () {
+      const file = path.join(workDir, "auth.json");
+      await cli("authorize", "--recipient", user2.address, "--amount", "1", "--out", file);
+      fs.writeFileSync(file, JSON.stringify({ ...JSON.parse(fs.readFileSync(file, "utf8")), chainId: "1" }));
+
+      const error = await cliError("withdraw", "--file", file);
+      expect(error.message).to.equal(`${file} failed verification`);
+      expect(error.details).to.include("chainId is 1, expected 31337");
+    });
+
+    it("should verify an authorization file against the chain", async function () {
+      const file = path.join(workDir, "auth.json");
+      const issued = await cli("authorize", "--recipient", user2.address, "--amount", "1", "--out", file);
+
+      const valid = await cli("verify", "--file", file);
+      expect(valid.valid).to.be.true;
+      expect(valid.authorizationId).to.equal(issued.authorizationId);
+      expect(valid.signers).to.deep.equal([authorizer.address]);
+      expect(valid.errors).to.deep.equal([]);
+
+      // Raising the amount breaks the binding to the signatures
+      fs.writeFileSync(file, JSON.stringify({ ...JSON.parse(fs.readFileSync(file, "utf8")), amount: "2" }));
+      const tampered = await cli("verify", "--file", file);
+      expect(tampered.valid).to.be.false;
+      expect(tampered.errors).to.have.length(1);
+      expect(tampered.errors[0]).to.match(/^authorizationId 0x[0-9a-f]{64} does not match the signed fields/);
+
+      const before = await vault.getBalance();
+      const error = await cliError("withdraw", "--file", file);
+      expect(error.details).to.deep.equal(tampered.errors);
+      expect(await vault.getBalance()).to.equal(before);
+    });
+
+    it("should take the vault from the authorization file", async function () {
+      const file = path.join(workDir, "auth.json");
+      await cli("authorize", "--recipient", user2.address, "--amount", "1", "--out", file);
+
+      // No deployment file and no --vault
+      const context = { provider: ethers.provider, chainId: 31337n, deployment: { contracts: {} }, sender: user1 };
+      const verified = await runCommand(parseCommandLine(["verify", "--file", file]), context);
+      expect(verified.valid).to.be.true;
+      expect(verified.vault).to.equal(vaultAddress);
+
+      await expect(
+        runCommand(parseCommandLine(["withdraw", "--file", file, "--vault", user1.address]), context)
+      ).to.be.rejectedWith(CliError, `${file} is for vault ${vaultAddress}, not --vault ${user1.address}`);
+
+      const result = await runCommand(parseCommandLine(["withdraw", "--file", file, "--vault", vaultAddress]), context);
+      expect(result.outcome).to.equal("paid");
+      expect(result.vault).to.equal(vaultAddress);
+    });
+
+    it("should reject files signed by keys the vault does not accept", async function () {
+      const file = path.join(workDir, "auth.json");
+      await runCommand(parseCommandLine(["authorize", "--recipient", user2.address, "--amount", "1", "--out", file]), {
+        provider: ethers.provider,
+        chainId: 31337n,
+        deployment: { contracts: { SecureVault: { address: vaultAddress } } },
+        authorizers: [attacker],
+      });
+
+      const { valid, errors } = await cli("verify", "--file", file);
+      expect(valid).to.be.false;
+      expect(errors).to.deep.equal([
+        `signatures[0] is from ${attacker.address}, which is not an authorized signer`,
+        "0 valid approval(s), 1 required",
+      ]);
+    });
+
+    it("should show the vault status", async function () {
+      const result = await cli("status");
+
+      expect(result.vault).to.equal(vaultAddress);
+      expect(result.initialized).to.be.true;
+      expect(result.owner).to.equal(deployer.address);
+      expect(result.authorizationManager).to.equal(authManagerAddress);
+      expect(result.registered).to.be.true;
+      expect(result.paused).to.be.false;
+      expect(result.balance).to.equal(ethers.parseEther("10.0"));
+
+      expect(formatResult(result)).to.match(new RegExp(`^owner: +${deployer.address}$`, "m"));
+      expect(JSON.parse(JSON.stringify(toJson(result))).balance).to.equal(ethers.parseEther("10.0").toString());
+    });
+
+    it("should resolve vaults by address or deployment name", async function () {
+      const deployment = {
+        contracts: {
+          SecureVault: { address: vaultAddress },
+          vaults: [{ name: "treasury", address: user2.address }],
+        },
+      };
+
+      expect(resolveVault(deployment)).to.equal(vaultAddress);
+      expect(resolveVault(deployment, "treasury")).to.equal(user2.address);
+      expect(resolveVault(deployment, user1.address.toLowerCase())).to.equal(user1.address);
+      expect(() => resolveVault(deployment, "payroll")).to.throw(CliError, 'No vault named "payroll"');
+      expect(() => resolveVault({ contracts: {} })).to.throw(CliError, "No vault deployed on this network");
+    });
+
+    it("should reject a malformed authorization ID", async function () {
+      await expect(cli("check-auth", "0x1234")).to.be.rejectedWith(
+        CliError,
+        "check-auth takes a 32-byte hex authorization ID"
+      );
+    });
+  });
+
+  // ============================================================================
+  // AUTHORIZATION FILE TESTS
+  // ============================================================================
+
+  describe("Authorization Files", function () {
+    const amount = ethers.parseEther("1.0");
+
+    // Sign a withdrawal and package it as an authorization file
+    async function signedFile(signers = [authorizer], overrides = {}) {
+      const authorization = await collectSignatures(signers, authorizationManager, {
+        vault: vaultAddress,
+        recipient: user1.address,
+        amount,
+        nonce: 1,
+        ...overrides,
+      });
+      return createAuthorizationFile(authorization, { chainId: 31337n, authorizationManager: authManagerAddress });
+    }
+
+    beforeEach(async function () {
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("10.0") });
+    });
+
+    it("should round-trip a signed authorization through JSON", async function () {
+      const file = JSON.parse(JSON.stringify(await signedFile()));
+
+      expect(file.type).to.equal(AUTHORIZATION_FILE_TYPE);
+      expect(file.version).to.equal(AUTHORIZATION_FILE_VERSION);
+      expect(file.chainId).to.equal("31337");
+      expect(file.amount).to.equal(amount.toString());
+
+      const { errors, authorization, signers } = verifyAuthorizationFile(file, {
+        chainId: 31337,
+        authorizationManager: authManagerAddress,
+        vault: vaultAddress,
+        signers: [authorizer.address],
+        threshold: 1,
+        timestamp: await time.latest(),
+      });
+      expect(errors).to.deep.equal([]);
+      expect(signers).to.deep.equal([authorizer.address]);
+      expect(authorization.amount).to.equal(amount);
+
+      await expect(vault.withdraw(...withdrawArgs(parseAuthorizationFile(file)))).to.changeEtherBalance(
+        user1,
+        amount
+      );
+    });
+
+    it("should recompute the authorization ID exactly like the contract", async function () {
+      const file = await signedFile([authorizer], { validAfter: 5n, validUntil: 10n ** 12n, nonce: 2n ** 200n });
+
+      expect(
+        await authorizationManager.computeAuthorizationId(
+          vaultAddress,
+          ethers.ZeroAddress,
+          user1.address,
+          amount,
+          2n ** 200n,
+          5n,
+          10n ** 12n
+        )
+      ).to.equal(file.authorizationId);
+      expect(verifyAuthorizationFile(file).errors).to.deep.equal([]);
+    });
+
+    it("should report every schema violation", async function () {
+      const file = await signedFile();
+      const { recipient, ...withoutRecipient } = file;
+
+      expect(
+        validateAuthorizationFile({
+          ...withoutRecipient,
+          version: 2,
+          amount: 5,
+          nonce: (ethers.MaxUint256 + 1n).toString(),
+          vault: "0x1234",
+          authorizationId: "0x12",
+          signatures: [file.signatures[0].slice(0, -2)],
+          memo: "hello",
+        })
+      ).to.deep.equal([
+        "version 2 is not supported (expected 1)",
+        "memo is not a known field",
+        "vault must be an address",
+        "recipient is missing",
+        "amount must be a decimal string",
+        "nonce does not fit in a uint256",
+        "authorizationId must be a 32-byte hex string",
+        "signatures[0] must be a 65-byte hex string",
+      ]);
+      expect(validateAuthorizationFile([])).to.deep.equal(["file must be a JSON object"]);
+      expect(validateAuthorizationFile({ ...file, type: "other" })).to.deep.equal([
+        'type must be "secure-vault-authorization"',
+      ]);
+      expect(() => parseAuthorizationFile({ ...file, signatures: [] })).to.throw(
+        "Invalid authorization file:\n  signatures must be a non-empty array"
+      );
+    });
+
+    it("should detect fields changed after signing", async function () {
+      const file = await signedFile();
+
+      for (const change of [{ amount: "2" }, { recipient: user2.address }, { validUntil: "1" }]) {
+        const { errors, signers } = verifyAuthorizationFile({ ...file, ...change });
+        expect(errors).to.have.length(1);
+        expect(errors[0]).to.equal(
+          `authorizationId ${file.authorizationId} does not match the signed fields ` +
+            `(computed ${errors[0].match(/computed (0x[0-9a-f]{64})/)[1]})`
+        );
+        expect(signers).to.deep.equal([]);
+      }
+    });
+
+    it("should check the chain, manager and vault binding", async function () {
+      const file = await signedFile();
+
+      expect(
+        verifyAuthorizationFile(file, { chainId: 1, authorizationManager: user1.address, vault: user2.address }).errors
+      ).to.deep.equal([
+        "chainId is 31337, expected 1",
+        `authorizationManager is ${authManagerAddress}, expected ${user1.address}`,
+        `vault is ${vaultAddress}, expected ${user2.address}`,
+      ]);
+    });
+
+    it("should check signature order, duplicates, signers and threshold", async function () {
+      const file = await signedFile([authorizer, user2]);
+      const [first, second] = file.signatures;
+      const [low, high] = [authorizer.address, user2.address].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+
+      expect(verifyAuthorizationFile({ ...file, signatures: [second, first] }).errors).to.deep.equal([
+        `signatures[1] from ${low} is not ordered after ${high}`,
+      ]);
+      expect(verifyAuthorizationFile({ ...file, signatures: [first, first] }).errors).to.deep.equal([
+        `signatures[1] repeats signer ${low}`,
+      ]);
+      expect(
+        verifyAuthorizationFile(file, { signers: [authorizer.address], threshold: 2 }).errors
+      ).to.deep.equal([
+        `signatures[${low === user2.address ? 0 : 1}] is from ${user2.address}, which is not an authorized signer`,
+        "1 valid approval(s), 2 required",
+      ]);
+      expect(
+        verifyAuthorizationFile({ ...file, signatures: [`0x${"00".repeat(64)}1b`] }).errors
+      ).to.deep.equal(["signatures[0] is not a valid signature"]);
+    });
+
+    it("should reject signatures the contract considers malleable", async function () {
+      const file = await signedFile();
+      const signature = ethers.Signature.from(file.signatures[0]);
+      const order = ethers.toBigInt("0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141");
+
+      // The twin of a valid signature: s mirrored around the curve order, v flipped
+      const twin = ethers.concat([
+        signature.r,
+        ethers.toBeHex(order - ethers.toBigInt(signature.s), 32),
+        ethers.toBeHex(signature.v === 27 ? 28 : 27, 1),
+      ]);
+      expect(verifyAuthorizationFile({ ...file, signatures: [twin] }).errors).to.deep.equal([
+        "signatures[0] has a high s value, which the contract rejects",
+      ]);
+      await expect(
+        vault.withdraw(...withdrawArgs(parseAuthorizationFile({ ...file, signatures: [twin] })))
+      ).to.be.revertedWith("AuthorizationManager: invalid signer");
+
+      // Same signature with v as 0 or 1
+      const rawV = ethers.concat([signature.r, signature.s, ethers.toBeHex(signature.v - 27, 1)]);
+      expect(verifyAuthorizationFile({ ...file, signatures: [rawV] }).errors).to.deep.equal([
+        `signatures[0] has v ${signature.v - 27}, the contract requires 27 or 28`,
+      ]);
+    });
+
+    it("should check the validity window", async function () {
+      const file = await signedFile([authorizer], { validAfter: 100n, validUntil: 200n });
+
+      expect(verifyAuthorizationFile(file, { timestamp: 150 }).errors).to.deep.equal([]);
+      expect(verifyAuthorizationFile(file, { timestamp: 99 }).errors).to.deep.equal(["not valid until 100 (now 99)"]);
+      expect(verifyAuthorizationFile(file, { timestamp: 201 }).errors).to.deep.equal(["expired at 200 (now 201)"]);
+    });
+
+    it("should carry relayed authorizations", async function () {
+      const relayed = await collectRelayedSignatures([authorizer], authorizationManager, {
+        vault: vaultAddress,
+        recipient: user1.address,
+        amount,
+        fee: ethers.parseEther("0.1"),
+        relayer: user2.address,
+        nonce: 1,
+      });
+      const file = createAuthorizationFile(relayed, { chainId: 31337n, authorizationManager: authManagerAddress });
+
+      expect(file.fee).to.equal(ethers.parseEther("0.1").toString());
+      expect(verifyAuthorizationFile(file).errors).to.deep.equal([]);
+
+      const { relayer, ...withoutRelayer } = file;
+      expect(validateAuthorizationFile(withoutRelayer)).to.deep.equal(["relayer is missing"]);
+
+      await expect(
+        vault.connect(user2).withdrawRelayed(...withdrawRelayedArgs(parseAuthorizationFile(file)))
+      ).to.changeEtherBalances([user1, user2], [ethers.parseEther("0.9"), ethers.parseEther("0.1")]);
+    });
+  });
+
+  // ============================================================================
+  // DEPLOYMENT MANIFEST TESTS
+  // ============================================================================
+
+  describe("Deployment Manifests", function () {
+    // Deploy with the suite's authorizer, reusing what `manifest` recorded
+    function deploy(manifest, options = {}) {
+      return deploySystem(hre, {
+        signer: deployer,
+        manifest,
+        authorizers: [authorizer.address],
+        threshold: 1,
+        ...options,
+      });
+    }
+
+    it("should record bytecode and code hashes and pass verification", async function () {
+      const { manifest, deployed, reused } = await deploy(undefined);
+
+      expect(Object.keys(deployed)).to.have.members([
+        "AuthorizationManager implementation",
+        "SecureVault implementation",
+        "VaultFactory",
+        "AuthorizationManager",
+        "SecureVault",
+      ]);
+      expect(reused).to.deep.equal([]);
+
+      const { implementations, VaultFactory, SecureVault } = manifest.contracts;
+      for (const name of ["AuthorizationManager", "SecureVault"]) {
+        expect(implementations[name].bytecodeHash).to.equal(await bytecodeHash(hre, name));
+        const { address, codeHash } = implementations[name];
+        expect(codeHash).to.equal(await codeHashAt(ethers.provider, address));
+        expect(manifest.contracts[name].implementation).to.equal(implementations[name].address);
+      }
+      expect(VaultFactory.constructorArgs).to.deep.equal([
+        implementations.AuthorizationManager.address,
+        implementations.SecureVault.address,
+      ]);
+      expect(VaultFactory.pairIndex).to.equal(0);
+      expect(SecureVault.owner).to.equal(deployer.address);
+      expect(manifest.chainId).to.equal(31337);
+      expect(manifest.history).to.have.lengthOf(1);
+
+      // The manifest is written as JSON
+      const written = JSON.parse(JSON.stringify(manifest));
+      expect(await verifyDeployment(hre, written)).to.deep.equal([]);
+    });
+
+    it("should reuse every unchanged contract without sending transactions", async function () {
+      const first = await deploy(undefined);
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      const { manifest, deployed, reused, warnings } = await deploy(first.manifest);
+
+      expect(deployed).to.deep.equal({});
+      expect(reused).to.have.lengthOf(5);
+      expect(warnings).to.deep.equal([]);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+      expect(manifest.contracts).to.deep.equal(first.manifest.contracts);
+      expect(manifest.blockNumber).to.equal(first.manifest.blockNumber);
+
+      // Every run is kept
+      expect(manifest.history).to.have.lengthOf(2);
+      expect(manifest.history[0]).to.deep.equal(first.manifest.history[0]);
+      expect(manifest.history[1].deployed).to.deep.equal({});
+    });
+
+    it("should redeploy only a changed implementation and its factory", async function () {
+      const first = await deploy(undefined);
+      const stale = JSON.parse(JSON.stringify(first.manifest));
+      stale.contracts.implementations.SecureVault.bytecodeHash = ethers.ZeroHash;
+
+      const { manifest, deployed, warnings } = await deploy(stale);
+
+      expect(Object.keys(deployed)).to.have.members(["SecureVault implementation", "VaultFactory"]);
+      const { contracts } = manifest;
+      expect(contracts.implementations.AuthorizationManager).to.deep.equal(
+        first.manifest.contracts.implementations.AuthorizationManager
+      );
+      expect(contracts.AuthorizationManager.address).to.equal(first.manifest.contracts.AuthorizationManager.address);
+      expect(contracts.SecureVault.address).to.equal(first.manifest.contracts.SecureVault.address);
+
+      // The proxy keeps its implementation until upgraded, and the new factory did not deploy the pair
+      expect(contracts.SecureVault.implementation).to.equal(first.manifest.contracts.SecureVault.implementation);
+      expect(contracts.VaultFactory.pairIndex).to.be.undefined;
+      expect(warnings).to.have.lengthOf(1);
+      expect(warnings[0]).to.include("run scripts/upgrade.js");
+
+      const factory = await ethers.getContractAt("VaultFactory", contracts.VaultFactory.address);
+      expect(await factory.vaultImplementation()).to.equal(contracts.implementations.SecureVault.address);
+      expect(await verifyDeployment(hre, manifest)).to.deep.equal([]);
+    });
+
+    it("should deploy a new pair when the recorded one is gone or fresh is requested", async function () {
+      const first = await deploy(undefined);
+
+      const fresh = await deploy(first.manifest, { fresh: true });
+      expect(Object.keys(fresh.deployed)).to.have.members(["AuthorizationManager", "SecureVault"]);
+      expect(fresh.manifest.contracts.AuthorizationManager.address).to.not.equal(
+        first.manifest.contracts.AuthorizationManager.address
+      );
+      expect(fresh.manifest.contracts.VaultFactory.pairIndex).to.equal(1);
+
+      const gone = JSON.parse(JSON.stringify(first.manifest));
+      gone.contracts.SecureVault.address = user2.address;
+      const { deployed } = await deploy(gone);
+      expect(Object.keys(deployed)).to.have.members(["AuthorizationManager", "SecureVault"]);
+    });
+
+    it("should apply configuration changes to a reused deployment", async function () {
+      const first = await deploy(undefined);
+      const config = {
+        authorizers: [authorizer.address, user2.address],
+        threshold: 2,
+        roles: { guardian: [user1.address], signerManager: [user1.address] },
+        vaults: [
+          normalizeVaultConfig({ name: "main" }, 0),
+          normalizeVaultConfig({ name: "payroll", signers: [user2.address] }, 1),
+        ],
+      };
+
+      const second = await deploy(first.manifest, config);
+      expect(Object.keys(second.deployed)).to.deep.equal(['Vault "payroll"']);
+
+      const { contracts } = second.manifest;
+      const manager = await ethers.getContractAt("AuthorizationManager", contracts.AuthorizationManager.address);
+      expect(await manager.isSigner(user2.address)).to.be.true;
+      expect(await manager.threshold()).to.equal(2n);
+      const payroll = contracts.vaults[1];
+      expect(await manager.isVaultSigner(payroll.address, user2.address)).to.be.true;
+      const payrollVault = await ethers.getContractAt("SecureVault", payroll.address);
+      expect(await payrollVault.hasRole(await payrollVault.GUARDIAN_ROLE(), user1.address)).to.be.true;
+      // Signer managers only exist on the AuthorizationManager
+      expect(await manager.hasRole(await manager.SIGNER_MANAGER_ROLE(), user1.address)).to.be.true;
+      expect(contracts.SecureVault.roles).to.deep.equal({ guardian: [user1.address] });
+      expect(await verifyDeployment(hre, second.manifest)).to.deep.equal([]);
+
+      // Applying the same configuration again changes nothing
+      const blockNumber = await ethers.provider.getBlockNumber();
+      const third = await deploy(second.manifest, config);
+      expect(third.deployed).to.deep.equal({});
+      expect(third.manifest.contracts.vaults).to.deep.equal(contracts.vaults);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it("should report drift between the chain and the manifest", async function () {
+      const { manifest } = await deploy(undefined, {
+        roles: { guardian: [user1.address] },
+        vaults: [normalizeVaultConfig({ name: "main" }, 0), normalizeVaultConfig({ name: "payroll" }, 1)],
+      });
+      const { contracts } = manifest;
+      const manager = await ethers.getContractAt("AuthorizationManager", contracts.AuthorizationManager.address);
+      const payroll = contracts.vaults[1].address;
+
+      // On-chain changes
+      await manager.addSigner(user2.address);
+      await manager.setThreshold(2);
+      await manager.unregisterVault(payroll);
+      await manager.revokeRole(await manager.GUARDIAN_ROLE(), user1.address);
+
+      // Manifest changes
+      const tampered = JSON.parse(JSON.stringify(manifest));
+      tampered.contracts.SecureVault.owner = user1.address;
+      tampered.contracts.implementations.AuthorizationManager.address = user2.address;
+      tampered.contracts.VaultFactory.codeHash = ethers.ZeroHash;
+
+      expect(await verifyDeployment(hre, tampered)).to.have.members([
+        `AuthorizationManager implementation at ${user2.address} has no code`,
+        `VaultFactory at ${contracts.VaultFactory.address} has different code than recorded`,
+        `SecureVault owner is ${deployer.address}, manifest has ${user1.address}`,
+        `AuthorizationManager guardian role is missing for ${user1.address}`,
+        "AuthorizationManager threshold is 2, manifest has 1",
+        `Vault "payroll" is not registered with the AuthorizationManager`,
+      ]);
+      expect(await verifyDeployment(hre, { ...manifest, chainId: 1 })).to.deep.equal([
+        "Manifest is for chain 1, connected to chain 31337",
+      ]);
+    });
+
+    it("should upgrade every vault of the deployment together", async function () {
+      const { manifest } = await deploy(undefined, {
+        vaults: ["main", "payroll", "treasury"].map((name, i) => normalizeVaultConfig({ name }, i)),
+      });
+      const [, payroll, treasury] = manifest.contracts.vaults;
+      await deployer.sendTransaction({ to: payroll.address, value: ethers.parseEther("1.0") });
+
+      const { implementation, proxies } = await upgradeProxies(hre, {
+        signer: deployer,
+        manifest,
+        contractName: "SecureVault",
+        implementationName: "SecureVaultV2",
+      });
+
+      expect(proxies).to.deep.equal([manifest.contracts.SecureVault.address, payroll.address, treasury.address]);
+      for (const address of proxies) {
+        expect(await implementationAt(ethers.provider, address)).to.equal(implementation);
+        expect(await (await ethers.getContractAt("SecureVaultV2", address)).version()).to.equal("2");
+      }
+      expect(await ethers.provider.getBalance(payroll.address)).to.equal(ethers.parseEther("1.0"));
+
+      const { SecureVault } = manifest.contracts;
+      expect(SecureVault.implementation).to.equal(implementation);
+      const latest = SecureVault.implementationHistory[SecureVault.implementationHistory.length - 1];
+      expect(latest).to.include({ contractName: "SecureVaultV2", address: implementation });
+      expect(latest.proxies.map(({ address }) => address)).to.deep.equal(proxies);
+      expect(await verifyDeployment(hre, JSON.parse(JSON.stringify(manifest)))).to.deep.equal([]);
+    });
+
+    it("should report and refuse to upgrade a vault left on another implementation", async function () {
+      const { manifest } = await deploy(undefined, {
+        vaults: ["main", "payroll", "treasury"].map((name, i) => normalizeVaultConfig({ name }, i)),
+      });
+      const payroll = manifest.contracts.vaults[1];
+      const recorded = manifest.contracts.SecureVault.implementation;
+
+      // One vault upgraded outside scripts/upgrade.js
+      const Implementation = await ethers.getContractFactory("SecureVaultV2");
+      const stray = await Implementation.deploy();
+      await stray.waitForDeployment();
+      const strayAddress = await stray.getAddress();
+      await (await ethers.getContractAt("SecureVault", payroll.address)).upgradeTo(strayAddress);
+
+      expect(await verifyDeployment(hre, manifest)).to.deep.equal([
+        `Vault "payroll" implementation is ${strayAddress}, manifest has ${recorded}`,
+      ]);
+
+      const blockNumber = await ethers.provider.getBlockNumber();
+      await expect(
+        upgradeProxies(hre, { signer: deployer, manifest, contractName: "SecureVault", implementationName: "SecureVaultV2" })
+      ).to.be.rejectedWith(`Vault "payroll" proxy ${payroll.address} uses ${strayAddress}, not the recorded ${recorded}`);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+      expect(manifest.contracts.SecureVault.implementation).to.equal(recorded);
+    });
+  });
+
+  // ============================================================================
+  // NONCE MODE TESTS
+  // ============================================================================
+
+  describe("Nonce Modes", function () {
+    const amount = ethers.parseEther("0.1");
+
+    // Withdraw `amount` to user1 with the given nonce
+    async function withdrawWithNonce(nonce, signers = [authorizer]) {
+      const auth = await collectSignatures(signers, authorizationManager, {
+        vault: vaultAddress,
+        recipient: user1.address,
+        amount,
+        nonce,
+      });
+      return vault.withdraw(...withdrawArgs(auth));
+    }
+
+    beforeEach(async function () {
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("10.0") });
+    });
+
+    it("should default to unordered nonces per vault", async function () {
+      const [mode, perSigner] = await authorizationManager.nonceConfigs(vaultAddress);
+      expect(mode).to.equal(NonceMode.Unordered);
+      expect(perSigner).to.be.false;
+
+      await withdrawWithNonce(0);
+      await withdrawWithNonce(7);
+      await expect(withdrawWithNonce(7)).to.be.revertedWith("AuthorizationManager: nonce already used");
+
+      expect(await authorizationManager.isNonceUsed(vaultAddress, vaultAddress, 7)).to.be.true;
+      expect(await authorizationManager.isNonceUsed(vaultAddress, vaultAddress, 1)).to.be.false;
+      expect(await authorizationManager.getNextNonce(vaultAddress, vaultAddress)).to.equal(1n);
+    });
+
+    it("should only let an admin change the nonce mode", async function () {
+      await expect(authorizationManager.connect(user1).setNonceMode(vaultAddress, NonceMode.Sequential, false))
+        .to.be.revertedWith("AuthorizationManager: caller is not the owner or an admin");
+      await expect(authorizationManager.setNonceMode(user2.address, NonceMode.Sequential, false)).to.be.revertedWith(
+        "AuthorizationManager: vault not registered"
+      );
+      await expect(authorizationManager.setNonceMode(vaultAddress, NonceMode.Unordered, true)).to.be.revertedWith(
+        "AuthorizationManager: unordered nonces are tracked per vault"
+      );
+      await expect(authorizationManager.setNonceMode(vaultAddress, NonceMode.Sequential, true)).to.be.revertedWith(
+        "AuthorizationManager: sequential nonces are tracked per vault"
+      );
+
+      await expect(authorizationManager.setNonceMode(vaultAddress, NonceMode.Bitmap, true))
+        .to.emit(authorizationManager, "NonceModeUpdated")
+        .withArgs(vaultAddress, NonceMode.Bitmap, true, anyValue);
+      expect([...(await authorizationManager.nonceConfigs(vaultAddress))]).to.deep.equal([NonceMode.Bitmap, true]);
+    });
+
+    it("should require sequential nonces in order", async function () {
+      await authorizationManager.setNonceMode(vaultAddress, NonceMode.Sequential, false);
+
+      await expect(withdrawWithNonce(1)).to.be.revertedWith("AuthorizationManager: nonce out of sequence");
+      await withdrawWithNonce(0);
+      await withdrawWithNonce(1);
+      await expect(withdrawWithNonce(1)).to.be.revertedWith("AuthorizationManager: nonce out of sequence");
+
+      expect(await authorizationManager.getNextNonce(vaultAddress, vaultAddress)).to.equal(2n);
+      expect(await authorizationManager.isNonceUsed(vaultAddress, vaultAddress, 1)).to.be.true;
+      expect(await authorizationManager.isNonceUsed(vaultAddress, vaultAddress, 3)).to.be.false;
+    });
+
+    it("should track bitmap nonces in any order", async function () {
+      await authorizationManager.setNonceMode(vaultAddress, NonceMode.Bitmap, false);
+
+      await withdrawWithNonce(300);
+      await withdrawWithNonce(0);
+      await expect(withdrawWithNonce(300)).to.be.revertedWith("AuthorizationManager: nonce already used");
+      expect(await authorizationManager.nonceBitmaps(vaultAddress, vaultAddress, 1)).to.equal(1n << 44n);
+      expect(await authorizationManager.getNextNonce(vaultAddress, vaultAddress)).to.equal(1n);
+
+      // The rest of the first word is cancelled or used, so the next nonce is in the second word
+      await authorizationManager.invalidateNonces(vaultAddress, vaultAddress, 253);
+      await withdrawWithNonce(254);
+      await withdrawWithNonce(255);
+      expect(await authorizationManager.getNextNonce(vaultAddress, vaultAddress)).to.equal(256n);
+      expect(await authorizationManager.isNonceUsed(vaultAddress, vaultAddress, 256)).to.be.false;
+    });
+
+    it("should invalidate every nonce up to a value", async function () {
+      await expect(authorizationManager.connect(user2).invalidateNonces(vaultAddress, vaultAddress, 10))
+        .to.be.revertedWith("AuthorizationManager: caller is not the nonce owner, the owner or an auditor");
+
+      await expect(authorizationManager.invalidateNonces(vaultAddress, vaultAddress, 10))
+        .to.emit(authorizationManager, "NoncesInvalidated")
+        .withArgs(vaultAddress, vaultAddress, 11, deployer.address, anyValue);
+      await expect(authorizationManager.invalidateNonces(vaultAddress, vaultAddress, 5)).to.be.revertedWith(
+        "AuthorizationManager: nonces already invalidated"
+      );
+
+      await expect(withdrawWithNonce(5)).to.be.revertedWith("AuthorizationManager: nonce invalidated");
+      expect(await authorizationManager.isNonceUsed(vaultAddress, vaultAddress, 10)).to.be.true;
+      expect(await authorizationManager.getNextNonce(vaultAddress, vaultAddress)).to.equal(11n);
+      await withdrawWithNonce(11);
+
+      // Sequential nonces continue after the invalidated range
+      await authorizationManager.setNonceMode(vaultAddress, NonceMode.Sequential, false);
+      await authorizationManager.grantRole(await authorizationManager.AUDITOR_ROLE(), user2.address);
+      await authorizationManager.connect(user2).invalidateNonces(vaultAddress, vaultAddress, 19);
+      await expect(withdrawWithNonce(12)).to.be.revertedWith("AuthorizationManager: nonce out of sequence");
+      await withdrawWithNonce(20);
+    });
+
+    it("should consume per-signer nonces for every approving signer", async function () {
+      await authorizationManager.addSigner(user2.address);
+      await authorizationManager.setThreshold(2);
+      await authorizationManager.setNonceMode(vaultAddress, NonceMode.Bitmap, true);
+
+      await withdrawWithNonce(0, [authorizer, user2]);
+      expect(await authorizationManager.getNextNonce(vaultAddress, authorizer.address)).to.equal(1n);
+      expect(await authorizationManager.getNextNonce(vaultAddress, user2.address)).to.equal(1n);
+      expect(await authorizationManager.getNextNonce(vaultAddress, vaultAddress)).to.equal(0n);
+
+      // A signer may cancel its own nonces, which rules them out for authorizations it co-signs
+      await authorizationManager.connect(user2).invalidateNonces(vaultAddress, user2.address, 4);
+      await expect(withdrawWithNonce(1, [authorizer, user2])).to.be.revertedWith(
+        "AuthorizationManager: nonce invalidated"
+      );
+      expect(
+        await fetchNextNonce(ethers.provider, authorizationManager, vaultAddress, [authorizer, user2])
+      ).to.equal(5n);
+    });
+
+    it("should accept overlapping signer subsets one after the other", async function () {
+      await authorizationManager.addSigner(user2.address);
+      await authorizationManager.addSigner(attacker.address);
+      await authorizationManager.setThreshold(2);
+      await authorizationManager.setNonceMode(vaultAddress, NonceMode.Bitmap, true);
+
+      // Each pair shares one signer with the previous one, so the signers' positions drift apart
+      for (const signers of [
+        [authorizer, user2],
+        [user2, attacker],
+        [attacker, authorizer],
+        [authorizer, user2],
+      ]) {
+        const auth = await collectSignatures(signers, authorizationManager, {
+          vault: vaultAddress,
+          recipient: user1.address,
+          amount,
+        });
+        await expect(vault.withdraw(...withdrawArgs(auth))).to.changeEtherBalance(user1, amount);
+      }
+
+      // Nonces 0 to 3 were used by different pairs; each signer keeps the gaps it did not sign
+      expect(await authorizationManager.getNextNonce(vaultAddress, authorizer.address)).to.equal(1n);
+      expect(await authorizationManager.getNextNonce(vaultAddress, user2.address)).to.equal(2n);
+      expect(await authorizationManager.getNextNonce(vaultAddress, attacker.address)).to.equal(0n);
+      expect(await authorizationManager.isNonceUsed(vaultAddress, authorizer.address, 3)).to.be.true;
+    });
+
+    it("should not let signers invalidate the vault's or other signers' nonces", async function () {
+      await authorizationManager.addSigner(user2.address);
+      await authorizationManager.setNonceMode(vaultAddress, NonceMode.Bitmap, true);
+
+      for (const nonceOwner of [vaultAddress, authorizer.address]) {
+        await expect(
+          authorizationManager.connect(user2).invalidateNonces(vaultAddress, nonceOwner, 10)
+        ).to.be.revertedWith("AuthorizationManager: caller is not the nonce owner, the owner or an auditor");
+      }
+      expect(await authorizationManager.getNextNonce(vaultAddress, authorizer.address)).to.equal(0n);
+    });
+
+    it("should bound how far a signer moves its own nonce floor", async function () {
+      const window = await authorizationManager.MAX_NONCE_INVALIDATION();
+
+      await expect(
+        authorizationManager.connect(authorizer).invalidateNonces(vaultAddress, authorizer.address, window)
+      ).to.be.revertedWith("AuthorizationManager: too many nonces to invalidate");
+
+      // The window counts from the current floor
+      await authorizationManager.connect(authorizer).invalidateNonces(vaultAddress, authorizer.address, window - 1n);
+      await authorizationManager
+        .connect(authorizer)
+        .invalidateNonces(vaultAddress, authorizer.address, 2n * window - 1n);
+      expect(await authorizationManager.nonceFloors(vaultAddress, authorizer.address)).to.equal(2n * window);
+    });
+
+    it("should let the owner and auditors cancel random unordered nonces", async function () {
+      // Nonces as the CLI and the authorization service pick them
+      const issued = BigInt(ethers.hexlify(ethers.randomBytes(16)));
+      const pending = await collectSignatures([authorizer], authorizationManager, {
+        vault: vaultAddress,
+        recipient: user1.address,
+        amount,
+        nonce: issued,
+      });
+
+      await authorizationManager.grantRole(await authorizationManager.AUDITOR_ROLE(), user2.address);
+      await expect(authorizationManager.connect(user2).invalidateNonces(vaultAddress, vaultAddress, issued))
+        .to.emit(authorizationManager, "NoncesInvalidated")
+        .withArgs(vaultAddress, vaultAddress, issued + 1n, user2.address, anyValue);
+      await expect(vault.withdraw(...withdrawArgs(pending))).to.be.revertedWith(
+        "AuthorizationManager: nonce invalidated"
+      );
+
+      await authorizationManager.invalidateNonces(vaultAddress, vaultAddress, ethers.MaxUint256 - 1n);
+      expect(await authorizationManager.getNextNonce(vaultAddress, vaultAddress)).to.equal(ethers.MaxUint256);
+    });
+
+    it("should fetch the next nonce when none is given", async function () {
+      await authorizationManager.addSigner(user2.address);
+      await authorizationManager.setNonceMode(vaultAddress, NonceMode.Bitmap, true);
+      await withdrawWithNonce(0);
+      await withdrawWithNonce(1, [user2]);
+
+      // Nonce 1 is still free for the authorizer, but not for user2
+      expect(await fetchNextNonce(ethers.provider, authManagerAddress, vaultAddress, [authorizer])).to.equal(1n);
+      const auth = await collectSignatures([authorizer, user2], authorizationManager, {
+        vault: vaultAddress,
+        recipient: user1.address,
+        amount,
+      });
+      expect(auth.nonce).to.equal(2n);
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.changeEtherBalance(user1, amount);
+
+      await authorizationManager.setNonceMode(vaultAddress, NonceMode.Sequential, false);
+      const relayed = await collectRelayedSignatures([authorizer], authorizationManager, {
+        vault: vaultAddress,
+        recipient: user1.address,
+        amount,
+        fee: 1n,
+      });
+      expect(relayed.nonce).to.equal(0n);
+      await vault.connect(user2).withdrawRelayed(...withdrawRelayedArgs(relayed));
+      expect((await authorize(user1.address, amount)).nonce).to.equal(1n);
+    });
+
+    it("should allocate service and CLI nonces from the chain", async function () {
+      await authorizationManager.setNonceMode(vaultAddress, NonceMode.Sequential, false);
+      await authorizationManager.invalidateNonces(vaultAddress, vaultAddress, 2);
+
+      const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "authorization-service-"));
+      const server = createAuthorizationService({
+        signer: authorizer,
+        authorizationManager: authManagerAddress,
+        vault: vaultAddress,
+        storePath: path.join(storeDir, "authorizations.json"),
+        apiToken: "service-token",
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      try {
+        const issue = async () => {
+          const response = await fetch(`http://127.0.0.1:${server.address().port}/authorizations`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", Authorization: "Bearer service-token" },
+            body: JSON.stringify({ recipient: user1.address, amount: amount.toString() }),
+          });
+          return response.json();
+        };
+
+        // Outstanding authorizations get consecutive nonces
+        const first = await issue();
+        const second = await issue();
+        expect([first.nonce, second.nonce]).to.deep.equal(["3", "4"]);
+        await vault[first.method](...first.args);
+        await vault[second.method](...second.args);
+      } finally {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+        fs.rmSync(storeDir, { recursive: true, force: true });
+      }
+
+      const context = {
+        provider: ethers.provider,
+        chainId: 31337n,
+        deployment: { contracts: { SecureVault: { address: vaultAddress } } },
+        sender: user1,
+        authorizers: [authorizer],
+      };
+      const out = path.join(os.tmpdir(), `authorization-${Date.now()}.json`);
+      try {
+        const result = await runCommand(
+          parseCommandLine(["authorize", "--recipient", user1.address, "--amount", "0.1", "--out", out]),
+          context
+        );
+        expect(result.nonce).to.equal("5");
+      } finally {
+        fs.rmSync(out, { force: true });
+      }
+
+      const status = await runCommand(parseCommandLine(["status"]), context);
+      expect(status.nonceMode).to.equal("sequential");
+      expect(status.nextNonce).to.equal(5n);
+    });
+  });
+
+  // ============================================================================
+  // RECIPIENT ALLOWLIST TESTS
+  // ============================================================================
+
+  describe("Recipient Allowlist", function () {
+    const amount = ethers.parseEther("0.5");
+    let cooldown;
+
+    beforeEach(async function () {
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("10.0") });
+      cooldown = await vault.recipientCooldown();
+    });
+
+    it("should start with an empty, unenforced allowlist and the default cooldown", async function () {
+      expect(cooldown).to.equal(await vault.DEFAULT_RECIPIENT_COOLDOWN());
+      expect(cooldown).to.equal(24n * 60n * 60n);
+      expect(await vault.getRecipientCooldown()).to.equal(cooldown);
+      expect(await vault.allowlistEnforced()).to.be.false;
+      expect(await vault.getRecipients()).to.deep.equal([]);
+      expect(await vault.isRecipientAllowed(user1.address)).to.be.true;
+
+      await vault.withdraw(...withdrawArgs(await authorize(user1.address, amount, 1)));
+    });
+
+    it("should only let the owner manage the allowlist", async function () {
+      await expect(vault.connect(attacker).addRecipient(attacker.address, "attacker")).to.be.revertedWith(
+        "SecureVault: caller is not the owner"
+      );
+      await expect(vault.connect(attacker).removeRecipient(user1.address)).to.be.revertedWith(
+        "SecureVault: caller is not the owner"
+      );
+      await expect(vault.connect(attacker).setRecipientCooldown(0)).to.be.revertedWith(
+        "SecureVault: caller is not the owner"
+      );
+      await expect(vault.connect(attacker).setAllowlistEnforced(false)).to.be.revertedWith(
+        "SecureVault: caller is not the owner"
+      );
+    });
+
+    it("should emit events when recipients are added and removed", async function () {
+      const tx = await vault.addRecipient(user1.address, "payroll");
+      const addedAt = await time.latest();
+      await expect(tx)
+        .to.emit(vault, "RecipientAdded")
+        .withArgs(user1.address, "payroll", BigInt(addedAt) + cooldown, addedAt);
+      expect(await vault.recipientActiveAt(user1.address)).to.equal(BigInt(addedAt) + cooldown);
+
+      await expect(vault.addRecipient(user1.address, "again")).to.be.revertedWith(
+        "SecureVault: recipient already listed"
+      );
+      await expect(vault.addRecipient(ethers.ZeroAddress, "nobody")).to.be.revertedWith(
+        "SecureVault: invalid recipient"
+      );
+
+      await expect(vault.removeRecipient(user1.address))
+        .to.emit(vault, "RecipientRemoved")
+        .withArgs(user1.address, anyValue);
+      expect(await vault.recipientActiveAt(user1.address)).to.equal(0);
+      await expect(vault.removeRecipient(user1.address)).to.be.revertedWith("SecureVault: recipient not listed");
+    });
+
+    it("should list recipients after removals", async function () {
+      await vault.addRecipient(user1.address, "one");
+      await vault.addRecipient(user2.address, "two");
+      await vault.addRecipient(authorizer.address, "three");
+
+      await vault.removeRecipient(user1.address);
+      expect([...(await vault.getRecipients())]).to.have.members([user2.address, authorizer.address]);
+
+      await vault.addRecipient(user1.address, "one");
+      await vault.removeRecipient(authorizer.address);
+      expect([...(await vault.getRecipients())]).to.have.members([user2.address, user1.address]);
+    });
+
+    it("should reject withdrawals to an unlisted recipient while enforced", async function () {
+      await expect(vault.setAllowlistEnforced(true))
+        .to.emit(vault, "AllowlistEnforcementUpdated")
+        .withArgs(true, anyValue);
+      expect(await vault.isRecipientAllowed(user1.address)).to.be.false;
+
+      const auth = await authorize(user1.address, amount, 1);
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+        "SecureVault: recipient not allowlisted"
+      );
+      expect(await authorizationManager.getAuthorizationStatus(auth.authorizationId)).to.equal(
+        AuthorizationStatus.Unused
+      );
+    });
+
+    it("should reject withdrawals to a recipient still in its cooldown", async function () {
+      await vault.setAllowlistEnforced(true);
+      await vault.addRecipient(user1.address, "payroll");
+      expect(await vault.isRecipientAllowed(user1.address)).to.be.false;
+
+      const auth = await authorize(user1.address, amount, 1);
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith("SecureVault: recipient in cooldown");
+
+      await time.increase(cooldown - 10n);
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith("SecureVault: recipient in cooldown");
+    });
+
+    it("should pay an active recipient once its cooldown has passed", async function () {
+      await vault.setAllowlistEnforced(true);
+      await vault.addRecipient(user1.address, "payroll");
+      await time.increase(cooldown);
+      expect(await vault.isRecipientAllowed(user1.address)).to.be.true;
+
+      const auth = await authorize(user1.address, amount, 1);
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.changeEtherBalances([user1, vault], [amount, -amount]);
+
+      // Removing the recipient blocks it again
+      await vault.removeRecipient(user1.address);
+      await expect(vault.withdraw(...withdrawArgs(await authorize(user1.address, amount, 2)))).to.be.revertedWith(
+        "SecureVault: recipient not allowlisted"
+      );
+    });
+
+    it("should apply a new cooldown to recipients added afterwards", async function () {
+      await vault.addRecipient(user1.address, "before");
+      await expect(vault.setRecipientCooldown(60))
+        .to.emit(vault, "RecipientCooldownUpdated")
+        .withArgs(cooldown, 60, anyValue);
+      await vault.addRecipient(user2.address, "after");
+      await vault.setAllowlistEnforced(true);
+
+      await time.increase(60);
+      expect(await vault.isRecipientAllowed(user1.address)).to.be.false;
+      expect(await vault.isRecipientAllowed(user2.address)).to.be.true;
+
+      // Without a cooldown new recipients are usable right away
+      await vault.setRecipientCooldown(0);
+      expect(await vault.getRecipientCooldown()).to.equal(0);
+      await vault.addRecipient(authorizer.address, "instant");
+      await vault.withdraw(...withdrawArgs(await authorize(authorizer.address, amount, 1)));
+    });
+
+    it("should allow any recipient again once enforcement is turned off", async function () {
+      await vault.setAllowlistEnforced(true);
+      const auth = await authorize(user1.address, amount, 1);
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.be.revertedWith(
+        "SecureVault: recipient not allowlisted"
+      );
+
+      await expect(vault.setAllowlistEnforced(false))
+        .to.emit(vault, "AllowlistEnforcementUpdated")
+        .withArgs(false, anyValue);
+      await expect(vault.withdraw(...withdrawArgs(auth))).to.changeEtherBalance(user1, amount);
+    });
+
+    it("should check every recipient of a batch", async function () {
+      await vault.setAllowlistEnforced(true);
+      await vault.addRecipient(user1.address, "active");
+      await time.increase(cooldown);
+      await vault.addRecipient(user2.address, "pending");
+
+      const authorizations = [await authorize(user1.address, amount, 1), await authorize(user2.address, amount, 2)];
+      await expect(vault.withdrawBatch(...withdrawBatchArgs(authorizations, true))).to.be.revertedWith(
+        "SecureVault: recipient in cooldown"
+      );
+
+      // Best effort pays the active recipient and reports the pending one
+      const tx = await vault.withdrawBatch(...withdrawBatchArgs(authorizations, false));
+      await expect(tx)
+        .to.emit(vault, "BatchWithdrawalFailed")
+        .withArgs(1, authorizations[1].authorizationId, user2.address, anyValue, anyValue);
+      expect(await authorizationManager.getAuthorizationStatus(authorizations[0].authorizationId)).to.equal(
+        AuthorizationStatus.Consumed
+      );
+      expect(await authorizationManager.getAuthorizationStatus(authorizations[1].authorizationId)).to.equal(
+        AuthorizationStatus.Unused
+      );
+    });
+
+    it("should check the recipient, not the relayer, of a relayed withdrawal", async function () {
+      const relayer = (await ethers.getSigners())[5];
+      const authorizeRelayed = (nonce) =>
+        collectRelayedSignatures([authorizer], authorizationManager, {
+          vault: vaultAddress,
+          recipient: user1.address,
+          amount,
+          fee: ethers.parseEther("0.01"),
+          nonce,
+        });
+      await vault.setAllowlistEnforced(true);
+      await expect(
+        vault.connect(relayer).withdrawRelayed(...withdrawRelayedArgs(await authorizeRelayed(1)))
+      ).to.be.revertedWith("SecureVault: recipient not allowlisted");
+
+      await vault.addRecipient(user1.address, "gasless");
+      await time.increase(cooldown);
+      await expect(
+        vault.connect(relayer).withdrawRelayed(...withdrawRelayedArgs(await authorizeRelayed(2)))
+      ).to.emit(vault, "RelayFeePaid");
+    });
+
+    it("should check the recipient of token withdrawals and sweeps", async function () {
+      const Token = await ethers.getContractFactory("MockERC20");
+      const token = await Token.deploy("Mock USD", "mUSD");
+      const tokenAddress = await token.getAddress();
+      await token.mint(vaultAddress, amount);
+      await vault.setAllowlistEnforced(true);
+
+      const sweep = await authorize(user1.address, amount, 1, authorizer, { token: tokenAddress });
+      await expect(vault.sweepSurplus(...withdrawTokenArgs(sweep))).to.be.revertedWith(
+        "SecureVault: recipient not allowlisted"
+      );
+
+      await vault.addRecipient(user1.address, "treasury");
+      await time.increase(cooldown);
+      await vault.sweepSurplus(
+        ...withdrawTokenArgs(await authorize(user1.address, amount, 2, authorizer, { token: tokenAddress }))
+      );
+      expect(await token.balanceOf(user1.address)).to.equal(amount);
+
+      await vault.removeRecipient(user1.address);
+      const withdrawal = await authorize(user1.address, amount, 3, authorizer, { token: tokenAddress });
+      await expect(vault.withdrawToken(...withdrawTokenArgs(withdrawal))).to.be.revertedWith(
+        "SecureVault: recipient not allowlisted"
+      );
+    });
+  });
+
+  // ============================================================================
+  // ERC-20 TOKEN TESTS
+  // ============================================================================
+
+  describe("ERC-20 Tokens", function () {
+    let token, tokenAddress;
+
+    // Deploy a mock token, mint to the depositor and approve the vault
+    async function deployToken(contractName, args, depositor, amount) {
+      const Token = await ethers.getContractFactory(contractName);
+      const deployed = await Token.deploy(...args);
+      await deployed.waitForDeployment();
+      await deployed.mint(depositor.address, amount);
+      await deployed.connect(depositor).approve(vaultAddress, amount);
+      return deployed;
+    }
+
+    beforeEach(async function () {
+      token = await deployToken("MockERC20", ["Mock USD", "mUSD"], user2, ethers.parseEther("1000"));
+      tokenAddress = await token.getAddress();
+    });
+
+    it("should accept token deposits and track per-token balance", async function () {
+      const amount = ethers.parseEther("100");
+
+      await expect(vault.connect(user2).depositToken(tokenAddress, amount))
+        .to.emit(vault, "TokenDeposit")
+        .withArgs(tokenAddress, user2.address, amount, amount, anyValue);
+
+      expect(await vault.getTokenBalance(tokenAddress)).to.equal(amount);
+      expect(await token.balanceOf(vaultAddress)).to.equal(amount);
+
+      // Native currency accounting is untouched
+      expect(await vault.getBalance()).to.equal(0);
+    });
+
+    it("should withdraw tokens with a token-bound authorization", async function () {
+      await vault.connect(user2).depositToken(tokenAddress, ethers.parseEther("100"));
+
+      const amount = ethers.parseEther("40");
+      const auth = await authorize(user1.address, amount, 1, authorizer, { token: tokenAddress });
+
+      await expect(vault.withdrawToken(...withdrawTokenArgs(auth)))
+        .to.emit(vault, "TokenWithdrawal")
+        .withArgs(tokenAddress, user1.address, amount, auth.authorizationId, ethers.parseEther("60"), anyValue)
+        .and.to.emit(authorizationManager, "AuthorizationConsumed")
+        .withArgs(vaultAddress, tokenAddress, user1.address, amount, auth.authorizationId, anyValue);
+
+      expect(await token.balanceOf(user1.address)).to.equal(amount);
+      expect(await vault.getTokenBalance(tokenAddress)).to.equal(ethers.parseEther("60"));
+    });
+
+    it("should not replay an ETH authorization for a token", async function () {
+      await vault.connect(user2).depositToken(tokenAddress, ethers.parseEther("100"));
+      await deployer.sendTransaction({ to: vaultAddress, value: ethers.parseEther("10.0") });
+
+      const amount = ethers.parseEther("1.0");
+      const ethAuth = await authorize(user1.address, amount, 1);
+
+      await expect(
+        vault.withdrawToken(...withdrawTokenArgs({ ...ethAuth, token: tokenAddress }))
+      ).to.be.revertedWith("AuthorizationManager: authorization parameter mismatch");
+
+      // And a token authorization cannot be spent as native currency
+      const tokenAuth = await authorize(user1.address, amount, 2, authorizer, { token: tokenAddress });
+      await expect(vault.withdraw(...withdrawArgs(tokenAuth))).to.be.revertedWith(
+        "AuthorizationManager: authorization parameter mismatch"
+      );
+    });
+
+    it("should not replay an authorization across tokens", async function () {
+      const other = await deployToken("MockERC20", ["Other", "OTH"], user2, ethers.parseEther("100"));
+      const otherAddress = await other.getAddress();
+      await vault.connect(user2).depositToken(tokenAddress, ethers.parseEther("100"));
+      await vault.connect(user2).depositToken(otherAddress, ethers.parseEther("100"));
+
+      const auth = await authorize(user1.address, ethers.parseEther("1"), 1, authorizer, {
+        token: tokenAddress,
+      });
+
+      await expect(
+        vault.withdrawToken(...withdrawTokenArgs({ ...auth, token: otherAddress }))
+      ).to.be.revertedWith("AuthorizationManager: authorization parameter mismatch");
+    });
+
+    it("should credit only the amount received from a fee-on-transfer token", async function () {
+      // 1% fee burned on every transfer
+      const feeToken = await deployToken("FeeOnTransferERC20", [100], user2, ethers.parseEther("1000"));
+      const feeTokenAddress = await feeToken.getAddress();
+
+      await expect(vault.connect(user2).depositToken(feeTokenAddress, ethers.parseEther("100")))
+        .to.emit(vault, "TokenDeposit")
+        .withArgs(feeTokenAddress, user2.address, ethers.parseEther("99"), ethers.parseEther("99"), anyValue);
+
+      expect(await vault.getTokenBalance(feeTokenAddress)).to.equal(ethers.parseEther("99"));
+
+      // The full accounted balance can be withdrawn; the fee is borne by the recipient
+      const auth = await authorize(user1.address, ethers.parseEther("99"), 1, authorizer, {
+        token: feeTokenAddress,
+      });
+      await vault.withdrawToken(...withdrawTokenArgs(auth));
+
+      expect(await vault.getTokenBalance(feeTokenAddress)).to.equal(0);
+      expect(await feeToken.balanceOf(vaultAddress)).to.equal(0);
+      expect(await feeToken.balanceOf(user1.address)).to.equal(ethers.parseEther("98.01"));
+    });
+
+    it("should reject deposits of a token whose transferFrom returns false", async function () {
+      const falseToken = await deployToken("FalseReturningERC20", [], user2, ethers.parseEther("100"));
+      await falseToken.setFailTransfers(true);
+
+      await expect(
+        vault.connect(user2).depositToken(await falseToken.getAddress(), ethers.parseEther("10"))
+      ).to.be.revertedWith("SecureVault: token transfer failed");
+    });
+
+    it("should revert and keep the authorization when a token transfer returns false", async function () {
+      const falseToken = await deployToken("FalseReturningERC20", [], user2, ethers.parseEther("100"));
+      const falseTokenAddress = await falseToken.getAddress();
+      await vault.connect(user2).depositToken(falseTokenAddress, ethers.parseEther("100"));
+      await falseToken.setFailTransfers(true);
+
+      const auth = await authorize(user1.address, ethers.parseEther("10"), 1, authorizer, {
+        token: falseTokenAddress,
+      });
+
+      await expect(vault.withdrawToken(...withdrawTokenArgs(auth))).to.be.revertedWith(
+        "SecureVault: token transfer failed"
+      );
+
+      expect(await vault.getTokenBalance(falseTokenAddress)).to.equal(ethers.parseEther("100"));
+      expect(await authorizationManager.isAuthorizationUsed(auth.authorizationId)).to.be.false;
+    });
+
+    it("should support tokens that do not return a value", async function () {
+      const noReturnToken = await deployToken("NoReturnERC20", [], user2, ethers.parseEther("100"));
+      const noReturnAddress = await noReturnToken.getAddress();
+
+      await vault.connect(user2).depositToken(noReturnAddress, ethers.parseEther("100"));
+
+      const auth = await authorize(user1.address, ethers.parseEther("25"), 1, authorizer, {
+        token: noReturnAddress,
+      });
+      await vault.withdrawToken(...withdrawTokenArgs(auth));
+
+      expect(await noReturnToken.balanceOf(user1.address)).to.equal(ethers.parseEther("25"));
+      expect(await vault.getTokenBalance(noReturnAddress)).to.equal(ethers.parseEther("75"));
+    });
+
+    it("should reject invalid token addresses", async function () {
+      await expect(
+        vault.depositToken(ethers.ZeroAddress, ethers.parseEther("1"))
+      ).to.be.revertedWith("SecureVault: invalid token");
+
+      await expect(
+        vault.depositToken(user1.address, ethers.parseEther("1"))
+      ).to.be.revertedWith("SecureVault: token is not a contract");
+    });
+
+    it("should reject token withdrawals above the token balance", async function () {
+      await vault.connect(user2).depositToken(tokenAddress, ethers.parseEther("10"));
+
+      const auth = await authorize(user1.address, ethers.parseEther("11"), 1, authorizer, {
+        token: tokenAddress,
+      });
+
+      await expect(vault.withdrawToken(...withdrawTokenArgs(auth))).to.be.revertedWith(
+        "SecureVault: insufficient token balance"
+      );
+    });
+  });
+
+  // ============================================================================
+  // STATE CONSISTENCY TESTS
+  // ============================================================================
+
+  describe("State Consistency", function () {
+    it("should update balance before transferring funds", async function () {
+      const depositAmount = ethers.parseEther("1.0");
+      const withdrawAmount = ethers.parseEther("1.0");
+      const nonce = 1;
+
+      // Deposit
+      await deployer.sendTransaction({
+        to: vaultAddress,
+        value: depositAmount,
+      });
+
+      // Create authorization
+      const auth = await authorize(user1.address, withdrawAmount, nonce);
+
+      // Withdraw
+      const tx = await vault.withdraw(...withdrawArgs(auth));
+
+      // Verify that balance is correct after withdrawal
+      const finalBalance = await vault.getBalance();
+      expect(finalBalance).to.equal(0);
+    });
+
+    it("should not allow vault balance to go negative", async function () {
+      const depositAmount = ethers.parseEther("1.0");
+      const withdrawAmount = ethers.parseEther("2.0"); // More than deposit
+
+      // Deposit only 1.0 ETH
+      await deployer.sendTransaction({
+        to: vaultAddress,
+        value: depositAmount,
+      });
+
+      // Try to withdraw 2.0 ETH
+      const auth = await authorize(user1.address, withdrawAmount, 1);
+
+      await expect(
+        vault.withdraw(...withdrawArgs(auth))
+      ).to.be.revertedWith("SecureVault: insufficient vault balance");
+
+      // Verify balance unchanged
+      const balance = await vault.getBalance();
+      expect(balance).to.equal(depositAmount);
+    });
+  });
+
+  // ============================================================================
+  // EDGE CASE TESTS
+  // ============================================================================
+
+  describe("Edge Cases", function () {
+    let vaultSigner;
+
+    beforeEach(async function () {
+      vaultSigner = await impersonateVault();
+    });
+
+    it("should handle zero amount rejection", async function () {
+      const auth = await authorize(user1.address, 0, 1);
+
+      await expect(
+        authorizationManager.connect(vaultSigner).verifyAuthorization(
+          vaultAddress,
+          ethers.ZeroAddress,
+          user1.address,
+          0,
+          auth.authorizationId,
+          1,
+          auth.validAfter,
+          auth.validUntil,
+          [auth.signature]
+        )
+      ).to.be.revertedWith("AuthorizationManager: amount must be greater than zero");
+    });
+
+    it("should reject authorization with zero vault address", async function () {
+      const amount = ethers.parseEther("1.0");
+
+      await expect(
+        authorizationManager.connect(vaultSigner).verifyAuthorization(
+          ethers.ZeroAddress,
+          ethers.ZeroAddress,
+          user1.address,
+          amount,
+          ethers.ZeroHash,
+          1,
+          0,
+          ethers.MaxUint256,
+          []
+        )
+      ).to.be.reverted;
+    });
+
+    it("should handle very large withdrawal amounts", async function () {
+      const largeAmount = ethers.parseEther("1000.0");
+
+      // Deposit large amount
+      await deployer.sendTransaction({
+        to: vaultAddress,
+        value: largeAmount,
+      });
+
+      const auth = await authorize(user1.address, largeAmount, 1);
+
+      // Should withdraw successfully
+      await vault.withdraw(...withdrawArgs(auth));
+
+      const balance = await vault.getBalance();
+      expect(balance).to.equal(0);
+    });
+
+    it("should track authorization usage per unique ID", async function () {
+      // Create two different authorizations for different nonces
+      const amount = ethers.parseEther("1.0");
+
+      const auth1 = await authorize(user1.address, amount, 1);
+      const auth2 = await authorize(user1.address, amount, 2);
 
       // These should be different IDs
-      expect(authId1).to.not.equal(authId2);
+      expect(auth1.authorizationId).to.not.equal(auth2.authorizationId);
 
       // Use first authorization
-      await authorizationManager.verifyAuthorization(
+      await authorizationManager.connect(vaultSigner).verifyAuthorization(
         vaultAddress,
+        ethers.ZeroAddress,
         user1.address,
         amount,
-        authId1,
-        1
+        auth1.authorizationId,
+        1,
+        auth1.validAfter,
+        auth1.validUntil,
+        [auth1.signature]
       );
 
       // First should be used
-      let isUsed = await authorizationManager.isAuthorizationUsed(authId1);
+      let isUsed = await authorizationManager.isAuthorizationUsed(auth1.authorizationId);
       expect(isUsed).to.be.true;
 
       // Second should not be used yet
-      isUsed = await authorizationManager.isAuthorizationUsed(authId2);
+      isUsed = await authorizationManager.isAuthorizationUsed(auth2.authorizationId);
       expect(isUsed).to.be.false;
 
       // Should be able to use second authorization
-      await authorizationManager.verifyAuthorization(
+      await authorizationManager.connect(vaultSigner).verifyAuthorization(
         vaultAddress,
+        ethers.ZeroAddress,
         user1.address,
         amount,
-        authId2,
-        2
+        auth2.authorizationId,
+        2,
+        auth2.validAfter,
+        auth2.validUntil,
+        [auth2.signature]
       );
     });
   });